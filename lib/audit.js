@@ -0,0 +1,167 @@
+/**
+ * PDV SaaS - Trilha de auditoria das ações sensíveis
+ *
+ * Cada registro (auditLogs) guarda quem fez (userId, userEmail), a loja, a
+ * ação (AUDIT_ACTIONS), o alvo (targetType/targetId), as mudanças campo a
+ * campo { campo: { from, to } }, IP e data. Os registros só são incluídos:
+ * nenhuma rota altera ou apaga; a limpeza pela retenção (AUDIT_RETENTION_DAYS)
+ * é a única remoção.
+ * Novas rotas registram com uma ação nova neste catálogo.
+ */
+
+const AUDIT_ACTIONS = {
+    'auth.login': 'Login',
+    'auth.login_failed': 'Login recusado',
+    'auth.account_locked': 'Conta bloqueada por tentativas',
+    'auth.logout': 'Saída',
+    'auth.session_revoked': 'Sessão encerrada por segurança',
+    'auth.password_changed': 'Senha alterada',
+    'auth.password_reset_requested': 'Redefinição de senha pedida',
+    'auth.password_reset': 'Senha redefinida pelo e-mail',
+    'auth.2fa_enabled': 'Verificação em duas etapas ativada',
+    'auth.2fa_disabled': 'Verificação em duas etapas desativada',
+    'user.created': 'Usuário convidado',
+    'user.updated': 'Usuário alterado',
+    'user.password_reset': 'Senha provisória gerada',
+    'product.created': 'Produto cadastrado',
+    'product.updated': 'Produto alterado',
+    'product.imported': 'Produtos importados por planilha',
+    'promotion.created': 'Promoção cadastrada',
+    'promotion.updated': 'Promoção alterada',
+    'coupon.created': 'Cupom cadastrado',
+    'coupon.updated': 'Cupom alterado',
+    'sale.cancelled': 'Venda cancelada',
+    'sale.refunded': 'Venda estornada',
+    'sale.discount_approval_failed': 'Aprovação de desconto recusada (senha do gerente)',
+    'settings.updated': 'Configurações da loja alteradas',
+    'backup.exported': 'Backup exportado',
+    'platform.tenant_suspended': 'Loja suspensa pela plataforma',
+    'platform.tenant_reactivated': 'Loja reativada pela plataforma',
+    'platform.trial_extended': 'Teste prorrogado pela plataforma',
+    'platform.plan_changed': 'Plano alterado pela plataforma'
+};
+
+const DEFAULT_RETENTION_DAYS = 365;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Campos cujo valor não vai para o registro (fica só a indicação da mudança)
+const REDACTED_FIELDS = ['password', 'totpSecret', 'totpPendingSecret', 'csc'];
+const REDACTED_VALUE = '***';
+// Mudam em toda alteração e não dizem nada sobre ela
+const IGNORED_FIELDS = ['updatedAt'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Vazio, nulo e ausente contam como o mesmo valor
+function emptyToNull(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(emptyToNull(a)) === JSON.stringify(emptyToNull(b));
+}
+
+/**
+ * Mudanças entre duas versões de um registro: { campo: { from, to } }.
+ * Objetos (fiscal, loyalty...) entram por subcampo ("fiscal.series"), também
+ * quando são preenchidos pela primeira vez; retorna null quando nada mudou.
+ */
+function diffChanges(before = {}, after = {}, prefix = '') {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const from = (before || {})[field];
+        const to = (after || {})[field];
+        if (sameValue(from, to)) continue;
+
+        const path = prefix + field;
+        const nested = (isPlainObject(from) || emptyToNull(from) === null) && (isPlainObject(to) || emptyToNull(to) === null);
+        if (nested) {
+            Object.assign(changes, diffChanges(from || {}, to || {}, `${path}.`));
+        } else if (REDACTED_FIELDS.includes(field)) {
+            changes[path] = { from: REDACTED_VALUE, to: REDACTED_VALUE };
+        } else {
+            changes[path] = { from: emptyToNull(from), to: emptyToNull(to) };
+        }
+    }
+
+    return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Registro pronto para gravar. actor: { tenantId, userId, userEmail, ip, userAgent }.
+ * Ação fora do catálogo é erro de programação, não do usuário.
+ */
+function buildEntry(actor, { action, targetType = null, targetId = null, targetName = null, changes = null, details = null }) {
+    if (!AUDIT_ACTIONS[action]) {
+        throw new Error(`Ação de auditoria desconhecida: ${action}`);
+    }
+    return {
+        tenantId: actor.tenantId,
+        userId: actor.userId ?? null,
+        userEmail: actor.userEmail ?? null,
+        action,
+        targetType,
+        targetId: targetId === null ? null : String(targetId),
+        targetName,
+        changes,
+        details,
+        ip: actor.ip ?? null,
+        userAgent: actor.userAgent ? String(actor.userAgent).slice(0, 200) : null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Filtros da consulta (GET /api/audit): action (uma ou várias, separadas por
+ * vírgula; "product.*" pega todas do grupo), userId, targetType, targetId,
+ * page e limit. O período (from/to) é resolvido pela rota, no fuso da loja.
+ * Retorna { filter, page, limit } ou { error }.
+ */
+function normalizeAuditQuery(query) {
+    const filter = {};
+
+    if (query.action) {
+        const actions = new Set();
+        for (const raw of String(query.action).split(',').map(action => action.trim()).filter(Boolean)) {
+            const matches = raw.endsWith('.*')
+                ? Object.keys(AUDIT_ACTIONS).filter(action => action.startsWith(raw.slice(0, -1)))
+                : Object.keys(AUDIT_ACTIONS).filter(action => action === raw);
+            if (matches.length === 0) {
+                return { error: `Ação de auditoria inválida: ${raw}` };
+            }
+            matches.forEach(action => actions.add(action));
+        }
+        filter.action = [...actions];
+    }
+    if (query.userId) {
+        const userId = parseInt(query.userId);
+        if (!userId) return { error: 'Usuário inválido' };
+        filter.userId = userId;
+    }
+    if (query.targetType) filter.targetType = String(query.targetType);
+    if (query.targetId) filter.targetId = String(query.targetId);
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { filter, page, limit };
+}
+
+function retentionDays(value) {
+    const days = parseInt(value);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    DEFAULT_RETENTION_DAYS,
+    diffChanges,
+    buildEntry,
+    normalizeAuditQuery,
+    retentionDays
+};
@@ -0,0 +1,173 @@
+/**
+ * PDV SaaS - Sessões de login, bloqueio por tentativas e verificação em duas etapas
+ *
+ * Sessão (authSessions): criada no login. O token de acesso é um JWT curto com
+ * o id da sessão em `sid`; a sessão é renovada com refresh tokens de uso único
+ * (refreshTokens, guardados só como hash). Cada renovação troca o refresh token,
+ * e reapresentar um token já trocado revoga a sessão inteira (token copiado).
+ * Sair revoga a sessão no servidor.
+ *
+ * Bloqueio: MAX_FAILED_LOGINS senhas (ou códigos) errados seguidos bloqueiam a
+ * conta por LOCKOUT_MINUTES, qualquer que seja o IP.
+ *
+ * TOTP (RFC 6238): códigos de 6 dígitos a cada 30 s, como no Google
+ * Authenticator; segredo em base32. Cada código vale uma única vez.
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;               // um turno
+const REMEMBERED_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // "Lembrar-me"
+// Duas abas renovando ao mesmo tempo: o token recém-trocado é recusado sem revogar a sessão
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Tokens opacos (refresh e redefinição de senha); no banco fica só o hash
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sessionExpiresAt(remember, now = new Date()) {
+    return new Date(now.getTime() + (remember ? REMEMBERED_SESSION_TTL_MS : SESSION_TTL_MS)).toISOString();
+}
+
+// O refresh token não vive mais que a própria sessão
+function refreshTokenExpiresAt(session, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString();
+    return expiresAt < session.expiresAt ? expiresAt : session.expiresAt;
+}
+
+function isLocked(user, now = new Date()) {
+    return Boolean(user.lockedUntil) && user.lockedUntil > now.toISOString();
+}
+
+// Minutos que faltam para o desbloqueio (arredondados para cima)
+function lockMinutesLeft(user, now = new Date()) {
+    return Math.max(1, Math.ceil((new Date(user.lockedUntil).getTime() - now.getTime()) / 60000));
+}
+
+// Campos do usuário depois de uma tentativa errada; a última tentativa bloqueia a conta
+function failedLoginChanges(user, now = new Date()) {
+    const attempts = (user.failedLoginAttempts || 0) + 1;
+    if (attempts >= MAX_FAILED_LOGINS) {
+        return {
+            failedLoginAttempts: 0,
+            lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString()
+        };
+    }
+    return { failedLoginAttempts: attempts };
+}
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text || '').toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) throw new Error('Segredo TOTP inválido');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCounter(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+function totpCode(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Confere o código aceitando um passo de diferença no relógio.
+ * Retorna o contador do código (guardado para o mesmo código não valer de
+ * novo) ou null. lastCounter: contador do último código aceito.
+ */
+function verifyTotp(secret, code, { time = Date.now(), window = 1, lastCounter = null } = {}) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) return null;
+
+    const current = totpCounter(time);
+    for (let counter = current - window; counter <= current + window; counter++) {
+        if (lastCounter !== null && counter <= lastCounter) continue;
+        if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, counter)), Buffer.from(digits))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// URL lida pelos aplicativos autenticadores (QR code)
+function otpauthUrl({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    REMEMBERED_SESSION_TTL_MS,
+    REFRESH_REUSE_GRACE_MS,
+    MAX_FAILED_LOGINS,
+    LOCKOUT_MINUTES,
+    PASSWORD_RESET_TTL_MS,
+    generateToken,
+    hashToken,
+    sessionExpiresAt,
+    refreshTokenExpiresAt,
+    isLocked,
+    lockMinutesLeft,
+    failedLoginChanges,
+    generateTotpSecret,
+    totpCode,
+    verifyTotp,
+    otpauthUrl
+};
@@ -0,0 +1,152 @@
+/**
+ * PDV SaaS - Gateway de pagamento das assinaturas
+ *
+ * Gateways disponíveis (variável BILLING_GATEWAY):
+ *   fake - padrão; gateway simulado no próprio processo, com checkout em
+ *          /fake-gateway e webhooks assinados enviados para a API
+ *
+ * Interface comum (outros provedores implementam o mesmo adaptador):
+ *   gateway.createCharge({ invoiceId, tenantId, amount, description })
+ *       → { chargeId, paymentUrl }
+ *   gateway.parseWebhook(rawBody, headers) → evento normalizado:
+ *       { id, type: 'payment.succeeded' | 'payment.failed',
+ *         chargeId, invoiceId, amount, paidAt?, failureReason? }
+ *   (invoiceId vem dos metadados da cobrança)
+ *   Lança WebhookSignatureError se a assinatura não conferir.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+class WebhookSignatureError extends Error {
+    constructor(message = 'Assinatura do webhook inválida') {
+        super(message);
+        this.name = 'WebhookSignatureError';
+    }
+}
+
+function signPayload(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function verifySignature(body, signature, secret) {
+    const expected = Buffer.from(signPayload(body, secret));
+    const received = Buffer.from(String(signature || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Gateway simulado. Modos:
+ *   manual  - a cobrança fica pendente até ser paga/recusada no checkout simulado
+ *   approve - toda cobrança é aprovada logo após ser criada
+ *   decline - toda cobrança é recusada (para testar a régua de cobrança)
+ */
+class FakeGateway {
+    constructor({ mode = 'manual', secret, webhookUrl }) {
+        if (!secret) {
+            throw new Error('BILLING_WEBHOOK_SECRET é obrigatório para o gateway simulado');
+        }
+        this.setMode(mode);
+        this.secret = secret;
+        this.webhookUrl = webhookUrl;
+        this.charges = new Map();
+        this.sequence = 0;
+    }
+
+    setMode(mode) {
+        if (!['manual', 'approve', 'decline'].includes(mode)) {
+            throw new Error(`Modo inválido para o gateway simulado: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    async createCharge({ invoiceId, tenantId, amount, description }) {
+        this.sequence++;
+        const chargeId = `fake_ch_${Date.now().toString(36)}${this.sequence}`;
+        this.charges.set(chargeId, { chargeId, invoiceId, tenantId, amount, description, status: 'pending', createdAt: new Date().toISOString() });
+
+        if (this.mode !== 'manual') {
+            // Como um gateway real: o resultado chega depois, pelo webhook
+            setImmediate(() => {
+                this.settle(chargeId, this.mode === 'approve' ? 'paid' : 'failed').catch(error => {
+                    console.error('Gateway simulado: erro ao enviar webhook:', error.message);
+                });
+            });
+        }
+
+        return { chargeId, paymentUrl: `/fake-gateway/checkout/${chargeId}` };
+    }
+
+    getCharge(chargeId) {
+        return this.charges.get(chargeId) || null;
+    }
+
+    // Paga ou recusa a cobrança e notifica a API pelo webhook
+    async settle(chargeId, outcome, failureReason = 'Cartão recusado pelo emissor') {
+        const charge = this.charges.get(chargeId);
+        if (!charge) {
+            throw new Error('Cobrança não encontrada');
+        }
+        if (charge.status !== 'pending') {
+            throw new Error('Cobrança já processada');
+        }
+
+        charge.status = outcome;
+        const event = {
+            id: `fake_evt_${crypto.randomBytes(8).toString('hex')}`,
+            type: outcome === 'paid' ? 'payment.succeeded' : 'payment.failed',
+            chargeId,
+            invoiceId: charge.invoiceId,
+            amount: charge.amount,
+            ...(outcome === 'paid' ? { paidAt: new Date().toISOString() } : { failureReason })
+        };
+        const body = JSON.stringify(event);
+
+        const response = await fetch(this.webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, this.secret) },
+            body,
+            signal: AbortSignal.timeout(10000)
+        });
+        return { event, status: response.status };
+    }
+
+    parseWebhook(rawBody, headers) {
+        const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+        if (!verifySignature(body, headers[SIGNATURE_HEADER], this.secret)) {
+            throw new WebhookSignatureError();
+        }
+
+        const event = JSON.parse(body);
+        if (!event.id || !event.chargeId || !['payment.succeeded', 'payment.failed'].includes(event.type)) {
+            throw new WebhookSignatureError('Evento de pagamento inválido');
+        }
+        return {
+            id: event.id,
+            type: event.type,
+            chargeId: event.chargeId,
+            invoiceId: event.invoiceId || null,
+            amount: Number(event.amount),
+            paidAt: event.paidAt || null,
+            failureReason: event.failureReason || null
+        };
+    }
+}
+
+function createGateway({ type = 'fake', ...options }) {
+    switch (type) {
+        case 'fake':
+            return new FakeGateway(options);
+        default:
+            throw new Error(`Gateway de pagamento desconhecido: ${type}`);
+    }
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    WebhookSignatureError,
+    FakeGateway,
+    signPayload,
+    createGateway
+};
@@ -0,0 +1,277 @@
+/**
+ * PDV SaaS - Ciclo de vida da assinatura
+ *
+ *   trial ──(fatura paga)──▶ active ──(fim do período)──▶ past_due
+ *                              ▲                              │
+ *                              └────────(fatura paga)─────────┤
+ *                                                             ▼ (fim da carência)
+ *                                                         suspended
+ *   active + cancelamento agendado ──(fim do período)──▶ cancelled
+ *
+ * Aqui ficam só as regras (funções puras sobre a loja e as faturas);
+ * quem grava as alterações e fala com o gateway é o servidor.
+ */
+
+const { roundMoney } = require('../money');
+const plans = require('./plans');
+const gateway = require('./gateway');
+
+const { PLANS } = plans;
+
+const SUBSCRIPTION_STATUSES = {
+    trial: 'Período de teste',
+    active: 'Ativa',
+    past_due: 'Pagamento pendente',
+    suspended: 'Suspensa',
+    cancelled: 'Cancelada'
+};
+
+const INVOICE_KINDS = {
+    subscription: 'Assinatura',
+    renewal: 'Renovação',
+    upgrade: 'Mudança de plano'
+};
+
+// Carência depois do vencimento da renovação: a loja continua funcionando
+const GRACE_DAYS = 7;
+// Novas tentativas de cobrança (dias após o vencimento)
+const DUNNING_RETRY_DAYS = [1, 3, 5];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * DAY_MS).toISOString();
+}
+
+// Um mês depois; dia 31 vira o último dia do mês seguinte
+function addMonth(date) {
+    const start = new Date(date);
+    const result = new Date(start);
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + 1);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    return result.toISOString();
+}
+
+/**
+ * A loja pode usar o sistema? Retorna { allowed } ou { allowed: false, code, error }.
+ * past_due continua liberado até o fim da carência.
+ */
+function accessStatus(tenant, now = new Date()) {
+    const at = now.toISOString();
+
+    switch (tenant.subscriptionStatus) {
+        case 'active':
+            return { allowed: true };
+        case 'past_due':
+            if (tenant.graceEnds && at < tenant.graceEnds) return { allowed: true };
+            return { allowed: false, code: 'SUBSCRIPTION_SUSPENDED', error: 'Assinatura suspensa por falta de pagamento. Regularize para continuar.' };
+        case 'suspended':
+            return { allowed: false, code: 'SUBSCRIPTION_SUSPENDED', error: 'Assinatura suspensa por falta de pagamento. Regularize para continuar.' };
+        case 'cancelled':
+            return { allowed: false, code: 'SUBSCRIPTION_CANCELLED', error: 'Assinatura cancelada. Escolha um plano para reativar.' };
+        default:
+            if (tenant.trialEnds && new Date(tenant.trialEnds) < now) {
+                return { allowed: false, code: 'SUBSCRIPTION_EXPIRED', error: 'Período de teste encerrado. Escolha um plano para continuar.' };
+            }
+            return { allowed: true };
+    }
+}
+
+function subscriptionSummary(tenant) {
+    const plan = plans.planFor(tenant);
+    const pendingPlan = tenant.pendingPlan ? PLANS[tenant.pendingPlan] : null;
+    return {
+        plan: PLANS[tenant.plan] ? tenant.plan : 'basic',
+        planName: plan.name,
+        monthlyPrice: plan.monthlyPrice,
+        limits: plan.limits,
+        status: tenant.subscriptionStatus || 'trial',
+        statusName: SUBSCRIPTION_STATUSES[tenant.subscriptionStatus] || SUBSCRIPTION_STATUSES.trial,
+        trialEnds: tenant.trialEnds || null,
+        currentPeriodStart: tenant.currentPeriodStart || null,
+        currentPeriodEnd: tenant.currentPeriodEnd || null,
+        graceEnds: tenant.graceEnds || null,
+        pendingPlan: tenant.pendingPlan || null,
+        pendingPlanName: pendingPlan ? pendingPlan.name : null,
+        cancelAtPeriodEnd: tenant.cancelAtPeriodEnd === true
+    };
+}
+
+function newInvoice({ kind, planId, amount, periodStart, periodEnd, dueDate, now }) {
+    return {
+        kind,
+        plan: planId,
+        description: `${INVOICE_KINDS[kind]} - plano ${PLANS[planId].name}`,
+        amount: roundMoney(amount),
+        periodStart,
+        periodEnd,
+        dueDate,
+        status: 'open',
+        chargeId: null,
+        paymentUrl: null,
+        attempts: [],
+        gatewayEvents: [],
+        paidAt: null,
+        createdAt: now
+    };
+}
+
+// Diferença de preço proporcional aos dias que faltam no período atual
+function prorate(oldPrice, newPrice, periodStart, periodEnd, now) {
+    const total = new Date(periodEnd) - new Date(periodStart);
+    const remaining = Math.max(0, new Date(periodEnd) - new Date(now));
+    if (total <= 0) return roundMoney(newPrice - oldPrice);
+    return roundMoney((newPrice - oldPrice) * remaining / total);
+}
+
+/**
+ * Troca de plano pedida pela loja.
+ * usage: { users, products, registers } em uso hoje.
+ * Retorna { status, error, code } ou { invoice?, changes? }:
+ *   - sem assinatura ativa (teste, suspensa, cancelada): fatura do primeiro mês;
+ *     o plano muda quando a fatura é paga
+ *   - upgrade: fatura proporcional até o fim do período; muda quando paga
+ *   - downgrade: agendado para o fim do período (pendingPlan)
+ */
+function planChange(tenant, planId, usage, now = new Date().toISOString()) {
+    const plan = PLANS[planId];
+    if (!plan || !plan.selectable) {
+        return { status: 400, error: 'Plano inválido' };
+    }
+
+    const conflicts = plans.usageConflicts(planId, usage);
+    if (conflicts.length) {
+        return { status: 409, error: `O uso atual excede o plano ${plan.name}: ${conflicts.join(', ')}`, code: 'PLAN_LIMIT_EXCEEDED' };
+    }
+
+    const status = tenant.subscriptionStatus;
+    if (status === 'past_due') {
+        return { status: 409, error: 'Pague a fatura em aberto antes de trocar de plano', code: 'INVOICE_OPEN' };
+    }
+
+    if (status !== 'active') {
+        return {
+            invoice: newInvoice({ kind: 'subscription', planId, amount: plan.monthlyPrice, periodStart: now, periodEnd: addMonth(now), dueDate: now, now })
+        };
+    }
+
+    const current = plans.planFor(tenant);
+    if (planId === tenant.plan) {
+        if (!tenant.pendingPlan && !tenant.cancelAtPeriodEnd) {
+            return { status: 400, error: 'Este já é o plano atual' };
+        }
+        // Desfaz o downgrade ou o cancelamento agendado
+        return { changes: { pendingPlan: null, cancelAtPeriodEnd: false } };
+    }
+
+    if (plan.monthlyPrice <= current.monthlyPrice) {
+        return { changes: { pendingPlan: planId, cancelAtPeriodEnd: false } };
+    }
+
+    const amount = prorate(current.monthlyPrice, plan.monthlyPrice, tenant.currentPeriodStart || now, tenant.currentPeriodEnd || addMonth(now), now);
+    if (amount <= 0) {
+        return { changes: { plan: planId, monthlyPrice: plan.monthlyPrice, pendingPlan: null } };
+    }
+    return {
+        invoice: newInvoice({ kind: 'upgrade', planId, amount, periodStart: now, periodEnd: tenant.currentPeriodEnd, dueDate: now, now })
+    };
+}
+
+// Alterações da loja quando uma fatura é paga
+function paymentChanges(tenant, invoice) {
+    const plan = PLANS[invoice.plan];
+
+    if (invoice.kind === 'upgrade') {
+        return { plan: invoice.plan, monthlyPrice: plan.monthlyPrice, pendingPlan: null };
+    }
+
+    return {
+        plan: invoice.plan,
+        monthlyPrice: plan.monthlyPrice,
+        subscriptionStatus: 'active',
+        currentPeriodStart: invoice.periodStart,
+        currentPeriodEnd: invoice.periodEnd,
+        graceEnds: null,
+        cancelAtPeriodEnd: false,
+        ...(invoice.kind === 'subscription' && { pendingPlan: null })
+    };
+}
+
+/**
+ * O que o ciclo de cobrança deve fazer com a loja agora.
+ * openInvoices: faturas em aberto da loja.
+ * Retorna uma lista de ações:
+ *   { type: 'start_period' }            loja ativa sem período (cadastro antigo)
+ *   { type: 'cancel' }                  cancelamento agendado chegou ao fim do período
+ *   { type: 'renew', invoice, changes } nova fatura; aplica downgrade agendado e entra em carência
+ *   { type: 'retry', invoice }          nova tentativa de cobrança da renovação
+ *   { type: 'suspend' }                 fim da carência sem pagamento
+ */
+function cycleActions(tenant, openInvoices, now = new Date().toISOString()) {
+    const actions = [];
+
+    if (tenant.subscriptionStatus === 'active') {
+        if (!tenant.currentPeriodEnd) {
+            actions.push({ type: 'start_period' });
+        } else if (now >= tenant.currentPeriodEnd) {
+            if (tenant.cancelAtPeriodEnd) {
+                actions.push({ type: 'cancel' });
+            } else {
+                const planId = tenant.pendingPlan || (PLANS[tenant.plan] && PLANS[tenant.plan].selectable ? tenant.plan : 'basic');
+                const periodStart = tenant.currentPeriodEnd;
+                actions.push({
+                    type: 'renew',
+                    invoice: newInvoice({
+                        kind: 'renewal',
+                        planId,
+                        amount: PLANS[planId].monthlyPrice,
+                        periodStart,
+                        periodEnd: addMonth(periodStart),
+                        dueDate: periodStart,
+                        now
+                    }),
+                    changes: {
+                        plan: planId,
+                        monthlyPrice: PLANS[planId].monthlyPrice,
+                        pendingPlan: null,
+                        subscriptionStatus: 'past_due',
+                        graceEnds: addDays(periodStart, GRACE_DAYS)
+                    }
+                });
+            }
+        }
+    }
+
+    if (tenant.subscriptionStatus === 'past_due') {
+        if (!tenant.graceEnds || now >= tenant.graceEnds) {
+            actions.push({ type: 'suspend' });
+        } else {
+            const renewal = openInvoices.find(invoice => invoice.kind === 'renewal');
+            if (renewal) {
+                const retry = DUNNING_RETRY_DAYS[renewal.attempts.length - 1];
+                if (retry !== undefined && now >= addDays(renewal.dueDate, retry)) {
+                    actions.push({ type: 'retry', invoice: renewal });
+                }
+            }
+        }
+    }
+
+    return actions;
+}
+
+module.exports = {
+    ...plans,
+    ...gateway,
+    SUBSCRIPTION_STATUSES,
+    INVOICE_KINDS,
+    GRACE_DAYS,
+    DUNNING_RETRY_DAYS,
+    addMonth,
+    accessStatus,
+    subscriptionSummary,
+    planChange,
+    paymentChanges,
+    cycleActions
+};
@@ -0,0 +1,77 @@
+/**
+ * PDV SaaS - Planos de assinatura
+ * Preço mensal e limites de cada plano (null = ilimitado).
+ * O plano "trial" é o do período de teste e não pode ser contratado.
+ */
+
+const PLANS = {
+    trial: {
+        name: 'Teste grátis',
+        monthlyPrice: 0,
+        selectable: false,
+        limits: { users: 3, products: 200, registers: 2 }
+    },
+    basic: {
+        name: 'Básico',
+        monthlyPrice: 29.90,
+        selectable: true,
+        limits: { users: 2, products: 500, registers: 1 }
+    },
+    pro: {
+        name: 'Profissional',
+        monthlyPrice: 79.90,
+        selectable: true,
+        limits: { users: 10, products: 5000, registers: 5 }
+    },
+    enterprise: {
+        name: 'Empresarial',
+        monthlyPrice: 199.90,
+        selectable: true,
+        limits: { users: null, products: null, registers: null }
+    }
+};
+
+const LIMIT_LABELS = {
+    users: 'usuários ativos',
+    products: 'produtos cadastrados',
+    registers: 'caixas abertos ao mesmo tempo'
+};
+
+// Lojas com plano desconhecido (cadastros antigos) ficam com os limites do Básico
+function planFor(tenant) {
+    return PLANS[tenant.plan] || PLANS.basic;
+}
+
+/**
+ * Confere se cabe mais `adding` registros do recurso no plano da loja.
+ * current: quantidade atual. Retorna null ou { error, code, resource, limit }.
+ */
+function limitError(tenant, resource, current, adding = 1) {
+    const plan = planFor(tenant);
+    const limit = plan.limits[resource];
+    if (limit === null || limit === undefined || current + adding <= limit) {
+        return null;
+    }
+    return {
+        error: `Limite do plano ${plan.name} atingido: até ${limit} ${LIMIT_LABELS[resource]}. Altere o plano para continuar.`,
+        code: 'PLAN_LIMIT_REACHED',
+        resource,
+        limit
+    };
+}
+
+// Recursos em uso acima dos limites do plano (impede a troca para um plano menor)
+function usageConflicts(planId, usage) {
+    const plan = PLANS[planId];
+    return Object.entries(plan.limits)
+        .filter(([resource, limit]) => limit !== null && (usage[resource] || 0) > limit)
+        .map(([resource, limit]) => `${usage[resource]} ${LIMIT_LABELS[resource]} (limite ${limit})`);
+}
+
+module.exports = {
+    PLANS,
+    LIMIT_LABELS,
+    planFor,
+    limitError,
+    usageConflicts
+};
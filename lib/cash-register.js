@@ -0,0 +1,75 @@
+/**
+ * PDV SaaS - Sessões de caixa
+ * Cálculo do resumo/fechamento: totais por forma de pagamento,
+ * sangrias, suprimentos e diferença (sobra/falta) de dinheiro
+ */
+
+const { roundMoney } = require('./money');
+const { salePaymentBreakdown } = require('./payments');
+
+const MOVEMENT_TYPES = {
+    sangria: 'Sangria',
+    suprimento: 'Suprimento'
+};
+
+function buildSessionReport(session, sales) {
+    const totalsByMethod = {};
+    let salesCount = 0;
+    let cancelledCount = 0;
+    let cancelledAmount = 0;
+    let refundedAmount = 0;
+
+    for (const sale of sales) {
+        if (sale.status === 'cancelled') {
+            cancelledCount++;
+            cancelledAmount += sale.total;
+            continue;
+        }
+
+        salesCount++;
+        refundedAmount += sale.refundedAmount || 0;
+
+        for (const [method, amount] of Object.entries(salePaymentBreakdown(sale))) {
+            totalsByMethod[method] = roundMoney((totalsByMethod[method] || 0) + amount);
+        }
+    }
+
+    const movements = session.movements || [];
+    const suprimentos = roundMoney(movements.filter(m => m.type === 'suprimento').reduce((sum, m) => sum + m.amount, 0));
+    const sangrias = roundMoney(movements.filter(m => m.type === 'sangria').reduce((sum, m) => sum + m.amount, 0));
+
+    const cashSales = totalsByMethod.cash || 0;
+    const expectedCash = roundMoney(session.openingFloat + cashSales + suprimentos - sangrias);
+    const hasCount = session.countedCash !== null && session.countedCash !== undefined;
+
+    return {
+        sessionId: session.id,
+        registerName: session.registerName,
+        status: session.status,
+        openedAt: session.createdAt,
+        closedAt: session.closedAt || null,
+        openingFloat: session.openingFloat,
+        salesCount,
+        totalSales: roundMoney(Object.values(totalsByMethod).reduce((sum, value) => sum + value, 0)),
+        totalsByMethod,
+        cancelledCount,
+        cancelledAmount: roundMoney(cancelledAmount),
+        refundedAmount: roundMoney(refundedAmount),
+        suprimentos,
+        sangrias,
+        expectedCash,
+        countedCash: hasCount ? session.countedCash : null,
+        difference: hasCount ? roundMoney(session.countedCash - expectedCash) : null
+    };
+}
+
+// Dinheiro disponível na gaveta agora (para validar sangrias)
+function availableCash(session, sales) {
+    return buildSessionReport(session, sales).expectedCash;
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    buildSessionReport,
+    availableCash
+};
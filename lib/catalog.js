@@ -0,0 +1,149 @@
+/**
+ * PDV SaaS - Variações, kits e códigos de barras adicionais
+ *
+ * Variação: produto com parentId (tamanho, cor...), com preço, código e
+ * estoque próprios. O produto pai agrupa as variações e não é vendido
+ * diretamente enquanto tiver variações.
+ * Kit: produto com components [{ productId, quantity }] (fardo, cesta...),
+ * sem estoque próprio; a venda baixa o estoque dos componentes.
+ * Códigos adicionais (productBarcodes): outros EANs do mesmo produto,
+ * como os de fornecedores diferentes, aceitos na busca e na venda.
+ */
+
+const { isValidQuantity, roundQuantity } = require('./measure');
+
+const MAX_COMPONENTS = 20;
+const MAX_BARCODES = 20;
+
+function isKit(product) {
+    return Array.isArray(product.components) && product.components.length > 0;
+}
+
+function isVariant(product) {
+    return Boolean(product.parentId);
+}
+
+// { "Tamanho": "M", "Cor": "Azul" }; nomes e valores vazios são descartados
+function normalizeVariantAttributes(input) {
+    const attributes = {};
+    for (const [rawName, rawValue] of Object.entries(input || {})) {
+        const name = String(rawName).trim();
+        const value = String(rawValue ?? '').trim();
+        if (name && value) attributes[name] = value;
+    }
+    return attributes;
+}
+
+/**
+ * Componentes de um kit: [{ productId, quantity }] por unidade do kit.
+ * Lista vazia (ou null) desfaz o kit. Retorna { components } ou { error }.
+ */
+function normalizeComponents(input) {
+    if (input === null || input === undefined) return { components: null };
+    if (!Array.isArray(input)) return { error: 'Componentes do kit inválidos' };
+    if (input.length === 0) return { components: null };
+    if (input.length > MAX_COMPONENTS) {
+        return { error: `O kit pode ter no máximo ${MAX_COMPONENTS} componentes` };
+    }
+
+    const components = [];
+    for (const raw of input) {
+        const productId = parseInt(raw.productId);
+        const quantity = Number(raw.quantity);
+        if (!productId) return { error: 'Componente do kit sem produto' };
+        if (!(quantity > 0) || roundQuantity(quantity) !== quantity) {
+            return { error: 'Quantidade de componente do kit inválida' };
+        }
+        if (components.some(c => c.productId === productId)) {
+            return { error: 'Componente repetido no kit' };
+        }
+        components.push({ productId, quantity });
+    }
+    return { components };
+}
+
+/**
+ * Confere os componentes com o catálogo (products: Map id -> produto).
+ * Um kit não entra em outro kit nem usa produtos agrupadores de variações.
+ */
+function componentsError(kitId, components, products, parentIds) {
+    for (const component of components) {
+        const product = products.get(component.productId);
+        if (!product) return `Componente do kit não encontrado: ${component.productId}`;
+        if (product.id === kitId) return 'O kit não pode ser componente de si mesmo';
+        if (isKit(product)) return `${product.name} é um kit e não pode ser componente de outro kit`;
+        if (parentIds.has(product.id)) return `${product.name} tem variações: use uma das variações no kit`;
+        if (!isValidQuantity(component.quantity, product.unit)) {
+            return `Quantidade de ${product.name} no kit deve ser um número inteiro`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Campos de variação e kit enviados no cadastro do produto; só volta o
+ * que foi enviado. Sem produto pai, os atributos de variação são apagados.
+ * Retorna { structure } ou { error }.
+ */
+function normalizeStructure(input) {
+    const structure = {};
+
+    if (input.parentId !== undefined) {
+        structure.parentId = parseInt(input.parentId) || null;
+        structure.variantAttributes = structure.parentId ? normalizeVariantAttributes(input.variantAttributes) : null;
+    } else if (input.variantAttributes !== undefined) {
+        structure.variantAttributes = normalizeVariantAttributes(input.variantAttributes);
+    }
+
+    if (input.components !== undefined) {
+        const { components, error } = normalizeComponents(input.components);
+        if (error) return { error };
+        structure.components = components;
+    }
+
+    return { structure };
+}
+
+/**
+ * Produtos e quantidades que saem do estoque para `quantity` de um item
+ * vendido: os componentes gravados na venda (kit) ou o próprio produto.
+ */
+function stockLines(item, quantity) {
+    if (isKit(item)) {
+        return item.components.map(component => ({
+            productId: component.productId,
+            quantity: roundQuantity(component.quantity * quantity)
+        }));
+    }
+    return [{ productId: item.productId, quantity }];
+}
+
+// Códigos adicionais: sem espaços, sem repetição e sem o código principal
+function normalizeBarcodes(input, mainBarcode) {
+    if (!Array.isArray(input)) return { error: 'Códigos de barras adicionais inválidos' };
+
+    const barcodes = [];
+    for (const raw of input) {
+        const barcode = String(raw ?? '').trim();
+        if (!barcode || barcode === mainBarcode || barcodes.includes(barcode)) continue;
+        if (!/^[0-9A-Za-z.-]{1,30}$/.test(barcode)) {
+            return { error: `Código de barras inválido: ${barcode}` };
+        }
+        barcodes.push(barcode);
+    }
+    if (barcodes.length > MAX_BARCODES) {
+        return { error: `No máximo ${MAX_BARCODES} códigos adicionais por produto` };
+    }
+    return { barcodes };
+}
+
+module.exports = {
+    isKit,
+    isVariant,
+    normalizeVariantAttributes,
+    normalizeComponents,
+    normalizeStructure,
+    componentsError,
+    stockLines,
+    normalizeBarcodes
+};
@@ -0,0 +1,76 @@
+/**
+ * PDV SaaS - Clientes
+ * Cadastro por loja (CPF com dígitos verificadores, único na loja) e
+ * o cliente gravado na venda: cópia do nome e CPF do momento da venda,
+ * para o comprovante e a NFC-e não mudarem se o cadastro mudar.
+ */
+
+const { isValidCpf, onlyDigits } = require('./fiscal/nfce');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function formatCpf(value) {
+    return onlyDigits(value).replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+// CPF gravado só com dígitos; vazio vira null (o índice único ignora nulos)
+function normalizeCpf(value) {
+    const cpf = onlyDigits(value);
+    if (!cpf) return { cpf: null };
+    if (!isValidCpf(cpf)) return { error: 'CPF inválido' };
+    return { cpf };
+}
+
+function normalizeCustomer(input) {
+    const name = (input.name || '').trim();
+    const email = (input.email || '').trim().toLowerCase();
+    const { cpf, error } = normalizeCpf(input.cpf);
+
+    if (!name) {
+        return { error: 'Nome do cliente é obrigatório' };
+    }
+    if (error) {
+        return { error };
+    }
+    if (email && !EMAIL_REGEX.test(email)) {
+        return { error: 'E-mail do cliente inválido' };
+    }
+
+    return {
+        customer: {
+            name,
+            cpf,
+            phone: (input.phone || '').trim(),
+            email,
+            notes: (input.notes || '').trim(),
+            isActive: input.isActive !== false
+        }
+    };
+}
+
+// Busca por nome, CPF ou telefone (dígitos com ou sem pontuação)
+function matchesCustomer(customer, term) {
+    const search = String(term || '').trim().toLowerCase();
+    if (!search) return true;
+
+    const digits = search.replace(/\D/g, '');
+    return customer.name.toLowerCase().includes(search) ||
+        (digits.length >= 3 && [customer.cpf, customer.phone].some(value => onlyDigits(value).includes(digits)));
+}
+
+// Cliente gravado na venda (cadastrado ou só o CPF na nota)
+function saleCustomer(customer) {
+    return {
+        id: customer.id || null,
+        name: customer.name || '',
+        cpf: customer.cpf || null
+    };
+}
+
+module.exports = {
+    formatCpf,
+    normalizeCpf,
+    normalizeCustomer,
+    matchesCustomer,
+    saleCustomer
+};
@@ -0,0 +1,416 @@
+/**
+ * PDV SaaS - Impressão térmica (ESC/POS)
+ * Gera o fluxo de bytes do comprovante de venda e do DANFE NFC-e para
+ * impressoras de 58mm (32 colunas) e 80mm (48 colunas). Usado pelo
+ * navegador (servido em /lib/escpos.js) e pelos scripts de impressão.
+ *
+ * Texto em página de código 860 (português); caracteres fora dela
+ * perdem o acento.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EscPos = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ESC = 0x1b;
+    const GS = 0x1d;
+    const LF = 0x0a;
+
+    const PAPER_COLUMNS = {
+        58: 32,
+        80: 48
+    };
+
+    const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+    const PAYMENT_LABELS = {
+        cash: 'Dinheiro',
+        card: 'Cartão',
+        pix: 'Pix',
+        voucher: 'Vale/Voucher',
+        mixed: 'Múltiplas formas'
+    };
+
+    // Página de código 860 (ESC t 3): caracteres acentuados do português
+    const CP860 = {
+        'Ç': 0x80, 'ü': 0x81, 'é': 0x82, 'â': 0x83, 'ã': 0x84, 'à': 0x85, 'Á': 0x86, 'ç': 0x87,
+        'ê': 0x88, 'Ê': 0x89, 'è': 0x8a, 'Í': 0x8b, 'Ô': 0x8c, 'ì': 0x8d, 'Ã': 0x8e, 'Â': 0x8f,
+        'É': 0x90, 'À': 0x91, 'È': 0x92, 'ô': 0x93, 'õ': 0x94, 'ò': 0x95, 'Ú': 0x96, 'ù': 0x97,
+        'Ì': 0x98, 'Õ': 0x99, 'Ü': 0x9a, 'Ó': 0x9f, 'á': 0xa0, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3,
+        'ñ': 0xa4, 'Ñ': 0xa5, 'ª': 0xa6, 'º': 0xa7, '°': 0xf8
+    };
+    const CP860_REVERSE = Object.fromEntries(Object.entries(CP860).map(([char, byte]) => [byte, char]));
+
+    function encode(text) {
+        const bytes = [];
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            if (code >= 0x20 && code < 0x7f) {
+                bytes.push(code);
+            } else if (CP860[char]) {
+                bytes.push(CP860[char]);
+            } else {
+                const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                bytes.push(plain.length === 1 && plain.charCodeAt(0) < 0x7f ? plain.charCodeAt(0) : 0x3f);
+            }
+        }
+        return bytes;
+    }
+
+    function money(value) {
+        return (Number(value) || 0).toFixed(2).replace('.', ',');
+    }
+
+    function formatDate(value, timeZone) {
+        return new Date(value).toLocaleString('pt-BR', {
+            timeZone,
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).replace(',', '');
+    }
+
+    // Quebra o texto em linhas de até `width` caracteres (palavras longas são cortadas)
+    function wrap(text, width) {
+        const lines = [];
+        for (const paragraph of String(text).split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                let rest = word;
+                while (rest.length > width) {
+                    if (line) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    lines.push(rest.substring(0, width));
+                    rest = rest.substring(width);
+                }
+                if (!line) {
+                    line = rest;
+                } else if (line.length + 1 + rest.length <= width) {
+                    line += ' ' + rest;
+                } else {
+                    lines.push(line);
+                    line = rest;
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    class EscPosBuilder {
+        constructor({ paperWidth = 80 } = {}) {
+            this.columns = PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80];
+            this.bytes = [];
+        }
+
+        raw(...bytes) {
+            this.bytes.push(...bytes);
+            return this;
+        }
+
+        init() {
+            return this.raw(ESC, 0x40, ESC, 0x74, 3); // reset + página de código 860
+        }
+
+        align(position) {
+            return this.raw(ESC, 0x61, { left: 0, center: 1, right: 2 }[position] ?? 0);
+        }
+
+        bold(on = true) {
+            return this.raw(ESC, 0x45, on ? 1 : 0);
+        }
+
+        // Multiplicadores de largura/altura (1 a 8)
+        size(width = 1, height = 1) {
+            return this.raw(GS, 0x21, ((width - 1) << 4) | (height - 1));
+        }
+
+        text(value) {
+            return this.raw(...encode(value));
+        }
+
+        line(value = '') {
+            return this.text(value).raw(LF);
+        }
+
+        // Texto com quebra automática na largura do papel (divisor para fonte ampliada)
+        wrapped(value, divisor = 1) {
+            for (const line of wrap(value, Math.floor(this.columns / divisor))) {
+                this.line(line);
+            }
+            return this;
+        }
+
+        // Duas colunas: texto à esquerda, valor alinhado à direita
+        pair(left, right, columns = this.columns) {
+            const value = String(right);
+            const space = columns - value.length - 1;
+            const label = String(left).length > space ? String(left).substring(0, space) : String(left);
+            return this.line(label + ' '.repeat(columns - label.length - value.length) + value);
+        }
+
+        separator(char = '-') {
+            return this.line(char.repeat(this.columns));
+        }
+
+        feed(lines = 1) {
+            return this.raw(ESC, 0x64, lines);
+        }
+
+        // CODE128 (subconjunto B) com o texto legível abaixo
+        barcode(data) {
+            const content = encode(`{B${data}`);
+            return this
+                .raw(GS, 0x48, 2) // HRI abaixo
+                .raw(GS, 0x68, 60) // altura
+                .raw(GS, 0x77, this.columns > 32 ? 2 : 1) // largura do módulo
+                .raw(GS, 0x6b, 73, content.length, ...content)
+                .raw(LF);
+        }
+
+        // QR Code modelo 2, correção de erro M
+        qrcode(data, moduleSize = 5) {
+            const content = encode(data);
+            const length = content.length + 3;
+            return this
+                .raw(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0) // modelo 2
+                .raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize) // tamanho do módulo
+                .raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31) // correção de erro M
+                .raw(GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30, ...content)
+                .raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30) // imprimir
+                .raw(LF);
+        }
+
+        // Avança o papel e faz o corte parcial
+        cut() {
+            return this.raw(GS, 0x56, 66, 3);
+        }
+
+        build() {
+            return Uint8Array.from(this.bytes);
+        }
+    }
+
+    function paymentLabel(payment) {
+        if (payment.method === 'card') {
+            const type = payment.cardType === 'debit' ? 'Débito' : 'Crédito';
+            return payment.installments > 1 ? `Cartão ${type} ${payment.installments}x` : `Cartão ${type}`;
+        }
+        return PAYMENT_LABELS[payment.method] || payment.method;
+    }
+
+    // Peso e medida com 3 casas ("1,250"); unidades inteiras sem casas
+    function formatQuantity(quantity) {
+        return Number.isInteger(quantity) ? String(quantity) : Number(quantity).toFixed(3).replace('.', ',');
+    }
+
+    function unitLabel(item) {
+        return item.unit && item.unit !== 'UN' ? ` ${item.unit.toLowerCase()}` : '';
+    }
+
+    function formatCpf(value) {
+        return String(value).replace(/\D/g, '').replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+    }
+
+    function header(printer, store) {
+        printer.align('center').bold().size(2, 2).wrapped(store.name || '', 2).size().bold(false);
+        if (store.address) printer.wrapped(store.address);
+        if (store.cnpj) printer.line(`CNPJ: ${store.cnpj}`);
+        return printer.align('left').separator();
+    }
+
+    function footer(printer, text) {
+        if (!text) return printer;
+        return printer.align('center').wrapped(text).align('left');
+    }
+
+    /**
+     * Comprovante de venda (não fiscal).
+     * options: { store: { name, address, cnpj }, footer, paperWidth (58|80),
+     *            saleNumber, saleCode ('barcode' | 'qrcode' | 'none'), timeZone }
+     */
+    function renderReceipt(sale, options = {}) {
+        const printer = new EscPosBuilder({ paperWidth: options.paperWidth });
+        const timeZone = options.timeZone || DEFAULT_TIMEZONE;
+        const saleNumber = String(options.saleNumber || sale.id || sale.clientSaleId);
+
+        printer.init();
+        header(printer, options.store || {});
+
+        printer.align('center').bold().line('COMPROVANTE DE VENDA').bold(false).align('left')
+            .line(`No: ${saleNumber}`)
+            .line(`Data: ${formatDate(sale.createdAt, timeZone)}`);
+        if (sale.customer) {
+            if (sale.customer.name) printer.line(`Cliente: ${sale.customer.name}`.substring(0, printer.columns));
+            if (sale.customer.cpf) printer.line(`CPF: ${formatCpf(sale.customer.cpf)}`);
+        }
+        printer.separator();
+
+        for (const item of sale.items) {
+            const gross = item.grossTotal ?? item.price * item.quantity;
+            printer.line((item.productName || `Produto ${item.productId}`).substring(0, printer.columns));
+            printer.pair(`  ${formatQuantity(item.quantity)}${unitLabel(item)} x ${money(item.price)}`, money(gross));
+        }
+        printer.separator();
+
+        const discounts = sale.discounts || [];
+        if (discounts.length > 0) {
+            printer.pair('Subtotal', money(sale.subtotal));
+            for (const discount of discounts) {
+                printer.pair(discount.name, `-${money(discount.amount)}`);
+            }
+        }
+
+        // Total em destaque: fonte dupla usa metade das colunas
+        printer.bold().size(2, 2).pair('TOTAL', `R$ ${money(sale.total)}`, Math.floor(printer.columns / 2)).size().bold(false);
+
+        const payments = sale.payments || [{ method: sale.paymentMethod, amount: sale.total }];
+        for (const payment of payments) {
+            printer.pair(paymentLabel(payment), money(payment.amount));
+        }
+        if (sale.cashChange) {
+            printer.pair('Troco', money(sale.cashChange));
+        }
+        if (sale.loyalty && !sale.loyalty.reversedAt) {
+            printer.pair('Pontos ganhos', String(sale.loyalty.pointsEarned));
+            printer.pair('Saldo de pontos', String(sale.loyalty.balance));
+        }
+        printer.separator();
+
+        footer(printer, options.footer);
+
+        const saleCode = options.saleCode || 'barcode';
+        if (saleCode !== 'none') {
+            printer.align('center');
+            if (saleCode === 'qrcode') {
+                printer.qrcode(saleNumber, 6);
+            } else {
+                printer.barcode(saleNumber);
+            }
+            printer.align('left');
+        }
+
+        return printer.feed(3).cut().build();
+    }
+
+    /**
+     * DANFE NFC-e no leiaute do manual (dados de buildDanfe, lib/fiscal/danfe.js).
+     * options: { paperWidth, footer, timeZone }
+     */
+    function renderDanfe(danfe, options = {}) {
+        const printer = new EscPosBuilder({ paperWidth: options.paperWidth });
+        const timeZone = options.timeZone || DEFAULT_TIMEZONE;
+
+        printer.init().align('center')
+            .bold().wrapped(danfe.emitter.name).bold(false)
+            .line(`CNPJ: ${danfe.emitter.cnpj} IE: ${danfe.emitter.ie}`)
+            .wrapped(danfe.emitter.address)
+            .separator()
+            .wrapped('DANFE NFC-e - Documento Auxiliar da Nota Fiscal de Consumidor Eletrônica');
+
+        if (danfe.homologation) {
+            printer.bold().wrapped('EMITIDA EM AMBIENTE DE HOMOLOGAÇÃO - SEM VALOR FISCAL').bold(false);
+        }
+        if (danfe.contingency) {
+            printer.bold().line('EMITIDA EM CONTINGÊNCIA').line('Pendente de autorização').bold(false);
+        }
+        printer.align('left').separator();
+
+        printer.line('Código Descrição').pair('  Qtd Un x Vl Unit', 'Vl Total');
+        for (const item of danfe.items) {
+            printer.line(`${item.code} ${item.description}`.substring(0, printer.columns));
+            printer.pair(`  ${formatQuantity(item.quantity)} ${item.unit} x ${money(item.unitPrice)}`, money(item.total));
+        }
+        printer.separator();
+
+        printer.pair('Qtd. total de itens', danfe.itemCount)
+            .pair('Valor total R$', money(danfe.subtotal));
+        if (danfe.discount) {
+            printer.pair('Descontos R$', `-${money(danfe.discount)}`);
+        }
+        printer.bold().pair('Valor a Pagar R$', money(danfe.total)).bold(false)
+            .pair('FORMA PAGAMENTO', 'VALOR PAGO R$');
+        for (const payment of danfe.payments) {
+            printer.pair(payment.label, money(payment.amount));
+        }
+        if (danfe.change) {
+            printer.pair('Troco R$', money(danfe.change));
+        }
+        printer.separator();
+
+        printer.align('center')
+            .bold().line('Consulte pela Chave de Acesso em').bold(false)
+            .wrapped(danfe.consultUrl)
+            .wrapped(danfe.accessKey)
+            .separator()
+            .wrapped(danfe.consumer)
+            .line(`NFC-e nº ${danfe.number} Série ${danfe.series} ${formatDate(danfe.emittedAt, timeZone)}`);
+        if (danfe.protocol) {
+            printer.line(`Protocolo de autorização: ${danfe.protocol}`)
+                .line(`Data de autorização: ${formatDate(danfe.authorizedAt, timeZone)}`);
+        }
+        printer.qrcode(danfe.qrCodeUrl, printer.columns > 32 ? 5 : 4);
+
+        footer(printer, options.footer);
+        return printer.feed(3).cut().build();
+    }
+
+    /**
+     * Prévia em texto de um fluxo gerado por este módulo: códigos de
+     * barras, QR Codes e cortes viram marcadores. Usado na comparação
+     * de arquivos de referência (scripts/print-receipt.js).
+     */
+    function toText(bytes) {
+        let output = '';
+        let i = 0;
+        while (i < bytes.length) {
+            const byte = bytes[i];
+            if (byte === ESC) {
+                const command = bytes[i + 1];
+                if (command === 0x64) output += '\n'.repeat(bytes[i + 2]);
+                i += command === 0x40 ? 2 : 3;
+            } else if (byte === GS) {
+                const command = bytes[i + 1];
+                if (command === 0x6b) {
+                    const length = bytes[i + 3];
+                    output += `[CODE128 ${decode(bytes.slice(i + 6, i + 4 + length))}]`;
+                    i += 4 + length;
+                } else if (command === 0x28) {
+                    const length = bytes[i + 3] + bytes[i + 4] * 256;
+                    if (bytes[i + 6] === 0x50) {
+                        output += `[QRCODE ${decode(bytes.slice(i + 8, i + 5 + length))}]`;
+                    }
+                    i += 5 + length;
+                } else if (command === 0x56) {
+                    output += '[CORTE]\n';
+                    i += 4;
+                } else {
+                    i += 3;
+                }
+            } else {
+                output += byte === LF ? '\n' : decode([byte]);
+                i++;
+            }
+        }
+        return output;
+    }
+
+    function decode(bytes) {
+        return Array.from(bytes, byte => CP860_REVERSE[byte] || String.fromCharCode(byte)).join('');
+    }
+
+    return {
+        PAPER_COLUMNS,
+        EscPosBuilder,
+        renderReceipt,
+        renderDanfe,
+        toText
+    };
+});
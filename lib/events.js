@@ -0,0 +1,143 @@
+/**
+ * PDV SaaS - Eventos em tempo real
+ * Canal por loja (Server-Sent Events): cada conexão recebe apenas os
+ * eventos do seu tenantId e, quando o evento exige, só se o perfil atual
+ * do usuário tiver a permissão (conferida a cada evento). Os eventos são
+ * publicados depois do commit da transação (tx.afterCommit), nunca de
+ * dados que podem ser desfeitos.
+ * As conexões ficam indexadas pela sessão de login e pelo usuário: sair,
+ * revogar a sessão ou desativar o usuário encerra o stream na hora.
+ */
+
+const { permissionsFor } = require('./permissions');
+
+const EVENT_TYPES = {
+    'sale.completed': 'Venda concluída',
+    'sale.cancelled': 'Venda cancelada',
+    'sale.refunded': 'Venda estornada',
+    'stock.changed': 'Saldo de estoque alterado',
+    'stock.low': 'Estoque abaixo do mínimo',
+    'register.opened': 'Caixa aberto',
+    'register.closed': 'Caixa fechado'
+};
+
+// Comentário periódico mantém a conexão aberta em proxies que derrubam conexões ociosas
+const HEARTBEAT_MS = 25000;
+
+class EventHub {
+    constructor({ heartbeatMs = HEARTBEAT_MS } = {}) {
+        this.tenants = new Map();
+        this.sessions = new Map();
+        this.users = new Map();
+        this.nextId = 1;
+        this.heartbeat = setInterval(() => this.broadcastComment('ping'), heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Registra a resposta HTTP como assinante.
+     * client: { tenantId, userId, sessionId, role }
+     * Retorna a função que cancela a assinatura (chamada também quando a conexão fecha).
+     */
+    subscribe(res, client) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            // no-transform: o middleware de compressão não segura os eventos no buffer
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const subscriber = { res, ...client };
+        const indexes = [
+            [this.tenants, client.tenantId],
+            [this.sessions, client.sessionId],
+            [this.users, client.userId]
+        ];
+        for (const [index, key] of indexes) {
+            if (!index.has(key)) index.set(key, new Set());
+            index.get(key).add(subscriber);
+        }
+
+        const unsubscribe = () => {
+            for (const [index, key] of indexes) {
+                const subscribers = index.get(key);
+                if (!subscribers) continue;
+                subscribers.delete(subscriber);
+                if (subscribers.size === 0) index.delete(key);
+            }
+        };
+        res.on('close', unsubscribe);
+        return unsubscribe;
+    }
+
+    // Encerra os streams da sessão (saída ou revogação)
+    closeSession(sessionId) {
+        for (const subscriber of this.sessions.get(sessionId) || []) {
+            subscriber.res.end();
+        }
+    }
+
+    // Encerra os streams do usuário (desativado)
+    closeUser(userId) {
+        for (const subscriber of this.users.get(userId) || []) {
+            subscriber.res.end();
+        }
+    }
+
+    // Perfil alterado: os próximos eventos seguem as permissões do novo perfil
+    updateUser(userId, { role }) {
+        for (const subscriber of this.users.get(userId) || []) {
+            subscriber.role = role;
+        }
+    }
+
+    /**
+     * Envia o evento às conexões da loja.
+     * permission: só recebem os usuários com essa permissão (lista = qualquer uma delas)
+     */
+    publish(tenantId, type, data, { permission = null } = {}) {
+        const subscribers = this.tenants.get(tenantId);
+        if (!subscribers) return;
+
+        const required = permission ? [].concat(permission) : [];
+        const message = `id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify({ type, ...data, at: new Date().toISOString() })}\n\n`;
+
+        for (const subscriber of subscribers) {
+            if (required.length && !required.some(p => permissionsFor(subscriber.role).includes(p))) continue;
+            subscriber.res.write(message);
+        }
+    }
+
+    broadcastComment(text) {
+        for (const subscribers of this.tenants.values()) {
+            for (const subscriber of subscribers) {
+                subscriber.res.write(`: ${text}\n\n`);
+            }
+        }
+    }
+
+    clientCount(tenantId) {
+        return tenantId === undefined
+            ? [...this.tenants.values()].reduce((sum, subscribers) => sum + subscribers.size, 0)
+            : (this.tenants.get(tenantId) || new Set()).size;
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        for (const subscribers of this.tenants.values()) {
+            for (const subscriber of subscribers) {
+                subscriber.res.end();
+            }
+        }
+        this.tenants.clear();
+        this.sessions.clear();
+        this.users.clear();
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    EventHub
+};
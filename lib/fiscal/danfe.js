@@ -0,0 +1,87 @@
+/**
+ * PDV SaaS - DANFE NFC-e
+ * Dados do documento auxiliar impresso/exibido ao consumidor,
+ * montados a partir da nota emitida e da venda. O layout fica no
+ * front-end (e na impressora), aqui só a estrutura.
+ */
+
+const { PAYMENT_METHODS } = require('../payments');
+const { EMISSION, ENVIRONMENTS, onlyDigits } = require('./nfce');
+
+function formatCnpj(value) {
+    return onlyDigits(value).replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+}
+
+function formatCpf(value) {
+    return onlyDigits(value).replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+function consumerLine(customer) {
+    if (!customer || !customer.cpf) return 'CONSUMIDOR NÃO IDENTIFICADO';
+    return `CONSUMIDOR CPF: ${formatCpf(customer.cpf)}${customer.name ? ` - ${customer.name}` : ''}`;
+}
+
+// Chave de acesso em blocos de 4 dígitos
+function formatAccessKey(accessKey) {
+    return accessKey.replace(/(\d{4})(?=\d)/g, '$1 ');
+}
+
+function paymentLabel(payment) {
+    if (payment.method === 'card') {
+        return payment.cardType === 'debit' ? 'Cartão de Débito' : 'Cartão de Crédito';
+    }
+    return PAYMENT_METHODS[payment.method] || payment.method;
+}
+
+function buildDanfe(document, sale, tenant) {
+    const fiscal = tenant.fiscal || {};
+    const address = fiscal.address || {};
+    const payments = sale.payments || [{ method: sale.paymentMethod, amount: sale.total }];
+
+    return {
+        emitter: {
+            name: fiscal.legalName || tenant.name,
+            tradeName: tenant.name,
+            cnpj: formatCnpj(tenant.cnpj),
+            ie: fiscal.ie,
+            address: [
+                [address.street, address.number].filter(Boolean).join(', '),
+                address.district,
+                [address.city, address.uf].filter(Boolean).join(' - ')
+            ].filter(Boolean).join(' - ')
+        },
+        title: 'DANFE NFC-e - Documento Auxiliar da Nota Fiscal de Consumidor Eletrônica',
+        homologation: document.environment === ENVIRONMENTS.homologation,
+        contingency: document.emission === EMISSION.offline,
+        items: sale.items.map((item, index) => ({
+            number: index + 1,
+            code: item.productId,
+            description: item.productName,
+            quantity: item.quantity,
+            unit: item.unit || 'UN',
+            unitPrice: item.price,
+            total: item.grossTotal ?? item.price * item.quantity
+        })),
+        itemCount: sale.items.length,
+        subtotal: sale.subtotal ?? sale.total,
+        discount: sale.discountTotal || 0,
+        total: sale.total,
+        payments: payments.map(payment => ({ label: paymentLabel(payment), amount: payment.amount })),
+        change: sale.cashChange || 0,
+        consultUrl: document.urlChave,
+        accessKey: formatAccessKey(document.accessKey),
+        consumer: consumerLine(sale.customer),
+        number: document.number,
+        series: document.series,
+        emittedAt: document.emittedAt,
+        protocol: document.protocol || null,
+        authorizedAt: document.authorizedAt || null,
+        qrCodeUrl: document.qrCodeUrl,
+        status: document.status
+    };
+}
+
+module.exports = {
+    buildDanfe,
+    formatAccessKey
+};
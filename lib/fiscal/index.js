@@ -0,0 +1,85 @@
+/**
+ * PDV SaaS - Módulo fiscal (NFC-e)
+ *
+ * Fluxo de emissão:
+ *   1. buildSignedNfce monta e assina o XML (nfce.js + signer.js)
+ *   2. o transmissor envia para a SEFAZ (transmitter.js)
+ *   3. autorizada: buildNfeProc anexa o protocolo ao XML
+ *      sem comunicação: a nota é refeita em contingência offline (tpEmis 9)
+ *      e retransmitida depois
+ *   4. buildDanfe monta os dados do DANFE NFC-e (danfe.js)
+ */
+
+const nfce = require('./nfce');
+const signer = require('./signer');
+const transmitter = require('./transmitter');
+const { buildDanfe, formatAccessKey } = require('./danfe');
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+/**
+ * Monta e assina a NFC-e de uma venda.
+ * Retorna { accessKey, xml, emittedAt, emission, qrCodeUrl, urlChave }.
+ */
+function buildSignedNfce({ sale, tenant, products, number, emission = nfce.EMISSION.normal, contingencyReason, emittedAt, certificate }) {
+    const fiscal = tenant.fiscal;
+    const built = nfce.buildInfNFe({
+        sale,
+        tenant,
+        fiscal,
+        products,
+        number,
+        emittedAt,
+        emission,
+        contingencyReason,
+        timeZone: tenant.timezone || DEFAULT_TIMEZONE
+    });
+
+    const { signature, digestValue } = signer.signInfNFe(built.infNFe, certificate);
+    const urls = nfce.consultUrls(fiscal);
+    const qrCodeUrl = nfce.buildQrCodeUrl({
+        consultUrl: urls.qrCode,
+        accessKey: built.accessKey,
+        environment: fiscal.environment,
+        cscId: fiscal.cscId,
+        csc: fiscal.csc,
+        emission,
+        emittedAt: built.emittedAt,
+        total: sale.total,
+        digestValue
+    });
+
+    return {
+        accessKey: built.accessKey,
+        xml: nfce.buildNFeXml({ infNFe: built.infNFe, qrCodeUrl, urlChave: urls.urlChave, signature }),
+        emittedAt: built.emittedAt,
+        emission,
+        qrCodeUrl,
+        urlChave: urls.urlChave
+    };
+}
+
+// XML de distribuição: a nota assinada com o protocolo de autorização
+function buildNfeProc(xml, { accessKey, environment, protocol, receivedAt, statusCode, statusMessage, digestValue }) {
+    const nfe = xml.replace(/^<\?xml[^>]*\?>/, '');
+    const protNFe = `<protNFe versao="4.00"><infProt><tpAmb>${environment}</tpAmb><verAplic>PDVSAAS</verAplic>` +
+        `<chNFe>${accessKey}</chNFe><dhRecbto>${receivedAt}</dhRecbto><nProt>${protocol}</nProt>` +
+        `<digVal>${digestValue}</digVal><cStat>${statusCode}</cStat><xMotivo>${statusMessage}</xMotivo></infProt></protNFe>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?><nfeProc xmlns="${nfce.NFE_NAMESPACE}" versao="4.00">${nfe}${protNFe}</nfeProc>`;
+}
+
+function digestValueOf(xml) {
+    return (xml.match(/<DigestValue>([^<]+)<\/DigestValue>/) || [])[1];
+}
+
+module.exports = {
+    ...nfce,
+    ...signer,
+    ...transmitter,
+    buildDanfe,
+    formatAccessKey,
+    buildSignedNfce,
+    buildNfeProc,
+    digestValueOf
+};
@@ -0,0 +1,489 @@
+/**
+ * PDV SaaS - NFC-e (modelo 65, leiaute 4.00)
+ * Monta o XML da nota a partir da venda, dos dados fiscais da loja
+ * e dos campos tributários dos produtos; calcula a chave de acesso
+ * e o QR Code de consulta (versão 2).
+ */
+
+const crypto = require('crypto');
+
+const NFE_NAMESPACE = 'http://www.portalfiscal.inf.br/nfe';
+const MODEL = '65';
+const VERSION = '4.00';
+const QRCODE_VERSION = '2';
+
+// Código IBGE das UFs
+const UF_CODES = {
+    RO: '11', AC: '12', AM: '13', RR: '14', PA: '15', AP: '16', TO: '17',
+    MA: '21', PI: '22', CE: '23', RN: '24', PB: '25', PE: '26', AL: '27', SE: '28', BA: '29',
+    MG: '31', ES: '32', RJ: '33', SP: '35',
+    PR: '41', SC: '42', RS: '43',
+    MS: '50', MT: '51', GO: '52', DF: '53'
+};
+
+// Tipos de emissão
+const EMISSION = {
+    normal: '1',
+    offline: '9' // contingência offline da NFC-e
+};
+
+// Meio de pagamento (tPag)
+const PAYMENT_CODES = {
+    cash: '01',
+    card_credit: '03',
+    card_debit: '04',
+    voucher: '99',
+    pix: '17'
+};
+
+// Regimes tributários (CRT)
+const CRT = {
+    simples: '1',
+    normal: '3'
+};
+
+const ENVIRONMENTS = {
+    production: '1',
+    homologation: '2'
+};
+
+// Consulta pública padrão (SEFAZ-SP); outras UFs informam as URLs nas configurações
+const CONSULT_URLS = {
+    [ENVIRONMENTS.production]: {
+        qrCode: 'https://www.nfce.fazenda.sp.gov.br/NFCeConsultaPublica/Paginas/ConsultaQRCode.aspx',
+        urlChave: 'https://www.nfce.fazenda.sp.gov.br/consulta'
+    },
+    [ENVIRONMENTS.homologation]: {
+        qrCode: 'https://www.homologacao.nfce.fazenda.sp.gov.br/NFCeConsultaPublica/Paginas/ConsultaQRCode.aspx',
+        urlChave: 'https://www.homologacao.nfce.fazenda.sp.gov.br/consulta'
+    }
+};
+
+const CSOSN_CODES = ['102', '103', '300', '400', '500'];
+const CST_CODES = ['40', '41', '60'];
+
+function onlyDigits(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+function money(value) {
+    return (Math.round((Number(value) + Number.EPSILON) * 100) / 100).toFixed(2);
+}
+
+function quantity(value) {
+    return Number(value).toFixed(4);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r/g, '&#xD;');
+}
+
+// Elemento XML; valores nulos/vazios são omitidos (tags opcionais)
+function tag(name, content, attributes = '') {
+    if (content === null || content === undefined || content === '') return '';
+    return `<${name}${attributes}>${content}</${name}>`;
+}
+
+function text(name, value) {
+    if (value === null || value === undefined || value === '') return '';
+    return tag(name, escapeXml(value));
+}
+
+// Data no formato AAAA-MM-DDThh:mm:ss-03:00, no fuso da loja
+function formatDateTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'longOffset'
+    }).formatToParts(date);
+    const get = type => parts.find(p => p.type === type).value;
+    const offset = get('timeZoneName').replace('GMT', '') || '+00:00';
+
+    return `${get('year')}-${get('month')}-${get('day')}T${get('hour')}:${get('minute')}:${get('second')}${offset}`;
+}
+
+// Dígito verificador módulo 11 (pesos 2 a 9, da direita para a esquerda)
+function mod11(digits) {
+    let sum = 0;
+    let weight = 2;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        sum += Number(digits[i]) * weight;
+        weight = weight === 9 ? 2 : weight + 1;
+    }
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+}
+
+function isValidCnpj(value) {
+    const cnpj = onlyDigits(value);
+    if (cnpj.length !== 14 || /^(\d)\1+$/.test(cnpj)) return false;
+
+    const check = (base) => {
+        const weights = base.length === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        const sum = base.split('').reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+
+    const first = check(cnpj.substring(0, 12));
+    const second = check(cnpj.substring(0, 12) + first);
+    return cnpj.endsWith(`${first}${second}`);
+}
+
+// CPF: dois dígitos verificadores com pesos decrescentes (10..2 e 11..2)
+function isValidCpf(value) {
+    const cpf = onlyDigits(value);
+    if (cpf.length !== 11 || /^(\d)\1+$/.test(cpf)) return false;
+
+    const check = (base) => {
+        const sum = base.split('').reduce((total, digit, i) => total + Number(digit) * (base.length + 1 - i), 0);
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+
+    const first = check(cpf.substring(0, 9));
+    const second = check(cpf.substring(0, 9) + first);
+    return cpf.endsWith(`${first}${second}`);
+}
+
+/**
+ * Chave de acesso (44 dígitos):
+ * cUF + AAMM + CNPJ + modelo + série + número + tpEmis + cNF + DV
+ */
+function buildAccessKey({ uf, emittedAt, cnpj, series, number, emission, code }) {
+    const yymm = emittedAt.substring(2, 4) + emittedAt.substring(5, 7);
+    const base = [
+        UF_CODES[uf],
+        yymm,
+        onlyDigits(cnpj).padStart(14, '0'),
+        MODEL,
+        String(series).padStart(3, '0'),
+        String(number).padStart(9, '0'),
+        emission,
+        String(code).padStart(8, '0')
+    ].join('');
+
+    return base + mod11(base);
+}
+
+// Código numérico aleatório da chave (cNF), diferente do número da nota
+function randomCode(number) {
+    let code;
+    do {
+        code = String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+    } while (Number(code) === Number(number));
+    return code;
+}
+
+function paymentCode(payment) {
+    if (payment.method === 'card') {
+        return payment.cardType === 'debit' ? PAYMENT_CODES.card_debit : PAYMENT_CODES.card_credit;
+    }
+    return PAYMENT_CODES[payment.method] || '99';
+}
+
+function buildItemTaxes(product, crt) {
+    const origin = product.origin ?? '0';
+
+    let icms;
+    if (crt === CRT.simples) {
+        const csosn = product.csosn || '102';
+        icms = tag(`ICMSSN${csosn === '500' ? '500' : '102'}`, text('orig', origin) + text('CSOSN', csosn));
+    } else {
+        // Regime normal: apenas mercadorias não tributadas/ST pelo PDV
+        const cst = product.cst || '41';
+        const group = cst === '60' ? 'ICMS60' : 'ICMS40';
+        icms = tag(group, text('orig', origin) + text('CST', cst));
+    }
+
+    return tag('imposto',
+        tag('ICMS', icms) +
+        tag('PIS', tag('PISNT', text('CST', '07'))) +
+        tag('COFINS', tag('COFINSNT', text('CST', '07')))
+    );
+}
+
+/**
+ * QR Code da NFC-e, versão 2.
+ * Emissão normal: chave|versão|ambiente|idCSC|hash
+ * Contingência:   chave|versão|ambiente|dia da emissão|valor|digestValue (hex)|idCSC|hash
+ */
+function buildQrCodeUrl({ consultUrl, accessKey, environment, cscId, csc, emission, emittedAt, total, digestValue }) {
+    let params;
+    if (emission === EMISSION.offline) {
+        const day = emittedAt.substring(8, 10);
+        const digestHex = Buffer.from(digestValue || '', 'base64').toString('hex');
+        params = [accessKey, QRCODE_VERSION, environment, day, money(total), digestHex, Number(cscId)].join('|');
+    } else {
+        params = [accessKey, QRCODE_VERSION, environment, Number(cscId)].join('|');
+    }
+
+    const hash = crypto.createHash('sha1').update(params + csc).digest('hex').toUpperCase();
+    return `${consultUrl}?p=${params}|${hash}`;
+}
+
+/**
+ * Monta o grupo <infNFe> da nota (sem assinatura).
+ * Retorna { accessKey, infNFe, emittedAt, emission }.
+ */
+function buildInfNFe({ sale, tenant, fiscal, products, number, emittedAt, emission, contingencyReason, timeZone }) {
+    const address = fiscal.address || {};
+    const dhEmi = formatDateTime(new Date(emittedAt), timeZone);
+    const code = randomCode(number);
+    const accessKey = buildAccessKey({
+        uf: address.uf,
+        emittedAt: dhEmi,
+        cnpj: tenant.cnpj,
+        series: fiscal.series,
+        number,
+        emission,
+        code
+    });
+
+    const ide =
+        text('cUF', UF_CODES[address.uf]) +
+        text('cNF', code) +
+        text('natOp', 'VENDA') +
+        text('mod', MODEL) +
+        text('serie', fiscal.series) +
+        text('nNF', number) +
+        text('dhEmi', dhEmi) +
+        text('tpNF', '1') +
+        text('idDest', '1') +
+        text('cMunFG', address.cityCode) +
+        text('tpImp', '4') +
+        text('tpEmis', emission) +
+        text('cDV', accessKey.slice(-1)) +
+        text('tpAmb', fiscal.environment) +
+        text('finNFe', '1') +
+        text('indFinal', '1') +
+        text('indPres', '1') +
+        text('procEmi', '0') +
+        text('verProc', 'PDV SaaS 1.0') +
+        (emission === EMISSION.offline
+            ? text('dhCont', dhEmi) + text('xJust', contingencyReason || 'Sem comunicação com a SEFAZ')
+            : '');
+
+    const emit =
+        text('CNPJ', onlyDigits(tenant.cnpj)) +
+        text('xNome', fiscal.legalName || tenant.name) +
+        text('xFant', tenant.name) +
+        tag('enderEmit',
+            text('xLgr', address.street) +
+            text('nro', address.number) +
+            text('xBairro', address.district) +
+            text('cMun', address.cityCode) +
+            text('xMun', address.city) +
+            text('UF', address.uf) +
+            text('CEP', onlyDigits(address.cep)) +
+            text('cPais', '1058') +
+            text('xPais', 'BRASIL')
+        ) +
+        text('IE', onlyDigits(fiscal.ie)) +
+        text('CRT', fiscal.crt);
+
+    // "CPF na nota": consumidor identificado só pelo CPF, não contribuinte do ICMS
+    const customerCpf = sale.customer && onlyDigits(sale.customer.cpf);
+    const dest = customerCpf
+        ? tag('dest', text('CPF', customerCpf) + text('indIEDest', '9'))
+        : '';
+
+    let totalProducts = 0;
+    let totalDiscount = 0;
+
+    const det = sale.items.map((item, index) => {
+        const product = products.get(item.productId) || {};
+        const gross = item.grossTotal ?? item.price * item.quantity;
+        const discount = item.discount ?? 0;
+        totalProducts += Number(money(gross));
+        totalDiscount += Number(money(discount));
+
+        const ean = /^\d{8}$|^\d{12,14}$/.test(item.barcode || '') ? item.barcode : 'SEM GTIN';
+        const prod =
+            text('cProd', item.productId) +
+            text('cEAN', ean) +
+            text('xProd', fiscal.environment === '2' && index === 0
+                ? 'NOTA FISCAL EMITIDA EM AMBIENTE DE HOMOLOGACAO - SEM VALOR FISCAL'
+                : item.productName) +
+            text('NCM', product.ncm) +
+            text('CEST', product.cest) +
+            text('CFOP', product.cfop || '5102') +
+            text('uCom', product.unit || 'UN') +
+            text('qCom', quantity(item.quantity)) +
+            text('vUnCom', Number(item.price).toFixed(10)) +
+            text('vProd', money(gross)) +
+            text('cEANTrib', ean) +
+            text('uTrib', product.unit || 'UN') +
+            text('qTrib', quantity(item.quantity)) +
+            text('vUnTrib', Number(item.price).toFixed(10)) +
+            (discount > 0 ? text('vDesc', money(discount)) : '') +
+            text('indTot', '1');
+
+        return tag('det', tag('prod', prod) + buildItemTaxes(product, fiscal.crt), ` nItem="${index + 1}"`);
+    }).join('');
+
+    const zero = money(0);
+    const total = tag('total', tag('ICMSTot',
+        text('vBC', zero) + text('vICMS', zero) + text('vICMSDeson', zero) + text('vFCP', zero) +
+        text('vBCST', zero) + text('vST', zero) + text('vFCPST', zero) + text('vFCPSTRet', zero) +
+        text('vProd', money(totalProducts)) + text('vFrete', zero) + text('vSeg', zero) +
+        text('vDesc', money(totalDiscount)) + text('vII', zero) + text('vIPI', zero) +
+        text('vIPIDevol', zero) + text('vPIS', zero) + text('vCOFINS', zero) + text('vOutro', zero) +
+        text('vNF', money(sale.total))
+    ));
+
+    const payments = sale.payments || [{ method: sale.paymentMethod, amount: sale.total }];
+    const pag = tag('pag',
+        payments.map(payment => tag('detPag',
+            text('tPag', paymentCode(payment)) +
+            (paymentCode(payment) === '99' ? text('xPag', 'Vale') : '') +
+            text('vPag', money(payment.amount)) +
+            (payment.method === 'card' ? tag('card', text('tpIntegra', '2')) : '')
+        )).join('') +
+        (sale.cashChange ? text('vTroco', money(sale.cashChange)) : '')
+    );
+
+    const infAdic = tag('infAdic', text('infCpl', `Venda ${sale.id}`));
+
+    // Atributos já na ordem canônica (C14N), o que simplifica a assinatura
+    const infNFe = tag('infNFe',
+        tag('ide', ide) +
+        tag('emit', emit) +
+        dest +
+        det +
+        total +
+        tag('transp', text('modFrete', '9')) +
+        pag +
+        infAdic,
+        ` Id="NFe${accessKey}" versao="${VERSION}"`
+    );
+
+    return { accessKey, infNFe, emittedAt: dhEmi, emission };
+}
+
+// Documento completo: <NFe> com infNFe, infNFeSupl (QR Code) e a assinatura
+function buildNFeXml({ infNFe, qrCodeUrl, urlChave, signature }) {
+    const supl = tag('infNFeSupl',
+        tag('qrCode', `<![CDATA[${qrCodeUrl}]]>`) +
+        text('urlChave', urlChave)
+    );
+
+    return `<?xml version="1.0" encoding="UTF-8"?><NFe xmlns="${NFE_NAMESPACE}">${infNFe}${supl}${signature || ''}</NFe>`;
+}
+
+function consultUrls(fiscal) {
+    const defaults = CONSULT_URLS[fiscal.environment] || CONSULT_URLS[ENVIRONMENTS.homologation];
+    return {
+        qrCode: fiscal.qrCodeUrl || defaults.qrCode,
+        urlChave: fiscal.consultUrl || defaults.urlChave
+    };
+}
+
+/**
+ * Valida os dados fiscais da loja enviados pelas configurações.
+ * O próximo número da nota é mantido se não for informado.
+ * Retorna { fiscal } ou { error }.
+ */
+function normalizeFiscalSettings(input, current = {}) {
+    const address = input.address || {};
+    const fiscal = {
+        enabled: Boolean(input.enabled),
+        legalName: String(input.legalName || '').trim(),
+        ie: onlyDigits(input.ie),
+        crt: String(input.crt || CRT.simples),
+        environment: String(input.environment || ENVIRONMENTS.homologation),
+        series: Number(input.series ?? current.series ?? 1),
+        nextNumber: Number(input.nextNumber ?? current.nextNumber ?? 1),
+        cscId: onlyDigits(input.cscId),
+        csc: String(input.csc || '').trim(),
+        qrCodeUrl: String(input.qrCodeUrl || '').trim(),
+        consultUrl: String(input.consultUrl || '').trim(),
+        address: {
+            street: String(address.street || '').trim(),
+            number: String(address.number || '').trim(),
+            district: String(address.district || '').trim(),
+            cityCode: onlyDigits(address.cityCode),
+            city: String(address.city || '').trim(),
+            uf: String(address.uf || '').trim().toUpperCase(),
+            cep: onlyDigits(address.cep)
+        }
+    };
+
+    if (!Object.values(CRT).includes(fiscal.crt)) {
+        return { error: 'Regime tributário inválido' };
+    }
+    if (!Object.values(ENVIRONMENTS).includes(fiscal.environment)) {
+        return { error: 'Ambiente de emissão inválido' };
+    }
+    if (!Number.isInteger(fiscal.series) || fiscal.series < 0 || fiscal.series > 999) {
+        return { error: 'Série da NFC-e deve estar entre 0 e 999' };
+    }
+    if (!Number.isInteger(fiscal.nextNumber) || fiscal.nextNumber < 1 || fiscal.nextNumber > 999999999) {
+        return { error: 'Número da próxima NFC-e inválido' };
+    }
+    if (fiscal.address.uf && !UF_CODES[fiscal.address.uf]) {
+        return { error: 'UF inválida' };
+    }
+
+    return { fiscal };
+}
+
+/**
+ * Valida os campos tributários de um produto (NCM, CFOP, CST/CSOSN, origem).
+ * Retorna a mensagem de erro ou null.
+ */
+function productTaxError(product) {
+    if (product.ncm && !/^\d{8}$/.test(product.ncm)) return 'NCM deve ter 8 dígitos';
+    if (product.cest && !/^\d{7}$/.test(product.cest)) return 'CEST deve ter 7 dígitos';
+    if (product.cfop && !/^5\d{3}$/.test(product.cfop)) return 'CFOP de saída interna deve começar com 5 e ter 4 dígitos';
+    if (product.csosn && !CSOSN_CODES.includes(product.csosn)) return `CSOSN não suportado (use ${CSOSN_CODES.join(', ')})`;
+    if (product.cst && !CST_CODES.includes(product.cst)) return `CST não suportado (use ${CST_CODES.join(', ')})`;
+    if (product.origin !== undefined && product.origin !== '' && !/^[0-8]$/.test(String(product.origin))) return 'Origem da mercadoria inválida';
+    return null;
+}
+
+// Dados fiscais mínimos para emitir; retorna a lista do que falta
+function missingFiscalData(tenant, fiscal) {
+    const address = (fiscal && fiscal.address) || {};
+    const missing = [];
+
+    if (!isValidCnpj(tenant.cnpj)) missing.push('CNPJ válido');
+    if (!fiscal || !fiscal.ie) missing.push('inscrição estadual');
+    if (!fiscal || !Object.values(CRT).includes(fiscal.crt)) missing.push('regime tributário');
+    if (!UF_CODES[address.uf]) missing.push('UF');
+    if (!/^\d{7}$/.test(address.cityCode || '')) missing.push('código IBGE do município');
+    if (!address.street || !address.number || !address.district || !address.city) missing.push('endereço completo');
+    if (!fiscal || !fiscal.cscId || !fiscal.csc) missing.push('CSC (código de segurança do contribuinte)');
+
+    return missing;
+}
+
+module.exports = {
+    NFE_NAMESPACE,
+    UF_CODES,
+    EMISSION,
+    CRT,
+    ENVIRONMENTS,
+    CSOSN_CODES,
+    CST_CODES,
+    isValidCnpj,
+    isValidCpf,
+    buildInfNFe,
+    buildNFeXml,
+    buildQrCodeUrl,
+    consultUrls,
+    normalizeFiscalSettings,
+    productTaxError,
+    missingFiscalData,
+    onlyDigits
+};
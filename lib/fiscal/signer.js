@@ -0,0 +1,165 @@
+/**
+ * PDV SaaS - Assinatura digital da NFC-e
+ * Certificado A1 (arquivo .pfx/.p12) e assinatura XMLDSig envelopada
+ * do grupo infNFe (RSA-SHA1, C14N), conforme o manual de orientação.
+ *
+ * O XML é montado pelo próprio sistema já em forma canônica (atributos
+ * ordenados, sem elementos vazios), então a canonicalização se resume a
+ * declarar o namespace herdado no elemento assinado.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { NFE_NAMESPACE } = require('./nfce');
+
+const DSIG_NAMESPACE = 'http://www.w3.org/2000/09/xmldsig#';
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315';
+
+class CertificateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CertificateError';
+    }
+}
+
+// Certificados já carregados, por caminho (recarrega se o arquivo mudar)
+const cache = new Map();
+
+/**
+ * Lê um certificado A1. Retorna { privateKey, certificate, certificateBase64, subject, validTo }.
+ */
+function loadCertificate(file, password) {
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        throw new CertificateError(`Certificado digital não encontrado: ${file}`);
+    }
+
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.value;
+    }
+
+    // Carregado sob demanda: só quem emite NFC-e precisa do node-forge
+    const forge = require('node-forge');
+
+    let p12;
+    try {
+        const der = forge.util.createBuffer(fs.readFileSync(file).toString('binary'));
+        p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der), password || '');
+    } catch (error) {
+        throw new CertificateError('Não foi possível abrir o certificado digital (senha incorreta ou arquivo inválido)');
+    }
+
+    const keyBag = (p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [])[0]
+        || (p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])[0];
+    const certBag = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])[0];
+
+    if (!keyBag || !certBag) {
+        throw new CertificateError('Certificado digital sem chave privada ou sem certificado');
+    }
+
+    const certificate = new crypto.X509Certificate(forge.pki.certificateToPem(certBag.cert));
+    const value = {
+        privateKey: crypto.createPrivateKey(forge.pki.privateKeyToPem(keyBag.key)),
+        certificate,
+        certificateBase64: certificate.raw.toString('base64'),
+        subject: certificate.subject,
+        validTo: new Date(certificate.validTo).toISOString()
+    };
+
+    cache.set(file, { mtimeMs: stat.mtimeMs, value });
+    return value;
+}
+
+function assertCertificateValid(cert, now = new Date()) {
+    if (new Date(cert.validTo) < now) {
+        throw new CertificateError(`Certificado digital vencido em ${cert.validTo.substring(0, 10)}`);
+    }
+}
+
+// Forma canônica do infNFe isolado: o namespace do documento passa a ser declarado nele
+function canonicalInfNFe(infNFe) {
+    return infNFe.replace(/^<infNFe /, `<infNFe xmlns="${NFE_NAMESPACE}" `);
+}
+
+function buildSignedInfo(referenceId, digestValue, withNamespace) {
+    const xmlns = withNamespace ? ` xmlns="${DSIG_NAMESPACE}"` : '';
+    return `<SignedInfo${xmlns}>` +
+        `<CanonicalizationMethod Algorithm="${C14N}"></CanonicalizationMethod>` +
+        `<SignatureMethod Algorithm="${DSIG_NAMESPACE}rsa-sha1"></SignatureMethod>` +
+        `<Reference URI="#${referenceId}">` +
+        '<Transforms>' +
+        `<Transform Algorithm="${DSIG_NAMESPACE}enveloped-signature"></Transform>` +
+        `<Transform Algorithm="${C14N}"></Transform>` +
+        '</Transforms>' +
+        `<DigestMethod Algorithm="${DSIG_NAMESPACE}sha1"></DigestMethod>` +
+        `<DigestValue>${digestValue}</DigestValue>` +
+        '</Reference>' +
+        '</SignedInfo>';
+}
+
+function digest(infNFe) {
+    return crypto.createHash('sha1').update(canonicalInfNFe(infNFe), 'utf8').digest('base64');
+}
+
+/**
+ * Assina o grupo infNFe. Retorna { signature, digestValue }, onde
+ * signature é o elemento <Signature> a ser anexado ao final de <NFe>.
+ */
+function signInfNFe(infNFe, cert) {
+    const referenceId = infNFe.match(/^<infNFe Id="([^"]+)"/)[1];
+    const digestValue = digest(infNFe);
+
+    const signatureValue = crypto.sign('RSA-SHA1', Buffer.from(buildSignedInfo(referenceId, digestValue, true), 'utf8'), cert.privateKey)
+        .toString('base64');
+
+    const signature = `<Signature xmlns="${DSIG_NAMESPACE}">` +
+        buildSignedInfo(referenceId, digestValue, false) +
+        `<SignatureValue>${signatureValue}</SignatureValue>` +
+        `<KeyInfo><X509Data><X509Certificate>${cert.certificateBase64}</X509Certificate></X509Data></KeyInfo>` +
+        '</Signature>';
+
+    return { signature, digestValue };
+}
+
+/**
+ * Confere a assinatura de uma NFC-e gerada por signInfNFe.
+ * Retorna { valid, reason?, certificate? }.
+ */
+function verifyNFe(xml) {
+    const infNFe = (xml.match(/<infNFe [\s\S]*<\/infNFe>/) || [])[0];
+    const signedInfo = (xml.match(/<SignedInfo>[\s\S]*<\/SignedInfo>/) || [])[0];
+    const signatureValue = (xml.match(/<SignatureValue>([^<]+)<\/SignatureValue>/) || [])[1];
+    const certificateBase64 = (xml.match(/<X509Certificate>([^<]+)<\/X509Certificate>/) || [])[1];
+
+    if (!infNFe || !signedInfo || !signatureValue || !certificateBase64) {
+        return { valid: false, reason: 'Nota sem assinatura' };
+    }
+
+    const digestValue = (signedInfo.match(/<DigestValue>([^<]+)<\/DigestValue>/) || [])[1];
+    if (digest(infNFe) !== digestValue) {
+        return { valid: false, reason: 'Digest não confere com o conteúdo da nota' };
+    }
+
+    let certificate;
+    try {
+        certificate = new crypto.X509Certificate(Buffer.from(certificateBase64, 'base64'));
+    } catch (error) {
+        return { valid: false, reason: 'Certificado inválido' };
+    }
+
+    const canonicalSignedInfo = signedInfo.replace('<SignedInfo>', `<SignedInfo xmlns="${DSIG_NAMESPACE}">`);
+    const valid = crypto.verify('RSA-SHA1', Buffer.from(canonicalSignedInfo, 'utf8'), certificate.publicKey, Buffer.from(signatureValue, 'base64'));
+
+    return valid ? { valid, certificate } : { valid, reason: 'Valor da assinatura inválido' };
+}
+
+module.exports = {
+    CertificateError,
+    loadCertificate,
+    assertCertificateValid,
+    signInfNFe,
+    verifyNFe
+};
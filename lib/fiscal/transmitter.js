@@ -0,0 +1,174 @@
+/**
+ * PDV SaaS - Transmissão da NFC-e para a SEFAZ
+ *
+ * Transmissores disponíveis (variável FISCAL_TRANSMITTER):
+ *   mock - padrão; SEFAZ simulada no próprio processo (homologação)
+ *   http - envia o XML assinado para FISCAL_SEFAZ_URL (gateway fiscal
+ *          ou a própria SEFAZ simulada em /mock-sefaz)
+ *
+ * Interface comum:
+ *   transmitter.authorize(xml) → { authorized, statusCode, statusMessage, protocol?, receivedAt }
+ *   Lança SefazUnavailableError quando não há comunicação (a nota vai para contingência).
+ */
+
+const { isValidCnpj } = require('./nfce');
+const { verifyNFe } = require('./signer');
+
+class SefazUnavailableError extends Error {
+    constructor(message = 'SEFAZ indisponível') {
+        super(message);
+        this.name = 'SefazUnavailableError';
+    }
+}
+
+function field(xml, name) {
+    return (xml.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+}
+
+function sumFields(xml, name) {
+    return [...xml.matchAll(new RegExp(`<${name}>([^<]*)</${name}>`, 'g'))]
+        .reduce((sum, match) => sum + Math.round(Number(match[1]) * 100), 0);
+}
+
+/**
+ * SEFAZ simulada: confere assinatura e algumas regras de validação,
+ * autoriza com protocolo e guarda as chaves recebidas.
+ * Modo "offline" simula a falta de comunicação.
+ */
+class MockSefaz {
+    constructor({ mode = 'online' } = {}) {
+        this.mode = mode;
+        this.received = new Map(); // chave → protocolo
+        this.numbers = new Map(); // CNPJ/série/número → chave
+        this.sequence = 0;
+    }
+
+    setMode(mode) {
+        if (!['online', 'offline'].includes(mode)) {
+            throw new Error(`Modo inválido para a SEFAZ simulada: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    reject(statusCode, statusMessage) {
+        return { authorized: false, statusCode, statusMessage: `Rejeição: ${statusMessage}`, receivedAt: new Date().toISOString() };
+    }
+
+    authorize(xml) {
+        if (this.mode === 'offline') {
+            throw new SefazUnavailableError();
+        }
+
+        const accessKey = (xml.match(/<infNFe Id="NFe(\d{44})"/) || [])[1];
+        if (!accessKey) {
+            return this.reject('225', 'Falha no Schema XML da NFe');
+        }
+
+        const { valid } = verifyNFe(xml);
+        if (!valid) {
+            return this.reject('297', 'Assinatura difere do calculado');
+        }
+        if (field(xml, 'tpAmb') !== '2') {
+            return this.reject('252', 'Ambiente informado diverge do Ambiente de recebimento');
+        }
+
+        const cnpj = field(xml, 'CNPJ');
+        if (!isValidCnpj(cnpj)) {
+            return this.reject('207', 'CNPJ do emitente inválido');
+        }
+
+        const ncms = [...xml.matchAll(/<NCM>([^<]*)<\/NCM>/g)].map(match => match[1]);
+        if (ncms.length !== (xml.match(/<det /g) || []).length || ncms.some(ncm => !/^\d{8}$/.test(ncm) || ncm === '00000000')) {
+            return this.reject('778', 'Informado NCM inexistente');
+        }
+
+        const totalXml = xml.match(/<ICMSTot>[\s\S]*<\/ICMSTot>/)[0];
+        if (sumFields(totalXml, 'vProd') - sumFields(totalXml, 'vDesc') !== sumFields(totalXml, 'vNF')) {
+            return this.reject('610', 'Total da NF difere do somatório dos Valores compõe o valor Total da NF');
+        }
+
+        if (this.received.has(accessKey)) {
+            return this.reject('204', `Duplicidade de NF-e [nProt:${this.received.get(accessKey)}]`);
+        }
+        const numberKey = `${cnpj}/${field(xml, 'serie')}/${field(xml, 'nNF')}`;
+        if (this.numbers.has(numberKey)) {
+            return this.reject('539', `Duplicidade de NF-e com diferença na Chave de Acesso [chNFe:${this.numbers.get(numberKey)}]`);
+        }
+
+        this.sequence++;
+        const protocol = `1${accessKey.substring(0, 2)}${String(Date.now()).slice(-6)}${String(this.sequence).padStart(6, '0')}`;
+        this.received.set(accessKey, protocol);
+        this.numbers.set(numberKey, accessKey);
+
+        const lateContingency = field(xml, 'tpEmis') === '9';
+        return {
+            authorized: true,
+            statusCode: lateContingency ? '150' : '100',
+            statusMessage: lateContingency ? 'Autorizado o uso da NF-e, autorização fora de prazo' : 'Autorizado o uso da NF-e',
+            protocol,
+            receivedAt: new Date().toISOString()
+        };
+    }
+}
+
+function createMockTransmitter(sefaz) {
+    return {
+        name: 'mock',
+        async authorize(xml) {
+            return sefaz.authorize(xml);
+        }
+    };
+}
+
+function createHttpTransmitter({ url, timeoutMs = 15000 }) {
+    if (!url) {
+        throw new Error('FISCAL_SEFAZ_URL é obrigatória para o transmissor http');
+    }
+
+    return {
+        name: 'http',
+        async authorize(xml) {
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/xml' },
+                    body: xml,
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+            } catch (error) {
+                throw new SefazUnavailableError(`SEFAZ indisponível: ${error.message}`);
+            }
+
+            if (response.status >= 500) {
+                throw new SefazUnavailableError(`SEFAZ indisponível (HTTP ${response.status})`);
+            }
+
+            const result = await response.json();
+            return {
+                authorized: Boolean(result.authorized),
+                statusCode: String(result.statusCode),
+                statusMessage: result.statusMessage,
+                protocol: result.protocol || null,
+                receivedAt: result.receivedAt || new Date().toISOString()
+            };
+        }
+    };
+}
+
+function createTransmitter({ type = 'mock', url, sefaz }) {
+    switch (type) {
+        case 'mock':
+            return createMockTransmitter(sefaz);
+        case 'http':
+            return createHttpTransmitter({ url });
+        default:
+            throw new Error(`Transmissor fiscal desconhecido: ${type}`);
+    }
+}
+
+module.exports = {
+    SefazUnavailableError,
+    MockSefaz,
+    createTransmitter
+};
@@ -0,0 +1,210 @@
+/**
+ * PDV SaaS - Programa de fidelidade
+ *
+ * Pontos por real gasto (com multiplicador opcional por categoria), validade
+ * em dias e resgate como desconto na venda. O saldo vem de um livro de
+ * lançamentos (loyaltyEntries): créditos (earn, restore) formam lotes com
+ * saldo restante e validade; débitos (redeem, reversal, expire) consomem os
+ * lotes na ordem de vencimento e registram de quais lotes saíram.
+ * A soma dos pontos de todos os lançamentos é sempre o saldo do cliente.
+ */
+
+const { roundMoney } = require('./money');
+
+const ENTRY_TYPES = {
+    earn: 'Pontos da compra',
+    redeem: 'Resgate na compra',
+    reversal: 'Estorno dos pontos (venda cancelada ou estornada)',
+    restore: 'Devolução do resgate (venda cancelada ou estornada)',
+    expire: 'Pontos vencidos'
+};
+
+const CREDIT_TYPES = ['earn', 'restore'];
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    pointsPerReal: 1,
+    categoryMultipliers: {},
+    expiryDays: 365,
+    pointValue: 0.05,
+    minRedeemPoints: 100,
+    maxRedeemPercent: 50
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Configuração da loja com os valores padrão para o que não foi definido
+function loyaltySettings(tenant) {
+    return { ...DEFAULT_SETTINGS, ...((tenant && tenant.loyalty) || {}) };
+}
+
+/**
+ * Valida a configuração enviada pelas configurações da loja.
+ * categoryMultipliers: { "Bebidas": 2, "Cigarros": 0 } (0 = não pontua).
+ * Retorna { loyalty } ou { error }.
+ */
+function normalizeLoyaltySettings(input) {
+    const loyalty = {
+        enabled: input.enabled === true,
+        pointsPerReal: Number(input.pointsPerReal ?? DEFAULT_SETTINGS.pointsPerReal),
+        categoryMultipliers: {},
+        expiryDays: Number(input.expiryDays ?? DEFAULT_SETTINGS.expiryDays),
+        pointValue: Number(input.pointValue ?? DEFAULT_SETTINGS.pointValue),
+        minRedeemPoints: Number(input.minRedeemPoints ?? DEFAULT_SETTINGS.minRedeemPoints),
+        maxRedeemPercent: Number(input.maxRedeemPercent ?? DEFAULT_SETTINGS.maxRedeemPercent)
+    };
+
+    if (!Number.isFinite(loyalty.pointsPerReal) || loyalty.pointsPerReal <= 0 || loyalty.pointsPerReal > 100) {
+        return { error: 'Pontos por real devem estar entre 0 e 100' };
+    }
+    if (!Number.isInteger(loyalty.expiryDays) || loyalty.expiryDays < 0 || loyalty.expiryDays > 3650) {
+        return { error: 'Validade dos pontos deve estar entre 0 (sem validade) e 3650 dias' };
+    }
+    if (!Number.isFinite(loyalty.pointValue) || loyalty.pointValue <= 0 || loyalty.pointValue > 100) {
+        return { error: 'Valor do ponto no resgate inválido' };
+    }
+    if (!Number.isInteger(loyalty.minRedeemPoints) || loyalty.minRedeemPoints < 1) {
+        return { error: 'Resgate mínimo deve ser de pelo menos 1 ponto' };
+    }
+    if (!Number.isFinite(loyalty.maxRedeemPercent) || loyalty.maxRedeemPercent <= 0 || loyalty.maxRedeemPercent > 100) {
+        return { error: 'Limite do resgate deve estar entre 0 e 100% da venda' };
+    }
+
+    for (const [rawCategory, rawMultiplier] of Object.entries(input.categoryMultipliers || {})) {
+        const category = String(rawCategory).trim();
+        const multiplier = Number(rawMultiplier);
+        if (!category) continue;
+        if (!Number.isFinite(multiplier) || multiplier < 0 || multiplier > 10) {
+            return { error: `Multiplicador inválido para ${category} (use de 0 a 10)` };
+        }
+        loyalty.categoryMultipliers[category] = multiplier;
+    }
+
+    return { loyalty };
+}
+
+// Pontos de uma venda: valor pago de cada item (já com descontos) × multiplicador
+function earnedPoints(settings, items) {
+    const weighted = items.reduce((sum, item) => {
+        const multiplier = settings.categoryMultipliers[item.category] ?? 1;
+        return sum + item.total * multiplier;
+    }, 0);
+    return Math.floor(roundMoney(weighted * settings.pointsPerReal));
+}
+
+function pointsValue(settings, points) {
+    return roundMoney(points * settings.pointValue);
+}
+
+function expiryDate(settings, from) {
+    return settings.expiryDays > 0
+        ? new Date(new Date(from).getTime() + settings.expiryDays * DAY_MS).toISOString()
+        : null;
+}
+
+/**
+ * Confere um pedido de resgate antes do cálculo da venda.
+ * Retorna { redemption: { points, amount } } ou { status, error, code }.
+ */
+function redemptionRequest(settings, points, balance) {
+    const requested = Number(points);
+    if (!settings.enabled) {
+        return { status: 400, error: 'Programa de fidelidade desativado', code: 'LOYALTY_DISABLED' };
+    }
+    if (!Number.isInteger(requested) || requested < 1) {
+        return { status: 400, error: 'Quantidade de pontos inválida' };
+    }
+    if (requested < settings.minRedeemPoints) {
+        return { status: 400, error: `O resgate mínimo é de ${settings.minRedeemPoints} pontos`, code: 'LOYALTY_MIN_REDEEM' };
+    }
+    if (requested > balance) {
+        return { status: 400, error: `Saldo insuficiente: o cliente tem ${balance} pontos`, code: 'LOYALTY_INSUFFICIENT_POINTS' };
+    }
+    return { redemption: { points: requested, amount: pointsValue(settings, requested) } };
+}
+
+/**
+ * Estorno de itens: pontos ganhos a retirar e resgatados a devolver, na
+ * proporção do valor já estornado (ratio, de 0 a 1), descontado o que os
+ * estornos anteriores já lançaram. O estorno integral (ratio 1) acerta o resto.
+ * Retorna { reverse, restore }.
+ */
+function refundPoints(saleLoyalty, ratio) {
+    const share = points => ratio >= 1 ? points : Math.floor(points * Math.max(0, ratio));
+    return {
+        reverse: Math.max(0, share(saleLoyalty.pointsEarned) - (saleLoyalty.pointsReversed || 0)),
+        restore: Math.max(0, share(saleLoyalty.pointsRedeemed) - (saleLoyalty.pointsRestored || 0))
+    };
+}
+
+// Limite do resgate: percentual do total antes do resgate (o resgate não paga a venda inteira)
+function redemptionLimitError(settings, pricing) {
+    const base = roundMoney(pricing.total + pricing.loyaltyDiscount);
+    const limit = roundMoney(base * settings.maxRedeemPercent / 100);
+    if (pricing.loyaltyDiscount > limit + 0.005) {
+        return `O resgate pode cobrir no máximo ${settings.maxRedeemPercent}% da venda (R$ ${limit.toFixed(2)})`;
+    }
+    return null;
+}
+
+function isOpenLot(entry, now) {
+    return CREDIT_TYPES.includes(entry.type) && entry.remaining > 0 && (!entry.expiresAt || entry.expiresAt > now);
+}
+
+function isExpiredLot(entry, now) {
+    return CREDIT_TYPES.includes(entry.type) && entry.remaining > 0 && Boolean(entry.expiresAt) && entry.expiresAt <= now;
+}
+
+function balanceOf(lots, now) {
+    return lots.filter(lot => isOpenLot(lot, now)).reduce((sum, lot) => sum + lot.remaining, 0);
+}
+
+/**
+ * Divide `points` entre os lotes abertos, do que vence primeiro ao que
+ * não vence. `preferred` (id de um lote) é consumido antes dos demais.
+ * Retorna [{ lot, points }] e o que não foi coberto pelo saldo.
+ */
+function allocatePoints(lots, points, now, preferred = null) {
+    const open = lots
+        .filter(lot => isOpenLot(lot, now))
+        .sort((a, b) => (b.id === preferred) - (a.id === preferred) ||
+            (a.expiresAt || '9999').localeCompare(b.expiresAt || '9999') ||
+            a.id - b.id);
+
+    const allocations = [];
+    let missing = points;
+    for (const lot of open) {
+        if (missing <= 0) break;
+        const taken = Math.min(lot.remaining, missing);
+        allocations.push({ lot, points: taken });
+        missing -= taken;
+    }
+    return { allocations, missing };
+}
+
+// Pontos próximos do vencimento (para avisar o cliente no caixa)
+function expiringPoints(lots, now, days = 30) {
+    const limit = new Date(new Date(now).getTime() + days * DAY_MS).toISOString();
+    const expiring = lots.filter(lot => isOpenLot(lot, now) && lot.expiresAt && lot.expiresAt <= limit);
+    return {
+        points: expiring.reduce((sum, lot) => sum + lot.remaining, 0),
+        nextExpiry: expiring.map(lot => lot.expiresAt).sort()[0] || null
+    };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    DEFAULT_SETTINGS,
+    loyaltySettings,
+    normalizeLoyaltySettings,
+    earnedPoints,
+    pointsValue,
+    expiryDate,
+    redemptionRequest,
+    redemptionLimitError,
+    refundPoints,
+    isExpiredLot,
+    balanceOf,
+    allocatePoints,
+    expiringPoints
+};
@@ -0,0 +1,249 @@
+/**
+ * PDV SaaS - Envio de e-mails (redefinição de senha)
+ *
+ * Transportes disponíveis (variável MAIL_TRANSPORT):
+ *   console - padrão; escreve a mensagem no log do servidor
+ *   file    - grava cada mensagem como .eml em MAIL_DIR (testes e homologação)
+ *   smtp    - entrega por um servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER,
+ *             SMTP_PASSWORD; SMTP_SECURE=true para TLS direto na porta 465)
+ *
+ * console e file são só para desenvolvimento (DEVELOPMENT_TRANSPORTS): os
+ * links de redefinição ficam no log ou no disco.
+ *
+ * Interface comum (outros provedores implementam o mesmo adaptador):
+ *   mailer.send({ to, subject, text }) → { messageId }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+function buildMessage({ from, to, subject, text }) {
+    const messageId = `${Date.now()}.${crypto.randomBytes(6).toString('hex')}@pdv-saas`;
+    const headers = [
+        `Message-ID: <${messageId}>`,
+        `Date: ${new Date().toUTCString()}`,
+        `From: ${from}`,
+        `To: ${to}`,
+        // Assunto com acentos: encoded-word (RFC 2047)
+        `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    return { messageId, raw: `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}\r\n` };
+}
+
+class ConsoleMailer {
+    constructor({ from }) {
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        const { messageId } = buildMessage({ from: this.from, to, subject, text });
+        console.log(`📧 E-mail para ${to}: ${subject}\n${text}`);
+        return { messageId };
+    }
+}
+
+// Um arquivo por mensagem: <data>-<id>.eml, aberto por qualquer cliente de e-mail.
+// As mensagens levam links de redefinição válidos: só o usuário do servidor lê a pasta
+class FileMailer {
+    constructor({ from, dir }) {
+        if (!dir) {
+            throw new Error('MAIL_DIR é obrigatório para o transporte de arquivo');
+        }
+        this.from = from;
+        this.dir = dir;
+    }
+
+    async send({ to, subject, text }) {
+        const { messageId, raw } = buildMessage({ from: this.from, to, subject, text });
+        await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.promises.writeFile(path.join(this.dir, `${stamp}-${messageId.split('@')[0]}.eml`), raw, { mode: 0o600 });
+        return { messageId };
+    }
+}
+
+// "PDV SaaS <nao-responda@pdv.local>" -> nao-responda@pdv.local
+function envelopeAddress(address) {
+    const match = /<([^>]+)>/.exec(address);
+    const email = (match ? match[1] : String(address)).trim();
+    if (!email || /[\s<>]/.test(email)) {
+        throw new Error(`Endereço de e-mail inválido: ${address}`);
+    }
+    return email;
+}
+
+// Conexão SMTP com um comando por vez; a resposta termina na linha "250 ..." (as anteriores são "250-...")
+class SmtpConnection {
+    constructor({ host, port, secure, timeoutMs, tlsOptions }) {
+        this.host = host;
+        this.tlsOptions = tlsOptions;
+        this.port = port;
+        this.secure = secure;
+        this.timeoutMs = timeoutMs;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ ...this.tlsOptions, host: this.host, port: this.port, servername: this.host })
+                : net.connect({ host: this.host, port: this.port });
+            socket.once(this.secure ? 'secureConnect' : 'connect', resolve);
+            socket.once('error', reject);
+            this.attach(socket);
+        });
+    }
+
+    // STARTTLS: a mesma conexão passa a ser cifrada
+    upgrade() {
+        const plain = this.socket;
+        for (const event of ['data', 'error', 'close']) plain.removeAllListeners(event);
+        plain.setTimeout(0);
+        return new Promise((resolve, reject) => {
+            const socket = tls.connect({ ...this.tlsOptions, socket: plain, servername: this.host });
+            socket.once('secureConnect', resolve);
+            socket.once('error', reject);
+            this.attach(socket);
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('Tempo esgotado na conexão SMTP')));
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.flush();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('Conexão SMTP encerrada pelo servidor')));
+    }
+
+    flush() {
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+            this.lines.push(this.buffer.slice(0, index));
+            this.buffer = this.buffer.slice(index + 2);
+        }
+        const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last >= 0 && this.waiting) {
+            const lines = this.lines.splice(0, last + 1);
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve({ code: parseInt(lines[last].slice(0, 3)), lines });
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    reply() {
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    // name: o que aparece no erro (o comando AUTH leva a senha e não é repetido)
+    async command(line, expected, name = line) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.reply();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP recusou ${name}: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    close() {
+        if (this.socket) this.socket.destroy();
+    }
+}
+
+class SmtpMailer {
+    // tlsOptions: opções extras do tls.connect (ca de uma autoridade própria, por exemplo)
+    constructor({ from, host, port, secure = false, user, password, timeoutMs = SMTP_TIMEOUT_MS, tlsOptions = {} }) {
+        if (!host) {
+            throw new Error('SMTP_HOST é obrigatório para o transporte SMTP');
+        }
+        this.from = from;
+        this.options = { host, port: Number(port) || (secure ? 465 : 587), secure, timeoutMs, tlsOptions };
+        this.user = user;
+        this.password = password;
+    }
+
+    async send({ to, subject, text }) {
+        const { messageId, raw } = buildMessage({ from: this.from, to, subject, text });
+        const connection = new SmtpConnection(this.options);
+
+        try {
+            await connection.open();
+            await connection.command(null, [220], 'a conexão');
+            const hello = `EHLO ${os.hostname()}`;
+            let features = await connection.command(hello, [250]);
+
+            // Sem TLS a senha e os links de redefinição iriam em texto puro
+            if (!this.options.secure) {
+                if (!features.lines.some(line => /^250[ -]STARTTLS\b/i.test(line))) {
+                    throw new Error('O servidor SMTP não oferece STARTTLS');
+                }
+                await connection.command('STARTTLS', [220]);
+                await connection.upgrade();
+                features = await connection.command(hello, [250]);
+            }
+            if (this.user) {
+                const credentials = Buffer.from(`\0${this.user}\0${this.password || ''}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+
+            await connection.command(`MAIL FROM:<${envelopeAddress(this.from)}>`, [250]);
+            await connection.command(`RCPT TO:<${envelopeAddress(to)}>`, [250, 251]);
+            await connection.command('DATA', [354]);
+            // Linhas que começam com ponto ganham outro (RFC 5321, 4.5.2)
+            await connection.command(`${raw.replace(/^\./gm, '..')}.`, [250], 'a mensagem');
+            await connection.command('QUIT', [221]).catch(() => {});
+        } finally {
+            connection.close();
+        }
+        return { messageId };
+    }
+}
+
+function createMailer({ type = 'console', from = 'PDV SaaS <nao-responda@pdv.local>', dir, smtp = {} } = {}) {
+    switch (type) {
+        case 'console':
+            return new ConsoleMailer({ from });
+        case 'file':
+            return new FileMailer({ from, dir });
+        case 'smtp':
+            return new SmtpMailer({ from, ...smtp });
+        default:
+            throw new Error(`Transporte de e-mail desconhecido: ${type}`);
+    }
+}
+
+module.exports = {
+    DEVELOPMENT_TRANSPORTS,
+    createMailer,
+    ConsoleMailer,
+    FileMailer,
+    SmtpMailer
+};
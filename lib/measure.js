@@ -0,0 +1,132 @@
+/**
+ * PDV SaaS - Unidades de medida e etiquetas de balança
+ * Usado pelo servidor e pelo caixa (servido em /lib/measure.js)
+ *
+ * Produtos com unidade fracionável (KG, L, M...) aceitam quantidades com
+ * até 3 casas decimais; os demais, só quantidades inteiras.
+ *
+ * Etiqueta da balança (EAN-13 de uso interno, prefixo 2):
+ *   2 + código do produto na balança (codeLength dígitos) + valor + dígito verificador
+ * O valor ocupa o restante dos 12 dígitos: preço total em centavos
+ * (content = 'price') ou peso em gramas (content = 'weight').
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Measure = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const FRACTIONAL_UNITS = ['KG', 'L', 'M', 'M2', 'M3'];
+    const QUANTITY_DECIMALS = 3;
+
+    const SCALE_BARCODE_CONTENTS = {
+        price: 'Preço total',
+        weight: 'Peso'
+    };
+    const DEFAULT_SCALE_BARCODE = { codeLength: 5, content: 'price' };
+
+    function isFractionalUnit(unit) {
+        return FRACTIONAL_UNITS.includes(String(unit || '').toUpperCase());
+    }
+
+    // Arredonda para gramas/mililitros, evitando resíduos de ponto flutuante
+    function roundQuantity(value) {
+        return Math.round((value + Number.EPSILON) * 1000) / 1000;
+    }
+
+    function isValidQuantity(quantity, unit) {
+        if (!Number.isFinite(quantity)) return false;
+        return isFractionalUnit(unit) ? roundQuantity(quantity) === quantity : Number.isInteger(quantity);
+    }
+
+    // "1,250 kg" para fracionáveis, "3" para unidades
+    function formatQuantity(quantity, unit) {
+        if (!isFractionalUnit(unit)) return String(quantity);
+        return `${Number(quantity).toFixed(QUANTITY_DECIMALS).replace('.', ',')} ${String(unit).toLowerCase()}`;
+    }
+
+    function ean13CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < 12; i++) {
+            sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+        }
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    // Valida o formato da etiqueta configurado na loja. Retorna { scaleBarcode } ou { error }
+    function normalizeScaleBarcodeSettings(input) {
+        const scaleBarcode = {
+            codeLength: Number(input.codeLength ?? DEFAULT_SCALE_BARCODE.codeLength),
+            content: String(input.content || DEFAULT_SCALE_BARCODE.content)
+        };
+
+        if (!Number.isInteger(scaleBarcode.codeLength) || scaleBarcode.codeLength < 4 || scaleBarcode.codeLength > 6) {
+            return { error: 'O código do produto na etiqueta deve ter de 4 a 6 dígitos' };
+        }
+        if (!SCALE_BARCODE_CONTENTS[scaleBarcode.content]) {
+            return { error: 'Conteúdo da etiqueta inválido (use price ou weight)' };
+        }
+        return { scaleBarcode };
+    }
+
+    /**
+     * Lê uma etiqueta de balança. Retorna null se o código não for uma
+     * etiqueta válida, ou { scaleCode, price } / { scaleCode, weight } (kg).
+     */
+    function parseScaleBarcode(code, settings) {
+        const text = String(code || '').trim();
+        if (!/^2\d{12}$/.test(text) || ean13CheckDigit(text) !== text[12]) return null;
+
+        const format = { ...DEFAULT_SCALE_BARCODE, ...(settings || {}) };
+        const scaleCode = text.substring(1, 1 + format.codeLength);
+        const value = Number(text.substring(1 + format.codeLength, 12));
+
+        return format.content === 'weight'
+            ? { scaleCode, weight: roundQuantity(value / 1000) }
+            : { scaleCode, price: value / 100 };
+    }
+
+    // O código cadastrado na balança pode ter menos dígitos que o da etiqueta (zeros à esquerda)
+    function matchesScaleCode(product, scaleCode) {
+        return Boolean(product.scaleCode) && Number(product.scaleCode) === Number(scaleCode);
+    }
+
+    /**
+     * Quantidade do item a partir da etiqueta: o peso impresso ou, em
+     * etiquetas de preço, o preço total dividido pelo preço por unidade.
+     * Retorna { quantity } ou { error }.
+     */
+    function scaleLabelQuantity(product, label) {
+        if (!isFractionalUnit(product.unit)) {
+            return { error: `${product.name} não é vendido por peso ou medida` };
+        }
+        if (label.weight !== undefined && String(product.unit).toUpperCase() !== 'KG') {
+            return { error: `Etiqueta de peso para ${product.name}, vendido por ${String(product.unit).toLowerCase()}` };
+        }
+
+        const quantity = label.weight !== undefined
+            ? label.weight
+            : roundQuantity(product.price > 0 ? label.price / product.price : 0);
+        if (!(quantity > 0)) {
+            return { error: 'Etiqueta sem peso ou valor' };
+        }
+        return { quantity };
+    }
+
+    return {
+        FRACTIONAL_UNITS,
+        QUANTITY_DECIMALS,
+        SCALE_BARCODE_CONTENTS,
+        DEFAULT_SCALE_BARCODE,
+        isFractionalUnit,
+        roundQuantity,
+        isValidQuantity,
+        formatQuantity,
+        normalizeScaleBarcodeSettings,
+        parseScaleBarcode,
+        matchesScaleCode,
+        scaleLabelQuantity
+    };
+});
@@ -0,0 +1,10 @@
+/**
+ * PDV SaaS - Utilitários monetários
+ */
+
+// Arredonda para centavos, evitando resíduos de ponto flutuante
+function roundMoney(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = { roundMoney };
@@ -0,0 +1,136 @@
+/**
+ * PDV SaaS - Formas de pagamento
+ * Validação de pagamentos mistos e cálculo do troco no servidor
+ */
+
+const { roundMoney } = require('./money');
+
+const PAYMENT_METHODS = {
+    cash: 'Dinheiro',
+    card: 'Cartão',
+    pix: 'Pix',
+    voucher: 'Vale/Voucher'
+};
+
+const CARD_TYPES = ['credit', 'debit'];
+const MAX_INSTALLMENTS = 12;
+
+// Vendas que contam como receita (não canceladas)
+const COUNTED_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+function toCents(value) {
+    return Math.round(Number(value) * 100);
+}
+
+function normalizePayment(payment) {
+    const method = payment && payment.method;
+    if (!PAYMENT_METHODS[method]) {
+        return { error: `Forma de pagamento inválida: ${method}` };
+    }
+
+    const amount = roundMoney(Number(payment.amount));
+    if (!(amount > 0)) {
+        return { error: `Valor inválido para ${PAYMENT_METHODS[method]}` };
+    }
+
+    const normalized = { method, amount };
+
+    if (method === 'card') {
+        const installments = payment.installments === undefined ? 1 : Number(payment.installments);
+        if (!Number.isInteger(installments) || installments < 1 || installments > MAX_INSTALLMENTS) {
+            return { error: `Parcelamento inválido (1 a ${MAX_INSTALLMENTS})` };
+        }
+        if (payment.cardType && !CARD_TYPES.includes(payment.cardType)) {
+            return { error: 'Tipo de cartão inválido' };
+        }
+        normalized.cardType = payment.cardType || 'credit';
+        normalized.cardBrand = payment.cardBrand ? String(payment.cardBrand).trim() : null;
+        normalized.installments = normalized.cardType === 'debit' ? 1 : installments;
+        normalized.authorizationCode = payment.authorizationCode ? String(payment.authorizationCode).trim() : null;
+    }
+
+    if (method === 'pix') {
+        normalized.pixReference = payment.pixReference ? String(payment.pixReference).trim() : null;
+    }
+
+    return { payment: normalized };
+}
+
+/**
+ * Valida os pagamentos de uma venda e calcula o troco.
+ * Aceita o formato antigo (paymentMethod + cashReceived) para compatibilidade.
+ * Retorna { payments, paymentMethod, cashReceived, cashChange } ou { error }.
+ */
+function resolvePayments(saleData, total) {
+    let rawPayments = saleData.payments;
+
+    if (!Array.isArray(rawPayments) || rawPayments.length === 0) {
+        if (!saleData.paymentMethod) {
+            return { error: 'Método de pagamento é obrigatório' };
+        }
+        const amount = saleData.paymentMethod === 'cash' && Number(saleData.cashReceived) > total
+            ? Number(saleData.cashReceived)
+            : total;
+        rawPayments = [{ method: saleData.paymentMethod, amount }];
+    }
+
+    const payments = [];
+    for (const raw of rawPayments) {
+        const { payment, error } = normalizePayment(raw);
+        if (error) return { error };
+        payments.push(payment);
+    }
+
+    const totalCents = toCents(total);
+    const paidCents = payments.reduce((sum, p) => sum + toCents(p.amount), 0);
+    const cashCents = payments.filter(p => p.method === 'cash').reduce((sum, p) => sum + toCents(p.amount), 0);
+    const changeCents = paidCents - totalCents;
+
+    if (changeCents < 0) {
+        return { error: `Pagamentos não cobrem o total da venda (faltam R$ ${(-changeCents / 100).toFixed(2)})` };
+    }
+    if (changeCents > cashCents) {
+        return { error: 'Troco só pode ser dado sobre pagamento em dinheiro' };
+    }
+
+    const methods = [...new Set(payments.map(p => p.method))];
+
+    return {
+        payments,
+        paymentMethod: methods.length === 1 ? methods[0] : 'mixed',
+        cashReceived: cashCents > 0 ? cashCents / 100 : null,
+        cashChange: cashCents > 0 ? changeCents / 100 : null
+    };
+}
+
+// Valor líquido recebido por forma de pagamento (descontados troco e estornos)
+function salePaymentBreakdown(sale) {
+    if (!COUNTED_STATUSES.includes(sale.status)) {
+        return {};
+    }
+
+    const payments = sale.payments || [{ method: sale.paymentMethod || 'unknown', amount: sale.total }];
+    const gross = {};
+    for (const payment of payments) {
+        gross[payment.method] = (gross[payment.method] || 0) + payment.amount;
+    }
+    if (gross.cash && sale.payments) {
+        gross.cash -= sale.cashChange || 0;
+    }
+
+    // Estornos são distribuídos proporcionalmente entre as formas de pagamento
+    const factor = sale.total > 0 ? (sale.total - (sale.refundedAmount || 0)) / sale.total : 0;
+
+    const breakdown = {};
+    for (const [method, amount] of Object.entries(gross)) {
+        breakdown[method] = roundMoney(amount * factor);
+    }
+    return breakdown;
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    COUNTED_STATUSES,
+    resolvePayments,
+    salePaymentBreakdown
+};
@@ -0,0 +1,143 @@
+/**
+ * PDV SaaS - PDF de relatórios
+ * Gera um PDF simples (A4 paisagem, fonte Courier) com uma tabela,
+ * repetindo o cabeçalho em cada página. Sem dependências: a fonte
+ * monoespaçada dispensa tabela de larguras para alinhar as colunas.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 30;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const COLUMN_GAP = 2;
+const MAX_COLUMN_CHARS = 40;
+const MAX_LINE_CHARS = Math.floor((PAGE_WIDTH - 2 * MARGIN) / CHAR_WIDTH);
+
+// Fontes padrão do PDF usam WinAnsiEncoding: caracteres fora do Latin-1 viram "?"
+function pdfString(text) {
+    const latin1 = String(text).replace(/[^\x20-\xff]/g, '?');
+    return `(${latin1.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function fit(text, width, align) {
+    const value = String(text);
+    if (value.length > width) return `${value.substring(0, width - 1)}.`;
+    return align === 'right' ? value.padStart(width) : value.padEnd(width);
+}
+
+// Largura (em caracteres) de cada coluna: o maior conteúdo, reduzindo as mais largas até caber na página
+function columnWidths(columns, rows) {
+    const widths = columns.map((column, index) => Math.min(
+        MAX_COLUMN_CHARS,
+        Math.max(String(column.label).length, ...rows.map(row => String(row[index] ?? '').length))
+    ));
+    const available = MAX_LINE_CHARS - COLUMN_GAP * (columns.length - 1);
+
+    while (widths.reduce((sum, width) => sum + width, 0) > available) {
+        const widest = widths.indexOf(Math.max(...widths));
+        if (widths[widest] <= 4) break;
+        widths[widest]--;
+    }
+    return widths;
+}
+
+function tableLine(cells, columns, widths) {
+    return cells.map((cell, index) => fit(cell ?? '', widths[index], columns[index].align)).join(' '.repeat(COLUMN_GAP));
+}
+
+function pageContent(lines) {
+    const commands = ['BT', `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`, `${LINE_HEIGHT} TL`];
+    for (const line of lines) {
+        commands.push(`/${line.bold ? 'F2' : 'F1'} ${line.size || FONT_SIZE} Tf`, `${pdfString(line.text)} '`);
+    }
+    commands.push('ET');
+    return commands.join('\n');
+}
+
+/**
+ * Monta o PDF de uma tabela.
+ * columns: [{ label, align: 'left' | 'right' }]
+ * rows: matriz de textos já formatados; totals: linha final em negrito (opcional)
+ * Retorna um Buffer.
+ */
+function buildTablePdf({ title, subtitle = '', columns, rows, totals = null, footer = '' }) {
+    const allRows = totals ? [...rows, totals] : rows;
+    const widths = columnWidths(columns, allRows);
+    const header = tableLine(columns.map(column => column.label), columns, widths);
+    const separator = '-'.repeat(header.length);
+
+    const headerLines = [
+        { text: title, bold: true, size: 12 },
+        { text: subtitle },
+        { text: '' },
+        { text: header, bold: true },
+        { text: separator }
+    ];
+    const rowsPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT) - headerLines.length - 2;
+
+    const bodyLines = rows.map(row => ({ text: tableLine(row, columns, widths) }));
+    if (!bodyLines.length) bodyLines.push({ text: 'Nenhum registro no período' });
+    if (totals) {
+        bodyLines.push({ text: separator }, { text: tableLine(totals, columns, widths), bold: true });
+    }
+
+    const pages = [];
+    for (let start = 0; start < bodyLines.length; start += rowsPerPage) {
+        pages.push(bodyLines.slice(start, start + rowsPerPage));
+    }
+
+    // Objetos: 1 catálogo, 2 páginas, 3 e 4 fontes, depois página + conteúdo de cada página
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((lines, index) => {
+        const pageFooter = [footer, `Página ${index + 1} de ${pages.length}`].filter(Boolean).join(' - ');
+        const content = zlib.deflateSync(Buffer.from(pageContent([
+            ...headerLines,
+            ...lines,
+            { text: '' },
+            { text: pageFooter }
+        ]), 'latin1'));
+
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            content,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+        const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        offsets[id] = length;
+        length += chunk.length;
+        chunks.push(chunk);
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+    for (let id = 1; id < objects.length; id++) {
+        xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+    chunks.push(Buffer.from(xref.join(''), 'latin1'));
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    buildTablePdf
+};
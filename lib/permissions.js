@@ -0,0 +1,66 @@
+/**
+ * PDV SaaS - Perfis de usuário e permissões
+ * Matriz perfil → permissões aplicada pelo middleware requirePermission
+ */
+
+const ROLES = {
+    admin: 'Administrador',
+    manager: 'Gerente',
+    cashier: 'Caixa',
+    stockist: 'Estoquista'
+};
+
+const PERMISSIONS = {
+    'sales.create': 'Registrar vendas',
+    'sales.cancel': 'Cancelar e estornar vendas',
+    'sales.priceOverride': 'Alterar preços no caixa',
+    'sales.approveDiscount': 'Aprovar descontos acima do limite',
+    'customers.manage': 'Cadastrar clientes e consultar compras',
+    'products.manage': 'Cadastrar produtos e ajustar estoque',
+    'products.editPrice': 'Alterar preços do cadastro',
+    'purchases.manage': 'Gerenciar fornecedores e pedidos de compra',
+    'promotions.manage': 'Gerenciar promoções e cupons',
+    'register.manage': 'Consultar e fechar caixas de outros usuários',
+    'reports.view': 'Ver dashboard e relatórios',
+    'fiscal.manage': 'Consultar e retransmitir notas fiscais',
+    'settings.manage': 'Alterar configurações da loja',
+    'users.manage': 'Gerenciar usuários',
+    'backup.export': 'Exportar backup',
+    'audit.view': 'Consultar a trilha de auditoria'
+};
+
+const ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    manager: [
+        'sales.create',
+        'sales.cancel',
+        'sales.priceOverride',
+        'sales.approveDiscount',
+        'customers.manage',
+        'products.manage',
+        'products.editPrice',
+        'purchases.manage',
+        'promotions.manage',
+        'register.manage',
+        'reports.view',
+        'fiscal.manage'
+    ],
+    cashier: ['sales.create', 'customers.manage'],
+    stockist: ['products.manage', 'purchases.manage']
+};
+
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(user, permission) {
+    return Boolean(user) && permissionsFor(user.role).includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    permissionsFor,
+    hasPermission
+};
@@ -0,0 +1,151 @@
+/**
+ * PDV SaaS - Administração da plataforma
+ * Regras do console dos administradores da plataforma (todas as lojas) e
+ * dos campos da loja que o administrador da própria loja pode alterar.
+ * Plano, assinatura e ativação só mudam pelo billing ou por aqui.
+ */
+
+const billing = require('./billing');
+
+// Campos editáveis em PUT /api/settings/tenant (o restante é da plataforma)
+const TENANT_SETTINGS_FIELDS = [
+    'name',
+    'email',
+    'phone',
+    'address',
+    'cnpj',
+    'timezone',
+    'blockOutOfStockSales',
+    'maxDiscountPercent',
+    'fiscal',
+    'loyalty',
+    'scaleBarcode'
+];
+
+// Loja vista por quem não gerencia as configurações (caixa, estoquista): o que o
+// PDV usa na venda e no cupom. Da configuração fiscal só vai se a NFC-e está ativa
+const PUBLIC_TENANT_FIELDS = [
+    'id',
+    'name',
+    'email',
+    'phone',
+    'address',
+    'cnpj',
+    'timezone',
+    'blockOutOfStockSales',
+    'maxDiscountPercent',
+    'loyalty',
+    'scaleBarcode',
+    'subscriptionStatus',
+    'graceEnds'
+];
+
+const TRIAL_EXTENSION_MAX_DAYS = 90;
+
+// Situação exibida no console: desativada pela plataforma ou a da assinatura
+const TENANT_STATUSES = {
+    disabled: 'Desativada pela plataforma',
+    ...billing.SUBSCRIPTION_STATUSES
+};
+
+/**
+ * Filtra e valida as alterações enviadas pelo administrador da loja.
+ * Retorna { updates } ou { error, code }. timezone, fiscal, loyalty e scaleBarcode
+ * são validados pelo servidor.
+ */
+function tenantSettingsUpdates(body) {
+    const forbidden = Object.keys(body || {}).filter(field => !TENANT_SETTINGS_FIELDS.includes(field));
+    if (forbidden.length) {
+        return { error: `Campos que não podem ser alterados pela loja: ${forbidden.join(', ')}`, code: 'FIELD_NOT_ALLOWED' };
+    }
+
+    const updates = {};
+    for (const field of ['name', 'email', 'phone', 'address', 'cnpj']) {
+        if (body[field] !== undefined) updates[field] = String(body[field] ?? '').trim();
+    }
+    if (updates.name !== undefined && !updates.name) {
+        return { error: 'Informe o nome da loja' };
+    }
+
+    if (body.blockOutOfStockSales !== undefined) {
+        updates.blockOutOfStockSales = body.blockOutOfStockSales === true;
+    }
+    if (body.maxDiscountPercent !== undefined) {
+        const percent = Number(body.maxDiscountPercent);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+            return { error: 'Desconto máximo deve estar entre 0 e 100%' };
+        }
+        updates.maxDiscountPercent = percent;
+    }
+
+    if (body.timezone !== undefined) updates.timezone = body.timezone;
+    if (body.fiscal !== undefined) updates.fiscal = body.fiscal;
+    if (body.loyalty !== undefined) updates.loyalty = body.loyalty;
+    if (body.scaleBarcode !== undefined) updates.scaleBarcode = body.scaleBarcode;
+    return { updates };
+}
+
+function publicTenantSettings(tenant) {
+    const settings = {};
+    for (const field of PUBLIC_TENANT_FIELDS) {
+        if (tenant[field] !== undefined) settings[field] = tenant[field];
+    }
+    settings.fiscal = { enabled: Boolean(tenant.fiscal && tenant.fiscal.enabled) };
+    return settings;
+}
+
+function tenantStatus(tenant) {
+    return tenant.isActive === false ? 'disabled' : (tenant.subscriptionStatus || 'trial');
+}
+
+// Busca por nome, e-mail, CNPJ (com ou sem pontuação) ou código da loja
+function matchesSearch(tenant, term) {
+    const search = String(term || '').trim().toLowerCase();
+    if (!search) return true;
+
+    const digits = search.replace(/\D/g, '');
+    return String(tenant.id) === search ||
+        [tenant.name, tenant.email].some(value => String(value || '').toLowerCase().includes(search)) ||
+        (digits.length >= 3 && String(tenant.cnpj || '').replace(/\D/g, '').includes(digits));
+}
+
+/**
+ * Prorroga o teste grátis por `days` dias, contados do fim atual
+ * (ou de agora, se o teste já terminou). Retorna { changes } ou { status, error }.
+ */
+function trialExtension(tenant, days, now = new Date().toISOString()) {
+    const extra = Number(days);
+    if (!Number.isInteger(extra) || extra < 1 || extra > TRIAL_EXTENSION_MAX_DAYS) {
+        return { status: 400, error: `Informe de 1 a ${TRIAL_EXTENSION_MAX_DAYS} dias` };
+    }
+    if ((tenant.subscriptionStatus || 'trial') !== 'trial') {
+        return { status: 409, error: 'A loja não está em período de teste', code: 'NOT_IN_TRIAL' };
+    }
+
+    const base = tenant.trialEnds && tenant.trialEnds > now ? tenant.trialEnds : now;
+    return { changes: { trialEnds: new Date(new Date(base).getTime() + extra * 24 * 60 * 60 * 1000).toISOString() } };
+}
+
+/**
+ * Troca de plano feita pela plataforma (cortesia, correção): sem fatura.
+ * Uma loja em teste continua em teste, só muda os limites.
+ */
+function platformPlanChange(planId) {
+    const plan = billing.PLANS[planId];
+    if (!plan) {
+        return { status: 400, error: 'Plano inválido' };
+    }
+    return { changes: { plan: planId, monthlyPrice: plan.monthlyPrice, pendingPlan: null } };
+}
+
+module.exports = {
+    TENANT_SETTINGS_FIELDS,
+    TRIAL_EXTENSION_MAX_DAYS,
+    TENANT_STATUSES,
+    tenantSettingsUpdates,
+    publicTenantSettings,
+    tenantStatus,
+    matchesSearch,
+    trialExtension,
+    platformPlanChange
+};
@@ -0,0 +1,299 @@
+/**
+ * PDV SaaS - Importação e exportação do catálogo por planilha
+ * Converte as linhas da planilha em produtos, valida cada linha e monta
+ * o plano de importação (criar/atualizar por código de barras), usado
+ * tanto na simulação quanto na aplicação de POST /api/products/import.
+ *
+ * Em produtos já cadastrados, células em branco mantêm o valor atual.
+ */
+
+const { roundMoney } = require('./money');
+const { isBlankRow } = require('./spreadsheet');
+const { productTaxError } = require('./fiscal/nfce');
+const { QUANTITY_DECIMALS, isFractionalUnit, isValidQuantity } = require('./measure');
+
+const MAX_IMPORT_ROWS = 10000;
+const MAX_BARCODE_LENGTH = 30;
+
+// Ordem das colunas na exportação; o cabeçalho aceita o rótulo, a chave ou um apelido
+const COLUMNS = [
+    { key: 'barcode', label: 'Código de barras', aliases: ['codigo', 'ean', 'gtin', 'cod barras'], type: 'text' },
+    { key: 'name', label: 'Nome', aliases: ['descricao', 'produto'], type: 'text' },
+    { key: 'price', label: 'Preço', aliases: ['preco venda', 'valor'], type: 'money' },
+    { key: 'cost', label: 'Custo', aliases: ['preco custo'], type: 'money' },
+    { key: 'stock', label: 'Estoque', aliases: ['quantidade', 'qtd'], type: 'quantity' },
+    { key: 'category', label: 'Categoria', aliases: [], type: 'category' },
+    { key: 'lowStockAlert', label: 'Estoque mínimo', aliases: ['alerta estoque', 'alerta de estoque baixo'], type: 'integer' },
+    { key: 'isActive', label: 'Ativo', aliases: ['status'], type: 'boolean' },
+    { key: 'ncm', label: 'NCM', aliases: [], type: 'digits', length: 8 },
+    { key: 'cest', label: 'CEST', aliases: [], type: 'digits', length: 7 },
+    { key: 'cfop', label: 'CFOP', aliases: [], type: 'text' },
+    { key: 'csosn', label: 'CSOSN', aliases: [], type: 'text' },
+    { key: 'cst', label: 'CST', aliases: [], type: 'text' },
+    { key: 'origin', label: 'Origem', aliases: [], type: 'text' },
+    { key: 'unit', label: 'Unidade', aliases: ['un'], type: 'unit' }
+];
+
+const TRUE_VALUES = ['sim', 's', 'true', '1', 'ativo', 'x'];
+const FALSE_VALUES = ['nao', 'n', 'false', '0', 'inativo'];
+
+function normalizeHeader(value) {
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const HEADER_KEYS = new Map();
+for (const column of COLUMNS) {
+    for (const name of [column.key, column.label, ...column.aliases]) {
+        HEADER_KEYS.set(normalizeHeader(name), column);
+    }
+}
+
+// GTIN-8, UPC-A (12), EAN-13 e GTIN-14: dígito verificador módulo 10
+function gtinCheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+        sum += Number(digits[i]) * weight;
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+function isGtin(code) {
+    return /^(\d{8}|\d{12,14})$/.test(code);
+}
+
+function isValidGtin(code) {
+    return isGtin(code) && gtinCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+// Aceita "1.234,56", "9,99", "9.99" e "R$ 9,99"
+function parseDecimal(value) {
+    let text = String(value).replace(/R\$/i, '').replace(/\s/g, '');
+    if (text.includes(',')) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    }
+    if (!/^-?\d+(\.\d+)?$/.test(text)) return NaN;
+    return Number(text);
+}
+
+function parseCell(column, raw) {
+    const text = String(raw).trim();
+
+    switch (column.type) {
+        case 'money': {
+            const value = parseDecimal(text);
+            if (!Number.isFinite(value) || value < 0) return { error: `${column.label} inválido: "${text}"` };
+            return { value: roundMoney(value) };
+        }
+        case 'integer': {
+            const value = parseDecimal(text);
+            if (!Number.isInteger(value) || value < 0) return { error: `${column.label} deve ser um número inteiro não negativo` };
+            return { value };
+        }
+        case 'quantity': {
+            // Inteira ou fracionada conforme a unidade (conferido na linha)
+            const value = parseDecimal(text);
+            if (!Number.isFinite(value) || value < 0) return { error: `${column.label} deve ser um número não negativo` };
+            return { value };
+        }
+        case 'boolean': {
+            const normalized = normalizeHeader(text);
+            if (TRUE_VALUES.includes(normalized)) return { value: true };
+            if (FALSE_VALUES.includes(normalized)) return { value: false };
+            return { error: `${column.label} deve ser "sim" ou "não"` };
+        }
+        case 'digits':
+            // O Excel guarda NCM/CEST como número e descarta os zeros à esquerda
+            return { value: /^\d+$/.test(text) ? text.padStart(column.length, '0') : text };
+        case 'category':
+            return { value: text.toLowerCase() };
+        case 'unit':
+            return { value: text.toUpperCase() };
+        default:
+            return { value: text };
+    }
+}
+
+function barcodeError(barcode) {
+    if (!barcode) return 'Código de barras obrigatório';
+    if (/\s/.test(barcode) || barcode.length > MAX_BARCODE_LENGTH) return 'Código de barras inválido';
+    if (isGtin(barcode) && !isValidGtin(barcode)) return 'Dígito verificador do EAN/GTIN inválido';
+    return null;
+}
+
+// Mapeia o cabeçalho para as colunas conhecidas; colunas desconhecidas são ignoradas
+function mapHeader(header) {
+    const columns = [];
+    const ignored = [];
+    const seen = new Set();
+
+    header.forEach((name, index) => {
+        const column = HEADER_KEYS.get(normalizeHeader(name));
+        if (!column) {
+            if (String(name).trim()) ignored.push(String(name).trim());
+            return;
+        }
+        if (seen.has(column.key)) {
+            return;
+        }
+        seen.add(column.key);
+        columns.push({ column, index });
+    });
+
+    return { columns, ignored, keys: seen };
+}
+
+function sameValue(a, b) {
+    if (a === undefined || a === null) a = '';
+    if (b === undefined || b === null) b = '';
+    return typeof a === 'number' || typeof b === 'number' ? Number(a) === Number(b) : String(a) === String(b);
+}
+
+/**
+ * Monta o plano de importação.
+ * rows: linhas da planilha (a primeira é o cabeçalho)
+ * products: produtos da loja
+ * Retorna { error } se o arquivo não puder ser importado, ou
+ * { items, errors, ignoredColumns, summary }; cada erro indica a linha da planilha.
+ */
+function planImport(rows, products, { canEditPrice = true } = {}) {
+    if (!rows.length) {
+        return { error: 'Planilha vazia' };
+    }
+
+    const { columns, ignored, keys } = mapHeader(rows[0]);
+    if (!keys.has('barcode')) {
+        return { error: 'A planilha precisa da coluna "Código de barras" (ou "barcode")' };
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        return { error: `A planilha tem mais de ${MAX_IMPORT_ROWS} linhas; divida o arquivo` };
+    }
+
+    const byBarcode = new Map();
+    for (const product of products) {
+        const list = byBarcode.get(product.barcode) || [];
+        list.push(product);
+        byBarcode.set(product.barcode, list);
+    }
+
+    const items = [];
+    const errors = [];
+    const firstLine = new Map();
+
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (isBlankRow(row)) continue;
+
+        const line = i + 1;
+        const rowErrors = [];
+        const values = {};
+
+        for (const { column, index } of columns) {
+            const raw = row[index] ?? '';
+            if (String(raw).trim() === '') continue;
+
+            const { value, error } = parseCell(column, raw);
+            if (error) {
+                rowErrors.push(error);
+            } else {
+                values[column.key] = value;
+            }
+        }
+
+        const barcode = values.barcode || '';
+        const invalidBarcode = barcodeError(barcode);
+        if (invalidBarcode) {
+            rowErrors.unshift(invalidBarcode);
+        } else if (firstLine.has(barcode)) {
+            rowErrors.unshift(`Código de barras repetido na planilha (linha ${firstLine.get(barcode)})`);
+        } else {
+            firstLine.set(barcode, line);
+        }
+
+        const matches = byBarcode.get(barcode) || [];
+        const existing = matches[0];
+        if (matches.length > 1) {
+            rowErrors.push('Código de barras cadastrado em mais de um produto; corrija o cadastro antes de importar');
+        }
+
+        if (!existing) {
+            if (!values.name) rowErrors.push('Nome obrigatório para produto novo');
+            if (values.price === undefined) rowErrors.push('Preço obrigatório para produto novo');
+        }
+        if (values.price !== undefined && !(values.price > 0)) {
+            rowErrors.push('Preço deve ser maior que zero');
+        }
+
+        const taxError = productTaxError(values);
+        if (taxError) rowErrors.push(taxError);
+
+        const unit = values.unit ?? (existing && existing.unit);
+        if (values.stock !== undefined && !isValidQuantity(values.stock, unit)) {
+            rowErrors.push(isFractionalUnit(unit)
+                ? `Estoque deve ter no máximo ${QUANTITY_DECIMALS} casas decimais`
+                : 'Estoque deve ser um número inteiro para produtos vendidos por unidade');
+        }
+
+        if (existing && values.price !== undefined && values.price !== existing.price && !canEditPrice) {
+            rowErrors.push('Seu perfil não pode alterar preços');
+        }
+
+        if (rowErrors.length) {
+            errors.push(...rowErrors.map(message => ({ line, barcode, message })));
+            continue;
+        }
+
+        if (!existing) {
+            items.push({ line, barcode, action: 'create', product: { stock: 0, isActive: true, ...values } });
+            continue;
+        }
+
+        const changes = {};
+        for (const { column } of columns) {
+            if (!(column.key in values)) continue;
+            // Produtos sem o campo isActive são ativos
+            const current = column.type === 'boolean' ? existing[column.key] !== false : existing[column.key];
+            if (!sameValue(current, values[column.key])) changes[column.key] = values[column.key];
+        }
+        items.push({
+            line,
+            barcode,
+            productId: existing.id,
+            action: Object.keys(changes).length ? 'update' : 'unchanged',
+            changes
+        });
+    }
+
+    const invalidLines = new Set(errors.map(error => error.line));
+    const summary = {
+        rows: items.length + invalidLines.size,
+        create: items.filter(item => item.action === 'create').length,
+        update: items.filter(item => item.action === 'update').length,
+        unchanged: items.filter(item => item.action === 'unchanged').length,
+        invalid: invalidLines.size
+    };
+
+    return { items, errors, ignoredColumns: ignored, summary };
+}
+
+// Linhas para a exportação (cabeçalho + um produto por linha), no mesmo formato aceito pela importação
+function productsToRows(products) {
+    const rows = [COLUMNS.map(column => column.label)];
+    for (const product of products) {
+        rows.push(COLUMNS.map(column => {
+            const value = product[column.key];
+            if (column.type === 'boolean') return value === false ? 'não' : 'sim';
+            return value ?? '';
+        }));
+    }
+    return rows;
+}
+
+module.exports = {
+    COLUMNS,
+    MAX_IMPORT_ROWS,
+    gtinCheckDigit,
+    isValidGtin,
+    planImport,
+    productsToRows
+};
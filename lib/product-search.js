@@ -0,0 +1,241 @@
+/**
+ * PDV SaaS - Índice de busca de produtos
+ * Usado pelo servidor (um índice por loja) e pelo caixa (servido em /lib/product-search.js)
+ *
+ * Nome e códigos sem acentos e em minúsculas ("Café" = "cafe"). Ordem do resultado:
+ *   barcode  - código de barras (principal ou adicional) igual ao digitado
+ *   start    - nome começa com o termo
+ *   word     - cada palavra do termo é início de uma palavra do nome ou de um código
+ *   contains - nome contém o termo, ignorando espaços ("cocacola"; índice de trigramas)
+ *   fuzzy    - palavras com erro de digitação (1 letra até 6 letras, 2 acima disso;
+ *              não vale para termos com números, como códigos e tamanhos)
+ * Produtos atualizados entram com upsert(), sem refazer o índice inteiro.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ProductSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MATCH_RANKS = { barcode: 0, start: 1, word: 2, contains: 3, fuzzy: 4 };
+    const MIN_FUZZY_LENGTH = 4;
+
+    function foldText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    function trigrams(text) {
+        const grams = new Set();
+        for (let i = 0; i + 3 <= text.length; i++) {
+            grams.add(text.substring(i, i + 3));
+        }
+        return grams;
+    }
+
+    function compact(text) {
+        return text.replace(/ /g, '');
+    }
+
+    function maxTypos(token) {
+        if (token.length < MIN_FUZZY_LENGTH || /\d/.test(token)) return 0;
+        return token.length <= 6 ? 1 : 2;
+    }
+
+    // Distância de edição com troca de letras vizinhas; para ao passar de `limit`
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > limit) return limit + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function addToSet(map, key, id) {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(id);
+    }
+
+    function removeFromSet(map, key, id) {
+        const ids = map.get(key);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) map.delete(key);
+    }
+
+    class SearchIndex {
+        constructor(products = []) {
+            this.entries = new Map();  // id -> { name, words, grams, codes }
+            this.words = new Map();    // palavra ou código -> ids
+            this.grams = new Map();    // trigrama do nome sem espaços -> ids
+            this.codes = new Map();    // código de barras -> id
+            this.sortedWords = null;   // refeito na próxima busca depois de mudanças
+            products.forEach(product => this.upsert(product));
+        }
+
+        get size() {
+            return this.entries.size;
+        }
+
+        // product: { id, name, barcode, barcodes? }
+        upsert(product) {
+            this.remove(product.id);
+
+            const name = foldText(product.name);
+            const codes = [product.barcode, ...(product.barcodes || [])]
+                .map(code => String(code || '').trim())
+                .filter(Boolean);
+            const words = new Set([...name.split(' ').filter(Boolean), ...codes.map(code => code.toLowerCase())]);
+            const grams = trigrams(compact(name));
+            const entry = { name, words, grams, codes };
+
+            this.entries.set(product.id, entry);
+            words.forEach(word => addToSet(this.words, word, product.id));
+            grams.forEach(gram => addToSet(this.grams, gram, product.id));
+            codes.forEach(code => this.codes.set(code, product.id));
+            this.sortedWords = null;
+        }
+
+        remove(id) {
+            const entry = this.entries.get(id);
+            if (!entry) return;
+
+            entry.words.forEach(word => removeFromSet(this.words, word, id));
+            entry.grams.forEach(gram => removeFromSet(this.grams, gram, id));
+            entry.codes.forEach(code => {
+                if (this.codes.get(code) === id) this.codes.delete(code);
+            });
+            this.entries.delete(id);
+            this.sortedWords = null;
+        }
+
+        // Palavras que começam com o prefixo (busca binária na lista ordenada)
+        wordsWithPrefix(prefix) {
+            if (!this.sortedWords) {
+                this.sortedWords = [...this.words.keys()].sort();
+            }
+            const list = this.sortedWords;
+            let low = 0;
+            let high = list.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (list[middle] < prefix) low = middle + 1;
+                else high = middle;
+            }
+
+            const found = [];
+            for (let i = low; i < list.length && list[i].startsWith(prefix); i++) {
+                found.push(list[i]);
+            }
+            return found;
+        }
+
+        // ids com alguma palavra começando pelo token, e com erro de digitação
+        matchToken(token) {
+            const prefix = new Set();
+            this.wordsWithPrefix(token).forEach(word => this.words.get(word).forEach(id => prefix.add(id)));
+
+            const fuzzy = new Set();
+            const limit = maxTypos(token);
+            if (limit > 0) {
+                for (const [word, ids] of this.words) {
+                    if (/\d/.test(word)) continue;
+                    const candidate = word.length > token.length ? word.substring(0, token.length) : word;
+                    if (editDistance(token, candidate, limit) <= limit) {
+                        ids.forEach(id => { if (!prefix.has(id)) fuzzy.add(id); });
+                    }
+                }
+            }
+            return { prefix, fuzzy };
+        }
+
+        containing(query) {
+            const text = compact(query);
+            const grams = [...trigrams(text)];
+            if (grams.length === 0) return new Set();
+
+            const sets = grams.map(gram => this.grams.get(gram) || new Set()).sort((a, b) => a.size - b.size);
+            const found = new Set();
+            sets[0].forEach(id => {
+                if (sets.every(set => set.has(id)) && compact(this.entries.get(id).name).includes(text)) {
+                    found.add(id);
+                }
+            });
+            return found;
+        }
+
+        /**
+         * Retorna [{ id, match }] do melhor para o pior resultado.
+         * options.filter(id) descarta produtos (inativos, por exemplo).
+         */
+        search(term, { limit = 50, filter = null } = {}) {
+            const raw = String(term || '').trim();
+            const query = foldText(raw);
+            const matches = new Map();
+            const consider = (id, match) => {
+                if (filter && !filter(id)) return;
+                const current = matches.get(id);
+                if (!current || MATCH_RANKS[match] < MATCH_RANKS[current]) matches.set(id, match);
+            };
+
+            if (this.codes.has(raw)) consider(this.codes.get(raw), 'barcode');
+            if (!query) return this.rank(matches, limit);
+
+            // Todas as palavras do termo precisam aparecer (no início de uma palavra ou com erro de digitação)
+            const tokens = query.split(' ');
+            const tokenMatches = tokens.map(token => this.matchToken(token));
+            const [first, ...others] = tokenMatches;
+            const candidates = new Set([...first.prefix, ...first.fuzzy]);
+            candidates.forEach(id => {
+                if (!others.every(m => m.prefix.has(id) || m.fuzzy.has(id))) return;
+                const exact = tokenMatches.every(m => m.prefix.has(id));
+                const name = this.entries.get(id).name;
+                consider(id, !exact ? 'fuzzy' : name.startsWith(query) ? 'start' : 'word');
+            });
+
+            this.containing(query).forEach(id => consider(id, this.entries.get(id).name.startsWith(query) ? 'start' : 'contains'));
+
+            return this.rank(matches, limit);
+        }
+
+        // Mesmo nível: nomes mais curtos (mais próximos do termo) primeiro, depois em ordem alfabética
+        rank(matches, limit) {
+            return [...matches.entries()]
+                .map(([id, match]) => ({ id, match, name: this.entries.get(id).name }))
+                .sort((a, b) => MATCH_RANKS[a.match] - MATCH_RANKS[b.match] ||
+                    a.name.length - b.name.length ||
+                    a.name.localeCompare(b.name))
+                .slice(0, limit)
+                .map(({ id, match }) => ({ id, match }));
+        }
+    }
+
+    return {
+        MATCH_RANKS,
+        foldText,
+        editDistance,
+        SearchIndex
+    };
+});
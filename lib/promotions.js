@@ -0,0 +1,412 @@
+/**
+ * PDV SaaS - Descontos e promoções
+ * Motor único usado pelo servidor (POST /api/sales) e pelo carrinho
+ * (prévia no navegador, inclusive offline): o arquivo é servido em /lib/promotions.js
+ *
+ * Ordem de aplicação:
+ *   1. promoção do item (a de maior desconto; promoções não se acumulam)
+ *   2. desconto manual do item
+ *   3. cupom sobre o subtotal
+ *   4. desconto manual da venda
+ *   5. resgate de pontos de fidelidade (limitado ao que restou a pagar)
+ * Descontos da venda são rateados entre os itens, de modo que a soma
+ * dos totais dos itens é sempre o total da venda.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Promotions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PROMOTION_TYPES = {
+        buy_x_pay_y: 'Leve X pague Y',
+        category_discount: 'Desconto por categoria',
+        happy_hour: 'Happy hour'
+    };
+
+    const DISCOUNT_TYPES = ['percent', 'fixed'];
+    const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+    function roundMoney(value) {
+        return Math.round((value + Number.EPSILON) * 100) / 100;
+    }
+
+    // Dia da semana (0 = domingo) e hora "HH:MM" no fuso da loja
+    function localTime(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || DEFAULT_TIMEZONE,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const get = type => parts.find(p => p.type === type).value;
+
+        return {
+            weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+            time: `${get('hour')}:${get('minute')}`
+        };
+    }
+
+    function isPromotionActive(promotion, date, timeZone) {
+        if (promotion.isActive === false) return false;
+
+        const iso = date.toISOString();
+        if (promotion.startsAt && iso < promotion.startsAt) return false;
+        if (promotion.endsAt && iso > promotion.endsAt) return false;
+
+        const schedule = promotion.schedule;
+        if (schedule) {
+            const { weekday, time } = localTime(date, timeZone);
+            if (Array.isArray(schedule.daysOfWeek) && schedule.daysOfWeek.length > 0 &&
+                !schedule.daysOfWeek.includes(weekday)) {
+                return false;
+            }
+            if (schedule.startTime && time < schedule.startTime) return false;
+            if (schedule.endTime && time >= schedule.endTime) return false;
+        }
+
+        return true;
+    }
+
+    function promotionApplies(promotion, item) {
+        if (Array.isArray(promotion.productIds) && promotion.productIds.length > 0) {
+            return promotion.productIds.includes(item.productId);
+        }
+        if (promotion.category) {
+            return promotion.category === item.category;
+        }
+        return false;
+    }
+
+    // Desconto por unidade: percentual, valor fixo ou preço promocional
+    function unitDiscount(price, discountType, value) {
+        switch (discountType) {
+            case 'percent':
+                return price * Math.min(value, 100) / 100;
+            case 'fixed':
+                return Math.min(value, price);
+            case 'price':
+                return Math.max(0, price - value);
+            default:
+                return 0;
+        }
+    }
+
+    function promotionAmount(promotion, item) {
+        if (promotion.type === 'buy_x_pay_y') {
+            const buy = promotion.buyQuantity;
+            const pay = promotion.payQuantity;
+            if (!(buy > pay) || !(pay >= 0)) return 0;
+            const freeUnits = Math.floor(item.quantity / buy) * (buy - pay);
+            return freeUnits * item.price;
+        }
+
+        return unitDiscount(item.price, promotion.discountType, promotion.value) * item.quantity;
+    }
+
+    // Valor de um desconto manual ({ type, value }) sobre uma base
+    function manualDiscountAmount(discount, base) {
+        if (!discount || !discount.value) return { amount: 0 };
+
+        const value = Number(discount.value);
+        if (!DISCOUNT_TYPES.includes(discount.type) || !(value > 0)) {
+            return { error: 'Desconto inválido' };
+        }
+        if (discount.type === 'percent' && value > 100) {
+            return { error: 'Desconto percentual não pode passar de 100%' };
+        }
+        if (discount.type === 'fixed' && value > base + 0.005) {
+            return { error: 'Desconto maior que o valor' };
+        }
+
+        return { amount: roundMoney(discount.type === 'percent' ? base * value / 100 : value) };
+    }
+
+    /**
+     * Calcula os descontos de uma venda.
+     * items: [{ productId, productName, category, price, quantity, discount? }]
+     * loyalty: { points, amount } - resgate já validado contra o saldo do cliente
+     * Retorna { items, subtotal, discounts, promotionDiscount, couponDiscount,
+     *           manualDiscount, loyaltyDiscount, discountTotal, total } ou { error }.
+     */
+    function applyDiscounts({ items, promotions = [], coupon = null, cartDiscount = null, loyalty = null, now = new Date(), timeZone }) {
+        const date = now instanceof Date ? now : new Date(now);
+        const active = promotions.filter(p => isPromotionActive(p, date, timeZone));
+        const discounts = [];
+        let manualDiscount = 0;
+
+        const lines = [];
+        for (const item of items) {
+            const grossTotal = roundMoney(item.price * item.quantity);
+            let net = grossTotal;
+            const lineDiscounts = [];
+
+            // Melhor promoção para o item
+            let best = null;
+            for (const promotion of active) {
+                if (!promotionApplies(promotion, item)) continue;
+                const amount = roundMoney(Math.min(promotionAmount(promotion, item), net));
+                if (amount > 0 && (!best || amount > best.amount)) {
+                    best = { promotion, amount };
+                }
+            }
+            if (best) {
+                net = roundMoney(net - best.amount);
+                lineDiscounts.push({
+                    source: 'promotion',
+                    promotionId: best.promotion.id,
+                    name: best.promotion.name,
+                    amount: best.amount
+                });
+            }
+
+            const manual = manualDiscountAmount(item.discount, net);
+            if (manual.error) {
+                return { error: `${manual.error} (${item.productName || `produto ${item.productId}`})` };
+            }
+            if (manual.amount > 0) {
+                net = roundMoney(net - manual.amount);
+                manualDiscount += manual.amount;
+                lineDiscounts.push({ source: 'item', name: 'Desconto no item', amount: manual.amount });
+            }
+
+            lines.push({ item, grossTotal, net, lineDiscounts });
+        }
+
+        const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.grossTotal, 0));
+        const afterItems = roundMoney(lines.reduce((sum, line) => sum + line.net, 0));
+
+        // Descontos da venda: cupom e desconto manual
+        let cartAmount = 0;
+        let couponDiscount = 0;
+
+        if (coupon) {
+            if (coupon.minTotal && afterItems < coupon.minTotal) {
+                return { error: `Cupom ${coupon.code} exige compra mínima de R$ ${Number(coupon.minTotal).toFixed(2)}` };
+            }
+            couponDiscount = roundMoney(Math.min(
+                coupon.discountType === 'percent' ? afterItems * Math.min(coupon.value, 100) / 100 : coupon.value,
+                afterItems
+            ));
+            if (couponDiscount > 0) {
+                discounts.push({ source: 'coupon', couponId: coupon.id, code: coupon.code, name: `Cupom ${coupon.code}`, amount: couponDiscount });
+            }
+            cartAmount += couponDiscount;
+        }
+
+        const manualCart = manualDiscountAmount(cartDiscount, roundMoney(afterItems - cartAmount));
+        if (manualCart.error) {
+            return { error: manualCart.error };
+        }
+        if (manualCart.amount > 0) {
+            discounts.push({ source: 'manual', name: 'Desconto na venda', amount: manualCart.amount });
+            manualDiscount += manualCart.amount;
+            cartAmount += manualCart.amount;
+        }
+
+        // Resgate de pontos: não conta como desconto manual (não pede aprovação)
+        let loyaltyDiscount = 0;
+        if (loyalty && loyalty.points > 0) {
+            loyaltyDiscount = roundMoney(Math.min(loyalty.amount, afterItems - cartAmount));
+            if (loyaltyDiscount > 0) {
+                discounts.push({ source: 'loyalty', name: `Resgate de ${loyalty.points} pontos`, points: loyalty.points, amount: loyaltyDiscount });
+            }
+            cartAmount += loyaltyDiscount;
+        }
+
+        const total = roundMoney(afterItems - cartAmount);
+
+        // Rateio dos descontos da venda; a última linha absorve o arredondamento
+        let allocated = 0;
+        const resultItems = lines.map((line, index) => {
+            const share = index === lines.length - 1
+                ? roundMoney(cartAmount - allocated)
+                : roundMoney(afterItems > 0 ? cartAmount * line.net / afterItems : 0);
+            allocated = roundMoney(allocated + share);
+
+            const lineTotal = roundMoney(line.net - share);
+            const { discount: _, ...item } = line.item;
+
+            return {
+                ...item,
+                grossTotal: line.grossTotal,
+                discounts: line.lineDiscounts,
+                discount: roundMoney(line.grossTotal - lineTotal),
+                total: lineTotal
+            };
+        });
+
+        // Promoções agrupadas para o comprovante
+        const byPromotion = new Map();
+        for (const line of lines) {
+            for (const discount of line.lineDiscounts.filter(d => d.source === 'promotion')) {
+                const current = byPromotion.get(discount.promotionId) || { ...discount, amount: 0 };
+                current.amount = roundMoney(current.amount + discount.amount);
+                byPromotion.set(discount.promotionId, current);
+            }
+        }
+        const itemManual = roundMoney(lines.reduce(
+            (sum, line) => sum + line.lineDiscounts.filter(d => d.source === 'item').reduce((s, d) => s + d.amount, 0), 0
+        ));
+        if (itemManual > 0) {
+            discounts.unshift({ source: 'item', name: 'Descontos nos itens', amount: itemManual });
+        }
+        discounts.unshift(...byPromotion.values());
+
+        const promotionDiscount = roundMoney([...byPromotion.values()].reduce((sum, d) => sum + d.amount, 0));
+
+        return {
+            items: resultItems,
+            subtotal,
+            discounts,
+            promotionDiscount,
+            couponDiscount,
+            manualDiscount: roundMoney(manualDiscount),
+            loyaltyDiscount,
+            discountTotal: roundMoney(subtotal - total),
+            total
+        };
+    }
+
+    const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    // Data opcional do cadastro: null quando vazia, undefined quando inválida
+    function optionalDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+
+    // Valida o cadastro de uma promoção. Retorna { promotion } ou { error }
+    function normalizePromotion(input) {
+        const type = input.type;
+        if (!PROMOTION_TYPES[type]) {
+            return { error: 'Tipo de promoção inválido' };
+        }
+
+        const name = String(input.name || '').trim();
+        if (!name) {
+            return { error: 'Informe o nome da promoção' };
+        }
+
+        const productIds = Array.isArray(input.productIds) ? input.productIds.map(Number).filter(Number.isInteger) : [];
+        const category = input.category ? String(input.category).trim() : null;
+        if (productIds.length === 0 && !category) {
+            return { error: 'Informe os produtos ou a categoria da promoção' };
+        }
+
+        const startsAt = optionalDate(input.startsAt);
+        const endsAt = optionalDate(input.endsAt);
+        if (startsAt === undefined || endsAt === undefined) {
+            return { error: 'Data da promoção inválida' };
+        }
+        if (startsAt && endsAt && endsAt < startsAt) {
+            return { error: 'O fim da promoção deve ser depois do início' };
+        }
+
+        const promotion = {
+            type,
+            name,
+            productIds,
+            category,
+            isActive: input.isActive !== false,
+            startsAt,
+            endsAt,
+            schedule: null
+        };
+
+        if (type === 'buy_x_pay_y') {
+            const buyQuantity = Number(input.buyQuantity);
+            const payQuantity = Number(input.payQuantity);
+            if (!Number.isInteger(buyQuantity) || !Number.isInteger(payQuantity) || payQuantity < 1 || buyQuantity <= payQuantity) {
+                return { error: 'Informe quantidades válidas (leve mais do que paga)' };
+            }
+            promotion.buyQuantity = buyQuantity;
+            promotion.payQuantity = payQuantity;
+        } else {
+            const allowed = type === 'happy_hour' ? ['percent', 'fixed', 'price'] : DISCOUNT_TYPES;
+            const value = Number(input.value);
+            if (!allowed.includes(input.discountType) || !(value > 0) ||
+                (input.discountType === 'percent' && value > 100)) {
+                return { error: 'Desconto da promoção inválido' };
+            }
+            promotion.discountType = input.discountType;
+            promotion.value = roundMoney(value);
+        }
+
+        if (type === 'happy_hour' || input.schedule) {
+            const schedule = input.schedule || {};
+            if (!TIME_REGEX.test(schedule.startTime || '') || !TIME_REGEX.test(schedule.endTime || '') ||
+                schedule.startTime >= schedule.endTime) {
+                return { error: 'Informe o horário da promoção (HH:MM)' };
+            }
+            promotion.schedule = {
+                daysOfWeek: Array.isArray(schedule.daysOfWeek)
+                    ? schedule.daysOfWeek.map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+                    : [],
+                startTime: schedule.startTime,
+                endTime: schedule.endTime
+            };
+        }
+
+        return { promotion };
+    }
+
+    // Valida o cadastro de um cupom. Retorna { coupon } ou { error }
+    function normalizeCoupon(input) {
+        const code = String(input.code || '').trim().toUpperCase();
+        if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+            return { error: 'Código do cupom inválido (3 a 20 letras, números, - ou _)' };
+        }
+
+        const value = Number(input.value);
+        if (!DISCOUNT_TYPES.includes(input.discountType) || !(value > 0) ||
+            (input.discountType === 'percent' && value > 100)) {
+            return { error: 'Desconto do cupom inválido' };
+        }
+
+        const maxUses = input.maxUses ? Number(input.maxUses) : null;
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+            return { error: 'Limite de usos inválido' };
+        }
+
+        const expiresAt = optionalDate(input.expiresAt);
+        if (expiresAt === undefined) {
+            return { error: 'Validade do cupom inválida' };
+        }
+
+        return {
+            coupon: {
+                code,
+                discountType: input.discountType,
+                value: roundMoney(value),
+                minTotal: input.minTotal ? roundMoney(Number(input.minTotal)) : 0,
+                maxUses,
+                expiresAt,
+                isActive: input.isActive !== false
+            }
+        };
+    }
+
+    // Cupom utilizável agora? Retorna mensagem de erro ou null
+    function couponError(coupon, date) {
+        if (!coupon || coupon.isActive === false) return 'Cupom inválido';
+        if (coupon.expiresAt && date.toISOString() > coupon.expiresAt) return 'Cupom expirado';
+        if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) return 'Cupom esgotado';
+        return null;
+    }
+
+    return {
+        PROMOTION_TYPES,
+        DISCOUNT_TYPES,
+        DEFAULT_TIMEZONE,
+        isPromotionActive,
+        applyDiscounts,
+        normalizePromotion,
+        normalizeCoupon,
+        couponError
+    };
+});
@@ -0,0 +1,225 @@
+/**
+ * PDV SaaS - Fornecedores e pedidos de compra
+ * Validação do cadastro e dos pedidos, custo médio ponderado no
+ * recebimento e sugestão de reposição pelo giro recente de vendas.
+ *
+ * Pedido: draft → sent → partially_received → received (ou cancelled)
+ */
+
+const { roundMoney } = require('./money');
+const { isValidCnpj, onlyDigits } = require('./fiscal/nfce');
+const { isValidQuantity, roundQuantity } = require('./measure');
+const { isKit, stockLines } = require('./catalog');
+
+const PURCHASE_ORDER_STATUSES = {
+    draft: 'Rascunho',
+    sent: 'Enviado',
+    partially_received: 'Recebido parcialmente',
+    received: 'Recebido',
+    cancelled: 'Cancelado'
+};
+
+// Pedidos ainda abertos: a quantidade não recebida conta como "a caminho"
+const OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const DEFAULT_LOW_STOCK_ALERT = 5;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeSupplier(input) {
+    const name = (input.name || '').trim();
+    const cnpj = onlyDigits(input.cnpj);
+    const email = (input.email || '').trim().toLowerCase();
+    const leadTimeDays = input.leadTimeDays === undefined || input.leadTimeDays === ''
+        ? DEFAULT_LEAD_TIME_DAYS
+        : Number(input.leadTimeDays);
+
+    if (!name) {
+        return { error: 'Nome do fornecedor é obrigatório' };
+    }
+    if (cnpj && !isValidCnpj(cnpj)) {
+        return { error: 'CNPJ do fornecedor inválido' };
+    }
+    if (email && !EMAIL_REGEX.test(email)) {
+        return { error: 'E-mail do fornecedor inválido' };
+    }
+    if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0 || leadTimeDays > 365) {
+        return { error: 'Prazo de entrega deve ser um número de dias entre 0 e 365' };
+    }
+
+    return {
+        supplier: {
+            name,
+            cnpj,
+            email,
+            phone: (input.phone || '').trim(),
+            contactName: (input.contactName || '').trim(),
+            leadTimeDays,
+            notes: (input.notes || '').trim(),
+            isActive: input.isActive !== false
+        }
+    };
+}
+
+/**
+ * Itens do pedido: [{ productId, quantity, unitCost }]
+ * products: Map id → produto da loja
+ */
+function normalizeOrderItems(rawItems, products) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        return { error: 'Informe os itens do pedido' };
+    }
+
+    const items = [];
+    for (const raw of rawItems) {
+        const product = products.get(parseInt(raw.productId));
+        if (!product) {
+            return { error: `Produto ${raw.productId} não encontrado` };
+        }
+        if (items.some(item => item.productId === product.id)) {
+            return { error: `Produto ${product.name} repetido no pedido` };
+        }
+        if (isKit(product)) {
+            return { error: `${product.name} é um kit: compre os componentes` };
+        }
+
+        const quantity = Number(raw.quantity);
+        const unitCost = raw.unitCost === undefined || raw.unitCost === '' ? product.cost || 0 : Number(raw.unitCost);
+        if (!isValidQuantity(quantity, product.unit) || quantity <= 0) {
+            return { error: `Quantidade inválida para ${product.name}` };
+        }
+        if (!Number.isFinite(unitCost) || unitCost < 0) {
+            return { error: `Custo inválido para ${product.name}` };
+        }
+
+        items.push({
+            productId: product.id,
+            barcode: product.barcode,
+            productName: product.name,
+            unit: product.unit || 'UN',
+            quantity,
+            unitCost: roundMoney(unitCost),
+            receivedQuantity: 0
+        });
+    }
+
+    return { items, total: orderTotal(items) };
+}
+
+function orderTotal(items) {
+    return roundMoney(items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0));
+}
+
+function pendingQuantity(item) {
+    return roundQuantity(item.quantity - (item.receivedQuantity || 0));
+}
+
+// Custo médio ponderado: estoque atual ao custo atual + entrada ao custo da compra
+function weightedAverageCost(stock, cost, quantity, unitCost) {
+    const currentStock = Math.max(0, stock || 0);
+    if (currentStock + quantity <= 0) return roundMoney(unitCost);
+    return roundMoney((currentStock * (cost || 0) + quantity * unitCost) / (currentStock + quantity));
+}
+
+function receiptStatus(items) {
+    if (items.every(item => pendingQuantity(item) <= 0)) return 'received';
+    if (items.some(item => item.receivedQuantity > 0)) return 'partially_received';
+    return 'sent';
+}
+
+/**
+ * Sugestão de reposição.
+ * Giro = unidades vendidas (menos estornos) nos últimos `days` dias / days.
+ * Ponto de pedido = estoque mínimo + giro × prazo de entrega do fornecedor.
+ * Quando estoque + pedidos abertos ≤ ponto de pedido, sugere comprar o
+ * suficiente para chegar ao ponto de pedido + giro × coverageDays.
+ * Retorna os produtos agrupados por fornecedor (supplierId null = sem fornecedor).
+ */
+function buildReorderSuggestions({ products, sales, suppliers, openOrders, days, coverageDays }) {
+    // Kits vendidos contam como venda dos componentes
+    const sold = new Map();
+    for (const sale of sales) {
+        for (const item of sale.items) {
+            const quantity = item.quantity - (item.refundedQuantity || 0);
+            for (const line of stockLines(item, quantity)) {
+                sold.set(line.productId, (sold.get(line.productId) || 0) + line.quantity);
+            }
+        }
+    }
+
+    const onOrder = new Map();
+    for (const order of openOrders) {
+        for (const item of order.items) {
+            onOrder.set(item.productId, (onOrder.get(item.productId) || 0) + Math.max(0, pendingQuantity(item)));
+        }
+    }
+
+    const supplierById = new Map(suppliers.map(supplier => [supplier.id, supplier]));
+    const groups = new Map();
+
+    // Kits e produtos com variações não têm estoque próprio para repor
+    const parentIds = new Set(products.filter(product => product.parentId).map(product => product.parentId));
+
+    for (const product of products) {
+        if (product.isActive === false || isKit(product) || parentIds.has(product.id)) continue;
+
+        const supplier = supplierById.get(product.supplierId) || null;
+        const leadTimeDays = supplier ? supplier.leadTimeDays : DEFAULT_LEAD_TIME_DAYS;
+        const dailySales = (sold.get(product.id) || 0) / days;
+        const minimum = product.lowStockAlert || DEFAULT_LOW_STOCK_ALERT;
+        const reorderPoint = minimum + dailySales * leadTimeDays;
+        const incoming = onOrder.get(product.id) || 0;
+        const available = (product.stock || 0) + incoming;
+
+        if (available > reorderPoint) continue;
+
+        const target = reorderPoint + dailySales * coverageDays;
+        const quantity = Math.max(1, Math.ceil(target - available));
+        const key = supplier ? supplier.id : null;
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                supplierId: key,
+                supplierName: supplier ? supplier.name : 'Sem fornecedor',
+                leadTimeDays,
+                items: [],
+                estimatedTotal: 0
+            });
+        }
+        const group = groups.get(key);
+        group.items.push({
+            productId: product.id,
+            barcode: product.barcode,
+            productName: product.name,
+            stock: product.stock || 0,
+            onOrder: incoming,
+            lowStockAlert: minimum,
+            dailySales: Math.round(dailySales * 100) / 100,
+            reorderPoint: Math.ceil(reorderPoint),
+            quantity,
+            unitCost: product.cost || 0
+        });
+        group.estimatedTotal = roundMoney(group.estimatedTotal + quantity * (product.cost || 0));
+    }
+
+    // Fornecedores primeiro, em ordem alfabética; "sem fornecedor" por último
+    return [...groups.values()].sort((a, b) => {
+        if (a.supplierId === null) return 1;
+        if (b.supplierId === null) return -1;
+        return a.supplierName.localeCompare(b.supplierName);
+    });
+}
+
+module.exports = {
+    PURCHASE_ORDER_STATUSES,
+    OPEN_STATUSES,
+    RECEIVABLE_STATUSES,
+    normalizeSupplier,
+    normalizeOrderItems,
+    orderTotal,
+    pendingQuantity,
+    weightedAverageCost,
+    receiptStatus,
+    buildReorderSuggestions
+};
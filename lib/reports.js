@@ -0,0 +1,553 @@
+/**
+ * PDV SaaS - Relatórios por período
+ * Datas e horas no fuso da loja (tenant.timezone): o período
+ * "2024-05-10" vai da meia-noite às 23:59:59.999 no horário local,
+ * não em UTC.
+ *
+ * Todo relatório tem o mesmo formato, usado pela tela, pelos gráficos
+ * e pela exportação CSV/PDF:
+ *   { type, title, columns: [{ key, label, format }], rows, totals, chart }
+ * format: text | number | money | percent
+ */
+
+const { roundMoney } = require('./money');
+const { PAYMENT_METHODS, COUNTED_STATUSES, salePaymentBreakdown } = require('./payments');
+const { roundQuantity } = require('./measure');
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PERIOD_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_TYPES = {
+    'sales-by-day': 'Vendas por dia',
+    'sales-by-hour': 'Vendas por hora',
+    'by-category': 'Vendas por categoria',
+    'by-cashier': 'Vendas por operador',
+    'by-payment': 'Recebimentos por forma de pagamento',
+    'margin': 'Margem bruta por produto',
+    'abc': 'Curva ABC de produtos',
+    'cancellations': 'Cancelamentos e estornos'
+};
+
+// Curva ABC: A até 80% do faturamento acumulado, B até 95%, C o restante
+const ABC_LIMITS = { A: 80, B: 95 };
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function partsFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Data e hora locais de um instante: { date: 'AAAA-MM-DD', hour }
+function localParts(value, timeZone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    for (const part of partsFormatter(timeZone).formatToParts(new Date(value))) {
+        parts[part.type] = part.value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+}
+
+// Diferença (ms) entre o horário local e UTC no instante informado
+function timeZoneOffset(timestamp, timeZone) {
+    const local = localParts(timestamp, timeZone);
+    const [year, month, day] = local.date.split('-').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Meia-noite local da data (AAAA-MM-DD) como instante UTC
+function startOfLocalDay(date, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day);
+    const first = guess - timeZoneOffset(guess, timeZone);
+    // Horário de verão: o deslocamento pode ser outro na data calculada
+    const adjusted = guess - timeZoneOffset(first, timeZone);
+    // ...e, se a meia-noite não existir (início do horário de verão), o dia começa à 01:00
+    return localParts(adjusted, timeZone).date === date ? adjusted : first;
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * Período do relatório no fuso da loja.
+ * from/to: 'AAAA-MM-DD' (inclusivos); padrão: hoje.
+ * Retorna { from, to, since, until } (since/until em ISO UTC) ou { error }.
+ */
+function resolvePeriod({ from, to }, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+    const today = localParts(now, timeZone).date;
+    from = from || to || today;
+    to = to || from;
+
+    if (!DATE_REGEX.test(from) || !DATE_REGEX.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+        return { error: 'Datas devem estar no formato AAAA-MM-DD' };
+    }
+    if (from > to) {
+        return { error: 'Data inicial maior que a final' };
+    }
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_PERIOD_DAYS) {
+        return { error: `Período máximo de ${MAX_PERIOD_DAYS} dias` };
+    }
+
+    return {
+        from,
+        to,
+        since: new Date(startOfLocalDay(from, timeZone)).toISOString(),
+        until: new Date(startOfLocalDay(addDays(to, 1), timeZone) - 1).toISOString()
+    };
+}
+
+function remainingQuantity(item) {
+    return roundQuantity(item.quantity - (item.refundedQuantity || 0));
+}
+
+// Valor líquido do item (descontos rateados, menos estornos)
+function itemNetAmount(item) {
+    const lineTotal = item.total ?? roundMoney(item.price * item.quantity);
+    return roundMoney(lineTotal - (item.refundedAmount || 0));
+}
+
+// Custo do item: o registrado na venda ou, em vendas antigas, o custo atual do produto
+function itemCost(item, products) {
+    const unitCost = item.unitCost ?? (products.get(item.productId) || {}).cost ?? 0;
+    return roundMoney(unitCost * remainingQuantity(item));
+}
+
+function saleNetAmount(sale) {
+    return roundMoney(sale.total - (sale.refundedAmount || 0));
+}
+
+function percent(part, total) {
+    return total > 0 ? Math.round(part / total * 10000) / 100 : 0;
+}
+
+function sumBy(rows, key) {
+    return roundMoney(rows.reduce((sum, row) => sum + row[key], 0));
+}
+
+function salesByDay(sales, period, timeZone) {
+    const days = new Map();
+    for (let date = period.from; date <= period.to; date = addDays(date, 1)) {
+        days.set(date, { date, salesCount: 0, revenue: 0 });
+    }
+    for (const sale of sales) {
+        const row = days.get(localParts(sale.createdAt, timeZone).date);
+        if (!row) continue;
+        row.salesCount++;
+        row.revenue = roundMoney(row.revenue + saleNetAmount(sale));
+    }
+
+    const rows = [...days.values()].map(row => ({
+        ...row,
+        averageTicket: row.salesCount > 0 ? roundMoney(row.revenue / row.salesCount) : 0
+    }));
+    const totals = { date: 'Total', salesCount: rows.reduce((sum, row) => sum + row.salesCount, 0), revenue: sumBy(rows, 'revenue') };
+    totals.averageTicket = totals.salesCount > 0 ? roundMoney(totals.revenue / totals.salesCount) : 0;
+
+    return {
+        columns: [
+            { key: 'date', label: 'Data', format: 'date' },
+            { key: 'salesCount', label: 'Vendas', format: 'number' },
+            { key: 'revenue', label: 'Faturamento', format: 'money' },
+            { key: 'averageTicket', label: 'Ticket médio', format: 'money' }
+        ],
+        rows,
+        totals,
+        chart: { type: 'line', labelKey: 'date', valueKey: 'revenue' }
+    };
+}
+
+function salesByHour(sales, timeZone) {
+    const rows = Array.from({ length: 24 }, (_, hour) => ({ hour: `${String(hour).padStart(2, '0')}h`, salesCount: 0, revenue: 0 }));
+    for (const sale of sales) {
+        const row = rows[localParts(sale.createdAt, timeZone).hour];
+        row.salesCount++;
+        row.revenue = roundMoney(row.revenue + saleNetAmount(sale));
+    }
+
+    return {
+        columns: [
+            { key: 'hour', label: 'Hora', format: 'text' },
+            { key: 'salesCount', label: 'Vendas', format: 'number' },
+            { key: 'revenue', label: 'Faturamento', format: 'money' }
+        ],
+        rows,
+        totals: { hour: 'Total', salesCount: rows.reduce((sum, row) => sum + row.salesCount, 0), revenue: sumBy(rows, 'revenue') },
+        chart: { type: 'bar', labelKey: 'hour', valueKey: 'revenue' }
+    };
+}
+
+// Agrupa os itens vendidos por uma chave (categoria, produto)
+function groupItems(sales, products, keyOf) {
+    const groups = new Map();
+    for (const sale of sales) {
+        for (const item of sale.items) {
+            const quantity = remainingQuantity(item);
+            if (quantity <= 0) continue;
+
+            const { key, ...fields } = keyOf(item);
+            const group = groups.get(key) || { ...fields, quantity: 0, revenue: 0, cost: 0 };
+            group.quantity = roundQuantity(group.quantity + quantity);
+            group.revenue = roundMoney(group.revenue + itemNetAmount(item));
+            group.cost = roundMoney(group.cost + itemCost(item, products));
+            groups.set(key, group);
+        }
+    }
+
+    return [...groups.values()].map(group => ({
+        ...group,
+        margin: roundMoney(group.revenue - group.cost),
+        marginPercent: percent(group.revenue - group.cost, group.revenue)
+    }));
+}
+
+const MARGIN_COLUMNS = [
+    { key: 'quantity', label: 'Qtd', format: 'number' },
+    { key: 'revenue', label: 'Faturamento', format: 'money' },
+    { key: 'cost', label: 'Custo', format: 'money' },
+    { key: 'margin', label: 'Margem', format: 'money' },
+    { key: 'marginPercent', label: 'Margem %', format: 'percent' }
+];
+
+function marginTotals(rows, labelKey, label) {
+    const revenue = sumBy(rows, 'revenue');
+    const cost = sumBy(rows, 'cost');
+    return {
+        [labelKey]: label,
+        quantity: roundQuantity(rows.reduce((sum, row) => sum + row.quantity, 0)),
+        revenue,
+        cost,
+        margin: roundMoney(revenue - cost),
+        marginPercent: percent(revenue - cost, revenue)
+    };
+}
+
+function byCategory(sales, products) {
+    const rows = groupItems(sales, products, item => {
+        const category = item.category || (products.get(item.productId) || {}).category || 'sem categoria';
+        return { key: category, category };
+    }).sort((a, b) => b.revenue - a.revenue);
+
+    return {
+        columns: [{ key: 'category', label: 'Categoria', format: 'text' }, ...MARGIN_COLUMNS],
+        rows,
+        totals: marginTotals(rows, 'category', 'Total'),
+        chart: { type: 'pie', labelKey: 'category', valueKey: 'revenue' }
+    };
+}
+
+function productRows(sales, products) {
+    return groupItems(sales, products, item => ({
+        key: item.productId,
+        productId: item.productId,
+        barcode: item.barcode || (products.get(item.productId) || {}).barcode || '',
+        productName: item.productName || `Produto ${item.productId}`
+    })).sort((a, b) => b.revenue - a.revenue);
+}
+
+function margin(sales, products) {
+    const rows = productRows(sales, products);
+    return {
+        columns: [
+            { key: 'barcode', label: 'Código', format: 'text' },
+            { key: 'productName', label: 'Produto', format: 'text' },
+            ...MARGIN_COLUMNS
+        ],
+        rows,
+        totals: marginTotals(rows, 'productName', 'Total'),
+        chart: { type: 'bar', labelKey: 'productName', valueKey: 'margin', limit: 15 }
+    };
+}
+
+function abc(sales, products) {
+    const rows = productRows(sales, products);
+    const total = sumBy(rows, 'revenue');
+    let cumulative = 0;
+
+    const classified = rows.map((row, index) => {
+        const share = percent(row.revenue, total);
+        // A classe é decidida pelo acumulado antes do produto: o primeiro é sempre A
+        const before = percent(cumulative, total);
+        cumulative += row.revenue;
+        return {
+            rank: index + 1,
+            barcode: row.barcode,
+            productName: row.productName,
+            quantity: row.quantity,
+            revenue: row.revenue,
+            share,
+            cumulativeShare: percent(cumulative, total),
+            abcClass: before < ABC_LIMITS.A ? 'A' : before < ABC_LIMITS.B ? 'B' : 'C'
+        };
+    });
+
+    const summary = ['A', 'B', 'C'].map(abcClass => {
+        const items = classified.filter(row => row.abcClass === abcClass);
+        return { abcClass, products: items.length, revenue: sumBy(items, 'revenue') };
+    });
+
+    return {
+        columns: [
+            { key: 'rank', label: '#', format: 'number' },
+            { key: 'barcode', label: 'Código', format: 'text' },
+            { key: 'productName', label: 'Produto', format: 'text' },
+            { key: 'quantity', label: 'Qtd', format: 'number' },
+            { key: 'revenue', label: 'Faturamento', format: 'money' },
+            { key: 'share', label: '% do total', format: 'percent' },
+            { key: 'cumulativeShare', label: '% acumulado', format: 'percent' },
+            { key: 'abcClass', label: 'Classe', format: 'text' }
+        ],
+        rows: classified,
+        totals: { productName: 'Total', quantity: roundQuantity(classified.reduce((sum, row) => sum + row.quantity, 0)), revenue: total, share: total > 0 ? 100 : 0 },
+        summary,
+        chart: { type: 'pie', labelKey: 'abcClass', valueKey: 'revenue', data: summary }
+    };
+}
+
+function byCashier(sales, cancelled, users) {
+    const groups = new Map();
+    const rowFor = userId => {
+        if (!groups.has(userId)) {
+            const user = users.get(userId);
+            groups.set(userId, {
+                userId,
+                cashier: user ? user.name || user.email : `Usuário ${userId}`,
+                salesCount: 0,
+                revenue: 0,
+                averageTicket: 0,
+                cancelledCount: 0,
+                cancelledAmount: 0
+            });
+        }
+        return groups.get(userId);
+    };
+
+    for (const sale of sales) {
+        const row = rowFor(sale.userId);
+        row.salesCount++;
+        row.revenue = roundMoney(row.revenue + saleNetAmount(sale));
+    }
+    for (const sale of cancelled) {
+        const row = rowFor(sale.userId);
+        row.cancelledCount++;
+        row.cancelledAmount = roundMoney(row.cancelledAmount + (sale.cancellation ? sale.cancellation.amount : sale.total));
+    }
+
+    const rows = [...groups.values()]
+        .map(row => ({ ...row, averageTicket: row.salesCount > 0 ? roundMoney(row.revenue / row.salesCount) : 0 }))
+        .sort((a, b) => b.revenue - a.revenue);
+
+    return {
+        columns: [
+            { key: 'cashier', label: 'Operador', format: 'text' },
+            { key: 'salesCount', label: 'Vendas', format: 'number' },
+            { key: 'revenue', label: 'Faturamento', format: 'money' },
+            { key: 'averageTicket', label: 'Ticket médio', format: 'money' },
+            { key: 'cancelledCount', label: 'Cancelamentos', format: 'number' },
+            { key: 'cancelledAmount', label: 'Valor cancelado', format: 'money' }
+        ],
+        rows,
+        totals: {
+            cashier: 'Total',
+            salesCount: rows.reduce((sum, row) => sum + row.salesCount, 0),
+            revenue: sumBy(rows, 'revenue'),
+            cancelledCount: rows.reduce((sum, row) => sum + row.cancelledCount, 0),
+            cancelledAmount: sumBy(rows, 'cancelledAmount')
+        },
+        chart: { type: 'bar', labelKey: 'cashier', valueKey: 'revenue' }
+    };
+}
+
+function byPayment(sales) {
+    const groups = new Map();
+    for (const sale of sales) {
+        for (const [method, amount] of Object.entries(salePaymentBreakdown(sale))) {
+            const row = groups.get(method) || { method: PAYMENT_METHODS[method] || method, salesCount: 0, amount: 0 };
+            row.salesCount++;
+            row.amount = roundMoney(row.amount + amount);
+            groups.set(method, row);
+        }
+    }
+
+    const rows = [...groups.values()].sort((a, b) => b.amount - a.amount);
+    const total = sumBy(rows, 'amount');
+    for (const row of rows) {
+        row.share = percent(row.amount, total);
+    }
+
+    return {
+        columns: [
+            { key: 'method', label: 'Forma de pagamento', format: 'text' },
+            { key: 'salesCount', label: 'Vendas', format: 'number' },
+            { key: 'amount', label: 'Valor', format: 'money' },
+            { key: 'share', label: '%', format: 'percent' }
+        ],
+        rows,
+        totals: { method: 'Total', amount: total, share: total > 0 ? 100 : 0 },
+        chart: { type: 'pie', labelKey: 'method', valueKey: 'amount' }
+    };
+}
+
+// Cancelamentos e estornos (parciais ou totais) feitos no período, qualquer que seja a data da venda
+function cancellations(adjustedSales, period, users) {
+    const userName = userId => {
+        const user = users.get(userId);
+        return user ? user.name || user.email : '';
+    };
+    const inPeriod = date => date >= period.since && date <= period.until;
+    const rows = [];
+
+    for (const sale of adjustedSales) {
+        const saleId = String(sale.id).padStart(6, '0');
+        for (const refund of sale.refunds || []) {
+            if (!inPeriod(refund.createdAt)) continue;
+            rows.push({
+                date: refund.createdAt,
+                saleId,
+                kind: 'Estorno',
+                cashier: userName(sale.userId),
+                authorizedBy: refund.userEmail || userName(refund.userId),
+                amount: refund.amount,
+                reason: refund.reason || ''
+            });
+        }
+        if (sale.status === 'cancelled' && sale.cancellation && inPeriod(sale.cancellation.createdAt)) {
+            rows.push({
+                date: sale.cancellation.createdAt,
+                saleId,
+                kind: 'Cancelamento',
+                cashier: userName(sale.userId),
+                authorizedBy: sale.cancellation.userEmail || userName(sale.cancellation.userId),
+                amount: sale.cancellation.amount,
+                reason: sale.cancellation.reason || ''
+            });
+        }
+    }
+    rows.sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+        columns: [
+            { key: 'date', label: 'Data', format: 'datetime' },
+            { key: 'saleId', label: 'Venda', format: 'text' },
+            { key: 'kind', label: 'Tipo', format: 'text' },
+            { key: 'cashier', label: 'Operador', format: 'text' },
+            { key: 'authorizedBy', label: 'Autorizado por', format: 'text' },
+            { key: 'amount', label: 'Valor', format: 'money' },
+            { key: 'reason', label: 'Motivo', format: 'text' }
+        ],
+        rows,
+        totals: { reason: `${rows.length} ocorrência(s)`, amount: sumBy(rows, 'amount') },
+        chart: { type: 'bar', labelKey: 'kind', valueKey: 'amount', data: ['Cancelamento', 'Estorno'].map(kind => ({
+            kind,
+            amount: sumBy(rows.filter(row => row.kind === kind), 'amount')
+        })) }
+    };
+}
+
+/**
+ * Monta o relatório.
+ * sales: vendas criadas no período (todas as situações)
+ * adjustedSales: vendas canceladas ou estornadas (de qualquer data), para o relatório de cancelamentos
+ * products/users: Map id → registro
+ */
+function buildReport(type, { sales, adjustedSales = [], products, users, period, timeZone = DEFAULT_TIMEZONE }) {
+    const counted = sales.filter(sale => COUNTED_STATUSES.includes(sale.status));
+    const cancelled = sales.filter(sale => sale.status === 'cancelled');
+
+    let report;
+    switch (type) {
+        case 'sales-by-day': report = salesByDay(counted, period, timeZone); break;
+        case 'sales-by-hour': report = salesByHour(counted, timeZone); break;
+        case 'by-category': report = byCategory(counted, products); break;
+        case 'by-cashier': report = byCashier(counted, cancelled, users); break;
+        case 'by-payment': report = byPayment(counted); break;
+        case 'margin': report = margin(counted, products); break;
+        case 'abc': report = abc(counted, products); break;
+        case 'cancellations': report = cancellations(adjustedSales, period, users); break;
+        default: return null;
+    }
+
+    return {
+        type,
+        title: REPORT_TYPES[type],
+        period: { from: period.from, to: period.to },
+        timeZone,
+        ...report
+    };
+}
+
+// Valor da célula para exportação (CSV mantém números; datas no fuso da loja)
+function formatCell(value, format, timeZone = DEFAULT_TIMEZONE) {
+    if (value === undefined || value === null || value === '') return '';
+    switch (format) {
+        case 'money':
+            return Number(value).toFixed(2).replace('.', ',');
+        case 'percent':
+            return `${String(value).replace('.', ',')}%`;
+        case 'datetime': {
+            const local = localParts(value, timeZone);
+            const [year, month, day] = local.date.split('-');
+            return `${day}/${month}/${year} ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+        }
+        case 'date': {
+            const [year, month, day] = String(value).split('-');
+            return day ? `${day}/${month}/${year}` : String(value);
+        }
+        default:
+            return String(value);
+    }
+}
+
+// Linhas (cabeçalho, dados e totais) para CSV/XLSX; valores numéricos ficam como número
+function reportToRows(report) {
+    const rows = [report.columns.map(column => column.label)];
+    const toRow = row => report.columns.map(column => {
+        const value = row[column.key];
+        if (value === undefined || value === null) return '';
+        if (['money', 'number'].includes(column.format) && typeof value === 'number') return value;
+        return formatCell(value, column.format, report.timeZone);
+    });
+
+    rows.push(...report.rows.map(toRow));
+    if (report.totals) rows.push(toRow(report.totals));
+    return rows;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    REPORT_TYPES,
+    isValidTimeZone,
+    localParts,
+    resolvePeriod,
+    buildReport,
+    formatCell,
+    reportToRows
+};
@@ -0,0 +1,116 @@
+/**
+ * PDV SaaS - Protocolos de balanças seriais (Toledo e Filizola)
+ * Usado pelo agente da balança (scripts/scale-agent.js).
+ *
+ * Nos dois protocolos o computador envia ENQ (0x05) e a balança
+ * responde STX + peso + ETX, com o peso em gramas (3 casas implícitas):
+ *   Toledo   - 5 ou 6 dígitos ("01250"), ou com ponto decimal ("01.250")
+ *   Filizola - 5 dígitos ("01250")
+ * No lugar do peso, a balança indica a situação repetindo uma letra:
+ *   IIIII instável, NNNNN negativo, SSSSS sobrecarga.
+ */
+
+const ENQ = 0x05;
+const STX = 0x02;
+const ETX = 0x03;
+
+const STATUS_CODES = {
+    I: 'unstable',
+    N: 'negative',
+    S: 'overload'
+};
+
+const STATUS_LABELS = {
+    stable: 'Peso estável',
+    unstable: 'Peso instável',
+    negative: 'Peso negativo (verifique a tara)',
+    overload: 'Peso acima da capacidade da balança'
+};
+
+function statusPayload(status, length) {
+    const code = Object.keys(STATUS_CODES).find(key => STATUS_CODES[key] === status);
+    return code.repeat(length);
+}
+
+const PROTOCOLS = {
+    toledo: {
+        name: 'Toledo',
+        parseWeight(payload) {
+            if (/^\d{5,6}$/.test(payload)) return Number(payload) / 1000;
+            if (/^\d{1,3}\.\d{3}$/.test(payload)) return Number(payload);
+            return null;
+        },
+        encode({ status, weight }) {
+            return status === 'stable' ? String(Math.round(weight * 1000)).padStart(5, '0') : statusPayload(status, 5);
+        }
+    },
+    filizola: {
+        name: 'Filizola',
+        parseWeight(payload) {
+            return /^\d{5}$/.test(payload) ? Number(payload) / 1000 : null;
+        },
+        encode({ status, weight }) {
+            return status === 'stable' ? String(Math.round(weight * 1000)).padStart(5, '0') : statusPayload(status, 5);
+        }
+    }
+};
+
+function getProtocol(name) {
+    const protocol = PROTOCOLS[String(name || '').toLowerCase()];
+    if (!protocol) {
+        throw new Error(`Protocolo de balança desconhecido: ${name} (use ${Object.keys(PROTOCOLS).join(' ou ')})`);
+    }
+    return protocol;
+}
+
+/**
+ * Separa as respostas completas (STX ... ETX) do que chegou pela serial.
+ * Retorna { frames, rest }; rest é o início de uma resposta ainda incompleta.
+ */
+function extractFrames(buffer) {
+    const frames = [];
+    let start = buffer.indexOf(STX);
+
+    while (start !== -1) {
+        const end = buffer.indexOf(ETX, start + 1);
+        if (end === -1) break;
+        frames.push(buffer.subarray(start + 1, end).toString('ascii'));
+        start = buffer.indexOf(STX, end + 1);
+    }
+
+    return { frames, rest: start === -1 ? Buffer.alloc(0) : buffer.subarray(start) };
+}
+
+/**
+ * Interpreta o conteúdo de uma resposta.
+ * Retorna { status, weight } (weight em kg, null se não estável) ou { error }.
+ */
+function parseFrame(protocol, payload) {
+    const text = String(payload).trim();
+    const code = text[0];
+    if (STATUS_CODES[code] && text.split('').every(char => char === code)) {
+        return { status: STATUS_CODES[code], weight: null };
+    }
+
+    const weight = protocol.parseWeight(text);
+    if (weight === null) {
+        return { error: `Resposta inválida da balança ${protocol.name}: "${text}"` };
+    }
+    return { status: 'stable', weight: Math.round(weight * 1000) / 1000 };
+}
+
+function encodeFrame(protocol, reading) {
+    return Buffer.concat([Buffer.from([STX]), Buffer.from(protocol.encode(reading), 'ascii'), Buffer.from([ETX])]);
+}
+
+module.exports = {
+    ENQ,
+    STX,
+    ETX,
+    STATUS_LABELS,
+    PROTOCOLS,
+    getProtocol,
+    extractFrames,
+    parseFrame,
+    encodeFrame
+};
@@ -0,0 +1,356 @@
+/**
+ * PDV SaaS - Planilhas (CSV e XLSX)
+ * Leitura e escrita de tabelas simples (primeira linha = cabeçalho)
+ * para importação/exportação de cadastros.
+ *
+ * CSV: separador detectado (";" do Excel em português ou ","), UTF-8
+ * com ou sem BOM, ou Windows-1252.
+ * XLSX: apenas a primeira planilha, valores (sem fórmulas ou estilos).
+ */
+
+const zlib = require('zlib');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+class SpreadsheetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SpreadsheetError';
+    }
+}
+
+// CSV
+
+function decodeText(buffer) {
+    const text = buffer.toString('utf8');
+    // Bytes inválidos em UTF-8: arquivo salvo em Windows-1252 (padrão do Excel no Windows)
+    return (text.includes('\uFFFD') ? buffer.toString('latin1') : text).replace(/^\uFEFF/, '');
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = char => firstLine.split(char).length;
+    return count(';') >= count(',') && count(';') > 1 ? ';' : ',';
+}
+
+function isBlankRow(row) {
+    return row.every(value => String(value).trim() === '');
+}
+
+// Linhas em branco no meio são mantidas para que o índice + 1 seja
+// o número da linha na planilha (usado nos relatórios de erro)
+function trimBlankRows(rows) {
+    let end = rows.length;
+    while (end > 0 && isBlankRow(rows[end - 1])) end--;
+    return rows.slice(0, end);
+}
+
+function parseCsv(input) {
+    const text = Buffer.isBuffer(input) ? decodeText(input) : String(input).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return trimBlankRows(rows);
+}
+
+function csvField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Números com vírgula decimal, como o Excel em português espera
+function toCsv(rows, { delimiter = ';' } = {}) {
+    const lines = rows.map(row => row.map(value => {
+        const text = typeof value === 'number' ? String(value).replace('.', delimiter === ';' ? ',' : '.') : value;
+        return csvField(text, delimiter);
+    }).join(delimiter));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ZIP (contêiner do XLSX)
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readZip(buffer) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new SpreadsheetError('Arquivo XLSX inválido');
+    }
+
+    const files = new Map();
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new SpreadsheetError('Arquivo XLSX corrompido');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        files.set(name, () => (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8'));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+function writeZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, content } of entries) {
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // nomes em UTF-8
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// XLSX
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Texto de <si>/<is>, inclusive com formatação em trechos (<r><t>...</t></r>)
+function richText(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => unescapeXml(match[1])).join('');
+}
+
+function columnIndex(reference) {
+    const letters = reference.replace(/\d+$/, '');
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function firstSheetPath(files) {
+    const workbook = files.has('xl/workbook.xml') ? files.get('xl/workbook.xml')() : '';
+    const relationId = (workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/) || [])[1];
+    const rels = files.has('xl/_rels/workbook.xml.rels') ? files.get('xl/_rels/workbook.xml.rels')() : '';
+    const relation = [...rels.matchAll(/<Relationship\s[^>]*>/g)].map(match => match[0])
+        .find(tag => relationId && tag.includes(`Id="${relationId}"`));
+    const target = relation && (relation.match(/Target="([^"]+)"/) || [])[1];
+
+    if (!target) return 'xl/worksheets/sheet1.xml';
+    return target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+}
+
+function parseXlsx(buffer) {
+    const files = readZip(buffer);
+    const sheetPath = firstSheetPath(files);
+    if (!files.has(sheetPath)) {
+        throw new SpreadsheetError('Planilha não encontrada no arquivo XLSX');
+    }
+
+    const sharedStrings = files.has('xl/sharedStrings.xml')
+        ? [...files.get('xl/sharedStrings.xml')().matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => richText(match[1]))
+        : [];
+
+    const rows = [];
+    for (const rowMatch of files.get(sheetPath)().matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const number = parseInt((rowMatch[1].match(/\br="(\d+)"/) || [])[1]) || rows.length + 1;
+        const row = [];
+        for (const cell of (rowMatch[2] || '').matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cell[1];
+            const body = cell[2] || '';
+            const reference = (attributes.match(/r="([A-Z]+\d+)"/) || [])[1];
+            const type = (attributes.match(/t="([^"]+)"/) || [])[1];
+            const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let text = '';
+            if (type === 's') {
+                text = sharedStrings[Number(value)] ?? '';
+            } else if (type === 'inlineStr') {
+                text = richText(body);
+            } else if (value !== undefined) {
+                // Números (inclusive códigos de barras em notação científica)
+                text = type === 'str' || type === 'b' ? unescapeXml(value) : String(Number(value));
+            }
+
+            row[reference ? columnIndex(reference) : row.length] = text;
+        }
+        rows[number - 1] = Array.from(row, value => value ?? '');
+    }
+
+    return trimBlankRows(Array.from(rows, row => row || []));
+}
+
+function toXlsx(rows, { sheetName = 'Planilha' } = {}) {
+    const columnName = index => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    };
+
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">` + row.map((value, c) => {
+        const reference = `${columnName(c)}${r + 1}`;
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number') return `<c r="${reference}"><v>${value}</v></c>`;
+        return `<c r="${reference}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+    }).join('') + '</row>').join('');
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    return writeZip([
+        {
+            name: '[Content_Types].xml',
+            content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}">` +
+                `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: `${xml}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`
+        }
+    ]);
+}
+
+// Formato pelo conteúdo: XLSX é um ZIP (assinatura "PK")
+function parseSpreadsheet(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        return parseXlsx(buffer);
+    }
+    return parseCsv(buffer);
+}
+
+module.exports = {
+    XLSX_CONTENT_TYPE,
+    SpreadsheetError,
+    isBlankRow,
+    parseCsv,
+    parseXlsx,
+    parseSpreadsheet,
+    toCsv,
+    toXlsx
+};
@@ -0,0 +1,104 @@
+/**
+ * PDV SaaS - Movimentação de estoque
+ * O saldo do produto (products.stock) só muda junto com um lançamento
+ * no livro de movimentações (stockMovements), que nunca é alterado:
+ * cada lançamento guarda usuário, motivo, saldo anterior e saldo resultante.
+ * Também confere o saldo com o livro e calcula as diferenças do inventário.
+ */
+
+const { roundQuantity } = require('./measure');
+
+const MOVEMENT_TYPES = {
+    initial: 'Saldo inicial',
+    sale: 'Venda',
+    cancellation: 'Cancelamento de venda',
+    refund: 'Estorno de venda',
+    purchase: 'Entrada de compra',
+    adjustment: 'Ajuste manual',
+    loss: 'Perda/quebra',
+    count: 'Inventário'
+};
+
+// Tipos que podem ser lançados diretamente em POST /api/stock/movements
+const MANUAL_TYPES = ['purchase', 'adjustment', 'loss'];
+
+/**
+ * Valida um lançamento manual e devolve a quantidade com sinal
+ * (entrada positiva, saída negativa).
+ * purchase e loss recebem a quantidade positiva; adjustment recebe a diferença com sinal.
+ */
+function normalizeManualMovement(input) {
+    const type = input.type;
+    const quantity = Number(input.quantity);
+    const reason = (input.reason || '').trim();
+
+    if (!MANUAL_TYPES.includes(type)) {
+        return { error: `Tipo de movimentação inválido (use ${MANUAL_TYPES.join(', ')})` };
+    }
+    // Inteira ou fracionada conforme a unidade do produto (conferido pelo servidor)
+    if (!Number.isFinite(quantity) || quantity === 0) {
+        return { error: 'Quantidade deve ser um número diferente de zero' };
+    }
+    if (type !== 'adjustment' && quantity < 0) {
+        return { error: 'Informe a quantidade positiva; a perda é lançada como saída' };
+    }
+    if (type !== 'purchase' && !reason) {
+        return { error: 'Informe o motivo do ajuste ou da perda' };
+    }
+
+    return {
+        movement: {
+            type,
+            quantity: type === 'loss' ? -quantity : quantity,
+            reason
+        }
+    };
+}
+
+/**
+ * Confere o saldo do produto com o livro.
+ * O primeiro lançamento guarda o saldo anterior (estoque de antes do livro);
+ * cada lançamento seguinte deve partir do saldo do anterior.
+ * Retorna a lista de problemas (vazia se estiver tudo certo).
+ */
+function reconcileProduct(product, movements) {
+    const problems = [];
+    let balance = null;
+
+    for (const movement of movements) {
+        if (balance !== null && movement.previousBalance !== balance) {
+            problems.push(`Lançamento ${movement.id}: saldo anterior ${movement.previousBalance}, esperado ${balance}`);
+        }
+        if (roundQuantity(movement.previousBalance + movement.quantity) !== movement.balance) {
+            problems.push(`Lançamento ${movement.id}: ${movement.previousBalance} ${movement.quantity >= 0 ? '+' : '-'} ${Math.abs(movement.quantity)} não resulta em ${movement.balance}`);
+        }
+        balance = movement.balance;
+    }
+
+    if (balance !== null && product.stock !== balance) {
+        problems.push(`Saldo do produto (${product.stock}) diferente do livro (${balance})`);
+    }
+
+    return problems;
+}
+
+// Diferenças do inventário: contado menos o saldo atual de cada produto
+function countDifferences(count, products) {
+    return count.items.map(item => {
+        const product = products.get(item.productId);
+        const expected = product ? product.stock : 0;
+        return {
+            ...item,
+            expected,
+            difference: roundQuantity(item.counted - expected)
+        };
+    });
+}
+
+module.exports = {
+    MOVEMENT_TYPES,
+    MANUAL_TYPES,
+    normalizeManualMovement,
+    reconcileProduct,
+    countDifferences
+};
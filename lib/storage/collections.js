@@ -0,0 +1,32 @@
+/**
+ * PDV SaaS - Coleções persistidas
+ *
+ * tenantScoped: registros pertencem a uma loja (coluna tenant_id no SQLite)
+ * indexes: campos consultados com frequência (índice próprio no SQLite)
+ * unique: campos únicos por loja (valores nulos são ignorados)
+ */
+
+module.exports = {
+    tenants: { file: 'tenants.json', tenantScoped: false },
+    users: { file: 'users.json', indexes: ['email'] },
+    authSessions: { file: 'auth-sessions.json', indexes: ['userId'] },
+    refreshTokens: { file: 'refresh-tokens.json', indexes: ['sessionId', 'tokenHash'] },
+    passwordResets: { file: 'password-resets.json', indexes: ['userId', 'tokenHash'] },
+    products: { file: 'products.json', indexes: ['barcode', 'parentId'] },
+    productBarcodes: { file: 'product-barcodes.json', indexes: ['productId'], unique: ['barcode'] },
+    priceChanges: { file: 'price-changes.json', indexes: ['productId'] },
+    sales: { file: 'sales.json', indexes: ['status', 'registerSessionId', 'customerId'], unique: ['clientSaleId'] },
+    customers: { file: 'customers.json', indexes: ['cpf'], unique: ['cpf'] },
+    loyaltyEntries: { file: 'loyalty-entries.json', indexes: ['customerId', 'saleId', 'type'] },
+    registerSessions: { file: 'register-sessions.json', indexes: ['status', 'userId'] },
+    promotions: { file: 'promotions.json', indexes: ['isActive'] },
+    coupons: { file: 'coupons.json', unique: ['code'] },
+    stockMovements: { file: 'stock-movements.json', indexes: ['productId', 'type', 'saleId'] },
+    stockCounts: { file: 'stock-counts.json', indexes: ['status'] },
+    suppliers: { file: 'suppliers.json' },
+    purchaseOrders: { file: 'purchase-orders.json', indexes: ['status', 'supplierId'] },
+    fiscalDocuments: { file: 'fiscal-documents.json', indexes: ['saleId', 'status'], unique: ['accessKey'] },
+    invoices: { file: 'invoices.json', indexes: ['status', 'chargeId'] },
+    auditLogs: { file: 'audit-logs.json', indexes: ['action', 'userId', 'targetId'] },
+    platformAdmins: { file: 'platform-admins.json', tenantScoped: false, indexes: ['email'] }
+};
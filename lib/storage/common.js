@@ -0,0 +1,82 @@
+/**
+ * PDV SaaS - Utilitários comuns aos drivers de armazenamento
+ */
+
+class UniqueConstraintError extends Error {
+    constructor(collection, field) {
+        super(`Valor duplicado para ${collection}.${field}`);
+        this.name = 'UniqueConstraintError';
+        this.collection = collection;
+        this.field = field;
+    }
+}
+
+const FIELD_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function assertField(field) {
+    if (!FIELD_REGEX.test(field)) {
+        throw new Error(`Campo inválido para consulta: ${field}`);
+    }
+    return field;
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Filtro por igualdade; arrays significam "qualquer um destes valores"
+function matchesFilter(doc, filter = {}) {
+    return Object.entries(filter).every(([field, expected]) => {
+        const value = doc[field] === undefined ? null : doc[field];
+        if (Array.isArray(expected)) {
+            return expected.includes(value);
+        }
+        return value === expected;
+    });
+}
+
+// since/until: intervalo de createdAt em ISO 8601 (inclusivo)
+function matchesRange(doc, { since, until } = {}) {
+    if (since && !(doc.createdAt >= since)) return false;
+    if (until && !(doc.createdAt <= until)) return false;
+    return true;
+}
+
+// Callbacks registrados com tx.afterCommit: um erro aqui não desfaz a transação já gravada
+function runAfterCommit(callbacks) {
+    for (const callback of callbacks) {
+        try {
+            callback();
+        } catch (error) {
+            console.error('Erro após o commit da transação:', error);
+        }
+    }
+}
+
+function applyOptions(docs, { orderBy, order = 'asc', limit, offset = 0 } = {}) {
+    let result = docs;
+
+    if (orderBy) {
+        const direction = order === 'desc' ? -1 : 1;
+        result = [...result].sort((a, b) => {
+            if (a[orderBy] === b[orderBy]) return (a.id - b.id) * direction;
+            return (a[orderBy] > b[orderBy] ? 1 : -1) * direction;
+        });
+    }
+
+    if (offset || limit) {
+        result = result.slice(offset, limit ? offset + limit : undefined);
+    }
+
+    return result;
+}
+
+module.exports = {
+    UniqueConstraintError,
+    assertField,
+    clone,
+    matchesFilter,
+    matchesRange,
+    runAfterCommit,
+    applyOptions
+};
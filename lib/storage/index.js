@@ -0,0 +1,93 @@
+/**
+ * PDV SaaS - Camada de armazenamento
+ *
+ * Drivers disponíveis (variável STORAGE_DRIVER):
+ *   sqlite - padrão, arquivo data/pdv.db
+ *   json   - arquivos data/*.json, para demonstrações
+ *
+ * Interface comum:
+ *   storage.<coleção>.find(filtro, { orderBy, order, limit, offset, since, until })
+ *   storage.<coleção>.findOne(filtro) / findById(id) / count(filtro)
+ *   storage.<coleção>.insert(doc) / update(id, alterações) / remove(id)
+ *   storage.getSettings() / updateSettings(alterações)
+ *   storage.transaction(async (tx) => { ... tx.<coleção>... })
+ *   tx.afterCommit(callback) - executado só se a transação for gravada
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const COLLECTIONS = require('./collections');
+const JsonStore = require('./json-store');
+const { UniqueConstraintError } = require('./common');
+
+function createStorage({ driver = 'sqlite', dataDir }) {
+    switch (driver) {
+        case 'json':
+            return new JsonStore({ dataDir });
+        case 'sqlite': {
+            // Carregado sob demanda: o driver JSON não depende do módulo nativo
+            const SqliteStore = require('./sqlite-store');
+            return new SqliteStore({ file: path.join(dataDir, 'pdv.db') });
+        }
+        default:
+            throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+    }
+}
+
+async function readJsonFile(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function hasJsonData(dataDir) {
+    const tenants = await readJsonFile(path.join(dataDir, COLLECTIONS.tenants.file));
+    return Array.isArray(tenants) && tenants.length > 0;
+}
+
+/**
+ * Grava os dados iniciais em um armazenamento vazio, preservando os IDs.
+ * Tudo acontece em uma única transação.
+ */
+async function seedStorage(storage, data) {
+    const summary = {};
+
+    await storage.transaction(async (tx) => {
+        for (const name of Object.keys(COLLECTIONS)) {
+            const docs = data[name] || [];
+            for (const doc of docs) {
+                await tx[name].insert(doc);
+            }
+            summary[name] = docs.length;
+        }
+    });
+
+    if (data.settings) {
+        await storage.updateSettings(data.settings);
+    }
+
+    return summary;
+}
+
+// Importa os arquivos data/*.json (driver JSON) para outro driver
+async function importJsonData(dataDir, storage) {
+    const data = {};
+    for (const [name, definition] of Object.entries(COLLECTIONS)) {
+        data[name] = (await readJsonFile(path.join(dataDir, definition.file))) || [];
+    }
+    data.settings = await readJsonFile(path.join(dataDir, 'settings.json'));
+
+    return seedStorage(storage, data);
+}
+
+module.exports = {
+    COLLECTIONS,
+    createStorage,
+    seedStorage,
+    importJsonData,
+    hasJsonData,
+    UniqueConstraintError
+};
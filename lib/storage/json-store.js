@@ -0,0 +1,227 @@
+/**
+ * PDV SaaS - Driver de armazenamento em arquivos JSON
+ * Mantido como alternativa para demonstrações (STORAGE_DRIVER=json)
+ *
+ * Os dados ficam em memória e cada coleção alterada é regravada por
+ * inteiro no seu arquivo. Todas as operações passam pela mesma fila,
+ * então transações não se intercalam com outras gravações.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Lock = require('./lock');
+const COLLECTIONS = require('./collections');
+const {
+    UniqueConstraintError,
+    clone,
+    matchesFilter,
+    matchesRange,
+    runAfterCommit,
+    applyOptions
+} = require('./common');
+
+class JsonCollection {
+    constructor(store, name, context) {
+        this.store = store;
+        this.name = name;
+        this.context = context;
+    }
+
+    get docs() {
+        return this.store.data[this.name];
+    }
+
+    find(filter = {}, options = {}) {
+        return this.context.exec(() => {
+            const docs = this.docs.filter(doc => matchesFilter(doc, filter) && matchesRange(doc, options));
+            return clone(applyOptions(docs, options));
+        });
+    }
+
+    findOne(filter = {}) {
+        return this.context.exec(() => clone(this.docs.find(doc => matchesFilter(doc, filter)) || null));
+    }
+
+    findById(id) {
+        return this.findOne({ id });
+    }
+
+    count(filter = {}, options = {}) {
+        return this.context.exec(() =>
+            this.docs.filter(doc => matchesFilter(doc, filter) && matchesRange(doc, options)).length
+        );
+    }
+
+    insert(doc) {
+        return this.context.exec(async () => {
+            const { id: requestedId, ...fields } = clone(doc);
+            const id = requestedId || this.store.nextIds[this.name];
+            const newDoc = { id, ...fields };
+
+            this.checkUnique(newDoc);
+            this.docs.push(newDoc);
+            this.store.nextIds[this.name] = Math.max(this.store.nextIds[this.name], id + 1);
+
+            await this.context.touch(this.name);
+            return clone(newDoc);
+        });
+    }
+
+    update(id, changes) {
+        return this.context.exec(async () => {
+            const index = this.docs.findIndex(doc => doc.id === id);
+            if (index === -1) return null;
+
+            const updated = { ...this.docs[index], ...clone(changes), id };
+            this.checkUnique(updated);
+            this.docs[index] = updated;
+
+            await this.context.touch(this.name);
+            return clone(updated);
+        });
+    }
+
+    remove(id) {
+        return this.context.exec(async () => {
+            const index = this.docs.findIndex(doc => doc.id === id);
+            if (index === -1) return false;
+
+            this.docs.splice(index, 1);
+            await this.context.touch(this.name);
+            return true;
+        });
+    }
+
+    checkUnique(doc) {
+        const definition = COLLECTIONS[this.name] || {};
+        for (const field of definition.unique || []) {
+            if (doc[field] === null || doc[field] === undefined) continue;
+
+            const conflict = this.docs.some(other =>
+                other.id !== doc.id && other.tenantId === doc.tenantId && other[field] === doc[field]
+            );
+            if (conflict) {
+                throw new UniqueConstraintError(this.name, field);
+            }
+        }
+    }
+}
+
+class JsonStore {
+    constructor({ dataDir }) {
+        this.driver = 'json';
+        this.dataDir = dataDir;
+        this.lock = new Lock();
+        this.data = {};
+        this.nextIds = {};
+        this.settingsData = {};
+
+        // Operações avulsas: passam pela fila e gravam imediatamente
+        this.context = {
+            exec: (task) => this.lock.run(task),
+            touch: (name) => this.persist(name)
+        };
+
+        for (const name of Object.keys(COLLECTIONS)) {
+            this[name] = new JsonCollection(this, name, this.context);
+        }
+    }
+
+    fileFor(name) {
+        const definition = COLLECTIONS[name];
+        return path.join(this.dataDir, definition ? definition.file : `${name}.json`);
+    }
+
+    get settingsFile() {
+        return path.join(this.dataDir, 'settings.json');
+    }
+
+    async readJson(file, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    }
+
+    // Gravação atômica: arquivo temporário + rename
+    async writeJson(file, value) {
+        const tmpFile = `${file}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(value, null, 2));
+        await fs.rename(tmpFile, file);
+    }
+
+    async load(name) {
+        const docs = await this.readJson(this.fileFor(name), []);
+        this.data[name] = docs;
+        this.nextIds[name] = docs.reduce((max, doc) => Math.max(max, doc.id || 0), 0) + 1;
+    }
+
+    persist(name) {
+        return this.writeJson(this.fileFor(name), this.data[name]);
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        for (const name of Object.keys(COLLECTIONS)) {
+            await this.load(name);
+        }
+        this.settingsData = await this.readJson(this.settingsFile, {});
+    }
+
+    isEmpty() {
+        return this.lock.run(() => this.data.tenants.length === 0);
+    }
+
+    getSettings() {
+        return this.lock.run(() => clone(this.settingsData));
+    }
+
+    updateSettings(changes) {
+        return this.lock.run(async () => {
+            this.settingsData = { ...this.settingsData, ...clone(changes) };
+            await this.writeJson(this.settingsFile, this.settingsData);
+            return clone(this.settingsData);
+        });
+    }
+
+    /**
+     * Executa fn(tx) de forma atômica. Coleções alteradas só são gravadas
+     * no commit; em caso de erro são recarregadas do disco.
+     */
+    transaction(fn) {
+        return this.lock.run(async () => {
+            const dirty = new Set();
+            const afterCommit = [];
+            const tx = { afterCommit: (callback) => { afterCommit.push(callback); } };
+            const context = {
+                exec: (task) => Promise.resolve().then(task),
+                touch: (name) => { dirty.add(name); }
+            };
+
+            for (const name of Object.keys(COLLECTIONS)) {
+                tx[name] = new JsonCollection(this, name, context);
+            }
+
+            try {
+                const result = await fn(tx);
+                for (const name of dirty) {
+                    await this.persist(name);
+                }
+                runAfterCommit(afterCommit);
+                return result;
+            } catch (error) {
+                for (const name of dirty) {
+                    await this.load(name);
+                }
+                throw error;
+            }
+        });
+    }
+
+    async close() {}
+}
+
+module.exports = JsonStore;
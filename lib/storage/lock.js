@@ -0,0 +1,18 @@
+/**
+ * PDV SaaS - Fila de exclusão mútua
+ * Garante que transações e gravações não se intercalem entre os awaits
+ */
+
+class Lock {
+    constructor() {
+        this.queue = Promise.resolve();
+    }
+
+    run(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = Lock;
@@ -0,0 +1,277 @@
+/**
+ * PDV SaaS - Driver de armazenamento SQLite (padrão)
+ *
+ * Cada coleção é uma tabela com as colunas indexadas id, tenant_id e
+ * created_at; os demais campos ficam no JSON da coluna data e são
+ * consultados com json_extract. Uma única conexão é compartilhada, por
+ * isso as operações passam por uma fila: a transação aberta por uma
+ * requisição nunca recebe gravações de outra.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Lock = require('./lock');
+const COLLECTIONS = require('./collections');
+const { UniqueConstraintError, assertField, runAfterCommit } = require('./common');
+
+const COLUMNS = {
+    id: 'id',
+    tenantId: 'tenant_id',
+    createdAt: 'created_at'
+};
+
+function columnFor(field) {
+    return COLUMNS[field] || `json_extract(data, '$.${assertField(field)}')`;
+}
+
+// better-sqlite3 não aceita booleanos como parâmetro
+function toParam(value) {
+    return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+}
+
+function buildWhere(filter = {}, { since, until } = {}) {
+    const clauses = [];
+    const params = [];
+
+    for (const [field, expected] of Object.entries(filter)) {
+        const column = columnFor(field);
+
+        if (Array.isArray(expected)) {
+            if (expected.length === 0) {
+                clauses.push('0');
+                continue;
+            }
+            clauses.push(`${column} IN (${expected.map(() => '?').join(', ')})`);
+            params.push(...expected.map(toParam));
+        } else if (expected === null || expected === undefined) {
+            clauses.push(`${column} IS NULL`);
+        } else {
+            clauses.push(`${column} = ?`);
+            params.push(toParam(expected));
+        }
+    }
+
+    if (since) {
+        clauses.push('created_at >= ?');
+        params.push(since);
+    }
+    if (until) {
+        clauses.push('created_at <= ?');
+        params.push(until);
+    }
+
+    return {
+        sql: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+function rowToDoc(row) {
+    return row ? { id: row.id, ...JSON.parse(row.data) } : null;
+}
+
+function wrapError(error, name) {
+    if (error && error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        const match = /\$\.(\w+)/.exec(error.message);
+        return new UniqueConstraintError(name, match ? match[1] : 'id');
+    }
+    return error;
+}
+
+class SqliteCollection {
+    constructor(store, name, exec) {
+        this.store = store;
+        this.name = name;
+        this.exec = exec;
+    }
+
+    get db() {
+        return this.store.db;
+    }
+
+    find(filter = {}, options = {}) {
+        return this.exec(() => {
+            const where = buildWhere(filter, options);
+            let sql = `SELECT id, data FROM ${this.name} ${where.sql}`;
+            const params = [...where.params];
+
+            if (options.orderBy) {
+                const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+                sql += ` ORDER BY ${columnFor(options.orderBy)} ${direction}, id ${direction}`;
+            }
+            if (options.limit || options.offset) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(options.limit || -1, options.offset || 0);
+            }
+
+            return this.db.prepare(sql).all(...params).map(rowToDoc);
+        });
+    }
+
+    findOne(filter = {}) {
+        return this.exec(() => {
+            const where = buildWhere(filter);
+            const row = this.db.prepare(`SELECT id, data FROM ${this.name} ${where.sql} LIMIT 1`).get(...where.params);
+            return rowToDoc(row);
+        });
+    }
+
+    findById(id) {
+        return this.findOne({ id });
+    }
+
+    count(filter = {}, options = {}) {
+        return this.exec(() => {
+            const where = buildWhere(filter, options);
+            return this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.name} ${where.sql}`).get(...where.params).total;
+        });
+    }
+
+    insert(doc) {
+        return this.exec(() => {
+            const { id, ...data } = doc;
+            try {
+                const info = this.db
+                    .prepare(`INSERT INTO ${this.name} (id, tenant_id, created_at, data) VALUES (?, ?, ?, ?)`)
+                    .run(id || null, data.tenantId ?? null, data.createdAt ?? null, JSON.stringify(data));
+                return { id: Number(info.lastInsertRowid), ...data };
+            } catch (error) {
+                throw wrapError(error, this.name);
+            }
+        });
+    }
+
+    update(id, changes) {
+        return this.exec(() => {
+            const row = this.db.prepare(`SELECT id, data FROM ${this.name} WHERE id = ?`).get(id);
+            if (!row) return null;
+
+            const { id: _, ...data } = { ...JSON.parse(row.data), ...changes };
+            try {
+                this.db
+                    .prepare(`UPDATE ${this.name} SET tenant_id = ?, created_at = ?, data = ? WHERE id = ?`)
+                    .run(data.tenantId ?? null, data.createdAt ?? null, JSON.stringify(data), id);
+            } catch (error) {
+                throw wrapError(error, this.name);
+            }
+            return { id, ...data };
+        });
+    }
+
+    remove(id) {
+        return this.exec(() => this.db.prepare(`DELETE FROM ${this.name} WHERE id = ?`).run(id).changes > 0);
+    }
+}
+
+class SqliteStore {
+    constructor({ file }) {
+        this.driver = 'sqlite';
+        this.file = file;
+        this.lock = new Lock();
+        this.db = null;
+
+        const exec = (task) => this.lock.run(task);
+        for (const name of Object.keys(COLLECTIONS)) {
+            this[name] = new SqliteCollection(this, name, exec);
+        }
+    }
+
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            )
+        `);
+
+        for (const [name, definition] of Object.entries(COLLECTIONS)) {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS ${name} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tenant_id INTEGER,
+                    created_at TEXT,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_${name}_tenant_created ON ${name} (tenant_id, created_at);
+            `);
+
+            for (const field of definition.indexes || []) {
+                this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${field} ON ${name} (${columnFor(field)})`);
+            }
+
+            for (const field of definition.unique || []) {
+                const column = columnFor(field);
+                this.db.exec(`
+                    CREATE UNIQUE INDEX IF NOT EXISTS uq_${name}_${field}
+                    ON ${name} (tenant_id, ${column}) WHERE ${column} IS NOT NULL
+                `);
+            }
+        }
+    }
+
+    async init() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.createSchema();
+    }
+
+    isEmpty() {
+        return this.lock.run(() => !this.db.prepare('SELECT 1 FROM tenants LIMIT 1').get());
+    }
+
+    getSettings() {
+        return this.lock.run(() => {
+            const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get('system');
+            return row ? JSON.parse(row.value) : {};
+        });
+    }
+
+    updateSettings(changes) {
+        return this.lock.run(() => {
+            const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get('system');
+            const settings = { ...(row ? JSON.parse(row.value) : {}), ...changes };
+            this.db
+                .prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+                .run('system', JSON.stringify(settings));
+            return settings;
+        });
+    }
+
+    /**
+     * Executa fn(tx) dentro de BEGIN IMMEDIATE ... COMMIT.
+     * Qualquer exceção desfaz todas as alterações feitas por tx.
+     */
+    transaction(fn) {
+        return this.lock.run(async () => {
+            const afterCommit = [];
+            const tx = { afterCommit: (callback) => { afterCommit.push(callback); } };
+            const exec = (task) => Promise.resolve().then(task);
+            for (const name of Object.keys(COLLECTIONS)) {
+                tx[name] = new SqliteCollection(this, name, exec);
+            }
+
+            this.db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await fn(tx);
+                this.db.exec('COMMIT');
+                runAfterCommit(afterCommit);
+                return result;
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,57 @@
+/**
+ * PDV SaaS - Administrador da plataforma (console de todas as lojas)
+ *
+ * Uso: npm run platform:admin -- <email> [nome]
+ *
+ * Cria o administrador ou, se o e-mail já existir, gera uma nova senha
+ * e reativa o acesso. A senha é mostrada uma única vez. Com
+ * STORAGE_DRIVER=json, rode com o servidor parado (o servidor mantém os
+ * arquivos em memória e sobrescreveria a alteração).
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { createStorage } = require('../lib/storage');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function generatePassword() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    return Array.from(crypto.randomBytes(16), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+async function run() {
+    const email = String(process.argv[2] || '').trim().toLowerCase();
+    const name = process.argv[3] || 'Administrador da plataforma';
+
+    if (!EMAIL_REGEX.test(email)) {
+        console.error('Uso: npm run platform:admin -- <email> [nome]');
+        process.exit(1);
+    }
+
+    const storage = createStorage({ driver: process.env.STORAGE_DRIVER || 'sqlite', dataDir: DATA_DIR });
+    await storage.init();
+
+    const password = generatePassword();
+    const hash = await bcrypt.hash(password, 10);
+    const now = new Date().toISOString();
+    const existing = await storage.platformAdmins.findOne({ email });
+
+    if (existing) {
+        await storage.platformAdmins.update(existing.id, { password: hash, isActive: true, updatedAt: now });
+    } else {
+        await storage.platformAdmins.insert({ email, name, password: hash, isActive: true, createdAt: now });
+    }
+    await storage.close();
+
+    console.log(`✅ Administrador da plataforma ${existing ? 'atualizado' : 'criado'}: ${email}`);
+    console.log(`🔑 Senha: ${password}`);
+    console.log('   Acesse /platform.html');
+}
+
+run().catch(error => {
+    console.error('❌ Falha ao criar administrador:', error);
+    process.exit(1);
+});
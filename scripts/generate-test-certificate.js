@@ -0,0 +1,58 @@
+/**
+ * PDV SaaS - Certificado A1 de teste (autoassinado)
+ *
+ * Uso: npm run fiscal:test-cert [-- <tenantId> <senha>]
+ *
+ * Gera data/certificates/<tenantId>.pfx para emitir NFC-e contra a
+ * SEFAZ simulada. Não serve para a SEFAZ real, que exige certificado
+ * ICP-Brasil. A senha padrão é a de FISCAL_CERT_PASSWORD (vazia se não definida;
+ * em produção o servidor não abre certificado sem senha).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function generate() {
+    const tenantId = process.argv[2] || '1';
+    const password = process.argv[3] ?? process.env.FISCAL_CERT_PASSWORD ?? '';
+    const file = path.join(DATA_DIR, 'certificates', `${tenantId}.pfx`);
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.publicKeyFromPem(publicKey);
+    cert.serialNumber = crypto.randomBytes(8).toString('hex');
+    cert.validity.notBefore = new Date();
+    cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+    const attrs = [
+        { name: 'commonName', value: `LOJA TESTE PDV SAAS:${tenantId}` },
+        { name: 'countryName', value: 'BR' },
+        { name: 'organizationName', value: 'Certificado de teste - sem validade jurídica' }
+    ];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+
+    const key = forge.pki.privateKeyFromPem(privateKey);
+    cert.sign(key, forge.md.sha256.create());
+
+    const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], password, { algorithm: '3des' });
+    const der = forge.asn1.toDer(p12).getBytes();
+
+    // Contém a chave privada: legível só pelo usuário do servidor
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, Buffer.from(der, 'binary'), { mode: 0o600 });
+
+    console.log(`✅ Certificado de teste gerado em ${file}`);
+    console.log(`   Válido até ${cert.validity.notAfter.toISOString().substring(0, 10)}${password ? '' : ' (sem senha)'}`);
+}
+
+generate();
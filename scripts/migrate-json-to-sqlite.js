@@ -0,0 +1,53 @@
+/**
+ * PDV SaaS - Migração dos arquivos data/*.json para o SQLite
+ *
+ * Uso: npm run migrate [-- --force]
+ *   --force  apaga o banco existente antes de importar
+ *
+ * O servidor já faz esta importação automaticamente na primeira execução
+ * com STORAGE_DRIVER=sqlite; o script serve para refazê-la manualmente.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage, importJsonData, hasJsonData } = require('../lib/storage');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+async function migrate() {
+    const force = process.argv.includes('--force');
+    const dbFile = path.join(DATA_DIR, 'pdv.db');
+
+    if (!(await hasJsonData(DATA_DIR))) {
+        console.error(`❌ Nenhum arquivo tenants.json com dados em ${DATA_DIR}`);
+        process.exit(1);
+    }
+
+    if (force) {
+        for (const file of [dbFile, `${dbFile}-wal`, `${dbFile}-shm`]) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    const storage = createStorage({ driver: 'sqlite', dataDir: DATA_DIR });
+    await storage.init();
+
+    if (!(await storage.isEmpty())) {
+        console.error(`❌ O banco ${dbFile} já contém dados. Use --force para recriá-lo.`);
+        await storage.close();
+        process.exit(1);
+    }
+
+    const summary = await importJsonData(DATA_DIR, storage);
+    await storage.close();
+
+    console.log('✅ Migração concluída:');
+    for (const [name, count] of Object.entries(summary)) {
+        console.log(`   ${name}: ${count} registro(s)`);
+    }
+}
+
+migrate().catch(error => {
+    console.error('❌ Falha na migração:', error);
+    process.exit(1);
+});
@@ -0,0 +1,113 @@
+/**
+ * PDV SaaS - Agente de impressão local
+ *
+ * Uso: npm run print-agent
+ *
+ * Recebe do navegador o fluxo ESC/POS (POST /print, corpo binário) e
+ * repassa para a impressora térmica do caixa:
+ *   PRINTER_DEVICE=/dev/usb/lp0      impressora USB/serial (arquivo de dispositivo)
+ *   PRINTER_HOST=192.168.0.50        impressora de rede (porta PRINTER_PORT, padrão 9100)
+ *   PRINT_AGENT_OUTPUT_DIR=./prints  sem impressora: grava cada trabalho em um .bin
+ *
+ * Escuta apenas em 127.0.0.1 (porta PRINT_AGENT_PORT, padrão 9123).
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+
+const PORT = parseInt(process.env.PRINT_AGENT_PORT) || 9123;
+const MAX_JOB_BYTES = 1024 * 1024;
+
+function describeTarget() {
+    if (process.env.PRINT_AGENT_OUTPUT_DIR) return `arquivos em ${path.resolve(process.env.PRINT_AGENT_OUTPUT_DIR)}`;
+    if (process.env.PRINTER_HOST) return `rede ${process.env.PRINTER_HOST}:${process.env.PRINTER_PORT || 9100}`;
+    if (process.env.PRINTER_DEVICE) return `dispositivo ${process.env.PRINTER_DEVICE}`;
+    return null;
+}
+
+function printToNetwork(data) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(parseInt(process.env.PRINTER_PORT) || 9100, process.env.PRINTER_HOST);
+        socket.setTimeout(10000, () => socket.destroy(new Error('Tempo esgotado na conexão com a impressora')));
+        socket.on('error', reject);
+        socket.end(data, resolve);
+    });
+}
+
+async function print(data) {
+    if (process.env.PRINT_AGENT_OUTPUT_DIR) {
+        const dir = path.resolve(process.env.PRINT_AGENT_OUTPUT_DIR);
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}.bin`);
+        fs.writeFileSync(file, data);
+        return file;
+    }
+    if (process.env.PRINTER_HOST) {
+        await printToNetwork(data);
+        return describeTarget();
+    }
+    fs.writeFileSync(process.env.PRINTER_DEVICE, data);
+    return describeTarget();
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    // O PDV roda em outra origem; o Chrome também exige a liberação de rede privada
+    res.setHeader('Access-Control-Allow-Origin', process.env.PRINT_AGENT_ORIGIN || '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    if (req.method === 'GET' && req.url === '/status') {
+        return send(res, 200, { ok: true, target: describeTarget() });
+    }
+
+    if (req.method !== 'POST' || req.url !== '/print') {
+        return send(res, 404, { error: 'Rota não encontrada' });
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_JOB_BYTES) {
+            tooLarge = true;
+            send(res, 413, { error: 'Trabalho de impressão muito grande' });
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', async () => {
+        if (tooLarge) return;
+        try {
+            const target = await print(Buffer.concat(chunks));
+            console.log(`🖨️  ${size} bytes → ${target}`);
+            send(res, 200, { success: true, bytes: size });
+        } catch (error) {
+            console.error('❌ Falha ao imprimir:', error.message);
+            send(res, 502, { error: `Falha ao imprimir: ${error.message}` });
+        }
+    });
+});
+
+if (!describeTarget()) {
+    console.error('❌ Defina PRINTER_DEVICE, PRINTER_HOST ou PRINT_AGENT_OUTPUT_DIR');
+    process.exit(1);
+}
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`🖨️  Agente de impressão em http://127.0.0.1:${PORT} (${describeTarget()})`);
+});
@@ -0,0 +1,78 @@
+/**
+ * PDV SaaS - Comprovante ESC/POS sem impressora (modo arquivo de referência)
+ *
+ * Uso: npm run print:receipt -- <venda.json> [opções]
+ *   --danfe               o JSON contém os dados do DANFE NFC-e (GET /api/fiscal/sales/:id/nfce)
+ *   --width 58|80         largura do papel (padrão 80)
+ *   --footer "texto"      rodapé do comprovante
+ *   --out arquivo.bin     grava o fluxo de bytes
+ *   --golden arquivo.bin  compara com o arquivo de referência (cria se não existir)
+ *   --update              regrava o arquivo de referência
+ *
+ * Sempre mostra a prévia em texto do que seria impresso. Com --golden,
+ * termina com erro se o leiaute mudou.
+ */
+
+const fs = require('fs');
+const { renderReceipt, renderDanfe, toText } = require('../lib/escpos');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+}
+
+function firstDifference(expected, actual) {
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+        if (expectedLines[i] !== actualLines[i]) {
+            return `linha ${i + 1}:\n  esperado: ${JSON.stringify(expectedLines[i])}\n  gerado:   ${JSON.stringify(actualLines[i])}`;
+        }
+    }
+    return 'diferença apenas nos comandos (negrito, tamanho, alinhamento)';
+}
+
+function run() {
+    const input = process.argv[2];
+    if (!input || input.startsWith('--')) {
+        console.error('Uso: npm run print:receipt -- <venda.json> [--danfe] [--width 58|80] [--out arquivo.bin] [--golden arquivo.bin] [--update]');
+        process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(input, 'utf8'));
+    const options = {
+        paperWidth: parseInt(option('width', '80')),
+        footer: option('footer', 'Obrigado pela preferência!\nVolte sempre!'),
+        store: data.store
+    };
+    // Aceita a resposta da API ({ sale } / { danfe }) ou o objeto puro
+    const bytes = process.argv.includes('--danfe')
+        ? renderDanfe(data.danfe || data, options)
+        : renderReceipt(data.sale || data, options);
+
+    console.log(toText(bytes));
+
+    const out = option('out');
+    if (out) {
+        fs.writeFileSync(out, bytes);
+        console.log(`💾 ${bytes.length} bytes gravados em ${out}`);
+    }
+
+    const golden = option('golden');
+    if (!golden) return;
+
+    if (!fs.existsSync(golden) || process.argv.includes('--update')) {
+        fs.writeFileSync(golden, bytes);
+        console.log(`📌 Referência gravada em ${golden}`);
+        return;
+    }
+
+    const expected = fs.readFileSync(golden);
+    if (Buffer.compare(expected, Buffer.from(bytes)) !== 0) {
+        console.error(`❌ Leiaute diferente de ${golden}, ${firstDifference(toText(expected), toText(bytes))}`);
+        process.exit(1);
+    }
+    console.log(`✅ Idêntico a ${golden}`);
+}
+
+run();
@@ -0,0 +1,202 @@
+/**
+ * PDV SaaS - Agente da balança
+ *
+ * Uso: npm run scale-agent
+ *
+ * Lê o peso de uma balança serial e entrega ao caixa (GET /weight):
+ *   SCALE_DEVICE=/dev/ttyUSB0   porta serial da balança (configure antes a
+ *                               velocidade, por exemplo: stty -F /dev/ttyUSB0 9600 raw)
+ *   SCALE_PROTOCOL=toledo       protocolo: toledo (padrão) ou filizola
+ *   SCALE_SIMULATOR=1           sem balança: o peso é definido em POST /simulator
+ *                               { "weight": 1.25, "status": "stable" } e passa pelo
+ *                               mesmo protocolo de uma balança real
+ *
+ * Escuta apenas em 127.0.0.1 (porta SCALE_AGENT_PORT, padrão 9124).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const scale = require('../lib/scale');
+
+const PORT = parseInt(process.env.SCALE_AGENT_PORT) || 9124;
+const READ_TIMEOUT_MS = 2000;
+const MAX_BODY_BYTES = 1024;
+
+// Balança na porta serial: uma leitura por vez, ENQ e espera a resposta
+class SerialScale {
+    constructor(device, protocol) {
+        this.device = device;
+        this.protocol = protocol;
+        this.buffer = Buffer.alloc(0);
+        this.pending = null;
+        this.queue = Promise.resolve();
+
+        this.fd = fs.openSync(device, 'r+');
+        const stream = fs.createReadStream(null, { fd: this.fd, autoClose: false });
+        stream.on('data', chunk => this.receive(chunk));
+        stream.on('error', error => console.error('❌ Erro na porta da balança:', error.message));
+    }
+
+    receive(chunk) {
+        const { frames, rest } = scale.extractFrames(Buffer.concat([this.buffer, chunk]));
+        this.buffer = rest;
+        if (this.pending && frames.length > 0) {
+            this.pending(frames[frames.length - 1]);
+        }
+    }
+
+    request() {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending = null;
+                reject(new Error('A balança não respondeu'));
+            }, READ_TIMEOUT_MS);
+
+            this.pending = payload => {
+                clearTimeout(timer);
+                this.pending = null;
+                resolve(payload);
+            };
+            fs.write(this.fd, Buffer.from([scale.ENQ]), error => {
+                if (error) {
+                    clearTimeout(timer);
+                    this.pending = null;
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    read() {
+        const reading = this.queue.then(() => this.request());
+        this.queue = reading.catch(() => {});
+        return reading.then(payload => scale.parseFrame(this.protocol, payload));
+    }
+
+    describe() {
+        return `${this.protocol.name} em ${this.device}`;
+    }
+}
+
+// Simulador: monta a resposta no formato do protocolo e a interpreta como se viesse da serial
+class SimulatedScale {
+    constructor(protocol) {
+        this.protocol = protocol;
+        this.reading = { status: 'stable', weight: 0 };
+    }
+
+    set({ weight, status = 'stable' }) {
+        if (!scale.STATUS_LABELS[status]) {
+            throw new Error(`Situação inválida: ${status}`);
+        }
+        const value = Number(weight ?? 0);
+        if (status === 'stable' && (!Number.isFinite(value) || value < 0 || value > 999.999)) {
+            throw new Error('Peso inválido');
+        }
+        this.reading = { status, weight: value };
+    }
+
+    async read() {
+        const { frames } = scale.extractFrames(scale.encodeFrame(this.protocol, this.reading));
+        return scale.parseFrame(this.protocol, frames[0]);
+    }
+
+    describe() {
+        return `simulador (${this.protocol.name})`;
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Requisição muito grande'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('JSON inválido'));
+            }
+        });
+    });
+}
+
+function createScale() {
+    const protocol = scale.getProtocol(process.env.SCALE_PROTOCOL || 'toledo');
+    if (process.env.SCALE_SIMULATOR === '1') return new SimulatedScale(protocol);
+    if (process.env.SCALE_DEVICE) return new SerialScale(process.env.SCALE_DEVICE, protocol);
+    return null;
+}
+
+let device;
+try {
+    device = createScale();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+if (!device) {
+    console.error('❌ Defina SCALE_DEVICE ou SCALE_SIMULATOR=1');
+    process.exit(1);
+}
+
+const server = http.createServer(async (req, res) => {
+    // O PDV roda em outra origem; o Chrome também exige a liberação de rede privada
+    res.setHeader('Access-Control-Allow-Origin', process.env.SCALE_AGENT_ORIGIN || '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    if (req.method === 'GET' && req.url === '/status') {
+        return send(res, 200, { ok: true, scale: device.describe(), simulator: device instanceof SimulatedScale });
+    }
+
+    if (req.method === 'GET' && req.url === '/weight') {
+        try {
+            const reading = await device.read();
+            if (reading.error) {
+                return send(res, 502, { error: reading.error });
+            }
+            return send(res, 200, {
+                weight: reading.weight,
+                unit: 'kg',
+                stable: reading.status === 'stable',
+                status: reading.status,
+                message: scale.STATUS_LABELS[reading.status]
+            });
+        } catch (error) {
+            return send(res, 504, { error: error.message });
+        }
+    }
+
+    if (req.method === 'POST' && req.url === '/simulator' && device instanceof SimulatedScale) {
+        try {
+            device.set(await readJson(req));
+            console.log(`⚖️  Simulador: ${device.reading.status} ${device.reading.weight} kg`);
+            return send(res, 200, { success: true, ...device.reading });
+        } catch (error) {
+            return send(res, 400, { error: error.message });
+        }
+    }
+
+    send(res, 404, { error: 'Rota não encontrada' });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`⚖️  Agente da balança em http://127.0.0.1:${PORT} (${device.describe()})`);
+});
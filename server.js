@@ -5,21 +5,53 @@
  */
 
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const { COLLECTIONS, createStorage, seedStorage, importJsonData, hasJsonData, UniqueConstraintError } = require('./lib/storage');
+const { roundMoney } = require('./lib/money');
+const { MOVEMENT_TYPES, buildSessionReport, availableCash } = require('./lib/cash-register');
+const { COUNTED_STATUSES, resolvePayments, salePaymentBreakdown } = require('./lib/payments');
+const { applyDiscounts, normalizePromotion, normalizeCoupon, couponError } = require('./lib/promotions');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS, permissionsFor, hasPermission } = require('./lib/permissions');
+const fiscal = require('./lib/fiscal');
+const { XLSX_CONTENT_TYPE, SpreadsheetError, parseSpreadsheet, toCsv, toXlsx } = require('./lib/spreadsheet');
+const { planImport, productsToRows } = require('./lib/product-import');
+const { MOVEMENT_TYPES: STOCK_MOVEMENT_TYPES, normalizeManualMovement, reconcileProduct, countDifferences } = require('./lib/stock');
+const purchasing = require('./lib/purchasing');
+const reports = require('./lib/reports');
+const { buildTablePdf } = require('./lib/pdf');
+const { EventHub } = require('./lib/events');
+const billing = require('./lib/billing');
+const customers = require('./lib/customers');
+const loyalty = require('./lib/loyalty');
+const measure = require('./lib/measure');
+const catalog = require('./lib/catalog');
+const { SearchIndex } = require('./lib/product-search');
+const platform = require('./lib/platform');
+const auth = require('./lib/auth');
+const audit = require('./lib/audit');
+const { createMailer, DEVELOPMENT_TRANSPORTS } = require('./lib/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configurações
-const JWT_SECRET = process.env.JWT_SECRET || 'pdv-saas-secret-key-change-in-production';
+const DEFAULT_JWT_SECRET = 'pdv-saas-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite';
+const DEFAULT_BILLING_WEBHOOK_SECRET = 'pdv-billing-webhook-secret-change-in-production';
+const BILLING_WEBHOOK_SECRET = process.env.BILLING_WEBHOOK_SECRET || DEFAULT_BILLING_WEBHOOK_SECRET;
+const BILLING_GATEWAY = process.env.BILLING_GATEWAY || 'fake';
+const BILLING_CYCLE_INTERVAL_MS = Number(process.env.BILLING_CYCLE_INTERVAL_MS) || 60 * 60 * 1000;
+const AUDIT_RETENTION_DAYS = audit.retentionDays(process.env.AUDIT_RETENTION_DAYS);
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
 
 // Configuração de rate limiting
 const limiter = rateLimit({
@@ -28,39 +60,109 @@ const limiter = rateLimit({
     message: { error: 'Muitas requisições. Tente novamente mais tarde.' }
 });
 
+// Login e redefinição de senha: limite menor por IP (o bloqueio por conta fica em lib/auth.js)
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: { error: 'Muitas tentativas. Tente novamente mais tarde.', code: 'TOO_MANY_ATTEMPTS' }
+});
+
 // Middleware
 app.use(helmet({
     contentSecurityPolicy: {
         directives: {
             defaultSrc: ["'self'"],
             styleSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net", "https://cdnjs.cloudflare.com"],
+            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net", "https://cdnjs.cloudflare.com", "https://unpkg.com"],
+            scriptSrcAttr: ["'unsafe-inline'"], // handlers onclick do index.html
             fontSrc: ["'self'", "https://cdn.jsdelivr.net"],
-            imgSrc: ["'self'", "data:", "https:"]
+            imgSrc: ["'self'", "data:", "https:"],
+            connectSrc: ["'self'", "http://127.0.0.1:*", "http://localhost:*"] // agente de impressão local
         }
     }
 }));
 app.use(compression());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // O webhook de pagamento confere a assinatura sobre o corpo original
+    verify: (req, res, buffer) => {
+        if (req.originalUrl === '/api/billing/webhook') req.rawBody = buffer;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use('/api/', limiter);
 
-// Servir arquivos estáticos
-app.use(express.static('.'));
+// Arquivos estáticos: só as páginas e os módulos de lib/ usados também no navegador.
+// O restante da pasta (data/ com o banco, os certificados e os e-mails, server.js...) não é servido
+const PUBLIC_FILES = ['index.html', 'platform.html', 'lib/promotions.js', 'lib/measure.js', 'lib/product-search.js', 'lib/escpos.js'];
+for (const file of PUBLIC_FILES) {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
 
 // Data directory
-const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const PRODUCTS_FILE = path.join(DATA_DIR, 'products.json');
-const SALES_FILE = path.join(DATA_DIR, 'sales.json');
-const TENANTS_FILE = path.join(DATA_DIR, 'tenants.json');
-const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Armazenamento (SQLite por padrão, JSON para demonstrações)
+const storage = createStorage({ driver: STORAGE_DRIVER, dataDir: DATA_DIR });
+
+// E-mails da redefinição de senha (lib/mailer); o link aponta para APP_URL.
+// MAIL_DIR fica em data/, fora dos arquivos públicos (PUBLIC_FILES)
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const mailer = createMailer({
+    type: MAIL_TRANSPORT,
+    from: process.env.MAIL_FROM,
+    dir: process.env.MAIL_DIR || path.join(DATA_DIR, 'mail'),
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+    }
+});
+
+// Eventos em tempo real por loja (GET /api/events)
+const events = new EventHub();
+const DASHBOARD_EVENT = { permission: 'reports.view' };
+const LOW_STOCK_EVENT = { permission: ['reports.view', 'products.manage', 'purchases.manage'] };
+const REGISTER_EVENT = { permission: ['reports.view', 'register.manage'] };
+
+// Cobrança das assinaturas (lib/billing); o gateway avisa os pagamentos pelo webhook
+const billingGateway = billing.createGateway({
+    type: BILLING_GATEWAY,
+    mode: process.env.BILLING_FAKE_MODE || 'manual',
+    secret: BILLING_WEBHOOK_SECRET,
+    webhookUrl: process.env.BILLING_WEBHOOK_URL || `http://127.0.0.1:${PORT}/api/billing/webhook`
+});
 
-// Inicializar arquivos de dados
-async function initializeDataFiles() {
+// NFC-e: certificado A1 por loja ({tenantId} no caminho) e transmissor (lib/fiscal/transmitter.js)
+const FISCAL_CERT_PATH = process.env.FISCAL_CERT_PATH || path.join(DATA_DIR, 'certificates', '{tenantId}.pfx');
+const FISCAL_CERT_PASSWORD = process.env.FISCAL_CERT_PASSWORD || '';
+const mockSefaz = new fiscal.MockSefaz({ mode: process.env.FISCAL_MOCK_MODE || 'online' });
+const fiscalTransmitter = fiscal.createTransmitter({
+    type: process.env.FISCAL_TRANSMITTER || 'mock',
+    url: process.env.FISCAL_SEFAZ_URL,
+    sefaz: mockSefaz
+});
+
+// Inicializar armazenamento
+async function initializeStorage() {
     try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
+        await storage.init();
+        
+        if (!(await storage.isEmpty())) {
+            console.log(`✅ Armazenamento inicializado (${storage.driver})`);
+            return;
+        }
+        
+        // Primeira execução com SQLite: importar os arquivos JSON existentes
+        if (storage.driver !== 'json' && await hasJsonData(DATA_DIR)) {
+            const summary = await importJsonData(DATA_DIR, storage);
+            console.log('📥 Dados importados de data/*.json:', summary);
+            console.log(`✅ Armazenamento inicializado (${storage.driver})`);
+            return;
+        }
         
         const defaultData = {
             users: [{
@@ -76,7 +178,7 @@ async function initializeDataFiles() {
             products: [{
                 id: 1,
                 tenantId: 1,
-                barcode: "7891000142007",
+                barcode: "7891000142004",
                 name: "Coca-Cola 2L",
                 price: 9.99,
                 cost: 6.50,
@@ -122,105 +224,286 @@ async function initializeDataFiles() {
             }
         };
 
-        // Criar arquivos se não existirem
-        const files = [
-            { file: USERS_FILE, data: defaultData.users },
-            { file: PRODUCTS_FILE, data: defaultData.products },
-            { file: SALES_FILE, data: defaultData.sales },
-            { file: TENANTS_FILE, data: defaultData.tenants },
-            { file: SETTINGS_FILE, data: defaultData.settings }
-        ];
-
-        for (const { file, data } of files) {
-            try {
-                await fs.access(file);
-                console.log(`Arquivo existente: ${path.basename(file)}`);
-            } catch {
-                await fs.writeFile(file, JSON.stringify(data, null, 2));
-                console.log(`Arquivo criado: ${path.basename(file)}`);
-            }
-        }
-
-        console.log('✅ Arquivos de dados inicializados');
+        await seedStorage(storage, defaultData);
+        console.log(`✅ Armazenamento inicializado com dados de demonstração (${storage.driver})`);
     } catch (error) {
-        console.error('❌ Erro ao inicializar arquivos de dados:', error);
+        console.error('❌ Erro ao inicializar armazenamento:', error);
         throw error;
     }
 }
 
+// Com a senha provisória (convite ou senha gerada pelo gerente) só estas rotas respondem
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/me', '/api/auth/change-password'];
+
 // Middleware de autenticação
 async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-        return res.status(401).json({ error: 'Token de acesso não fornecido' });
+        return res.status(401).json({ error: 'Token de acesso não fornecido', code: 'TOKEN_MISSING' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
-        return res.status(403).json({ error: 'Token inválido ou expirado' });
+        // Expirado: o cliente renova com o refresh token (POST /api/auth/refresh)
+        if (error instanceof jwt.TokenExpiredError) {
+            return res.status(401).json({ error: 'Sessão expirada', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(403).json({ error: 'Token inválido ou expirado', code: 'TOKEN_INVALID' });
+    }
+
+    // Tokens da loja pertencem a uma sessão, que pode ter sido encerrada antes de o token expirar
+    if (decoded.scope !== 'platform') {
+        try {
+            const session = decoded.sid ? await storage.authSessions.findById(decoded.sid) : null;
+            if (!session || session.userId !== decoded.id || session.revokedAt) {
+                return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente.', code: 'SESSION_REVOKED' });
+            }
+            
+            const user = await storage.users.findById(decoded.id);
+            if (user && user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+                return res.status(403).json({ error: 'Defina sua senha para continuar', code: 'PASSWORD_CHANGE_REQUIRED' });
+            }
+        } catch (error) {
+            return res.status(500).json({ error: 'Erro ao validar sessão' });
+        }
     }
+
+    req.user = decoded;
+    next();
 }
 
-// Middleware de validação de tenant
-async function validateTenant(req, res, next) {
-    try {
-        const tenants = JSON.parse(await fs.readFile(TENANTS_FILE, 'utf8'));
-        const tenant = tenants.find(t => t.id === req.user.tenantId);
+// EventSource não envia cabeçalhos: o stream de eventos aceita o token em ?token=
+function tokenFromQuery(req, res, next) {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+// Middleware de validação de tenant (e do usuário, que pode ter sido desativado
+// ou mudado de perfil depois da emissão do token).
+// allowUnpaid: rotas de assinatura continuam acessíveis com a assinatura bloqueada
+function tenantValidator({ allowUnpaid = false } = {}) {
+    return async (req, res, next) => {
+        // Token do console da plataforma não vale nas rotas da loja
+        if (req.user.scope === 'platform') {
+            return res.status(403).json({ error: 'Acesso negado para o seu perfil', code: 'FORBIDDEN' });
+        }
         
-        if (!tenant || !tenant.isActive) {
-            return res.status(403).json({ error: 'Conta inativa ou não encontrada' });
+        try {
+            const user = await storage.users.findOne({ id: req.user.id, tenantId: req.user.tenantId });
+            
+            if (!user || !user.isActive) {
+                return res.status(401).json({ error: 'Usuário desativado', code: 'USER_INACTIVE' });
+            }
+            req.user.role = user.role;
+            
+            const tenant = await storage.tenants.findById(req.user.tenantId);
+            
+            if (!tenant || !tenant.isActive) {
+                return res.status(403).json({ error: 'Conta inativa ou não encontrada', code: 'TENANT_INACTIVE' });
+            }
+            
+            const access = billing.accessStatus(tenant);
+            if (!access.allowed && !allowUnpaid) {
+                return res.status(403).json({ error: access.error, code: access.code });
+            }
+            
+            req.tenant = tenant;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: 'Erro ao validar conta' });
         }
+    };
+}
 
-        if (tenant.subscriptionStatus !== 'active' && new Date(tenant.trialEnds) < new Date()) {
-            return res.status(403).json({ error: 'Assinatura expirada. Regularize para continuar.' });
-        }
+const validateTenant = tenantValidator();
+const validateBillingTenant = tenantValidator({ allowUnpaid: true });
 
-        req.tenant = tenant;
+// Fuso horário da loja: define o "dia" do dashboard e dos relatórios
+function tenantTimeZone(tenant) {
+    return (tenant && tenant.timezone) || reports.DEFAULT_TIMEZONE;
+}
+
+// Middleware de autorização pela matriz de permissões (lib/permissions.js)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.user, permission)) {
+            return res.status(403).json({ error: 'Acesso negado para o seu perfil', code: 'FORBIDDEN' });
+        }
         next();
-    } catch (error) {
-        res.status(500).json({ error: 'Erro ao validar conta' });
+    };
+}
+
+// Trilha de auditoria (lib/audit.js); dentro da transação da alteração, quando houver.
+// actor: o usuário do token (padrão) ou o registro do usuário nas rotas sem login
+function recordAudit(db, req, entry, actor = req.user) {
+    return db.auditLogs.insert(audit.buildEntry({
+        tenantId: actor.tenantId,
+        userId: actor.id,
+        userEmail: actor.email,
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+    }, entry));
+}
+
+// Campos que não saem do servidor: senha e segredos da verificação em duas etapas
+const PRIVATE_USER_FIELDS = ['password', 'totpSecret', 'totpPendingSecret', 'totpLastCounter'];
+
+// Usuário sem os campos privados, com as permissões do perfil
+function publicUser(user) {
+    const fields = { ...user };
+    PRIVATE_USER_FIELDS.forEach(field => delete fields[field]);
+    return { ...fields, totpEnabled: Boolean(user.totpEnabled), permissions: permissionsFor(user.role) };
+}
+
+// Sessões de login (lib/auth.js): JWT de acesso curto + refresh token de uso único
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, role: user.role, tenantId: user.tenantId, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: auth.ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+async function issueRefreshToken(tx, session, now) {
+    const refreshToken = auth.generateToken();
+    await tx.refreshTokens.insert({
+        tenantId: session.tenantId,
+        sessionId: session.id,
+        tokenHash: auth.hashToken(refreshToken),
+        expiresAt: auth.refreshTokenExpiresAt(session, now),
+        usedAt: null,
+        createdAt: now.toISOString()
+    });
+    return refreshToken;
+}
+
+function sessionTokens(user, sessionId, refreshToken) {
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: auth.ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+// Nova sessão dentro da transação do login ou do cadastro; "Lembrar-me" estende a validade
+async function startSession(tx, user, req, { remember = false } = {}) {
+    const now = new Date();
+    const session = await tx.authSessions.insert({
+        tenantId: user.tenantId,
+        userId: user.id,
+        expiresAt: auth.sessionExpiresAt(remember, now),
+        revokedAt: null,
+        lastUsedAt: now.toISOString(),
+        ip: req.ip,
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+        createdAt: now.toISOString()
+    });
+    return sessionTokens(user, session.id, await issueRefreshToken(tx, session, now));
+}
+
+// Encerra as sessões ativas do usuário, menos a de quem fez o pedido (keepSessionId)
+async function revokeUserSessions(tx, userId, reason, { keepSessionId = null } = {}) {
+    const sessions = await tx.authSessions.find({ userId, revokedAt: null });
+    const revokedAt = new Date().toISOString();
+    for (const session of sessions) {
+        if (session.id !== keepSessionId) {
+            await tx.authSessions.update(session.id, { revokedAt, revokedReason: reason });
+            tx.afterCommit(() => events.closeSession(session.id));
+        }
+    }
+}
+
+function accountLockedError(user) {
+    return {
+        error: `Conta bloqueada por excesso de tentativas. Tente novamente em ${auth.lockMinutesLeft(user)} minuto(s) ou redefina a senha.`,
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+    };
+}
+
+// Senha ou código errado: conta a tentativa (relida na transação) e bloqueia a conta na última.
+// Vale para o login e para a senha do gerente na aprovação de desconto
+async function recordFailedAttempt(tx, req, user, { action, reason }) {
+    const current = await tx.users.findById(user.id);
+    const changes = auth.failedLoginChanges(current);
+    await tx.users.update(user.id, changes);
+    await recordAudit(tx, req, { action, details: { reason } }, user);
+    if (changes.lockedUntil) {
+        await recordAudit(tx, req, { action: 'auth.account_locked', details: { lockedUntil: changes.lockedUntil } }, user);
+    }
+    return changes;
+}
+
+async function rejectLogin(req, res, user, { error, code }) {
+    const changes = await storage.transaction(tx => recordFailedAttempt(tx, req, user, {
+        action: 'auth.login_failed',
+        reason: code === 'TOTP_INVALID' ? 'totp' : 'password'
+    }));
+
+    if (changes.lockedUntil) {
+        return res.status(423).json(accountLockedError(changes));
     }
+    res.status(401).json({ error, code });
 }
 
 // Rotas de Autenticação
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', authLimiter, async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, totpCode, remember } = req.body;
         
         if (!email || !password) {
             return res.status(400).json({ error: 'E-mail e senha são obrigatórios' });
         }
 
-        const users = JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
-        const user = users.find(u => u.email === email && u.isActive);
+        const user = await storage.users.findOne({ email, isActive: true });
 
         if (!user) {
             return res.status(401).json({ error: 'Credenciais inválidas' });
         }
 
+        // Conta bloqueada: a senha nem é conferida, para a tentativa não servir de teste
+        if (auth.isLocked(user)) {
+            return res.status(423).json(accountLockedError(user));
+        }
+
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) {
-            return res.status(401).json({ error: 'Credenciais inválidas' });
+            return rejectLogin(req, res, user, { error: 'Credenciais inválidas' });
         }
 
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role, tenantId: user.tenantId },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-
-        const { password: _, ...userWithoutPassword } = user;
+        // Verificação em duas etapas: a senha confere, falta o código do aplicativo
+        const changes = { lastLoginAt: new Date().toISOString(), failedLoginAttempts: 0, lockedUntil: null };
+        if (user.totpEnabled) {
+            if (!totpCode) {
+                return res.status(401).json({ error: 'Informe o código do aplicativo autenticador', code: 'TOTP_REQUIRED' });
+            }
+            const counter = auth.verifyTotp(user.totpSecret, totpCode, { lastCounter: user.totpLastCounter ?? null });
+            if (counter === null) {
+                return rejectLogin(req, res, user, { error: 'Código de verificação inválido', code: 'TOTP_INVALID' });
+            }
+            changes.totpLastCounter = counter;
+        }
         
+        const tokens = await storage.transaction(async (tx) => {
+            // Última atividade da loja no console da plataforma
+            await tx.users.update(user.id, changes);
+            await recordAudit(tx, req, {
+                action: 'auth.login',
+                details: { remember: remember === true, twoFactor: Boolean(user.totpEnabled) }
+            }, user);
+            return startSession(tx, user, req, { remember: remember === true });
+        });
+
         res.json({
             success: true,
-            user: userWithoutPassword,
-            token,
-            expiresIn: 24 * 60 * 60 // 24 horas em segundos
+            user: publicUser(user),
+            ...tokens
         });
     } catch (error) {
         console.error('Erro no login:', error);
@@ -228,6 +511,90 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// Novo token de acesso: o refresh token apresentado é trocado por outro (uso único)
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token não informado', code: 'SESSION_EXPIRED' });
+        }
+        
+        const now = new Date();
+        const result = await storage.transaction(async (tx) => {
+            const stored = await tx.refreshTokens.findOne({ tokenHash: auth.hashToken(refreshToken) });
+            const session = stored && await tx.authSessions.findById(stored.sessionId);
+            
+            if (!session || session.revokedAt) {
+                return { status: 401, error: 'Sessão encerrada. Faça login novamente.', code: 'SESSION_REVOKED' };
+            }
+            if (stored.usedAt) {
+                // Duas abas renovando ao mesmo tempo: a outra já gravou os tokens novos
+                if (now.getTime() - new Date(stored.usedAt).getTime() <= auth.REFRESH_REUSE_GRACE_MS) {
+                    return { status: 409, error: 'Sessão renovada em outra aba', code: 'REFRESH_TOKEN_ROTATED' };
+                }
+                // Token já trocado apresentado de novo: foi copiado; a sessão inteira deixa de valer
+                await tx.authSessions.update(session.id, { revokedAt: now.toISOString(), revokedReason: 'refresh_reuse' });
+                tx.afterCommit(() => events.closeSession(session.id));
+                const owner = await tx.users.findById(session.userId);
+                await recordAudit(tx, req, {
+                    action: 'auth.session_revoked',
+                    targetType: 'session',
+                    targetId: session.id,
+                    details: { reason: 'refresh_reuse' }
+                }, owner || { tenantId: session.tenantId, id: session.userId });
+                return { status: 401, error: 'Sessão encerrada por segurança. Faça login novamente.', code: 'SESSION_REVOKED' };
+            }
+            if (stored.expiresAt <= now.toISOString() || session.expiresAt <= now.toISOString()) {
+                return { status: 401, error: 'Sessão expirada. Faça login novamente.', code: 'SESSION_EXPIRED' };
+            }
+            
+            const user = await tx.users.findById(session.userId);
+            if (!user || !user.isActive) {
+                return { status: 401, error: 'Usuário desativado', code: 'USER_INACTIVE' };
+            }
+            
+            await tx.refreshTokens.update(stored.id, { usedAt: now.toISOString() });
+            await tx.authSessions.update(session.id, { lastUsedAt: now.toISOString() });
+            const nextToken = await issueRefreshToken(tx, session, now);
+            return { status: 200, tokens: sessionTokens(user, session.id, nextToken) };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        res.json({ success: true, ...result.tokens });
+    } catch (error) {
+        console.error('Erro ao renovar sessão:', error);
+        res.status(500).json({ error: 'Erro ao renovar sessão' });
+    }
+});
+
+// Sair: revoga a sessão no servidor; o token de acesso deixa de valer na hora
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (refreshToken) {
+            const stored = await storage.refreshTokens.findOne({ tokenHash: auth.hashToken(refreshToken) });
+            const session = stored && await storage.authSessions.findById(stored.sessionId);
+            if (session && !session.revokedAt) {
+                await storage.transaction(async (tx) => {
+                    await tx.authSessions.update(session.id, { revokedAt: new Date().toISOString(), revokedReason: 'logout' });
+                    tx.afterCommit(() => events.closeSession(session.id));
+                    const user = await tx.users.findById(session.userId);
+                    await recordAudit(tx, req, { action: 'auth.logout', targetType: 'session', targetId: session.id },
+                        user || { tenantId: session.tenantId, id: session.userId });
+                });
+            }
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao encerrar sessão' });
+    }
+});
+
 app.post('/api/auth/register', async (req, res) => {
     try {
         const { email, password, name, storeName } = req.body;
@@ -241,63 +608,46 @@ app.post('/api/auth/register', async (req, res) => {
             return res.status(400).json({ error: 'A senha deve ter pelo menos 6 caracteres' });
         }
 
-        const users = JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
-        const tenants = JSON.parse(await fs.readFile(TENANTS_FILE, 'utf8'));
-        
         // Verificar se email já existe
-        if (users.some(u => u.email === email)) {
+        if (await storage.users.findOne({ email })) {
             return res.status(400).json({ error: 'E-mail já cadastrado' });
         }
 
-        // Criar novo tenant
-        const newTenantId = tenants.length > 0 ? Math.max(...tenants.map(t => t.id)) + 1 : 1;
-        const newTenant = {
-            id: newTenantId,
-            name: storeName,
-            email: email,
-            plan: "trial",
-            subscriptionStatus: "trial",
-            monthlyPrice: 0,
-            trialEnds: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-            createdAt: new Date().toISOString(),
-            isActive: true
-        };
-
-        tenants.push(newTenant);
-        await fs.writeFile(TENANTS_FILE, JSON.stringify(tenants, null, 2));
-
-        // Criar novo usuário
-        const newUserId = users.length > 0 ? Math.max(...users.map(u => u.id)) + 1 : 1;
         const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = {
-            id: newUserId,
-            email,
-            password: hashedPassword,
-            name,
-            role: "admin",
-            tenantId: newTenantId,
-            isActive: true,
-            createdAt: new Date().toISOString()
-        };
-
-        users.push(newUser);
-        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+        
+        // Criar tenant, usuário administrador e a primeira sessão juntos
+        const { newTenant, newUser, tokens } = await storage.transaction(async (tx) => {
+            const newTenant = await tx.tenants.insert({
+                name: storeName,
+                email: email,
+                plan: "trial",
+                subscriptionStatus: "trial",
+                monthlyPrice: 0,
+                trialEnds: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+                createdAt: new Date().toISOString(),
+                isActive: true
+            });
 
-        // Criar token
-        const token = jwt.sign(
-            { id: newUserId, email, role: "admin", tenantId: newTenantId },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+            const newUser = await tx.users.insert({
+                email,
+                password: hashedPassword,
+                name,
+                role: "admin",
+                tenantId: newTenant.id,
+                isActive: true,
+                createdAt: new Date().toISOString()
+            });
+            
+            const tokens = await startSession(tx, newUser, req);
+            return { newTenant, newUser, tokens };
+        });
 
-        const { password: _, ...userWithoutPassword } = newUser;
-        
         res.status(201).json({
             success: true,
             message: 'Conta criada com sucesso!',
-            user: userWithoutPassword,
+            user: publicUser(newUser),
             tenant: newTenant,
-            token
+            ...tokens
         });
     } catch (error) {
         console.error('Erro no registro:', error);
@@ -305,298 +655,4211 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
-// Rotas de Produtos
-app.get('/api/products', authenticateToken, validateTenant, async (req, res) => {
-    try {
-        const products = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
-        const tenantProducts = products.filter(p => p.tenantId === req.user.tenantId);
-        res.json(tenantProducts);
-    } catch (error) {
-        res.status(500).json({ error: 'Erro ao buscar produtos' });
-    }
-});
+// Rotas de Usuários da loja
+const TEMPORARY_PASSWORD_LENGTH = 10;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-app.get('/api/products/search', authenticateToken, validateTenant, async (req, res) => {
+// Senha provisória entregue ao convidar ou redefinir um usuário
+function generateTemporaryPassword() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    const bytes = crypto.randomBytes(TEMPORARY_PASSWORD_LENGTH);
+    return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// A loja precisa de pelo menos um administrador ativo
+async function isLastActiveAdmin(user) {
+    if (user.role !== 'admin' || !user.isActive) return false;
+    const admins = await storage.users.count({ tenantId: user.tenantId, role: 'admin', isActive: true });
+    return admins <= 1;
+}
+
+app.get('/api/auth/me', authenticateToken, validateTenant, async (req, res) => {
     try {
-        const { q, barcode } = req.query;
-        const products = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
-        const tenantProducts = products.filter(p => p.tenantId === req.user.tenantId);
-        
-        let result = tenantProducts;
-        
-        if (barcode) {
-            result = result.filter(p => p.barcode === barcode);
-        } else if (q) {
-            const searchTerm = q.toLowerCase();
-            result = result.filter(p => 
-                p.name.toLowerCase().includes(searchTerm) ||
-                p.barcode.includes(searchTerm)
-            );
-        }
-        
-        res.json(result.slice(0, 50)); // Limitar resultados
+        const user = await storage.users.findById(req.user.id);
+        res.json({ user: publicUser(user) });
     } catch (error) {
-        res.status(500).json({ error: 'Erro ao buscar produtos' });
+        res.status(500).json({ error: 'Erro ao buscar usuário' });
     }
 });
 
-app.post('/api/products', authenticateToken, validateTenant, async (req, res) => {
+app.post('/api/auth/change-password', authenticateToken, validateTenant, async (req, res) => {
     try {
-        const product = req.body;
+        const { currentPassword, newPassword } = req.body;
         
-        // Validação básica
-        if (!product.name || !product.price || product.stock === undefined) {
-            return res.status(400).json({ error: 'Nome, preço e estoque são obrigatórios' });
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({ error: 'A nova senha deve ter pelo menos 6 caracteres' });
         }
-
-        const products = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
         
-        // Gerar ID único
-        const newId = products.length > 0 ? Math.max(...products.map(p => p.id)) + 1 : 1;
+        const user = await storage.users.findById(req.user.id);
+        if (!(await bcrypt.compare(currentPassword || '', user.password))) {
+            return res.status(400).json({ error: 'Senha atual incorreta' });
+        }
         
-        const newProduct = {
-            id: newId,
-            tenantId: req.user.tenantId,
-            ...product,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        products.push(newProduct);
-        await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 2));
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const updated = await storage.transaction(async (tx) => {
+            const updated = await tx.users.update(user.id, {
+                password: hashedPassword,
+                mustChangePassword: false,
+                updatedAt: new Date().toISOString()
+            });
+            // As outras sessões entraram com a senha antiga
+            await revokeUserSessions(tx, user.id, 'password_change', { keepSessionId: req.user.sid });
+            await recordAudit(tx, req, { action: 'auth.password_changed', targetType: 'user', targetId: user.id, targetName: user.name });
+            return updated;
+        });
         
-        res.status(201).json({ success: true, product: newProduct });
+        res.json({ success: true, user: publicUser(updated) });
     } catch (error) {
-        console.error('Erro ao criar produto:', error);
-        res.status(500).json({ error: 'Erro ao salvar produto' });
+        res.status(500).json({ error: 'Erro ao alterar senha' });
     }
 });
 
-app.put('/api/products/:id', authenticateToken, validateTenant, async (req, res) => {
+// Esqueci a senha: a resposta é a mesma com ou sem cadastro, para não revelar e-mails
+const PASSWORD_RESET_MESSAGE = 'Se o e-mail estiver cadastrado, você receberá um link para redefinir a senha.';
+
+function sendPasswordResetEmail(user, token) {
+    const minutes = auth.PASSWORD_RESET_TTL_MS / 60000;
+    return mailer.send({
+        to: user.email,
+        subject: 'Redefinição de senha - PDV Web SaaS',
+        text: [
+            `Olá, ${user.name}!`,
+            '',
+            'Recebemos um pedido para redefinir a senha do seu acesso ao PDV Web SaaS.',
+            `Para criar uma nova senha, abra o link abaixo (válido por ${minutes} minutos):`,
+            '',
+            `${APP_URL}/?reset=${token}`,
+            '',
+            'Se você não fez esse pedido, ignore este e-mail: sua senha continua a mesma.'
+        ].join('\n')
+    });
+}
+
+app.post('/api/auth/forgot-password', authLimiter, async (req, res) => {
     try {
-        const productId = parseInt(req.params.id);
-        const updates = req.body;
-        
-        const products = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
-        const index = products.findIndex(p => p.id === productId && p.tenantId === req.user.tenantId);
+        const email = String(req.body.email || '').trim();
         
-        if (index === -1) {
-            return res.status(404).json({ error: 'Produto não encontrado' });
+        if (!EMAIL_REGEX.test(email)) {
+            return res.status(400).json({ error: 'Informe um e-mail válido' });
         }
         
-        products[index] = {
-            ...products[index],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
+        const user = await storage.users.findOne({ email, isActive: true });
+        if (user) {
+            const token = auth.generateToken();
+            const now = new Date();
+            await storage.transaction(async (tx) => {
+                // Só o link mais recente vale
+                const pending = await tx.passwordResets.find({ userId: user.id, usedAt: null });
+                for (const reset of pending) {
+                    await tx.passwordResets.remove(reset.id);
+                }
+                await tx.passwordResets.insert({
+                    tenantId: user.tenantId,
+                    userId: user.id,
+                    tokenHash: auth.hashToken(token),
+                    expiresAt: new Date(now.getTime() + auth.PASSWORD_RESET_TTL_MS).toISOString(),
+                    usedAt: null,
+                    ip: req.ip,
+                    createdAt: now.toISOString()
+                });
+                await recordAudit(tx, req, { action: 'auth.password_reset_requested', targetType: 'user', targetId: user.id, targetName: user.name }, user);
+            });
+            
+            // Sem esperar o envio: o tempo de resposta também não revela o cadastro
+            sendPasswordResetEmail(user, token)
+                .catch(error => console.error('Erro ao enviar e-mail de redefinição de senha:', error));
+        }
         
-        await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 2));
-        res.json({ success: true, product: products[index] });
+        res.json({ success: true, message: PASSWORD_RESET_MESSAGE });
     } catch (error) {
-        res.status(500).json({ error: 'Erro ao atualizar produto' });
+        console.error('Erro ao pedir redefinição de senha:', error);
+        res.status(500).json({ error: 'Erro ao pedir redefinição de senha' });
     }
 });
 
-// Rotas de Vendas
-app.post('/api/sales', authenticateToken, validateTenant, async (req, res) => {
+// Nova senha pelo link do e-mail: desbloqueia a conta e encerra as sessões abertas
+app.post('/api/auth/reset-password', authLimiter, async (req, res) => {
     try {
-        const saleData = req.body;
+        const { token, newPassword } = req.body;
         
-        if (!saleData.items || !Array.isArray(saleData.items) || saleData.items.length === 0) {
-            return res.status(400).json({ error: 'Itens da venda são obrigatórios' });
-        }
-
-        if (!saleData.paymentMethod) {
-            return res.status(400).json({ error: 'Método de pagamento é obrigatório' });
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({ error: 'A nova senha deve ter pelo menos 6 caracteres' });
         }
-
-        const sales = JSON.parse(await fs.readFile(SALES_FILE, 'utf8'));
-        const products = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
-        
-        // Gerar ID único para a venda
-        const newSaleId = sales.length > 0 ? Math.max(...sales.map(s => s.id)) + 1 : 1;
-        
-        // Calcular total
-        const total = saleData.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
         
-        // Criar objeto da venda
-        const newSale = {
-            id: newSaleId,
-            tenantId: req.user.tenantId,
-            userId: req.user.id,
-            items: saleData.items,
-            total: total,
-            paymentMethod: saleData.paymentMethod,
-            cashReceived: saleData.cashReceived || null,
-            cashChange: saleData.cashChange || null,
-            status: 'completed',
-            notes: saleData.notes || '',
-            createdAt: new Date().toISOString()
-        };
-
-        // Atualizar estoque dos produtos
-        for (const item of saleData.items) {
-            const productIndex = products.findIndex(p => 
-                p.id === item.productId && p.tenantId === req.user.tenantId
-            );
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const now = new Date().toISOString();
+        const result = await storage.transaction(async (tx) => {
+            const reset = token ? await tx.passwordResets.findOne({ tokenHash: auth.hashToken(token) }) : null;
+            const user = reset && await tx.users.findById(reset.userId);
             
-            if (productIndex !== -1) {
-                products[productIndex].stock -= item.quantity;
-                products[productIndex].updatedAt = new Date().toISOString();
-                
-                if (products[productIndex].stock < 0) {
-                    products[productIndex].stock = 0; // Prevenir estoque negativo
-                }
+            if (!reset || reset.usedAt || reset.expiresAt <= now || !user || !user.isActive) {
+                return { status: 400, error: 'Link de redefinição inválido ou expirado. Peça um novo.', code: 'RESET_TOKEN_INVALID' };
             }
-        }
-
-        // Salvar dados
-        sales.push(newSale);
-        await fs.writeFile(SALES_FILE, JSON.stringify(sales, null, 2));
-        await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 2));
+            
+            await tx.passwordResets.update(reset.id, { usedAt: now });
+            await tx.users.update(user.id, {
+                password: hashedPassword,
+                mustChangePassword: false,
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+                updatedAt: now
+            });
+            await revokeUserSessions(tx, user.id, 'password_reset');
+            await recordAudit(tx, req, { action: 'auth.password_reset', targetType: 'user', targetId: user.id, targetName: user.name }, user);
+            return { status: 200 };
+        });
         
-        res.status(201).json({ success: true, sale: newSale });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error('Erro ao registrar venda:', error);
-        res.status(500).json({ error: 'Erro ao processar venda' });
+        console.error('Erro ao redefinir senha:', error);
+        res.status(500).json({ error: 'Erro ao redefinir senha' });
     }
 });
 
-app.get('/api/sales/today', authenticateToken, validateTenant, async (req, res) => {
+// Verificação em duas etapas (TOTP) dos administradores: gerar a chave, confirmar com um código e desativar
+const TOTP_ISSUER = 'PDV Web SaaS';
+
+app.post('/api/auth/2fa/setup', authenticateToken, validateTenant, async (req, res) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
-        const sales = JSON.parse(await fs.readFile(SALES_FILE, 'utf8'));
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'A verificação em duas etapas é exclusiva dos administradores', code: 'FORBIDDEN' });
+        }
         
-        const todaySales = sales.filter(s => 
-            s.tenantId === req.user.tenantId && 
-            s.createdAt.startsWith(today) &&
-            s.status === 'completed'
-        );
+        const user = await storage.users.findById(req.user.id);
+        if (user.totpEnabled) {
+            return res.status(400).json({ error: 'A verificação em duas etapas já está ativa' });
+        }
+        
+        // A chave só passa a valer depois de confirmada em /2fa/enable
+        const secret = auth.generateTotpSecret();
+        await storage.users.update(user.id, { totpPendingSecret: secret });
         
-        res.json(todaySales);
+        res.json({ secret, otpauthUrl: auth.otpauthUrl({ secret, account: user.email, issuer: TOTP_ISSUER }) });
     } catch (error) {
-        res.status(500).json({ error: 'Erro ao buscar vendas do dia' });
+        res.status(500).json({ error: 'Erro ao gerar chave de verificação' });
     }
 });
 
-app.get('/api/sales/stats', authenticateToken, validateTenant, async (req, res) => {
+app.post('/api/auth/2fa/enable', authenticateToken, validateTenant, async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
-        const sales = JSON.parse(await fs.readFile(SALES_FILE, 'utf8'));
+        const user = await storage.users.findById(req.user.id);
         
-        let filteredSales = sales.filter(s => s.tenantId === req.user.tenantId && s.status === 'completed');
-        
-        if (startDate) {
-            filteredSales = filteredSales.filter(s => s.createdAt >= startDate);
+        if (!user.totpPendingSecret) {
+            return res.status(400).json({ error: 'Gere a chave de verificação antes de ativar' });
         }
         
-        if (endDate) {
-            filteredSales = filteredSales.filter(s => s.createdAt <= endDate + 'T23:59:59.999Z');
+        const counter = auth.verifyTotp(user.totpPendingSecret, req.body.code);
+        if (counter === null) {
+            return res.status(400).json({ error: 'Código de verificação inválido', code: 'TOTP_INVALID' });
         }
         
-        const totalSales = filteredSales.length;
-        const totalRevenue = filteredSales.reduce((sum, sale) => sum + sale.total, 0);
-        const averageTicket = totalSales > 0 ? totalRevenue / totalSales : 0;
-        
-        // Produtos mais vendidos
-        const productSales = {};
-        filteredSales.forEach(sale => {
-            sale.items.forEach(item => {
-                if (!productSales[item.productId]) {
-                    productSales[item.productId] = {
-                        productId: item.productId,
-                        productName: item.productName || `Produto ${item.productId}`,
-                        quantity: 0,
-                        revenue: 0
-                    };
-                }
-                productSales[item.productId].quantity += item.quantity;
-                productSales[item.productId].revenue += item.price * item.quantity;
+        const updated = await storage.transaction(async (tx) => {
+            const updated = await tx.users.update(user.id, {
+                totpSecret: user.totpPendingSecret,
+                totpPendingSecret: null,
+                totpEnabled: true,
+                totpLastCounter: counter,
+                updatedAt: new Date().toISOString()
             });
+            await recordAudit(tx, req, { action: 'auth.2fa_enabled', targetType: 'user', targetId: user.id, targetName: user.name });
+            return updated;
         });
         
-        const topProducts = Object.values(productSales)
-            .sort((a, b) => b.quantity - a.quantity)
-            .slice(0, 10);
-        
-        res.json({
-            totalSales,
-            totalRevenue,
-            averageTicket,
-            topProducts
-        });
+        res.json({ success: true, user: publicUser(updated) });
     } catch (error) {
-        console.error('Erro ao buscar estatísticas:', error);
-        res.status(500).json({ error: 'Erro ao buscar estatísticas' });
+        res.status(500).json({ error: 'Erro ao ativar verificação em duas etapas' });
     }
 });
 
-// Rotas do Dashboard
-app.get('/api/dashboard/overview', authenticateToken, validateTenant, async (req, res) => {
+app.post('/api/auth/2fa/disable', authenticateToken, validateTenant, async (req, res) => {
     try {
-        const sales = JSON.parse(await fs.readFile(SALES_FILE, 'utf8'));
-        const products = JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8'));
-        const today = new Date().toISOString().split('T')[0];
-        
-        const tenantSales = sales.filter(s => s.tenantId === req.user.tenantId && s.status === 'completed');
-        const tenantProducts = products.filter(p => p.tenantId === req.user.tenantId);
+        const { password, code } = req.body;
+        const user = await storage.users.findById(req.user.id);
         
-        // Vendas de hoje
-        const todaySales = tenantSales.filter(s => s.createdAt.startsWith(today));
-        
-        // Estatísticas
-        const totalSales = todaySales.length;
-        const totalRevenue = todaySales.reduce((sum, sale) => sum + sale.total, 0);
-        const lowStockCount = tenantProducts.filter(p => p.stock < (p.lowStockAlert || 5)).length;
-        const averageTicket = totalSales > 0 ? totalRevenue / totalSales : 0;
+        if (!user.totpEnabled) {
+            return res.status(400).json({ error: 'A verificação em duas etapas não está ativa' });
+        }
+        if (!(await bcrypt.compare(password || '', user.password))) {
+            return res.status(400).json({ error: 'Senha atual incorreta' });
+        }
+        if (auth.verifyTotp(user.totpSecret, code, { lastCounter: user.totpLastCounter ?? null }) === null) {
+            return res.status(400).json({ error: 'Código de verificação inválido', code: 'TOTP_INVALID' });
+        }
         
-        // Vendas por método de pagamento
-        const paymentMethods = {};
-        todaySales.forEach(sale => {
-            const method = sale.paymentMethod || 'unknown';
-            paymentMethods[method] = (paymentMethods[method] || 0) + 1;
+        const updated = await storage.transaction(async (tx) => {
+            const updated = await tx.users.update(user.id, {
+                totpSecret: null,
+                totpEnabled: false,
+                totpLastCounter: null,
+                updatedAt: new Date().toISOString()
+            });
+            await recordAudit(tx, req, { action: 'auth.2fa_disabled', targetType: 'user', targetId: user.id, targetName: user.name });
+            return updated;
+        });
+        
+        res.json({ success: true, user: publicUser(updated) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao desativar verificação em duas etapas' });
+    }
+});
+
+// Perfis e matriz de permissões (para a tela de usuários)
+app.get('/api/permissions', authenticateToken, validateTenant, (req, res) => {
+    res.json({ roles: ROLES, permissions: PERMISSIONS, matrix: ROLE_PERMISSIONS });
+});
+
+app.get('/api/users', authenticateToken, validateTenant, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const users = await storage.users.find({ tenantId: req.user.tenantId }, { orderBy: 'name' });
+        res.json(users.map(publicUser));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar usuários' });
+    }
+});
+
+// Convite: cria o usuário com uma senha provisória, trocada no primeiro acesso
+app.post('/api/users', authenticateToken, validateTenant, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        const email = String(req.body.email || '').trim();
+        const { role } = req.body;
+        
+        if (!name || !EMAIL_REGEX.test(email)) {
+            return res.status(400).json({ error: 'Informe nome e e-mail válidos' });
+        }
+        if (!ROLES[role]) {
+            return res.status(400).json({ error: 'Perfil inválido' });
+        }
+        if (await storage.users.findOne({ email })) {
+            return res.status(400).json({ error: 'E-mail já cadastrado' });
+        }
+        
+        const limitError = await planLimitError(req.tenant, 'users');
+        if (limitError) {
+            return res.status(403).json(limitError);
+        }
+        
+        const temporaryPassword = generateTemporaryPassword();
+        const hashedPassword = await bcrypt.hash(temporaryPassword, 10);
+        const newUser = await storage.transaction(async (tx) => {
+            const newUser = await tx.users.insert({
+                email,
+                password: hashedPassword,
+                name,
+                role,
+                tenantId: req.user.tenantId,
+                isActive: true,
+                mustChangePassword: true,
+                invitedBy: req.user.id,
+                createdAt: new Date().toISOString()
+            });
+            await recordAudit(tx, req, {
+                action: 'user.created',
+                targetType: 'user',
+                targetId: newUser.id,
+                targetName: name,
+                details: { email, role }
+            });
+            return newUser;
+        });
+        
+        res.status(201).json({ success: true, user: publicUser(newUser), temporaryPassword });
+    } catch (error) {
+        console.error('Erro ao criar usuário:', error);
+        res.status(500).json({ error: 'Erro ao criar usuário' });
+    }
+});
+
+// Alteração de nome, perfil ou ativação
+app.put('/api/users/:id', authenticateToken, validateTenant, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const existing = await storage.users.findOne({ id: userId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Usuário não encontrado' });
+        }
+        
+        const updates = {};
+        if (req.body.name !== undefined) {
+            updates.name = String(req.body.name).trim();
+            if (!updates.name) {
+                return res.status(400).json({ error: 'Informe o nome' });
+            }
+        }
+        if (req.body.role !== undefined) {
+            if (!ROLES[req.body.role]) {
+                return res.status(400).json({ error: 'Perfil inválido' });
+            }
+            updates.role = req.body.role;
+        }
+        if (req.body.isActive !== undefined) {
+            updates.isActive = req.body.isActive === true;
+        }
+        
+        if (userId === req.user.id && (updates.isActive === false || (updates.role && updates.role !== existing.role))) {
+            return res.status(400).json({ error: 'Você não pode desativar ou alterar o próprio perfil' });
+        }
+        const losesAdmin = updates.isActive === false || (updates.role && updates.role !== 'admin');
+        if (losesAdmin && await isLastActiveAdmin(existing)) {
+            return res.status(400).json({ error: 'A loja precisa de pelo menos um administrador ativo' });
+        }
+        if (updates.isActive && !existing.isActive) {
+            const limitError = await planLimitError(req.tenant, 'users');
+            if (limitError) {
+                return res.status(403).json(limitError);
+            }
+        }
+        
+        const user = await storage.transaction(async (tx) => {
+            const user = await tx.users.update(userId, {
+                ...updates,
+                updatedAt: new Date().toISOString()
+            });
+            if (updates.isActive === false) {
+                await revokeUserSessions(tx, userId, 'user_deactivated');
+                tx.afterCommit(() => events.closeUser(userId));
+            } else if (updates.role) {
+                // Streams abertos passam a receber só o que o novo perfil permite
+                tx.afterCommit(() => events.updateUser(userId, { role: user.role }));
+            }
+            await recordAudit(tx, req, {
+                action: 'user.updated',
+                targetType: 'user',
+                targetId: userId,
+                targetName: user.name,
+                changes: audit.diffChanges(existing, user)
+            });
+            return user;
+        });
+        
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao atualizar usuário' });
+    }
+});
+
+app.post('/api/users/:id/reset-password', authenticateToken, validateTenant, requirePermission('users.manage'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const existing = await storage.users.findOne({ id: userId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Usuário não encontrado' });
+        }
+        
+        // A senha provisória também desbloqueia a conta e encerra as sessões abertas
+        const temporaryPassword = generateTemporaryPassword();
+        const hashedPassword = await bcrypt.hash(temporaryPassword, 10);
+        await storage.transaction(async (tx) => {
+            await tx.users.update(userId, {
+                password: hashedPassword,
+                mustChangePassword: true,
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+                updatedAt: new Date().toISOString()
+            });
+            await revokeUserSessions(tx, userId, 'password_reset');
+            await recordAudit(tx, req, { action: 'user.password_reset', targetType: 'user', targetId: userId, targetName: existing.name });
+        });
+        
+        res.json({ success: true, temporaryPassword });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao redefinir senha' });
+    }
+});
+
+// Livro de movimentações: toda alteração de products.stock passa por aqui
+// Evento em tempo real publicado só depois do commit: nada é enviado se a transação for desfeita
+function publishAfterCommit(tx, tenantId, type, data, options) {
+    tx.afterCommit(() => events.publish(tenantId, type, data, options));
+}
+
+async function recordStockMovement(tx, user, product, quantity, { type, reason = '', saleId = null, countId = null, purchaseOrderId = null, now }) {
+    const previousBalance = product.stock || 0;
+    // Venda offline pode baixar mais do que havia: o saldo não fica negativo
+    // (o estorno e o cancelamento devolvem só o que saiu, saleStockOutstanding)
+    const balance = Math.max(0, measure.roundQuantity(previousBalance + quantity));
+    
+    await tx.products.update(product.id, { stock: balance, updatedAt: now });
+    product.stock = balance;
+    
+    publishAfterCommit(tx, user.tenantId, 'stock.changed', { productId: product.id, stock: balance, previousStock: previousBalance, movementType: type });
+    // Alerta só quando o saldo cruza o mínimo, não a cada venda abaixo dele
+    const lowStockAlert = product.lowStockAlert || 5;
+    if (product.isActive !== false && balance < lowStockAlert && previousBalance >= lowStockAlert) {
+        publishAfterCommit(tx, user.tenantId, 'stock.low', {
+            productId: product.id,
+            name: product.name,
+            stock: balance,
+            lowStockAlert,
+            supplierId: product.supplierId || null
+        }, LOW_STOCK_EVENT);
+    }
+    
+    return tx.stockMovements.insert({
+        tenantId: user.tenantId,
+        productId: product.id,
+        type,
+        quantity: measure.roundQuantity(balance - previousBalance),
+        requestedQuantity: measure.roundQuantity(balance - previousBalance) !== quantity ? quantity : null,
+        previousBalance,
+        balance,
+        reason,
+        saleId,
+        countId,
+        purchaseOrderId,
+        userId: user.id,
+        userEmail: user.email,
+        createdAt: now
+    });
+}
+
+// Uso da loja comparado aos limites do plano (lib/billing/plans.js)
+async function tenantUsage(tenantId) {
+    const [users, products, registers] = await Promise.all([
+        storage.users.count({ tenantId, isActive: true }),
+        storage.products.count({ tenantId }),
+        storage.registerSessions.count({ tenantId, status: 'open' })
+    ]);
+    return { users, products, registers };
+}
+
+async function planLimitError(tenant, resource, adding = 1) {
+    const usage = await tenantUsage(tenant.id);
+    return billing.limitError(tenant, resource, usage[resource], adding);
+}
+
+// Fornecedor do produto (supplierId null desvincula)
+async function productSupplierError(tenantId, product) {
+    if (product.supplierId === undefined || product.supplierId === null) return null;
+    const supplier = await storage.suppliers.findOne({ id: product.supplierId, tenantId });
+    return supplier ? null : 'Fornecedor não encontrado';
+}
+
+// Código do produto na balança (etiquetas com prefixo 2): só dígitos e único na loja
+async function productScaleCodeError(tenantId, product, productId = null) {
+    if (!product.scaleCode) return null;
+    if (!/^\d{1,6}$/.test(product.scaleCode)) {
+        return 'Código da balança deve ter de 1 a 6 dígitos';
+    }
+    if (!measure.isFractionalUnit(product.unit)) {
+        return 'Código da balança só vale para produtos vendidos por peso ou medida (KG, L, M)';
+    }
+    
+    const products = await storage.products.find({ tenantId });
+    const duplicate = products.find(p => p.id !== productId && measure.matchesScaleCode(p, product.scaleCode));
+    return duplicate ? `Código da balança já usado em ${duplicate.name}` : null;
+}
+
+function quantityErrorMessage(label, unit) {
+    return measure.isFractionalUnit(unit)
+        ? `${label} deve ter no máximo ${measure.QUANTITY_DECIMALS} casas decimais`
+        : `${label} deve ser um número inteiro`;
+}
+
+// Variação, kit e códigos adicionais (lib/catalog.js) conferidos com o catálogo da loja
+async function productCatalogError(tenantId, product, barcodes, productId = null) {
+    const [products, aliases] = await Promise.all([
+        storage.products.find({ tenantId }),
+        storage.productBarcodes.find({ tenantId })
+    ]);
+    const byId = new Map(products.map(p => [p.id, p]));
+    const parentIds = new Set(products.filter(p => p.parentId).map(p => p.parentId));
+    const componentIds = new Set(products.filter(catalog.isKit).flatMap(p => p.components.map(c => c.productId)));
+    const hasVariants = productId !== null && parentIds.has(productId);
+    
+    if (product.parentId) {
+        const parent = byId.get(product.parentId);
+        if (!parent || parent.id === productId) return 'Produto pai não encontrado';
+        if (hasVariants) return 'Este produto tem variações e não pode ser variação de outro';
+        if (parent.parentId) return `${parent.name} já é uma variação de outro produto`;
+        if (catalog.isKit(parent)) return 'Kits não têm variações';
+        if (componentIds.has(parent.id)) return `${parent.name} é componente de um kit e não pode ter variações`;
+        if (Object.keys(product.variantAttributes || {}).length === 0) {
+            return 'Informe os atributos da variação (por exemplo, Tamanho: M)';
+        }
+    }
+    
+    if (catalog.isKit(product)) {
+        if (product.parentId || hasVariants) return 'Kits não têm variações';
+        if (productId !== null && componentIds.has(productId)) return 'Este produto é componente de um kit e não pode ser kit';
+        const componentsError = catalog.componentsError(productId, product.components, byId, parentIds);
+        if (componentsError) return componentsError;
+    }
+    
+    // Um código identifica um só produto: o principal não pode ser adicional de outro, e vice-versa
+    const aliasOwner = code => {
+        const alias = aliases.find(a => a.barcode === code && a.productId !== productId);
+        return alias ? byId.get(alias.productId) : null;
+    };
+    const mainOwner = product.barcode ? aliasOwner(product.barcode) : null;
+    if (mainOwner) {
+        return `Código ${product.barcode} já é código adicional de ${mainOwner.name}`;
+    }
+    for (const code of barcodes || []) {
+        const owner = products.find(p => p.id !== productId && p.barcode === code) || aliasOwner(code);
+        if (owner) return `Código ${code} já usado em ${owner.name}`;
+    }
+    return null;
+}
+
+// Substitui os códigos adicionais do produto
+async function saveProductBarcodes(tx, tenantId, productId, barcodes, now) {
+    const existing = await tx.productBarcodes.find({ tenantId, productId });
+    for (const alias of existing) {
+        if (!barcodes.includes(alias.barcode)) {
+            await tx.productBarcodes.remove(alias.id);
+        }
+    }
+    for (const barcode of barcodes) {
+        if (!existing.some(alias => alias.barcode === barcode)) {
+            await tx.productBarcodes.insert({ tenantId, productId, barcode, createdAt: now });
+        }
+    }
+}
+
+// Produto pelo código principal ou por um código adicional
+async function findProductByBarcode(tx, tenantId, barcode) {
+    const product = await tx.products.findOne({ tenantId, barcode });
+    if (product) return product;
+    
+    const alias = await tx.productBarcodes.findOne({ tenantId, barcode });
+    return alias ? tx.products.findOne({ id: alias.productId, tenantId }) : null;
+}
+
+// Lista de produtos com os códigos adicionais de cada um (busca por código no caixa e offline)
+async function withBarcodes(tenantId, products) {
+    const aliases = await storage.productBarcodes.find({ tenantId }, { orderBy: 'id' });
+    const byProduct = new Map();
+    for (const alias of aliases) {
+        byProduct.set(alias.productId, [...(byProduct.get(alias.productId) || []), alias.barcode]);
+    }
+    return products.map(product => ({ ...product, barcodes: byProduct.get(product.id) || [] }));
+}
+
+// Índice de busca por loja (lib/product-search.js): montado na primeira busca,
+// atualizado a cada cadastro ou alteração e descartado depois de uma importação
+const productIndexes = new Map(); // tenantId -> Promise<SearchIndex>
+
+function productSearchIndex(tenantId) {
+    if (!productIndexes.has(tenantId)) {
+        const building = storage.products.find({ tenantId })
+            .then(products => withBarcodes(tenantId, products))
+            .then(products => new SearchIndex(products));
+        building.catch(() => productIndexes.delete(tenantId));
+        productIndexes.set(tenantId, building);
+    }
+    return productIndexes.get(tenantId);
+}
+
+// Produto já com barcodes (códigos adicionais); sem índice montado, nada a fazer
+function indexProduct(tenantId, product) {
+    const building = productIndexes.get(tenantId);
+    if (building) {
+        building.then(index => index.upsert(product)).catch(() => {});
+    }
+}
+
+// Rotas de Produtos
+app.get('/api/products', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const tenantProducts = await storage.products.find({ tenantId: req.user.tenantId }, { orderBy: 'id' });
+        res.json(await withBarcodes(req.user.tenantId, tenantProducts));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar produtos' });
+    }
+});
+
+app.get('/api/products/search', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const { q, barcode } = req.query;
+        
+        let result;
+        
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        
+        if (barcode) {
+            const product = await findProductByBarcode(storage, req.user.tenantId, String(barcode).trim());
+            result = await withBarcodes(req.user.tenantId, product ? [product] : []);
+        } else if (q) {
+            // Ordem do índice: código exato, nome começando pelo termo, palavras, trecho do nome, erro de digitação
+            const index = await productSearchIndex(req.user.tenantId);
+            const ranked = index.search(q, { limit });
+            const products = await storage.products.find({ tenantId: req.user.tenantId, id: ranked.map(r => r.id) });
+            const byId = new Map(products.map(p => [p.id, p]));
+            result = await withBarcodes(req.user.tenantId, ranked
+                .filter(r => byId.has(r.id))
+                .map(r => ({ ...byId.get(r.id), match: r.match })));
+        } else {
+            const products = await storage.products.find({ tenantId: req.user.tenantId }, { orderBy: 'id', limit });
+            result = await withBarcodes(req.user.tenantId, products);
+        }
+        
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar produtos' });
+    }
+});
+
+// Importação/exportação do catálogo (CSV ou XLSX)
+// O arquivo vem como JSON { filename, content (base64) } ou no corpo, com Content-Type text/csv ou XLSX
+const spreadsheetBody = express.raw({ type: ['text/csv', XLSX_CONTENT_TYPE, 'application/octet-stream'], limit: '10mb' });
+
+function importFileBuffer(req) {
+    if (Buffer.isBuffer(req.body)) return req.body;
+    if (req.body && typeof req.body.content === 'string') return Buffer.from(req.body.content, 'base64');
+    return null;
+}
+
+app.post('/api/products/import', authenticateToken, validateTenant, requirePermission('products.manage'), spreadsheetBody, async (req, res) => {
+    try {
+        const buffer = importFileBuffer(req);
+        if (!buffer || buffer.length === 0) {
+            return res.status(400).json({ error: 'Envie a planilha (CSV ou XLSX)' });
+        }
+        
+        let rows;
+        try {
+            rows = parseSpreadsheet(buffer);
+        } catch (error) {
+            if (!(error instanceof SpreadsheetError)) throw error;
+            return res.status(400).json({ error: error.message, code: 'INVALID_SPREADSHEET' });
+        }
+        
+        // Por padrão apenas simula; ?dryRun=false grava
+        const dryRun = req.query.dryRun !== 'false';
+        const options = { canEditPrice: hasPermission(req.user, 'products.editPrice') };
+        
+        // O plano é refeito dentro da transação para não sobrescrever alterações concorrentes
+        const result = await storage.transaction(async (tx) => {
+            const products = await tx.products.find({ tenantId: req.user.tenantId });
+            const plan = planImport(rows, products, options);
+            if (plan.error) {
+                return { status: 400, error: plan.error, code: 'INVALID_SPREADSHEET' };
+            }
+            const limitError = billing.limitError(req.tenant, 'products', products.length, plan.summary.create);
+            if (limitError && plan.summary.create > 0) {
+                return { status: 403, ...limitError, plan };
+            }
+            if (dryRun) {
+                return { plan };
+            }
+            if (plan.errors.length > 0) {
+                return { status: 422, error: 'Corrija os erros da planilha antes de importar', code: 'IMPORT_HAS_ERRORS', plan };
+            }
+            
+            // Estoque da planilha entra pelo livro de movimentações
+            const now = new Date().toISOString();
+            const reason = `Importação de planilha${req.body.filename ? ` (${req.body.filename})` : ''}`;
+            const existingProducts = new Map(products.map(product => [product.id, product]));
+            for (const item of plan.items) {
+                if (item.action === 'create') {
+                    const { stock, ...fields } = item.product;
+                    const product = await tx.products.insert({
+                        ...fields,
+                        stock: 0,
+                        tenantId: req.user.tenantId,
+                        createdAt: now,
+                        updatedAt: now
+                    });
+                    if (stock > 0) {
+                        await recordStockMovement(tx, req.user, product, stock, { type: 'initial', reason, now });
+                    }
+                    item.productId = product.id;
+                    await recordAudit(tx, req, {
+                        action: 'product.created',
+                        targetType: 'product',
+                        targetId: product.id,
+                        targetName: product.name,
+                        details: { barcode: product.barcode || null, price: product.price, cost: product.cost ?? null, stock, source: reason }
+                    });
+                } else if (item.action === 'update') {
+                    const { stock, ...changes } = item.changes;
+                    const product = await tx.products.update(item.productId, { ...changes, updatedAt: now });
+                    await recordPriceChange(tx, req.user, product, existingProducts.get(item.productId).price, { source: 'import', now });
+                    if (stock !== undefined) {
+                        await recordStockMovement(tx, req.user, product, stock - product.stock, { type: 'adjustment', reason, now });
+                    }
+                    // Preço e custo em massa: uma entrada por produto, como na edição individual (o estoque fica no livro)
+                    const productChanges = audit.diffChanges(existingProducts.get(item.productId), product);
+                    if (productChanges) {
+                        await recordAudit(tx, req, {
+                            action: 'product.updated',
+                            targetType: 'product',
+                            targetId: product.id,
+                            targetName: product.name,
+                            changes: productChanges,
+                            details: { source: reason }
+                        });
+                    }
+                }
+            }
+            await recordAudit(tx, req, {
+                action: 'product.imported',
+                details: { filename: req.body.filename || null, ...plan.summary }
+            });
+            
+            return { plan };
+        });
+        
+        if (!dryRun && !result.error) {
+            productIndexes.delete(req.user.tenantId);
+        }
+        
+        const report = result.plan && {
+            dryRun,
+            summary: result.plan.summary,
+            errors: result.plan.errors,
+            ignoredColumns: result.plan.ignoredColumns,
+            items: result.plan.items
+        };
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code, ...report });
+        }
+        
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Erro ao importar produtos:', error);
+        res.status(500).json({ error: 'Erro ao importar produtos' });
+    }
+});
+
+app.get('/api/products/export', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: 'Formato inválido (use csv ou xlsx)' });
+        }
+        
+        const products = await storage.products.find({ tenantId: req.user.tenantId }, { orderBy: 'id' });
+        const rows = productsToRows(products);
+        const filename = `produtos-${new Date().toISOString().substring(0, 10)}.${format}`;
+        
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'xlsx') {
+            res.type(XLSX_CONTENT_TYPE).send(toXlsx(rows, { sheetName: 'Produtos' }));
+        } else {
+            res.type('text/csv; charset=utf-8').send(toCsv(rows));
+        }
+    } catch (error) {
+        console.error('Erro ao exportar produtos:', error);
+        res.status(500).json({ error: 'Erro ao exportar produtos' });
+    }
+});
+
+app.post('/api/products', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const product = req.body;
+        
+        // Validação básica
+        if (!product.name || !product.price || product.stock === undefined) {
+            return res.status(400).json({ error: 'Nome, preço e estoque são obrigatórios' });
+        }
+
+        const taxError = fiscal.productTaxError(product);
+        if (taxError) {
+            return res.status(400).json({ error: taxError });
+        }
+
+        const stock = Number(product.stock);
+        if (!measure.isValidQuantity(stock, product.unit) || stock < 0) {
+            return res.status(400).json({ error: quantityErrorMessage('Estoque', product.unit) + ' não negativo' });
+        }
+
+        const { structure, error: structureError } = catalog.normalizeStructure(product);
+        if (structureError) {
+            return res.status(400).json({ error: structureError });
+        }
+        Object.assign(product, structure);
+        if (catalog.isKit(product) && stock > 0) {
+            return res.status(400).json({ error: 'Kits não têm estoque próprio: o saldo é o dos componentes' });
+        }
+
+        const aliases = catalog.normalizeBarcodes(product.barcodes || [], product.barcode);
+        if (aliases.error) {
+            return res.status(400).json({ error: aliases.error });
+        }
+        const catalogError = await productCatalogError(req.user.tenantId, product, aliases.barcodes);
+        if (catalogError) {
+            return res.status(400).json({ error: catalogError });
+        }
+
+        const supplierError = await productSupplierError(req.user.tenantId, product);
+        if (supplierError) {
+            return res.status(400).json({ error: supplierError });
+        }
+
+        product.scaleCode = String(product.scaleCode || '').trim() || null;
+        const scaleCodeError = await productScaleCodeError(req.user.tenantId, product);
+        if (scaleCodeError) {
+            return res.status(400).json({ error: scaleCodeError });
+        }
+
+        const limitError = await planLimitError(req.tenant, 'products');
+        if (limitError) {
+            return res.status(403).json(limitError);
+        }
+
+        const { id: _, stock: __, barcodes: ___, ...fields } = product;
+        
+        // O estoque inicial entra pelo livro de movimentações
+        const newProduct = await storage.transaction(async (tx) => {
+            const now = new Date().toISOString();
+            const created = await tx.products.insert({
+                ...fields,
+                stock: 0,
+                tenantId: req.user.tenantId,
+                createdAt: now,
+                updatedAt: now
+            });
+            if (stock > 0) {
+                await recordStockMovement(tx, req.user, created, stock, { type: 'initial', now });
+            }
+            await saveProductBarcodes(tx, req.user.tenantId, created.id, aliases.barcodes, now);
+            await recordAudit(tx, req, {
+                action: 'product.created',
+                targetType: 'product',
+                targetId: created.id,
+                targetName: created.name,
+                details: { barcode: created.barcode || null, price: created.price, cost: created.cost ?? null, stock }
+            });
+            return { ...created, barcodes: aliases.barcodes };
+        });
+        indexProduct(req.user.tenantId, newProduct);
+        
+        res.status(201).json({ success: true, product: newProduct });
+    } catch (error) {
+        console.error('Erro ao criar produto:', error);
+        res.status(500).json({ error: 'Erro ao salvar produto' });
+    }
+});
+
+app.put('/api/products/:id', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const productId = parseInt(req.params.id);
+        const { id: _, tenantId: __, barcodes, ...updates } = req.body;
+        
+        const existing = await storage.products.findOne({ id: productId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Produto não encontrado' });
+        }
+        
+        const taxError = fiscal.productTaxError(updates);
+        if (taxError) {
+            return res.status(400).json({ error: taxError });
+        }
+        
+        const supplierError = await productSupplierError(req.user.tenantId, updates);
+        if (supplierError) {
+            return res.status(400).json({ error: supplierError });
+        }
+        
+        if (updates.scaleCode !== undefined) {
+            updates.scaleCode = String(updates.scaleCode || '').trim() || null;
+        }
+        const { structure, error: structureError } = catalog.normalizeStructure(updates);
+        if (structureError) {
+            return res.status(400).json({ error: structureError });
+        }
+        Object.assign(updates, structure);
+        if (updates.variantAttributes && !(updates.parentId ?? existing.parentId)) {
+            updates.variantAttributes = null;
+        }
+        const merged = { ...existing, ...updates };
+        const scaleCodeError = await productScaleCodeError(req.user.tenantId, merged, productId);
+        if (scaleCodeError) {
+            return res.status(400).json({ error: scaleCodeError });
+        }
+        if (catalog.isKit(merged) && !catalog.isKit(existing) && existing.stock !== 0) {
+            return res.status(400).json({ error: 'Zere o estoque do produto antes de transformá-lo em kit' });
+        }
+        
+        // Sem a lista, os códigos adicionais ficam como estão
+        const aliases = barcodes === undefined ? null : catalog.normalizeBarcodes(barcodes, merged.barcode);
+        if (aliases && aliases.error) {
+            return res.status(400).json({ error: aliases.error });
+        }
+        const currentAliases = (await storage.productBarcodes.find({ tenantId: req.user.tenantId, productId })).map(a => a.barcode);
+        const catalogError = await productCatalogError(req.user.tenantId, merged, aliases ? aliases.barcodes : currentAliases, productId);
+        if (catalogError) {
+            return res.status(400).json({ error: catalogError });
+        }
+        if (!measure.isValidQuantity(existing.stock, merged.unit)) {
+            return res.status(400).json({ error: 'O estoque atual é fracionado: ajuste o saldo antes de mudar para uma unidade inteira' });
+        }
+        
+        // Estoque só muda por movimentação (entrada, ajuste, perda, inventário)
+        if (updates.stock !== undefined && Number(updates.stock) !== existing.stock) {
+            return res.status(400).json({ error: 'Use a movimentação de estoque para alterar o saldo', code: 'STOCK_LEDGER_REQUIRED' });
+        }
+        delete updates.stock;
+        
+        const priceChanged = updates.price !== undefined && Number(updates.price) !== existing.price;
+        if (priceChanged && !hasPermission(req.user, 'products.editPrice')) {
+            return res.status(403).json({ error: 'Seu perfil não pode alterar preços', code: 'FORBIDDEN' });
+        }
+        
+        const product = await storage.transaction(async (tx) => {
+            const now = new Date().toISOString();
+            const updated = await tx.products.update(productId, { ...updates, updatedAt: now });
+            await recordPriceChange(tx, req.user, updated, existing.price, { source: 'product', now });
+            if (aliases) {
+                await saveProductBarcodes(tx, req.user.tenantId, productId, aliases.barcodes, now);
+            }
+            const product = { ...updated, barcodes: aliases ? aliases.barcodes : currentAliases };
+            
+            // Preço, custo, códigos...: quem mudou o quê
+            const changes = audit.diffChanges({ ...existing, barcodes: currentAliases }, product);
+            if (changes) {
+                await recordAudit(tx, req, { action: 'product.updated', targetType: 'product', targetId: productId, targetName: product.name, changes });
+            }
+            return product;
+        });
+        indexProduct(req.user.tenantId, product);
+        
+        res.json({ success: true, product });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao atualizar produto' });
+    }
+});
+
+/**
+ * Histórico de preços: cada alteração de products.price fica registrada com
+ * o preço anterior. updatedAt muda a cada movimentação de estoque e não diz
+ * quando o preço mudou.
+ */
+async function recordPriceChange(tx, user, product, previousPrice, { source, now }) {
+    if (previousPrice === undefined || product.price === previousPrice) return;
+    await tx.priceChanges.insert({
+        tenantId: user.tenantId,
+        productId: product.id,
+        previousPrice,
+        price: product.price,
+        source,
+        userId: user.id,
+        createdAt: now
+    });
+}
+
+// Preço do catálogo numa data: o anterior à primeira alteração depois dela; null antes do cadastro
+async function catalogPriceAt(tx, tenantId, product, date) {
+    if (product.createdAt && product.createdAt > date) return null;
+    const [next] = await tx.priceChanges.find({ tenantId, productId: product.id }, { since: date, orderBy: 'id', limit: 1 });
+    return next ? next.previousPrice : product.price;
+}
+
+// Movimentação de estoque
+app.get('/api/stock/movements', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const filter = { tenantId: req.user.tenantId };
+        if (req.query.productId) filter.productId = parseInt(req.query.productId);
+        if (req.query.type) filter.type = req.query.type;
+        
+        const movements = await storage.stockMovements.find(filter, {
+            orderBy: 'id',
+            order: 'desc',
+            since: req.query.since,
+            until: req.query.until,
+            limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+        });
+        
+        res.json({ movements, types: STOCK_MOVEMENT_TYPES });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar movimentações de estoque' });
+    }
+});
+
+// Entrada de compra, ajuste manual ou perda/quebra
+app.post('/api/stock/movements', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const { movement, error } = normalizeManualMovement(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const product = await tx.products.findOne({ id: parseInt(req.body.productId), tenantId: req.user.tenantId });
+            if (!product) {
+                return { status: 404, error: 'Produto não encontrado' };
+            }
+            if (catalog.isKit(product)) {
+                return { status: 400, error: 'Kits não têm estoque próprio: movimente os componentes', code: 'KIT_HAS_NO_STOCK' };
+            }
+            if (!measure.isValidQuantity(movement.quantity, product.unit)) {
+                return { status: 400, error: quantityErrorMessage('Quantidade', product.unit) };
+            }
+            if (product.stock + movement.quantity < 0) {
+                return { status: 400, error: `Saída maior que o estoque (disponível: ${product.stock})`, code: 'INSUFFICIENT_STOCK' };
+            }
+            
+            const entry = await recordStockMovement(tx, req.user, product, movement.quantity, {
+                type: movement.type,
+                reason: movement.reason,
+                now: new Date().toISOString()
+            });
+            return { movement: entry, product };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Erro ao lançar movimentação de estoque:', error);
+        res.status(500).json({ error: 'Erro ao lançar movimentação de estoque' });
+    }
+});
+
+// Confere products.stock com o livro de movimentações
+app.get('/api/stock/reconcile', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const products = await storage.products.find({ tenantId: req.user.tenantId }, { orderBy: 'id' });
+        const movements = await storage.stockMovements.find({ tenantId: req.user.tenantId }, { orderBy: 'id' });
+        
+        const byProduct = new Map();
+        for (const movement of movements) {
+            const list = byProduct.get(movement.productId) || [];
+            list.push(movement);
+            byProduct.set(movement.productId, list);
+        }
+        
+        const divergences = [];
+        for (const product of products) {
+            const problems = reconcileProduct(product, byProduct.get(product.id) || []);
+            if (problems.length > 0) {
+                divergences.push({ productId: product.id, barcode: product.barcode, name: product.name, problems });
+            }
+        }
+        
+        res.json({ consistent: divergences.length === 0, checkedProducts: products.length, divergences });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao conferir estoque' });
+    }
+});
+
+// Inventário: o estoquista lê os produtos da prateleira e, ao final, lança as diferenças
+async function loadCountProducts(tx, count) {
+    const products = new Map();
+    for (const item of count.items) {
+        const product = await tx.products.findOne({ id: item.productId, tenantId: count.tenantId });
+        if (product) products.set(product.id, product);
+    }
+    return products;
+}
+
+async function countWithDifferences(count) {
+    if (count.status !== 'open') return count;
+    const products = await loadCountProducts(storage, count);
+    return { ...count, items: countDifferences(count, products) };
+}
+
+app.get('/api/stock/counts', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const filter = { tenantId: req.user.tenantId };
+        if (req.query.status) filter.status = req.query.status;
+        
+        const counts = await storage.stockCounts.find(filter, { orderBy: 'id', order: 'desc', limit: 50 });
+        res.json(counts.map(({ items, ...count }) => ({ ...count, itemCount: items.length })));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar inventários' });
+    }
+});
+
+app.post('/api/stock/counts', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const count = await storage.stockCounts.insert({
+            tenantId: req.user.tenantId,
+            description: (req.body.description || '').trim() || `Inventário ${now.substring(0, 10)}`,
+            status: 'open',
+            items: [],
+            userId: req.user.id,
+            userEmail: req.user.email,
+            createdAt: now,
+            updatedAt: now
+        });
+        
+        res.status(201).json({ success: true, count });
+    } catch (error) {
+        console.error('Erro ao abrir inventário:', error);
+        res.status(500).json({ error: 'Erro ao abrir inventário' });
+    }
+});
+
+app.get('/api/stock/counts/:id', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const count = await storage.stockCounts.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!count) {
+            return res.status(404).json({ error: 'Inventário não encontrado' });
+        }
+        
+        res.json(await countWithDifferences(count));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar inventário' });
+    }
+});
+
+// Leitura de um produto: { barcode | productId, quantity = 1, mode: 'add' (soma) | 'set' (substitui) }
+app.post('/api/stock/counts/:id/items', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const { barcode, productId, mode = 'add' } = req.body;
+        const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+        
+        if (!['add', 'set'].includes(mode)) {
+            return res.status(400).json({ error: 'Modo inválido (use add ou set)' });
+        }
+        if (!Number.isFinite(quantity) || (mode === 'set' ? quantity < 0 : quantity === 0)) {
+            return res.status(400).json({ error: 'Quantidade contada inválida' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const count = await tx.stockCounts.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+            if (!count) {
+                return { status: 404, error: 'Inventário não encontrado' };
+            }
+            if (count.status !== 'open') {
+                return { status: 409, error: 'Inventário já encerrado', code: 'COUNT_CLOSED' };
+            }
+            
+            const product = barcode
+                ? await findProductByBarcode(tx, req.user.tenantId, String(barcode).trim())
+                : await tx.products.findOne({ id: parseInt(productId), tenantId: req.user.tenantId });
+            if (!product) {
+                return { status: 404, error: 'Produto não encontrado', code: 'PRODUCT_NOT_FOUND' };
+            }
+            if (catalog.isKit(product)) {
+                return { status: 400, error: 'Kits não têm estoque próprio: conte os componentes', code: 'KIT_HAS_NO_STOCK' };
+            }
+            if (!measure.isValidQuantity(quantity, product.unit)) {
+                return { status: 400, error: quantityErrorMessage('Quantidade contada', product.unit) };
+            }
+            
+            const now = new Date().toISOString();
+            const items = count.items.map(item => ({ ...item }));
+            let item = items.find(i => i.productId === product.id);
+            if (!item) {
+                item = { productId: product.id, barcode: product.barcode, name: product.name, counted: 0 };
+                items.push(item);
+            }
+            
+            const counted = mode === 'set' ? quantity : measure.roundQuantity(item.counted + quantity);
+            if (counted < 0) {
+                return { status: 400, error: 'Quantidade contada não pode ficar negativa' };
+            }
+            item.counted = counted;
+            item.updatedAt = now;
+            
+            const updated = await tx.stockCounts.update(count.id, { items, updatedAt: now });
+            return { count: updated, item: { ...item, expected: product.stock, difference: measure.roundQuantity(counted - product.stock) } };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Erro ao registrar contagem:', error);
+        res.status(500).json({ error: 'Erro ao registrar contagem' });
+    }
+});
+
+// Lança as diferenças no livro (tipo count) e encerra o inventário.
+// Produtos não lidos não são alterados.
+app.post('/api/stock/counts/:id/post', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const result = await storage.transaction(async (tx) => {
+            const count = await tx.stockCounts.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+            if (!count) {
+                return { status: 404, error: 'Inventário não encontrado' };
+            }
+            if (count.status !== 'open') {
+                return { status: 409, error: 'Inventário já encerrado', code: 'COUNT_CLOSED' };
+            }
+            if (count.items.length === 0) {
+                return { status: 400, error: 'Nenhum produto contado' };
+            }
+            
+            const now = new Date().toISOString();
+            const products = await loadCountProducts(tx, count);
+            const items = countDifferences(count, products);
+            
+            for (const item of items) {
+                const product = products.get(item.productId);
+                if (product && item.difference !== 0) {
+                    await recordStockMovement(tx, req.user, product, item.difference, {
+                        type: 'count',
+                        reason: count.description,
+                        countId: count.id,
+                        now
+                    });
+                }
+            }
+            
+            const posted = await tx.stockCounts.update(count.id, {
+                status: 'posted',
+                items,
+                postedAt: now,
+                postedBy: req.user.id,
+                updatedAt: now
+            });
+            return { count: posted };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Erro ao lançar inventário:', error);
+        res.status(500).json({ error: 'Erro ao lançar inventário' });
+    }
+});
+
+app.post('/api/stock/counts/:id/cancel', authenticateToken, validateTenant, requirePermission('products.manage'), async (req, res) => {
+    try {
+        const count = await storage.stockCounts.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!count) {
+            return res.status(404).json({ error: 'Inventário não encontrado' });
+        }
+        if (count.status !== 'open') {
+            return res.status(409).json({ error: 'Inventário já encerrado', code: 'COUNT_CLOSED' });
+        }
+        
+        const cancelled = await storage.stockCounts.update(count.id, { status: 'cancelled', updatedAt: new Date().toISOString() });
+        res.json({ success: true, count: cancelled });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao cancelar inventário' });
+    }
+});
+
+// Clientes (cadastro por loja, usados na venda e no "CPF na nota")
+app.get('/api/customers', authenticateToken, validateTenant, requirePermission('customers.manage'), async (req, res) => {
+    try {
+        const filter = { tenantId: req.user.tenantId };
+        if (req.query.includeInactive !== 'true') filter.isActive = true;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        
+        const list = (await storage.customers.find(filter, { orderBy: 'name' }))
+            .filter(customer => customers.matchesCustomer(customer, req.query.search));
+        res.json(list.slice(0, limit));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar clientes' });
+    }
+});
+
+// Cadastro e histórico de compras
+app.get('/api/customers/:id', authenticateToken, validateTenant, requirePermission('customers.manage'), async (req, res) => {
+    try {
+        const customer = await storage.customers.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!customer) {
+            return res.status(404).json({ error: 'Cliente não encontrado' });
+        }
+        
+        const sales = await storage.sales.find(
+            { tenantId: req.user.tenantId, customerId: customer.id },
+            { orderBy: 'createdAt', order: 'desc' }
+        );
+        const counted = sales.filter(sale => COUNTED_STATUSES.includes(sale.status));
+        
+        res.json({
+            customer,
+            summary: {
+                ...summarizeSales(sales),
+                firstPurchaseAt: counted.length ? counted[counted.length - 1].createdAt : null,
+                lastPurchaseAt: counted.length ? counted[0].createdAt : null
+            },
+            sales: sales.slice(0, 100).map(sale => ({
+                id: sale.id,
+                createdAt: sale.createdAt,
+                status: sale.status,
+                total: sale.total,
+                refundedAmount: sale.refundedAmount || 0,
+                paymentMethod: sale.paymentMethod,
+                itemsCount: sale.items.length
+            }))
+        });
+    } catch (error) {
+        console.error('Erro ao buscar cliente:', error);
+        res.status(500).json({ error: 'Erro ao buscar cliente' });
+    }
+});
+
+// Saldo e extrato de pontos; os lotes vencidos são baixados na consulta
+app.get('/api/customers/:id/loyalty', authenticateToken, validateTenant, requirePermission('customers.manage'), async (req, res) => {
+    try {
+        const program = loyalty.loyaltySettings(req.tenant);
+        const result = await storage.transaction(async (tx) => {
+            const customer = await tx.customers.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+            if (!customer) {
+                return { status: 404, error: 'Cliente não encontrado' };
+            }
+            
+            const now = new Date().toISOString();
+            const { lots, balance } = await customerLoyalty(tx, req.user.tenantId, customer.id, now);
+            const entries = await tx.loyaltyEntries.find(
+                { tenantId: req.user.tenantId, customerId: customer.id },
+                { orderBy: 'createdAt', order: 'desc', limit: 100 }
+            );
+            
+            return {
+                customerId: customer.id,
+                enabled: program.enabled,
+                balance,
+                balanceValue: loyalty.pointsValue(program, balance),
+                expiring: loyalty.expiringPoints(lots, now),
+                program: {
+                    pointValue: program.pointValue,
+                    minRedeemPoints: program.minRedeemPoints,
+                    maxRedeemPercent: program.maxRedeemPercent
+                },
+                entries: entries.map(entry => ({ ...entry, description: loyalty.ENTRY_TYPES[entry.type] }))
+            };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Erro ao buscar pontos do cliente:', error);
+        res.status(500).json({ error: 'Erro ao buscar pontos do cliente' });
+    }
+});
+
+app.post('/api/customers', authenticateToken, validateTenant, requirePermission('customers.manage'), async (req, res) => {
+    try {
+        const { customer, error } = customers.normalizeCustomer(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const newCustomer = await storage.customers.insert({
+            ...customer,
+            tenantId: req.user.tenantId,
+            createdBy: req.user.id,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        
+        res.status(201).json({ success: true, customer: newCustomer });
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            return res.status(409).json({ error: 'Já existe um cliente com este CPF', code: 'CUSTOMER_EXISTS' });
+        }
+        console.error('Erro ao criar cliente:', error);
+        res.status(500).json({ error: 'Erro ao salvar cliente' });
+    }
+});
+
+app.put('/api/customers/:id', authenticateToken, validateTenant, requirePermission('customers.manage'), async (req, res) => {
+    try {
+        const customerId = parseInt(req.params.id);
+        const existing = await storage.customers.findOne({ id: customerId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Cliente não encontrado' });
+        }
+        
+        const { id: _, tenantId: __, ...changes } = req.body;
+        const { customer, error } = customers.normalizeCustomer({ ...existing, ...changes });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const updated = await storage.customers.update(customerId, {
+            ...customer,
+            updatedAt: new Date().toISOString()
+        });
+        
+        res.json({ success: true, customer: updated });
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            return res.status(409).json({ error: 'Já existe um cliente com este CPF', code: 'CUSTOMER_EXISTS' });
+        }
+        res.status(500).json({ error: 'Erro ao atualizar cliente' });
+    }
+});
+
+// Fornecedores
+app.get('/api/suppliers', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const suppliers = await storage.suppliers.find({ tenantId: req.user.tenantId }, { orderBy: 'name' });
+        res.json(suppliers);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar fornecedores' });
+    }
+});
+
+app.post('/api/suppliers', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const { supplier, error } = purchasing.normalizeSupplier(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const newSupplier = await storage.suppliers.insert({
+            ...supplier,
+            tenantId: req.user.tenantId,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        
+        res.status(201).json({ success: true, supplier: newSupplier });
+    } catch (error) {
+        console.error('Erro ao criar fornecedor:', error);
+        res.status(500).json({ error: 'Erro ao salvar fornecedor' });
+    }
+});
+
+app.put('/api/suppliers/:id', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const supplierId = parseInt(req.params.id);
+        const existing = await storage.suppliers.findOne({ id: supplierId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Fornecedor não encontrado' });
+        }
+        
+        const { id: _, tenantId: __, ...changes } = req.body;
+        const { supplier, error } = purchasing.normalizeSupplier({ ...existing, ...changes });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const updated = await storage.suppliers.update(supplierId, {
+            ...supplier,
+            updatedAt: new Date().toISOString()
+        });
+        
+        res.json({ success: true, supplier: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao atualizar fornecedor' });
+    }
+});
+
+// Pedidos de compra
+async function loadTenantProductMap(tx, tenantId) {
+    const products = await tx.products.find({ tenantId });
+    return new Map(products.map(product => [product.id, product]));
+}
+
+app.get('/api/purchase-orders', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const filter = { tenantId: req.user.tenantId };
+        if (req.query.status) filter.status = req.query.status.split(',');
+        if (req.query.supplierId) filter.supplierId = parseInt(req.query.supplierId);
+        
+        const orders = await storage.purchaseOrders.find(filter, { orderBy: 'id', order: 'desc', limit: 200 });
+        res.json(orders);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar pedidos de compra' });
+    }
+});
+
+app.get('/api/purchase-orders/:id', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const order = await storage.purchaseOrders.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido de compra não encontrado' });
+        }
+        res.json(order);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar pedido de compra' });
+    }
+});
+
+// Novo pedido (rascunho): { supplierId, items: [{ productId, quantity, unitCost }], expectedAt, notes }
+app.post('/api/purchase-orders', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const supplier = await storage.suppliers.findOne({ id: parseInt(req.body.supplierId), tenantId: req.user.tenantId });
+        if (!supplier) {
+            return res.status(400).json({ error: 'Fornecedor não encontrado' });
+        }
+        
+        const products = await loadTenantProductMap(storage, req.user.tenantId);
+        const { items, total, error } = purchasing.normalizeOrderItems(req.body.items, products);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const now = new Date().toISOString();
+        const order = await storage.purchaseOrders.insert({
+            tenantId: req.user.tenantId,
+            supplierId: supplier.id,
+            supplierName: supplier.name,
+            status: 'draft',
+            items,
+            total,
+            expectedAt: req.body.expectedAt || null,
+            notes: String(req.body.notes ?? '').trim(),
+            receipts: [],
+            userId: req.user.id,
+            userEmail: req.user.email,
+            createdAt: now,
+            updatedAt: now
+        });
+        
+        res.status(201).json({ success: true, order });
+    } catch (error) {
+        console.error('Erro ao criar pedido de compra:', error);
+        res.status(500).json({ error: 'Erro ao salvar pedido de compra' });
+    }
+});
+
+// Apenas rascunhos podem ser alterados
+app.put('/api/purchase-orders/:id', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const order = await storage.purchaseOrders.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido de compra não encontrado' });
+        }
+        if (order.status !== 'draft') {
+            return res.status(409).json({ error: 'Apenas pedidos em rascunho podem ser alterados', code: 'ORDER_NOT_DRAFT' });
+        }
+        
+        const changes = { updatedAt: new Date().toISOString() };
+        if (req.body.items !== undefined) {
+            const products = await loadTenantProductMap(storage, req.user.tenantId);
+            const { items, total, error } = purchasing.normalizeOrderItems(req.body.items, products);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            Object.assign(changes, { items, total });
+        }
+        if (req.body.expectedAt !== undefined) changes.expectedAt = req.body.expectedAt || null;
+        if (req.body.notes !== undefined) changes.notes = String(req.body.notes).trim();
+        
+        const updated = await storage.purchaseOrders.update(order.id, changes);
+        res.json({ success: true, order: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao atualizar pedido de compra' });
+    }
+});
+
+app.post('/api/purchase-orders/:id/send', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const order = await storage.purchaseOrders.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido de compra não encontrado' });
+        }
+        if (order.status !== 'draft') {
+            return res.status(409).json({ error: 'Apenas pedidos em rascunho podem ser enviados', code: 'ORDER_NOT_DRAFT' });
+        }
+        
+        const now = new Date().toISOString();
+        const updated = await storage.purchaseOrders.update(order.id, { status: 'sent', sentAt: now, updatedAt: now });
+        res.json({ success: true, order: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao enviar pedido de compra' });
+    }
+});
+
+// Recebimento (total ou parcial): { items: [{ productId, quantity, unitCost }] }
+// Lança entrada de estoque e recalcula o custo médio ponderado do produto
+app.post('/api/purchase-orders/:id/receive', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const { items: received } = req.body;
+        if (!Array.isArray(received) || received.length === 0) {
+            return res.status(400).json({ error: 'Informe os itens recebidos' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const order = await tx.purchaseOrders.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+            if (!order) {
+                return { status: 404, error: 'Pedido de compra não encontrado' };
+            }
+            if (!purchasing.RECEIVABLE_STATUSES.includes(order.status)) {
+                return { status: 409, error: 'Pedido precisa estar enviado para ser recebido', code: 'ORDER_NOT_RECEIVABLE' };
+            }
+            
+            const now = new Date().toISOString();
+            const items = order.items.map(item => ({ ...item }));
+            const receiptLines = [];
+            
+            for (const line of received) {
+                const item = items.find(i => i.productId === parseInt(line.productId));
+                const quantity = Number(line.quantity);
+                if (!item) {
+                    return { status: 400, error: `Produto ${line.productId} não faz parte do pedido` };
+                }
+                if (!measure.isValidQuantity(quantity, item.unit) || quantity < 0) {
+                    return { status: 400, error: `Quantidade recebida inválida para ${item.productName}` };
+                }
+                if (quantity > purchasing.pendingQuantity(item)) {
+                    return { status: 400, error: `Quantidade recebida maior que a pendente para ${item.productName} (pendente: ${purchasing.pendingQuantity(item)})` };
+                }
+                const unitCost = line.unitCost === undefined || line.unitCost === '' ? item.unitCost : Number(line.unitCost);
+                if (!Number.isFinite(unitCost) || unitCost < 0) {
+                    return { status: 400, error: `Custo inválido para ${item.productName}` };
+                }
+                if (quantity === 0) continue;
+                
+                item.receivedQuantity = measure.roundQuantity((item.receivedQuantity || 0) + quantity);
+                receiptLines.push({ productId: item.productId, productName: item.productName, quantity, unitCost: roundMoney(unitCost) });
+            }
+            
+            if (receiptLines.length === 0) {
+                return { status: 400, error: 'Nenhuma quantidade recebida' };
+            }
+            
+            for (const line of receiptLines) {
+                const product = await tx.products.findOne({ id: line.productId, tenantId: req.user.tenantId });
+                if (!product) continue;
+                
+                const cost = purchasing.weightedAverageCost(product.stock, product.cost, line.quantity, line.unitCost);
+                await tx.products.update(product.id, { cost, updatedAt: now });
+                product.cost = cost;
+                await recordStockMovement(tx, req.user, product, line.quantity, {
+                    type: 'purchase',
+                    reason: `Pedido de compra #${order.id} - ${order.supplierName}`,
+                    purchaseOrderId: order.id,
+                    now
+                });
+                line.newCost = cost;
+            }
+            
+            const status = purchasing.receiptStatus(items);
+            const receipt = {
+                id: (order.receipts || []).length + 1,
+                items: receiptLines,
+                invoiceNumber: String(req.body.invoiceNumber ?? '').trim(),
+                userId: req.user.id,
+                userEmail: req.user.email,
+                createdAt: now
+            };
+            
+            const updated = await tx.purchaseOrders.update(order.id, {
+                items,
+                status,
+                receipts: [...(order.receipts || []), receipt],
+                receivedAt: status === 'received' ? now : null,
+                updatedAt: now
+            });
+            
+            return { order: updated, receipt };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Erro ao receber pedido de compra:', error);
+        res.status(500).json({ error: 'Erro ao receber pedido de compra' });
+    }
+});
+
+app.post('/api/purchase-orders/:id/cancel', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const order = await storage.purchaseOrders.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido de compra não encontrado' });
+        }
+        if (!['draft', 'sent'].includes(order.status)) {
+            return res.status(409).json({ error: 'Pedido já recebido (total ou parcialmente) não pode ser cancelado', code: 'ORDER_NOT_CANCELLABLE' });
+        }
+        
+        const now = new Date().toISOString();
+        const updated = await storage.purchaseOrders.update(order.id, {
+            status: 'cancelled',
+            cancelReason: String(req.body.reason ?? '').trim(),
+            cancelledAt: now,
+            updatedAt: now
+        });
+        res.json({ success: true, order: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao cancelar pedido de compra' });
+    }
+});
+
+// Sugestão de reposição: ?days=30 (janela de vendas) &coverageDays=15 (dias de estoque após a entrega)
+app.get('/api/purchases/reorder-suggestions', authenticateToken, validateTenant, requirePermission('purchases.manage'), async (req, res) => {
+    try {
+        const days = parseInt(req.query.days) || 30;
+        const coverageDays = req.query.coverageDays === undefined ? 15 : parseInt(req.query.coverageDays);
+        if (days < 1 || days > 365 || !(coverageDays >= 0) || coverageDays > 365) {
+            return res.status(400).json({ error: 'Período inválido (days de 1 a 365, coverageDays de 0 a 365)' });
+        }
+        
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const [products, sales, suppliers, openOrders] = await Promise.all([
+            storage.products.find({ tenantId: req.user.tenantId }),
+            storage.sales.find({ tenantId: req.user.tenantId, status: COUNTED_STATUSES }, { since }),
+            storage.suppliers.find({ tenantId: req.user.tenantId }),
+            storage.purchaseOrders.find({ tenantId: req.user.tenantId, status: purchasing.OPEN_STATUSES })
+        ]);
+        
+        const groups = purchasing.buildReorderSuggestions({ products, sales, suppliers, openOrders, days, coverageDays });
+        res.json({ days, coverageDays, groups });
+    } catch (error) {
+        console.error('Erro ao calcular sugestão de compra:', error);
+        res.status(500).json({ error: 'Erro ao calcular sugestão de compra' });
+    }
+});
+
+// Rotas de Promoções (a lista é usada pelo carrinho para a prévia dos descontos)
+app.get('/api/promotions', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const promotions = await storage.promotions.find({ tenantId: req.user.tenantId }, { orderBy: 'name' });
+        res.json(promotions);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar promoções' });
+    }
+});
+
+app.post('/api/promotions', authenticateToken, validateTenant, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+        const { promotion, error } = normalizePromotion(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const newPromotion = await storage.transaction(async (tx) => {
+            const created = await tx.promotions.insert({
+                ...promotion,
+                tenantId: req.user.tenantId,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+            await recordAudit(tx, req, {
+                action: 'promotion.created',
+                targetType: 'promotion',
+                targetId: created.id,
+                targetName: created.name,
+                changes: audit.diffChanges({}, promotion)
+            });
+            return created;
+        });
+        
+        res.status(201).json({ success: true, promotion: newPromotion });
+    } catch (error) {
+        console.error('Erro ao criar promoção:', error);
+        res.status(500).json({ error: 'Erro ao salvar promoção' });
+    }
+});
+
+app.put('/api/promotions/:id', authenticateToken, validateTenant, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+        const promotionId = parseInt(req.params.id);
+        const existing = await storage.promotions.findOne({ id: promotionId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Promoção não encontrada' });
+        }
+        
+        const { id: _, tenantId: __, ...changes } = req.body;
+        const { promotion, error } = normalizePromotion({ ...existing, ...changes });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const updated = await storage.transaction(async (tx) => {
+            const updated = await tx.promotions.update(promotionId, {
+                ...promotion,
+                updatedAt: new Date().toISOString()
+            });
+            const changes = audit.diffChanges(existing, updated);
+            if (changes) {
+                await recordAudit(tx, req, { action: 'promotion.updated', targetType: 'promotion', targetId: promotionId, targetName: updated.name, changes });
+            }
+            return updated;
+        });
+        
+        res.json({ success: true, promotion: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao atualizar promoção' });
+    }
+});
+
+// Rotas de Cupons (códigos não são listados para o caixa)
+app.get('/api/coupons', authenticateToken, validateTenant, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+        const coupons = await storage.coupons.find({ tenantId: req.user.tenantId }, { orderBy: 'code' });
+        res.json(coupons);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar cupons' });
+    }
+});
+
+app.post('/api/coupons', authenticateToken, validateTenant, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+        const { coupon, error } = normalizeCoupon(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const newCoupon = await storage.transaction(async (tx) => {
+            const created = await tx.coupons.insert({
+                ...coupon,
+                usedCount: 0,
+                tenantId: req.user.tenantId,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+            await recordAudit(tx, req, {
+                action: 'coupon.created',
+                targetType: 'coupon',
+                targetId: created.id,
+                targetName: created.code,
+                changes: audit.diffChanges({}, coupon)
+            });
+            return created;
+        });
+        
+        res.status(201).json({ success: true, coupon: newCoupon });
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            return res.status(409).json({ error: 'Já existe um cupom com este código' });
+        }
+        console.error('Erro ao criar cupom:', error);
+        res.status(500).json({ error: 'Erro ao salvar cupom' });
+    }
+});
+
+app.put('/api/coupons/:id', authenticateToken, validateTenant, requirePermission('promotions.manage'), async (req, res) => {
+    try {
+        const couponId = parseInt(req.params.id);
+        const existing = await storage.coupons.findOne({ id: couponId, tenantId: req.user.tenantId });
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Cupom não encontrado' });
+        }
+        
+        const { id: _, tenantId: __, usedCount: ___, ...changes } = req.body;
+        const { coupon, error } = normalizeCoupon({ ...existing, ...changes });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const updated = await storage.transaction(async (tx) => {
+            const updated = await tx.coupons.update(couponId, {
+                ...coupon,
+                updatedAt: new Date().toISOString()
+            });
+            const changes = audit.diffChanges(existing, updated);
+            if (changes) {
+                await recordAudit(tx, req, { action: 'coupon.updated', targetType: 'coupon', targetId: couponId, targetName: updated.code, changes });
+            }
+            return updated;
+        });
+        
+        res.json({ success: true, coupon: updated });
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            return res.status(409).json({ error: 'Já existe um cupom com este código' });
+        }
+        res.status(500).json({ error: 'Erro ao atualizar cupom' });
+    }
+});
+
+// Consulta de cupom pelo caixa, para a prévia no carrinho
+app.post('/api/coupons/validate', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const code = String(req.body.code || '').trim().toUpperCase();
+        const coupon = code ? await storage.coupons.findOne({ tenantId: req.user.tenantId, code }) : null;
+        const error = couponError(coupon, new Date());
+        
+        if (error) {
+            return res.status(400).json({ error, code: 'COUPON_INVALID' });
+        }
+        
+        const { usedCount: _, maxUses: __, ...publicFields } = coupon;
+        res.json({ success: true, coupon: publicFields });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao validar cupom' });
+    }
+});
+
+// Rotas de Vendas
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // tolerância para relógio adiantado do caixa
+// Venda online chega em segundos; mais antiga que isso veio da fila offline
+const OFFLINE_SALE_MIN_AGE_MS = 30 * 1000;
+// A fila offline é enviada assim que a conexão volta; depois disso a venda vai para o gerente
+const OFFLINE_SALE_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * Data da venda informada pelo caixa (vendas registradas offline).
+ * Retorna { soldAt } (null quando ausente, inválida ou no futuro) ou { status, error }.
+ */
+function resolveSoldAt(soldAt, now) {
+    const date = soldAt ? new Date(soldAt) : null;
+    const received = new Date(now).getTime();
+    
+    if (!date || isNaN(date.getTime()) || date.getTime() > received + MAX_CLOCK_SKEW_MS) {
+        return { soldAt: null };
+    }
+    if (received - date.getTime() > OFFLINE_SALE_MAX_AGE_MS) {
+        return { status: 409, error: 'Venda offline antiga demais para ser sincronizada: confira com o gerente', code: 'SALE_TOO_OLD' };
+    }
+    return { soldAt: date.toISOString() };
+}
+
+// Venda offline decidida aqui, não pelo caixa: identificador da fila e data
+// anterior ao envio. Mesmo assim ela é conferida (stockShortages, preços).
+function isOfflineSale(saleData, soldAt, now) {
+    return Boolean(saleData.clientSaleId) && Boolean(soldAt) &&
+        new Date(now).getTime() - new Date(soldAt).getTime() >= OFFLINE_SALE_MIN_AGE_MS;
+}
+
+/**
+ * Sessão informada pelo caixa ou, na falta dela, a sessão aberta do usuário.
+ * Vendas offline sincronizadas depois do fechamento continuam valendo
+ * se aconteceram antes dele; a venda nunca é anterior à abertura da sessão
+ * (não entra em dias já fechados). Retorna { session } ou { status, error }.
+ */
+async function resolveSaleSession(tx, user, registerSessionId, soldAt) {
+    const session = registerSessionId
+        ? await tx.registerSessions.findOne({ id: registerSessionId, tenantId: user.tenantId })
+        : await tx.registerSessions.findOne({ tenantId: user.tenantId, userId: user.id, status: 'open' });
+    const closed = { status: 409, error: 'Caixa fechado. Abra o caixa para registrar vendas.', code: 'REGISTER_CLOSED' };
+    
+    if (!session) return closed;
+    // Data do relógio do caixa; a abertura, do servidor
+    if (soldAt && new Date(soldAt).getTime() < new Date(session.createdAt).getTime() - MAX_CLOCK_SKEW_MS) {
+        return { status: 409, error: 'Venda registrada antes da abertura deste caixa: confira com o gerente', code: 'SALE_BEFORE_SESSION' };
+    }
+    if (session.status === 'open') return { session };
+    if (soldAt && soldAt <= session.closedAt) return { session };
+    return closed;
+}
+
+/**
+ * Confere os itens da venda com o catálogo da loja: preço, nome e código
+ * vêm do cadastro; o preço informado só vale como alteração autorizada
+ * (overridePrice). Na venda offline vale o preço que o caixa cobrou (price)
+ * quando era o do catálogo na data da venda (ou o usuário pode alterar
+ * preços), registrado em priceOverrides para conferência, e a falta de
+ * estoque não recusa a venda: fica em stockShortages.
+ * Retorna { items, priceOverrides, quantities, stockShortages } ou { status, error }.
+ */
+async function resolveSaleItems(tx, user, tenant, rawItems, { offline, soldAt = null }) {
+    const items = [];
+    const priceOverrides = [];
+    const quantities = new Map(); // productId -> { product, quantity }
+    
+    for (const raw of rawItems) {
+        const quantity = Number(raw.quantity);
+        if (!(quantity > 0)) {
+            return { status: 400, error: 'Quantidade inválida' };
+        }
+        
+        // Pelo id ou pelo código lido (principal ou adicional)
+        const product = raw.productId
+            ? await tx.products.findOne({ id: raw.productId, tenantId: user.tenantId })
+            : raw.barcode ? await findProductByBarcode(tx, user.tenantId, String(raw.barcode).trim()) : null;
+        if (!product) {
+            return { status: 400, error: `Produto não encontrado: ${raw.productId || raw.barcode}`, code: 'PRODUCT_NOT_FOUND' };
+        }
+        if (product.isActive === false) {
+            return { status: 400, error: `Produto inativo: ${product.name}`, code: 'PRODUCT_INACTIVE' };
+        }
+        if (await tx.products.findOne({ tenantId: user.tenantId, parentId: product.id })) {
+            return { status: 400, error: `Escolha a variação de ${product.name}`, code: 'PRODUCT_HAS_VARIANTS' };
+        }
+        // Peso e medida com até 3 casas decimais; unidades só inteiras
+        if (!measure.isValidQuantity(quantity, product.unit)) {
+            return { status: 400, error: `${quantityErrorMessage('Quantidade', product.unit)} (${product.name})`, code: 'INVALID_QUANTITY' };
+        }
+        
+        let price = product.price;
+        const chargedPrice = roundMoney(Number(raw.price));
+        const hasOverride = raw.overridePrice !== undefined && raw.overridePrice !== null;
+        if (offline && !hasOverride && chargedPrice >= 0 && chargedPrice !== product.price) {
+            // Preço cobrado pelo caixa offline: vale se era o do catálogo na data da venda
+            // (histórico de preços); qualquer outro exige permissão para alterar preços
+            const atSale = chargedPrice === await catalogPriceAt(tx, user.tenantId, product, soldAt);
+            if (!atSale && !hasPermission(user, 'sales.priceOverride')) {
+                return {
+                    status: 403,
+                    error: `Preço cobrado offline para ${product.name} não confere com o catálogo: a venda precisa ser conferida por um gerente`,
+                    code: 'OFFLINE_PRICE_MISMATCH'
+                };
+            }
+            priceOverrides.push({
+                productId: product.id,
+                productName: product.name,
+                catalogPrice: product.price,
+                price: chargedPrice,
+                reason: atSale ? 'Preço vigente no caixa offline' : 'Preço alterado no caixa offline',
+                offline: true,
+                userId: user.id,
+                userEmail: user.email
+            });
+            price = chargedPrice;
+        } else if (hasOverride) {
+            const overridePrice = roundMoney(Number(raw.overridePrice));
+            if (!(overridePrice >= 0)) {
+                return { status: 400, error: `Preço inválido para ${product.name}` };
+            }
+            if (overridePrice !== product.price) {
+                if (!hasPermission(user, 'sales.priceOverride')) {
+                    return { status: 403, error: 'Seu perfil não pode alterar preços', code: 'FORBIDDEN' };
+                }
+                priceOverrides.push({
+                    productId: product.id,
+                    productName: product.name,
+                    catalogPrice: product.price,
+                    price: overridePrice,
+                    reason: raw.overrideReason ? String(raw.overrideReason).trim() : null,
+                    userId: user.id,
+                    userEmail: user.email
+                });
+                price = overridePrice;
+            }
+        }
+        
+        // Kit: sai do estoque cada componente; a composição fica gravada na venda para o estorno
+        let stockEntries = [{ product, quantity }];
+        let components = null;
+        let componentsCost = 0;
+        if (catalog.isKit(product)) {
+            stockEntries = [];
+            components = [];
+            for (const component of product.components) {
+                const part = await tx.products.findOne({ id: component.productId, tenantId: user.tenantId });
+                if (!part) {
+                    return { status: 400, error: `Componente do kit ${product.name} não encontrado`, code: 'PRODUCT_NOT_FOUND' };
+                }
+                components.push({ productId: part.id, productName: part.name, quantity: component.quantity });
+                stockEntries.push({ product: part, quantity: measure.roundQuantity(component.quantity * quantity) });
+                componentsCost += (part.cost || 0) * component.quantity;
+            }
+        }
+        
+        items.push({
+            productId: product.id,
+            productName: product.name,
+            barcode: product.barcode,
+            category: product.category || null,
+            unit: product.unit || 'UN',
+            price,
+            quantity,
+            // Custo na data da venda, para a margem bruta dos relatórios
+            unitCost: product.cost || roundMoney(componentsCost),
+            ...(components && { components }),
+            ...(price !== product.price && { catalogPrice: product.price }),
+            ...(raw.discount && { discount: raw.discount })
+        });
+        
+        for (const stockEntry of stockEntries) {
+            const entry = quantities.get(stockEntry.product.id) || { product: stockEntry.product, quantity: 0 };
+            entry.quantity = measure.roundQuantity(entry.quantity + stockEntry.quantity);
+            quantities.set(stockEntry.product.id, entry);
+        }
+    }
+    
+    // Vendas offline já aconteceram: nesse caso a falta fica registrada para conferência
+    const stockShortages = [];
+    if (tenant.blockOutOfStockSales) {
+        for (const { product, quantity } of quantities.values()) {
+            if (quantity <= product.stock) continue;
+            if (!offline) {
+                return {
+                    status: 409,
+                    error: `Estoque insuficiente para ${product.name} (disponível: ${product.stock})`,
+                    code: 'INSUFFICIENT_STOCK'
+                };
+            }
+            stockShortages.push({ productId: product.id, productName: product.name, quantity, stock: product.stock });
+        }
+    }
+    
+    return { items, priceOverrides, quantities, stockShortages };
+}
+
+// Descontos manuais acima do limite da loja exigem aprovação de um gerente
+const DEFAULT_MAX_DISCOUNT_PERCENT = 10;
+
+function approverLockedError(approver) {
+    return {
+        status: 423,
+        error: `A conta de ${approver.email} está bloqueada por excesso de tentativas. Tente novamente em ${auth.lockMinutesLeft(approver)} minuto(s).`,
+        code: 'ACCOUNT_LOCKED'
+    };
+}
+
+async function resolveDiscountApproval(tx, req, pricing, approval) {
+    const { user, tenant } = req;
+    const limit = tenant.maxDiscountPercent ?? DEFAULT_MAX_DISCOUNT_PERCENT;
+    const percent = pricing.subtotal > 0 ? pricing.manualDiscount / pricing.subtotal * 100 : 0;
+    
+    if (pricing.manualDiscount === 0 || percent <= limit + 0.001) {
+        return { approval: null };
+    }
+    if (hasPermission(user, 'sales.approveDiscount')) {
+        return { approval: { userId: user.id, userEmail: user.email, percent: roundMoney(percent) } };
+    }
+    
+    const error = {
+        status: 403,
+        error: `Desconto acima de ${limit}% exige aprovação de um gerente`,
+        code: 'DISCOUNT_APPROVAL_REQUIRED'
+    };
+    if (!approval || !approval.email || !approval.password) {
+        return error;
+    }
+    
+    const approver = await tx.users.findOne({ email: approval.email, tenantId: user.tenantId, isActive: true });
+    const invalid = { ...error, error: 'Aprovação inválida: informe o e-mail e a senha de um gerente' };
+    if (!approver || !hasPermission(approver, 'sales.approveDiscount')) {
+        return invalid;
+    }
+    // Mesmo bloqueio do login: a aprovação não serve para testar senhas do gerente
+    if (auth.isLocked(approver)) {
+        return approverLockedError(approver);
+    }
+    if (!(await bcrypt.compare(approval.password, approver.password))) {
+        const changes = await recordFailedAttempt(tx, req, approver, { action: 'sale.discount_approval_failed', reason: 'password' });
+        return changes.lockedUntil ? approverLockedError({ ...approver, ...changes }) : invalid;
+    }
+    if (approver.failedLoginAttempts) {
+        await tx.users.update(approver.id, { failedLoginAttempts: 0 });
+    }
+    
+    return { approval: { userId: approver.id, userEmail: approver.email, percent: roundMoney(percent) } };
+}
+
+// Promoções, cupom e descontos manuais aplicados aos itens conferidos
+async function priceSale(tx, req, saleData, items, date, redemption = null) {
+    const { user, tenant } = req;
+    const promotions = await tx.promotions.find({ tenantId: user.tenantId, isActive: true });
+    
+    let coupon = null;
+    if (saleData.couponCode) {
+        coupon = await tx.coupons.findOne({ tenantId: user.tenantId, code: String(saleData.couponCode).trim().toUpperCase() });
+        const error = couponError(coupon, date);
+        if (error) {
+            return { status: 400, error, code: 'COUPON_INVALID' };
+        }
+    }
+    
+    const pricing = applyDiscounts({
+        items,
+        promotions,
+        coupon,
+        cartDiscount: saleData.discount,
+        loyalty: redemption,
+        now: date,
+        timeZone: tenant.timezone
+    });
+    if (pricing.error) {
+        return { status: 400, error: pricing.error };
+    }
+    
+    if (redemption) {
+        const limitError = loyalty.redemptionLimitError(loyalty.loyaltySettings(tenant), pricing);
+        if (limitError) {
+            return { status: 400, error: limitError, code: 'LOYALTY_REDEEM_LIMIT' };
+        }
+    }
+    
+    const { approval, ...approvalError } = await resolveDiscountApproval(tx, req, pricing, saleData.discountApproval);
+    if (approvalError.error) {
+        return approvalError;
+    }
+    
+    return { pricing, coupon, approval };
+}
+
+/**
+ * Cliente da venda: customerId (cadastrado) ou customerCpf (só o CPF na nota;
+ * se houver cadastro com o CPF, a venda entra no histórico dele).
+ * Retorna null, { customer } ou { status, error }.
+ */
+async function resolveSaleCustomer(tx, tenantId, saleData) {
+    if (saleData.customerId) {
+        const customer = await tx.customers.findOne({ id: parseInt(saleData.customerId), tenantId });
+        if (!customer) {
+            return { status: 400, error: 'Cliente não encontrado' };
+        }
+        return { customer };
+    }
+    
+    if (saleData.customerCpf) {
+        const { cpf, error } = customers.normalizeCpf(saleData.customerCpf);
+        if (error) {
+            return { status: 400, error: 'CPF do cliente inválido' };
+        }
+        const registered = cpf && await tx.customers.findOne({ tenantId, cpf });
+        return cpf ? { customer: registered || { cpf } } : null;
+    }
+    
+    return null;
+}
+
+/**
+ * Fidelidade: lançamentos do cliente, com os lotes vencidos baixados no
+ * livro antes de qualquer movimento. Retorna { lots, balance }; os
+ * lançamentos seguintes atualizam os dois.
+ */
+async function customerLoyalty(tx, tenantId, customerId, now) {
+    const lots = await tx.loyaltyEntries.find({ tenantId, customerId });
+    const state = { lots, balance: loyalty.balanceOf(lots, now) };
+    
+    for (const lot of lots.filter(entry => loyalty.isExpiredLot(entry, now))) {
+        await tx.loyaltyEntries.insert({
+            tenantId,
+            customerId,
+            type: 'expire',
+            points: -lot.remaining,
+            balance: state.balance,
+            allocations: [{ entryId: lot.id, points: lot.remaining }],
+            saleId: null,
+            userId: null,
+            createdAt: now
+        });
+        await tx.loyaltyEntries.update(lot.id, { remaining: 0 });
+        lot.remaining = 0;
+    }
+    
+    return state;
+}
+
+async function creditPoints(tx, user, customerId, state, points, { type, saleId, expiresAt, now }) {
+    state.balance += points;
+    const entry = await tx.loyaltyEntries.insert({
+        tenantId: user.tenantId,
+        customerId,
+        type,
+        points,
+        balance: state.balance,
+        remaining: points,
+        expiresAt,
+        saleId,
+        userId: user.id,
+        createdAt: now
+    });
+    state.lots.push(entry);
+    return entry;
+}
+
+// Débito nos lotes que vencem primeiro; `missing` é o que o saldo não cobriu
+async function debitPoints(tx, user, customerId, state, points, { type, saleId, preferred = null, now }) {
+    const { allocations, missing } = loyalty.allocatePoints(state.lots, points, now, preferred);
+    const debited = points - missing;
+    
+    for (const allocation of allocations) {
+        allocation.lot.remaining -= allocation.points;
+        await tx.loyaltyEntries.update(allocation.lot.id, { remaining: allocation.lot.remaining });
+    }
+    state.balance -= debited;
+    
+    const entry = await tx.loyaltyEntries.insert({
+        tenantId: user.tenantId,
+        customerId,
+        type,
+        points: -debited,
+        balance: state.balance,
+        allocations: allocations.map(({ lot, points }) => ({ entryId: lot.id, points })),
+        unrecoveredPoints: missing || null,
+        saleId,
+        userId: user.id,
+        createdAt: now
+    });
+    return { entry, missing };
+}
+
+/**
+ * Devolve o resgate (restore) e retira os pontos ganhos (reverse) de uma venda;
+ * os já usados ficam registrados como não recuperados. Retorna o novo sale.loyalty.
+ */
+async function adjustSaleLoyalty(tx, user, tenant, sale, { reverse, restore }, now) {
+    const { customerId } = sale.loyalty;
+    const state = await customerLoyalty(tx, user.tenantId, customerId, now);
+    
+    if (restore > 0) {
+        await creditPoints(tx, user, customerId, state, restore, {
+            type: 'restore',
+            saleId: sale.id,
+            expiresAt: loyalty.expiryDate(loyalty.loyaltySettings(tenant), now),
+            now
+        });
+    }
+    
+    let missing = 0;
+    if (reverse > 0) {
+        const earned = state.lots.find(entry => entry.type === 'earn' && entry.saleId === sale.id);
+        ({ missing } = await debitPoints(tx, user, customerId, state, reverse, {
+            type: 'reversal',
+            saleId: sale.id,
+            preferred: earned ? earned.id : null,
+            now
+        }));
+    }
+    
+    return {
+        ...sale.loyalty,
+        balance: state.balance,
+        pointsReversed: (sale.loyalty.pointsReversed || 0) + reverse,
+        pointsRestored: (sale.loyalty.pointsRestored || 0) + restore,
+        unrecoveredPoints: (sale.loyalty.unrecoveredPoints || 0) + missing
+    };
+}
+
+// Venda cancelada: o que os estornos ainda não acertaram
+async function reverseSaleLoyalty(tx, user, tenant, sale, now) {
+    const points = loyalty.refundPoints(sale.loyalty, 1);
+    return { ...(await adjustSaleLoyalty(tx, user, tenant, sale, points, now)), reversedAt: now };
+}
+
+app.post('/api/sales', authenticateToken, validateTenant, requirePermission('sales.create'), async (req, res) => {
+    try {
+        const saleData = req.body;
+        
+        if (!saleData.items || !Array.isArray(saleData.items) || saleData.items.length === 0) {
+            return res.status(400).json({ error: 'Itens da venda são obrigatórios' });
+        }
+
+        if (!saleData.paymentMethod && !Array.isArray(saleData.payments)) {
+            return res.status(400).json({ error: 'Método de pagamento é obrigatório' });
+        }
+
+        if (saleData.clientSaleId !== undefined && !UUID_REGEX.test(saleData.clientSaleId)) {
+            return res.status(400).json({ error: 'Identificador da venda inválido' });
+        }
+
+        // Venda e baixa de estoque na mesma transação
+        const result = await storage.transaction(async (tx) => {
+            // Venda reenviada pela fila offline: devolver a já registrada
+            if (saleData.clientSaleId) {
+                const existing = await tx.sales.findOne({
+                    tenantId: req.user.tenantId,
+                    clientSaleId: saleData.clientSaleId
+                });
+                if (existing) {
+                    return { sale: existing, duplicate: true };
+                }
+            }
+            
+            const now = new Date().toISOString();
+            const sold = resolveSoldAt(saleData.soldAt, now);
+            if (sold.error) {
+                return sold;
+            }
+            const { soldAt } = sold;
+            const offline = isOfflineSale(saleData, soldAt, now);
+            
+            // Toda venda pertence a uma sessão de caixa aberta
+            const { session, ...sessionError } = await resolveSaleSession(tx, req.user, saleData.registerSessionId, soldAt);
+            if (sessionError.error) {
+                return sessionError;
+            }
+            
+            // Itens e total conferidos com o catálogo
+            const resolved = await resolveSaleItems(tx, req.user, req.tenant, saleData.items, { offline, soldAt });
+            if (resolved.error) {
+                return resolved;
+            }
+            
+            const buyer = await resolveSaleCustomer(tx, req.user.tenantId, saleData);
+            if (buyer && buyer.error) {
+                return buyer;
+            }
+            
+            // Fidelidade: só cliente cadastrado acumula e resgata pontos
+            const program = loyalty.loyaltySettings(req.tenant);
+            const member = buyer && buyer.customer.id ? buyer.customer : null;
+            const points = member && program.enabled ? await customerLoyalty(tx, req.user.tenantId, member.id, now) : null;
+            
+            let redemption = null;
+            if (saleData.loyaltyPoints) {
+                if (!member) {
+                    return { status: 400, error: 'Identifique um cliente cadastrado para resgatar pontos', code: 'LOYALTY_CUSTOMER_REQUIRED' };
+                }
+                const request = loyalty.redemptionRequest(program, saleData.loyaltyPoints, points ? points.balance : 0);
+                if (request.error) {
+                    return request;
+                }
+                redemption = request.redemption;
+            }
+            
+            // Descontos (validade do cupom, promoções por horário) na hora do servidor; a venda
+            // offline usa a data em que aconteceu, já limitada à sessão e a OFFLINE_SALE_MAX_AGE_MS
+            const priced = await priceSale(tx, req, saleData, resolved.items, new Date(offline ? soldAt : now), redemption);
+            if (priced.error) {
+                return priced;
+            }
+            const { pricing, coupon, approval } = priced;
+            const total = pricing.total;
+            const pointsEarned = points ? loyalty.earnedPoints(program, pricing.items) : 0;
+            
+            // Pagamentos (um ou vários) e troco calculado aqui, não pelo caixa
+            const payment = resolvePayments(saleData, total);
+            if (payment.error) {
+                return { status: 400, error: payment.error };
+            }
+            
+            // Criar objeto da venda
+            const newSale = await tx.sales.insert({
+                tenantId: req.user.tenantId,
+                userId: req.user.id,
+                registerSessionId: session.id,
+                clientSaleId: saleData.clientSaleId || null,
+                customerId: buyer ? buyer.customer.id || null : null,
+                customer: buyer ? customers.saleCustomer(buyer.customer) : null,
+                items: pricing.items,
+                subtotal: pricing.subtotal,
+                discounts: pricing.discounts,
+                discountTotal: pricing.discountTotal,
+                discountApproval: approval,
+                couponCode: coupon ? coupon.code : null,
+                loyalty: points ? {
+                    customerId: member.id,
+                    pointsEarned,
+                    pointsRedeemed: redemption ? redemption.points : 0,
+                    redeemedAmount: pricing.loyaltyDiscount,
+                    balance: points.balance - (redemption ? redemption.points : 0) + pointsEarned
+                } : null,
+                total,
+                priceOverrides: resolved.priceOverrides,
+                offline,
+                stockShortages: resolved.stockShortages.length ? resolved.stockShortages : null,
+                payments: payment.payments,
+                paymentMethod: payment.paymentMethod,
+                cashReceived: payment.cashReceived,
+                cashChange: payment.cashChange,
+                status: 'completed',
+                notes: saleData.notes || '',
+                // Data da venda (informada pela fila offline) e a de chegada ao servidor
+                createdAt: soldAt || now,
+                soldAt: soldAt || now,
+                receivedAt: now
+            });
+
+            if (coupon) {
+                await tx.coupons.update(coupon.id, { usedCount: (coupon.usedCount || 0) + 1, updatedAt: now });
+            }
+            
+            // Resgate antes do crédito: os pontos desta venda não pagam a própria venda
+            if (redemption) {
+                await debitPoints(tx, req.user, member.id, points, redemption.points, { type: 'redeem', saleId: newSale.id, now });
+            }
+            if (pointsEarned > 0) {
+                await creditPoints(tx, req.user, member.id, points, pointsEarned, {
+                    type: 'earn',
+                    saleId: newSale.id,
+                    expiresAt: loyalty.expiryDate(program, soldAt || now),
+                    now
+                });
+            }
+            
+            publishAfterCommit(tx, req.user.tenantId, 'sale.completed', {
+                saleId: newSale.id,
+                total,
+                paymentMethod: newSale.paymentMethod,
+                itemsCount: newSale.items.length,
+                userId: req.user.id,
+                registerSessionId: session.id,
+                createdAt: newSale.createdAt
+            }, DASHBOARD_EVENT);
+            
+            // Baixa de estoque, com lançamento no livro de movimentações
+            for (const { product, quantity } of resolved.quantities.values()) {
+                await recordStockMovement(tx, req.user, product, -quantity, { type: 'sale', saleId: newSale.id, now });
+            }
+            
+            return { sale: newSale, duplicate: false };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        
+        res.status(result.duplicate ? 200 : 201).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Erro ao registrar venda:', error);
+        res.status(500).json({ error: 'Erro ao processar venda' });
+    }
+});
+
+// Cancelamentos e estornos
+function remainingQuantity(item) {
+    return measure.roundQuantity(item.quantity - (item.refundedQuantity || 0));
+}
+
+// Valor líquido (já com descontos) de parte de um item vendido
+function itemNetAmount(item, quantity) {
+    const lineTotal = item.total ?? roundMoney(item.price * item.quantity);
+    
+    // Última parte do item: o que sobrou, sem diferença de arredondamento
+    if (quantity === remainingQuantity(item)) {
+        return roundMoney(lineTotal - (item.refundedAmount || 0));
+    }
+    return roundMoney(lineTotal / item.quantity * quantity);
+}
+
+// Resumo de vendas: canceladas e estornadas são informadas separadamente
+function summarizeSales(sales) {
+    const validSales = sales.filter(s => COUNTED_STATUSES.includes(s.status));
+    const cancelledSales = sales.filter(s => s.status === 'cancelled');
+    
+    const grossRevenue = validSales.reduce((sum, sale) => sum + sale.total, 0);
+    const refundedAmount = validSales.reduce((sum, sale) => sum + (sale.refundedAmount || 0), 0);
+    const totalRevenue = roundMoney(grossRevenue - refundedAmount);
+    
+    return {
+        totalSales: validSales.length,
+        grossRevenue: roundMoney(grossRevenue),
+        totalRevenue,
+        averageTicket: validSales.length > 0 ? totalRevenue / validSales.length : 0,
+        cancelledSales: cancelledSales.length,
+        cancelledAmount: roundMoney(cancelledSales.reduce((sum, sale) => sum + sale.total, 0)),
+        refundedSales: validSales.filter(s => s.refundedAmount > 0).length,
+        refundedAmount: roundMoney(refundedAmount)
+    };
+}
+
+/**
+ * Quanto de cada produto a venda ainda tem baixado do estoque: productId -> quantidade.
+ * A baixa pode ter sido menor que a vendida (saldo zerado por venda offline),
+ * e o cancelamento ou estorno não devolve mais do que saiu.
+ * null: venda anterior ao livro de movimentações (devolve o vendido).
+ */
+async function saleStockOutstanding(tx, tenantId, saleId) {
+    const movements = await tx.stockMovements.find({ tenantId, saleId });
+    if (movements.length === 0) return null;
+    const outstanding = new Map();
+    for (const movement of movements) {
+        outstanding.set(movement.productId, measure.roundQuantity((outstanding.get(movement.productId) || 0) - movement.quantity));
+    }
+    return outstanding;
+}
+
+// Venda com cupom cancelada ou estornada por inteiro: o uso volta para o cupom
+async function releaseSaleCoupon(tx, sale, now) {
+    if (!sale.couponCode) return;
+    const coupon = await tx.coupons.findOne({ tenantId: sale.tenantId, code: sale.couponCode });
+    if (coupon && coupon.usedCount > 0) {
+        await tx.coupons.update(coupon.id, { usedCount: coupon.usedCount - 1, updatedAt: now });
+    }
+}
+
+async function restoreStock(tx, user, outstanding, productId, quantity, { type, saleId, reason, now }) {
+    const product = await tx.products.findOne({ id: productId, tenantId: user.tenantId });
+    const restored = outstanding ? Math.min(quantity, outstanding.get(productId) || 0) : quantity;
+    if (product && restored > 0) {
+        if (outstanding) outstanding.set(productId, measure.roundQuantity(outstanding.get(productId) - restored));
+        await recordStockMovement(tx, user, product, restored, { type, saleId, reason, now });
+    }
+}
+
+app.post('/api/sales/:id/cancel', authenticateToken, validateTenant, requirePermission('sales.cancel'), async (req, res) => {
+    try {
+        const saleId = parseInt(req.params.id);
+        const reason = (req.body.reason || '').trim();
+        
+        if (!reason) {
+            return res.status(400).json({ error: 'Informe o motivo do cancelamento' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const sale = await tx.sales.findOne({ id: saleId, tenantId: req.user.tenantId });
+            
+            if (!sale) {
+                return { status: 404, error: 'Venda não encontrada' };
+            }
+            if (!COUNTED_STATUSES.includes(sale.status) || sale.status === 'refunded') {
+                return { status: 400, error: 'Esta venda já foi cancelada ou estornada integralmente' };
+            }
+            
+            const now = new Date().toISOString();
+            const outstanding = await saleStockOutstanding(tx, req.user.tenantId, saleId);
+            
+            // Devolver ao estoque apenas o que ainda não foi estornado (kits: os componentes)
+            for (const item of sale.items) {
+                const quantity = remainingQuantity(item);
+                if (quantity <= 0) continue;
+                for (const line of catalog.stockLines(item, quantity)) {
+                    await restoreStock(tx, req.user, outstanding, line.productId, line.quantity, { type: 'cancellation', saleId, reason, now });
+                }
+            }
+            await releaseSaleCoupon(tx, sale, now);
+            
+            publishAfterCommit(tx, req.user.tenantId, 'sale.cancelled', {
+                saleId: sale.id,
+                amount: roundMoney(sale.total - (sale.refundedAmount || 0)),
+                userId: req.user.id,
+                reason
+            }, DASHBOARD_EVENT);
+            
+            const cancelledSale = await tx.sales.update(sale.id, {
+                status: 'cancelled',
+                ...(sale.loyalty && { loyalty: await reverseSaleLoyalty(tx, req.user, req.tenant, sale, now) }),
+                cancellation: {
+                    userId: req.user.id,
+                    userEmail: req.user.email,
+                    reason,
+                    amount: roundMoney(sale.total - (sale.refundedAmount || 0)),
+                    createdAt: now
+                },
+                updatedAt: now
+            });
+            await recordAudit(tx, req, {
+                action: 'sale.cancelled',
+                targetType: 'sale',
+                targetId: sale.id,
+                details: { reason, amount: cancelledSale.cancellation.amount, total: sale.total }
+            });
+            
+            return { sale: cancelledSale };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ success: true, sale: result.sale });
+    } catch (error) {
+        console.error('Erro ao cancelar venda:', error);
+        res.status(500).json({ error: 'Erro ao cancelar venda' });
+    }
+});
+
+// Estorno parcial: items = [{ productId, quantity }]
+app.post('/api/sales/:id/refund', authenticateToken, validateTenant, requirePermission('sales.cancel'), async (req, res) => {
+    try {
+        const saleId = parseInt(req.params.id);
+        const { items } = req.body;
+        const reason = (req.body.reason || '').trim();
+        
+        if (!reason) {
+            return res.status(400).json({ error: 'Informe o motivo do estorno' });
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Informe os itens a estornar' });
+        }
+        if (items.some(i => !(i.quantity > 0))) {
+            return res.status(400).json({ error: 'Quantidade a estornar inválida' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const sale = await tx.sales.findOne({ id: saleId, tenantId: req.user.tenantId });
+            
+            if (!sale) {
+                return { status: 404, error: 'Venda não encontrada' };
+            }
+            if (!['completed', 'partially_refunded'].includes(sale.status)) {
+                return { status: 400, error: 'Esta venda não pode mais ser estornada' };
+            }
+            
+            const now = new Date().toISOString();
+            const saleItems = sale.items.map(item => ({ ...item }));
+            const refundLines = [];
+            
+            for (const request of items) {
+                let pending = request.quantity;
+                const productId = parseInt(request.productId);
+                const lines = saleItems.filter(i => i.productId === productId);
+                if (lines.length === 0) {
+                    return { status: 400, error: `Produto não faz parte da venda (produto ${request.productId})` };
+                }
+                if (!measure.isValidQuantity(pending, lines[0].unit)) {
+                    return { status: 400, error: `${quantityErrorMessage('Quantidade a estornar', lines[0].unit)} (${lines[0].productName})` };
+                }
+                
+                // O mesmo produto pode aparecer em mais de uma linha da venda
+                for (const item of lines) {
+                    const quantity = Math.min(pending, remainingQuantity(item));
+                    if (quantity <= 0) continue;
+                    
+                    const amount = itemNetAmount(item, quantity);
+                    item.refundedQuantity = measure.roundQuantity((item.refundedQuantity || 0) + quantity);
+                    item.refundedAmount = roundMoney((item.refundedAmount || 0) + amount);
+                    pending = measure.roundQuantity(pending - quantity);
+                    refundLines.push({
+                        productId: item.productId,
+                        productName: item.productName,
+                        quantity,
+                        price: item.price,
+                        amount,
+                        ...(item.components && { components: item.components })
+                    });
+                }
+                
+                if (pending > 0) {
+                    return { status: 400, error: `Quantidade a estornar maior que a vendida (produto ${request.productId})` };
+                }
+            }
+            
+            const outstanding = await saleStockOutstanding(tx, req.user.tenantId, saleId);
+            for (const line of refundLines) {
+                for (const stockLine of catalog.stockLines(line, line.quantity)) {
+                    await restoreStock(tx, req.user, outstanding, stockLine.productId, stockLine.quantity, { type: 'refund', saleId, reason, now });
+                }
+            }
+            
+            const refund = {
+                id: (sale.refunds || []).length + 1,
+                items: refundLines,
+                amount: roundMoney(refundLines.reduce((sum, line) => sum + line.amount, 0)),
+                reason,
+                userId: req.user.id,
+                userEmail: req.user.email,
+                createdAt: now
+            };
+            
+            const fullyRefunded = saleItems.every(item => remainingQuantity(item) === 0);
+            const refundedAmount = roundMoney((sale.refundedAmount || 0) + refund.amount);
+            if (fullyRefunded) {
+                await releaseSaleCoupon(tx, sale, now);
+            }
+            
+            // Fidelidade: pontos dos itens devolvidos, na proporção do valor estornado
+            let saleLoyalty = sale.loyalty;
+            if (sale.loyalty) {
+                const ratio = fullyRefunded ? 1 : (sale.total > 0 ? refundedAmount / sale.total : 0);
+                const points = loyalty.refundPoints(sale.loyalty, ratio);
+                if (points.reverse > 0 || points.restore > 0) {
+                    saleLoyalty = await adjustSaleLoyalty(tx, req.user, req.tenant, sale, points, now);
+                    refund.loyalty = { pointsReversed: points.reverse, pointsRestored: points.restore };
+                }
+            }
+            
+            publishAfterCommit(tx, req.user.tenantId, 'sale.refunded', {
+                saleId: sale.id,
+                amount: refund.amount,
+                fullyRefunded,
+                userId: req.user.id,
+                reason
+            }, DASHBOARD_EVENT);
+            
+            const updatedSale = await tx.sales.update(sale.id, {
+                items: saleItems,
+                refunds: [...(sale.refunds || []), refund],
+                refundedAmount,
+                loyalty: saleLoyalty,
+                status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                updatedAt: now
+            });
+            await recordAudit(tx, req, {
+                action: 'sale.refunded',
+                targetType: 'sale',
+                targetId: sale.id,
+                details: {
+                    reason,
+                    amount: refund.amount,
+                    items: refundLines.map(line => `${line.quantity} × ${line.productName}`).join(', '),
+                    fullyRefunded
+                }
+            });
+            
+            return { sale: updatedSale, refund };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ success: true, sale: result.sale, refund: result.refund });
+    } catch (error) {
+        console.error('Erro ao estornar venda:', error);
+        res.status(500).json({ error: 'Erro ao estornar venda' });
+    }
+});
+
+app.get('/api/sales', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        
+        const tenantSales = await storage.sales.find(
+            { tenantId: req.user.tenantId },
+            { orderBy: 'createdAt', order: 'desc', limit }
+        );
+        
+        res.json(tenantSales);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar vendas' });
+    }
+});
+
+app.get('/api/sales/today', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const today = reports.resolvePeriod({}, tenantTimeZone(req.tenant));
+        
+        const todaySales = await storage.sales.find(
+            { tenantId: req.user.tenantId },
+            { since: today.since, until: today.until, orderBy: 'createdAt' }
+        );
+        
+        res.json({
+            sales: todaySales,
+            summary: summarizeSales(todaySales)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar vendas do dia' });
+    }
+});
+
+app.get('/api/sales/stats', authenticateToken, validateTenant, requirePermission('reports.view'), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        
+        // Datas opcionais, em dias inteiros no fuso da loja
+        const timeZone = tenantTimeZone(req.tenant);
+        const start = startDate ? reports.resolvePeriod({ from: startDate }, timeZone) : {};
+        const end = endDate ? reports.resolvePeriod({ from: endDate }, timeZone) : {};
+        if (start.error || end.error) {
+            return res.status(400).json({ error: start.error || end.error });
+        }
+        
+        const periodSales = await storage.sales.find(
+            { tenantId: req.user.tenantId },
+            { since: start.since, until: end.until }
+        );
+        
+        const summary = summarizeSales(periodSales);
+        const filteredSales = periodSales.filter(s => COUNTED_STATUSES.includes(s.status));
+        
+        // Produtos mais vendidos (descontando estornos)
+        const productSales = {};
+        filteredSales.forEach(sale => {
+            sale.items.forEach(item => {
+                const quantity = remainingQuantity(item);
+                if (quantity <= 0) return;
+                
+                if (!productSales[item.productId]) {
+                    productSales[item.productId] = {
+                        productId: item.productId,
+                        productName: item.productName || `Produto ${item.productId}`,
+                        quantity: 0,
+                        revenue: 0
+                    };
+                }
+                productSales[item.productId].quantity += quantity;
+                productSales[item.productId].revenue += itemNetAmount(item, quantity);
+            });
+        });
+        
+        const topProducts = Object.values(productSales)
+            .sort((a, b) => b.quantity - a.quantity)
+            .slice(0, 10);
+        
+        res.json({
+            ...summary,
+            topProducts
+        });
+    } catch (error) {
+        console.error('Erro ao buscar estatísticas:', error);
+        res.status(500).json({ error: 'Erro ao buscar estatísticas' });
+    }
+});
+
+// Rotas de Caixa (abertura, sangria/suprimento e fechamento)
+async function loadSessionSales(session) {
+    return storage.sales.find({ tenantId: session.tenantId, registerSessionId: session.id });
+}
+
+function canOperateSession(user, session) {
+    return session.userId === user.id || hasPermission(user, 'register.manage');
+}
+
+app.get('/api/register-sessions/current', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const session = await storage.registerSessions.findOne({
+            tenantId: req.user.tenantId,
+            userId: req.user.id,
+            status: 'open'
+        });
+        
+        if (!session) {
+            return res.json({ session: null, report: null });
+        }
+        
+        res.json({ session, report: buildSessionReport(session, await loadSessionSales(session)) });
+    } catch (error) {
+        console.error('Erro ao buscar caixa:', error);
+        res.status(500).json({ error: 'Erro ao buscar caixa' });
+    }
+});
+
+app.get('/api/register-sessions', authenticateToken, validateTenant, requirePermission('register.manage'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 30, 200);
+        const filter = { tenantId: req.user.tenantId };
+        
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        
+        const sessions = await storage.registerSessions.find(filter, { orderBy: 'createdAt', order: 'desc', limit });
+        res.json(sessions);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar sessões de caixa' });
+    }
+});
+
+app.post('/api/register-sessions/open', authenticateToken, validateTenant, requirePermission('sales.create'), async (req, res) => {
+    try {
+        const registerName = (req.body.registerName || '').trim();
+        const openingFloat = Number(req.body.openingFloat);
+        
+        if (!registerName) {
+            return res.status(400).json({ error: 'Informe o caixa' });
+        }
+        if (!(openingFloat >= 0)) {
+            return res.status(400).json({ error: 'Fundo de troco inválido' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const userSession = await tx.registerSessions.findOne({
+                tenantId: req.user.tenantId,
+                userId: req.user.id,
+                status: 'open'
+            });
+            if (userSession) {
+                return { error: `Você já possui o caixa "${userSession.registerName}" aberto` };
+            }
+            
+            const registerSession = await tx.registerSessions.findOne({
+                tenantId: req.user.tenantId,
+                registerName,
+                status: 'open'
+            });
+            if (registerSession) {
+                return { error: `O caixa "${registerName}" já está aberto por outro operador` };
+            }
+            
+            const openRegisters = await tx.registerSessions.count({ tenantId: req.user.tenantId, status: 'open' });
+            const limitError = billing.limitError(req.tenant, 'registers', openRegisters);
+            if (limitError) {
+                return { status: 403, ...limitError };
+            }
+            
+            const session = await tx.registerSessions.insert({
+                tenantId: req.user.tenantId,
+                userId: req.user.id,
+                userEmail: req.user.email,
+                registerName,
+                openingFloat: roundMoney(openingFloat),
+                movements: [],
+                status: 'open',
+                countedCash: null,
+                closedAt: null,
+                closedBy: null,
+                notes: '',
+                createdAt: new Date().toISOString()
+            });
+            
+            publishAfterCommit(tx, req.user.tenantId, 'register.opened', {
+                sessionId: session.id,
+                registerName,
+                userId: req.user.id,
+                userEmail: req.user.email
+            }, REGISTER_EVENT);
+            
+            return { session };
+        });
+        
+        if (result.error) {
+            return res.status(result.status || 409).json({ error: result.error, code: result.code });
+        }
+        
+        res.status(201).json({ success: true, session: result.session, report: buildSessionReport(result.session, []) });
+    } catch (error) {
+        console.error('Erro ao abrir caixa:', error);
+        res.status(500).json({ error: 'Erro ao abrir caixa' });
+    }
+});
+
+app.post('/api/register-sessions/:id/movements', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+        const { type } = req.body;
+        const amount = Number(req.body.amount);
+        const reason = (req.body.reason || '').trim();
+        
+        if (!MOVEMENT_TYPES[type]) {
+            return res.status(400).json({ error: 'Tipo de movimentação inválido' });
+        }
+        if (!(amount > 0)) {
+            return res.status(400).json({ error: 'Valor inválido' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const session = await tx.registerSessions.findOne({ id: sessionId, tenantId: req.user.tenantId });
+            
+            if (!session || !canOperateSession(req.user, session)) {
+                return { status: 404, error: 'Caixa não encontrado' };
+            }
+            if (session.status !== 'open') {
+                return { status: 409, error: 'Caixa já fechado' };
+            }
+            
+            if (type === 'sangria') {
+                const sales = await tx.sales.find({ tenantId: session.tenantId, registerSessionId: session.id });
+                if (amount > availableCash(session, sales)) {
+                    return { status: 400, error: 'Sangria maior que o dinheiro disponível no caixa' };
+                }
+            }
+            
+            const movement = {
+                id: session.movements.length + 1,
+                type,
+                amount: roundMoney(amount),
+                reason,
+                userId: req.user.id,
+                userEmail: req.user.email,
+                createdAt: new Date().toISOString()
+            };
+            
+            const updated = await tx.registerSessions.update(session.id, {
+                movements: [...session.movements, movement]
+            });
+            
+            return { session: updated, movement };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        const report = buildSessionReport(result.session, await loadSessionSales(result.session));
+        res.status(201).json({ success: true, movement: result.movement, session: result.session, report });
+    } catch (error) {
+        console.error('Erro ao registrar movimentação:', error);
+        res.status(500).json({ error: 'Erro ao registrar movimentação' });
+    }
+});
+
+app.post('/api/register-sessions/:id/close', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+        const countedCash = Number(req.body.countedCash);
+        
+        if (req.body.countedCash === undefined || req.body.countedCash === '' || !(countedCash >= 0)) {
+            return res.status(400).json({ error: 'Informe o valor contado na gaveta' });
+        }
+        
+        const result = await storage.transaction(async (tx) => {
+            const session = await tx.registerSessions.findOne({ id: sessionId, tenantId: req.user.tenantId });
+            
+            if (!session || !canOperateSession(req.user, session)) {
+                return { status: 404, error: 'Caixa não encontrado' };
+            }
+            if (session.status !== 'open') {
+                return { status: 409, error: 'Caixa já fechado' };
+            }
+            
+            const closed = await tx.registerSessions.update(session.id, {
+                status: 'closed',
+                countedCash: roundMoney(countedCash),
+                notes: (req.body.notes || '').trim(),
+                closedAt: new Date().toISOString(),
+                closedBy: { userId: req.user.id, userEmail: req.user.email }
+            });
+            
+            const sales = await tx.sales.find({ tenantId: session.tenantId, registerSessionId: session.id });
+            const report = buildSessionReport(closed, sales);
+            
+            // Fotografia do fechamento, como conferido pelo operador
+            await tx.registerSessions.update(session.id, { closingReport: report });
+            
+            publishAfterCommit(tx, session.tenantId, 'register.closed', {
+                sessionId: session.id,
+                registerName: session.registerName,
+                userId: session.userId,
+                closedBy: req.user.email,
+                difference: report.difference
+            }, REGISTER_EVENT);
+            
+            return { session: { ...closed, closingReport: report }, report };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ success: true, session: result.session, report: result.report });
+    } catch (error) {
+        console.error('Erro ao fechar caixa:', error);
+        res.status(500).json({ error: 'Erro ao fechar caixa' });
+    }
+});
+
+// Relatório recalculado (inclui vendas offline sincronizadas após o fechamento)
+app.get('/api/register-sessions/:id/report', authenticateToken, validateTenant, async (req, res) => {
+    try {
+        const session = await storage.registerSessions.findOne({
+            id: parseInt(req.params.id),
+            tenantId: req.user.tenantId
+        });
+        
+        if (!session || !canOperateSession(req.user, session)) {
+            return res.status(404).json({ error: 'Caixa não encontrado' });
+        }
+        
+        res.json({ session, report: buildSessionReport(session, await loadSessionSales(session)) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao gerar relatório do caixa' });
+    }
+});
+
+// Eventos em tempo real (Server-Sent Events), só da loja do usuário
+app.get('/api/events', tokenFromQuery, authenticateToken, validateTenant, (req, res) => {
+    events.subscribe(res, {
+        tenantId: req.user.tenantId,
+        userId: req.user.id,
+        sessionId: req.user.sid,
+        role: req.user.role
+    });
+    
+    // Encerra quando o token expira; o navegador reconecta com o token atual
+    const expiry = setTimeout(() => res.end(), Math.max(0, req.user.exp * 1000 - Date.now()));
+    res.on('close', () => clearTimeout(expiry));
+});
+
+// Rotas do Dashboard
+app.get('/api/dashboard/overview', authenticateToken, validateTenant, requirePermission('reports.view'), async (req, res) => {
+    try {
+        const today = reports.resolvePeriod({}, tenantTimeZone(req.tenant));
+        const filter = { tenantId: req.user.tenantId, status: COUNTED_STATUSES };
+        
+        const tenantProducts = await storage.products.find({ tenantId: req.user.tenantId });
+        
+        // Vendas de hoje (no fuso da loja)
+        const todaySales = await storage.sales.find(
+            { tenantId: req.user.tenantId },
+            { since: today.since, until: today.until }
+        );
+        
+        // Estatísticas
+        const summary = summarizeSales(todaySales);
+        // Kits e produtos com variações não têm estoque próprio
+        const parentIds = new Set(tenantProducts.filter(p => p.parentId).map(p => p.parentId));
+        const lowStockProducts = tenantProducts
+            .filter(p => p.isActive !== false && !catalog.isKit(p) && !parentIds.has(p.id))
+            .filter(p => p.stock < (p.lowStockAlert || 5))
+            .sort((a, b) => a.stock - b.stock);
+        const lowStockCount = lowStockProducts.length;
+        
+        // Valores recebidos por forma de pagamento
+        const paymentMethods = {};
+        todaySales.forEach(sale => {
+            for (const [method, amount] of Object.entries(salePaymentBreakdown(sale))) {
+                paymentMethods[method] = roundMoney((paymentMethods[method] || 0) + amount);
+            }
         });
         
         // Últimas vendas
-        const recentSales = tenantSales
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-            .slice(0, 10)
+        const recentSales = (await storage.sales.find(filter, { orderBy: 'createdAt', order: 'desc', limit: 10 }))
             .map(sale => ({
                 id: sale.id,
                 total: sale.total,
+                refundedAmount: sale.refundedAmount || 0,
+                status: sale.status,
                 paymentMethod: sale.paymentMethod,
                 createdAt: sale.createdAt,
                 itemsCount: sale.items.length
             }));
         
         res.json({
-            totalSales,
-            totalRevenue,
-            lowStockCount,
-            averageTicket,
-            paymentMethods,
-            recentSales
+            ...summary,
+            lowStockCount,
+            lowStockProducts: lowStockProducts.slice(0, 10).map(p => ({
+                id: p.id,
+                name: p.name,
+                stock: p.stock,
+                lowStockAlert: p.lowStockAlert || 5,
+                supplierId: p.supplierId || null
+            })),
+            paymentMethods,
+            recentSales
+        });
+    } catch (error) {
+        console.error('Erro no dashboard:', error);
+        res.status(500).json({ error: 'Erro ao carregar dashboard' });
+    }
+});
+
+// Relatórios: GET /api/reports/:type?from=AAAA-MM-DD&to=AAAA-MM-DD&format=json|csv|xlsx|pdf
+app.get('/api/reports/:type', authenticateToken, validateTenant, requirePermission('reports.view'), async (req, res) => {
+    try {
+        const type = req.params.type;
+        const format = req.query.format || 'json';
+        if (!reports.REPORT_TYPES[type]) {
+            return res.status(404).json({ error: 'Relatório não encontrado', types: reports.REPORT_TYPES });
+        }
+        if (!['json', 'csv', 'xlsx', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'Formato inválido (use json, csv, xlsx ou pdf)' });
+        }
+        
+        const timeZone = tenantTimeZone(req.tenant);
+        const period = reports.resolvePeriod({ from: req.query.from, to: req.query.to }, timeZone);
+        if (period.error) {
+            return res.status(400).json({ error: period.error });
+        }
+        
+        const tenantId = req.user.tenantId;
+        const [sales, adjustedSales, products, users] = await Promise.all([
+            storage.sales.find({ tenantId }, { since: period.since, until: period.until, orderBy: 'createdAt' }),
+            type === 'cancellations'
+                ? storage.sales.find({ tenantId, status: ['cancelled', 'partially_refunded', 'refunded'] })
+                : [],
+            storage.products.find({ tenantId }),
+            storage.users.find({ tenantId })
+        ]);
+        
+        const report = reports.buildReport(type, {
+            sales,
+            adjustedSales,
+            products: new Map(products.map(p => [p.id, p])),
+            users: new Map(users.map(u => [u.id, u])),
+            period,
+            timeZone
+        });
+        
+        if (format === 'json') {
+            return res.json(report);
+        }
+        
+        const filename = `${type}-${period.from}${period.to !== period.from ? `-a-${period.to}` : ''}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        if (format === 'pdf') {
+            const line = row => report.columns.map(column => reports.formatCell(row[column.key], column.format, timeZone));
+            const periodLabel = [period.from, period.to].map(date => reports.formatCell(date, 'date')).join(' a ');
+            return res.type('application/pdf').send(buildTablePdf({
+                title: `${req.tenant.name} - ${report.title}`,
+                subtitle: `Período: ${periodLabel} (${timeZone})`,
+                columns: report.columns.map(column => ({
+                    label: column.label,
+                    align: ['money', 'number', 'percent'].includes(column.format) ? 'right' : 'left'
+                })),
+                rows: report.rows.map(line),
+                totals: report.totals ? line(report.totals) : null,
+                footer: `Gerado em ${reports.formatCell(new Date().toISOString(), 'datetime', timeZone)} por ${req.user.email}`
+            }));
+        }
+        
+        const rows = reports.reportToRows(report);
+        if (format === 'xlsx') {
+            return res.type(XLSX_CONTENT_TYPE).send(toXlsx(rows, { sheetName: 'Relatório' }));
+        }
+        res.type('text/csv; charset=utf-8').send(toCsv(rows));
+    } catch (error) {
+        console.error('Erro ao gerar relatório:', error);
+        res.status(500).json({ error: 'Erro ao gerar relatório' });
+    }
+});
+
+// Rotas fiscais (NFC-e)
+const ISSUED_STATUSES = ['authorized', 'contingency'];
+
+function publicFiscalDocument(document) {
+    const { xml: _, ...fields } = document;
+    return fields;
+}
+
+// Em produção a chave privada do certificado não fica sem senha
+function readTenantCertificate(tenantId) {
+    if (NODE_ENV === 'production' && !FISCAL_CERT_PASSWORD) {
+        throw new fiscal.CertificateError('Senha do certificado digital não configurada (FISCAL_CERT_PASSWORD)');
+    }
+    return fiscal.loadCertificate(FISCAL_CERT_PATH.replace('{tenantId}', tenantId), FISCAL_CERT_PASSWORD);
+}
+
+function loadTenantCertificate(tenantId) {
+    const certificate = readTenantCertificate(tenantId);
+    fiscal.assertCertificateValid(certificate);
+    return certificate;
+}
+
+// Alterações do documento conforme o retorno da SEFAZ
+function transmissionChanges(document, xml, response) {
+    const changes = {
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        transmittedAt: response.receivedAt,
+        attempts: (document.attempts || 0) + 1,
+        updatedAt: new Date().toISOString()
+    };
+
+    if (!response.authorized) {
+        return { ...changes, status: 'rejected', xml };
+    }
+
+    return {
+        ...changes,
+        status: 'authorized',
+        protocol: response.protocol,
+        authorizedAt: response.receivedAt,
+        xml: fiscal.buildNfeProc(xml, {
+            accessKey: document.accessKey,
+            environment: document.environment,
+            protocol: response.protocol,
+            receivedAt: response.receivedAt,
+            statusCode: response.statusCode,
+            statusMessage: response.statusMessage,
+            digestValue: fiscal.digestValueOf(xml)
+        })
+    };
+}
+
+/**
+ * Monta, assina e transmite a nota já numerada. Sem comunicação com a
+ * SEFAZ, a nota é refeita em contingência offline para ser retransmitida depois.
+ */
+async function transmitNfce(document, { sale, tenant, products, certificate }) {
+    const build = (emission, contingencyReason) => fiscal.buildSignedNfce({
+        sale,
+        tenant,
+        products,
+        number: document.number,
+        emission,
+        contingencyReason,
+        emittedAt: new Date().toISOString(),
+        certificate
+    });
+
+    const issued = (nfe) => ({
+        accessKey: nfe.accessKey,
+        emission: nfe.emission,
+        emittedAt: nfe.emittedAt,
+        qrCodeUrl: nfe.qrCodeUrl,
+        urlChave: nfe.urlChave
+    });
+
+    let nfe = build(fiscal.EMISSION.normal);
+    try {
+        const response = await fiscalTransmitter.authorize(nfe.xml);
+        return storage.fiscalDocuments.update(document.id, {
+            ...issued(nfe),
+            ...transmissionChanges({ ...document, accessKey: nfe.accessKey }, nfe.xml, response)
+        });
+    } catch (error) {
+        if (!(error instanceof fiscal.SefazUnavailableError)) throw error;
+
+        nfe = build(fiscal.EMISSION.offline, 'Sem comunicação com a SEFAZ');
+        return storage.fiscalDocuments.update(document.id, {
+            ...issued(nfe),
+            status: 'contingency',
+            statusMessage: error.message,
+            attempts: (document.attempts || 0) + 1,
+            xml: nfe.xml,
+            updatedAt: new Date().toISOString()
+        });
+    }
+}
+
+app.post('/api/fiscal/sales/:saleId/nfce', authenticateToken, validateTenant, requirePermission('sales.create'), async (req, res) => {
+    try {
+        const saleId = parseInt(req.params.saleId);
+        const tenantFiscal = req.tenant.fiscal;
+        
+        if (!tenantFiscal || !tenantFiscal.enabled) {
+            return res.status(400).json({ error: 'Emissão de NFC-e não habilitada para esta loja', code: 'FISCAL_DISABLED' });
+        }
+        
+        const missing = fiscal.missingFiscalData(req.tenant, tenantFiscal);
+        if (missing.length > 0) {
+            return res.status(400).json({ error: `Dados fiscais incompletos: ${missing.join(', ')}`, code: 'FISCAL_DATA_INCOMPLETE' });
+        }
+        
+        let certificate;
+        try {
+            certificate = loadTenantCertificate(req.user.tenantId);
+        } catch (error) {
+            if (!(error instanceof fiscal.CertificateError)) throw error;
+            return res.status(400).json({ error: error.message, code: 'CERTIFICATE_INVALID' });
+        }
+        
+        // Numeração reservada na mesma transação que confere a venda
+        const reserved = await storage.transaction(async (tx) => {
+            const sale = await tx.sales.findOne({ id: saleId, tenantId: req.user.tenantId });
+            if (!sale) {
+                return { status: 404, error: 'Venda não encontrada' };
+            }
+            if (sale.status === 'cancelled') {
+                return { status: 409, error: 'Venda cancelada não pode receber NFC-e', code: 'SALE_CANCELLED' };
+            }
+            if (sale.status === 'refunded') {
+                return { status: 409, error: 'Venda estornada integralmente não pode receber NFC-e', code: 'SALE_REFUNDED' };
+            }
+            
+            const documents = await tx.fiscalDocuments.find({ tenantId: req.user.tenantId, saleId });
+            const issued = documents.find(d => ISSUED_STATUSES.includes(d.status));
+            if (issued) {
+                return { status: 409, error: 'Venda já possui NFC-e emitida', code: 'NFCE_ALREADY_ISSUED', document: issued };
+            }
+            
+            const tenant = await tx.tenants.findById(req.user.tenantId);
+            const number = tenant.fiscal.nextNumber;
+            await tx.tenants.update(tenant.id, {
+                fiscal: { ...tenant.fiscal, nextNumber: number + 1 },
+                updatedAt: new Date().toISOString()
+            });
+            
+            const products = new Map();
+            for (const item of sale.items) {
+                const product = await tx.products.findOne({ id: item.productId, tenantId: req.user.tenantId });
+                if (product) products.set(item.productId, product);
+            }
+            
+            const now = new Date().toISOString();
+            const document = await tx.fiscalDocuments.insert({
+                tenantId: req.user.tenantId,
+                saleId,
+                userId: req.user.id,
+                model: '65',
+                series: tenant.fiscal.series,
+                number,
+                environment: tenant.fiscal.environment,
+                accessKey: null,
+                status: 'pending',
+                total: sale.total,
+                attempts: 0,
+                createdAt: now,
+                updatedAt: now
+            });
+            
+            return { document, sale, tenant, products };
+        });
+        
+        if (reserved.error) {
+            const document = reserved.document && publicFiscalDocument(reserved.document);
+            return res.status(reserved.status).json({ error: reserved.error, code: reserved.code, document });
+        }
+        
+        let document;
+        try {
+            document = await transmitNfce(reserved.document, { ...reserved, certificate });
+        } catch (error) {
+            await storage.fiscalDocuments.update(reserved.document.id, {
+                status: 'error',
+                statusMessage: error.message,
+                updatedAt: new Date().toISOString()
+            });
+            throw error;
+        }
+        
+        if (document.status === 'rejected') {
+            return res.status(422).json({
+                error: `NFC-e rejeitada: ${document.statusCode} - ${document.statusMessage}`,
+                code: 'NFCE_REJECTED',
+                document: publicFiscalDocument(document)
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            document: publicFiscalDocument(document),
+            danfe: fiscal.buildDanfe(document, reserved.sale, reserved.tenant)
+        });
+    } catch (error) {
+        console.error('Erro ao emitir NFC-e:', error);
+        res.status(500).json({ error: 'Erro ao emitir NFC-e' });
+    }
+});
+
+// NFC-e emitida de uma venda, com os dados do DANFE (reimpressão no caixa)
+app.get('/api/fiscal/sales/:saleId/nfce', authenticateToken, validateTenant, requirePermission('sales.create'), async (req, res) => {
+    try {
+        const saleId = parseInt(req.params.saleId);
+        const sale = await storage.sales.findOne({ id: saleId, tenantId: req.user.tenantId });
+        
+        if (!sale) {
+            return res.status(404).json({ error: 'Venda não encontrada' });
+        }
+        
+        const documents = await storage.fiscalDocuments.find({ tenantId: req.user.tenantId, saleId, status: ISSUED_STATUSES });
+        const document = documents[0];
+        
+        if (!document) {
+            return res.status(404).json({ error: 'Venda sem NFC-e emitida', code: 'NFCE_NOT_FOUND' });
+        }
+        
+        res.json({ document: publicFiscalDocument(document), danfe: fiscal.buildDanfe(document, sale, req.tenant) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar NFC-e' });
+    }
+});
+
+app.get('/api/fiscal/documents', authenticateToken, validateTenant, requirePermission('fiscal.manage'), async (req, res) => {
+    try {
+        const filter = { tenantId: req.user.tenantId };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.saleId) filter.saleId = parseInt(req.query.saleId);
+        
+        const documents = await storage.fiscalDocuments.find(filter, {
+            orderBy: 'createdAt',
+            order: 'desc',
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+        
+        res.json(documents.map(publicFiscalDocument));
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar notas fiscais' });
+    }
+});
+
+app.get('/api/fiscal/documents/:id/xml', authenticateToken, validateTenant, requirePermission('fiscal.manage'), async (req, res) => {
+    try {
+        const document = await storage.fiscalDocuments.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        
+        if (!document || !document.xml) {
+            return res.status(404).json({ error: 'Nota fiscal não encontrada' });
+        }
+        
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${document.accessKey}-nfce.xml"`);
+        res.send(document.xml);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao baixar XML' });
+    }
+});
+
+// Envia à SEFAZ as notas emitidas em contingência (até a primeira falha de comunicação)
+app.post('/api/fiscal/contingency/retransmit', authenticateToken, validateTenant, requirePermission('fiscal.manage'), async (req, res) => {
+    try {
+        const documents = await storage.fiscalDocuments.find(
+            { tenantId: req.user.tenantId, status: 'contingency' },
+            { orderBy: 'number' }
+        );
+        
+        const summary = { authorized: 0, rejected: 0, pending: documents.length, unavailable: false };
+        
+        for (const document of documents) {
+            let response;
+            try {
+                response = await fiscalTransmitter.authorize(document.xml);
+            } catch (error) {
+                if (!(error instanceof fiscal.SefazUnavailableError)) throw error;
+                summary.unavailable = true;
+                break;
+            }
+            
+            await storage.fiscalDocuments.update(document.id, transmissionChanges(document, document.xml, response));
+            summary.pending--;
+            summary[response.authorized ? 'authorized' : 'rejected']++;
+        }
+        
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Erro ao retransmitir NFC-e:', error);
+        res.status(500).json({ error: 'Erro ao retransmitir notas em contingência' });
+    }
+});
+
+// Situação do certificado A1 da loja (aba Fiscal das configurações)
+app.get('/api/fiscal/certificate', authenticateToken, validateTenant, requirePermission('settings.manage'), (req, res) => {
+    try {
+        const certificate = readTenantCertificate(req.user.tenantId);
+        res.json({
+            configured: true,
+            subject: certificate.subject,
+            validTo: certificate.validTo,
+            expired: new Date(certificate.validTo) < new Date()
         });
     } catch (error) {
-        console.error('Erro no dashboard:', error);
-        res.status(500).json({ error: 'Erro ao carregar dashboard' });
+        if (!(error instanceof fiscal.CertificateError)) {
+            return res.status(500).json({ error: 'Erro ao ler certificado digital' });
+        }
+        res.json({ configured: false, error: error.message });
+    }
+});
+
+// SEFAZ simulada (homologação local), usada pelo transmissor http em testes
+if (NODE_ENV !== 'production') {
+    app.post('/mock-sefaz/nfce/autorizacao', express.text({ type: ['application/xml', 'text/xml'], limit: '2mb' }), (req, res) => {
+        try {
+            res.json(mockSefaz.authorize(req.body));
+        } catch (error) {
+            if (!(error instanceof fiscal.SefazUnavailableError)) throw error;
+            res.status(503).json({ error: error.message });
+        }
+    });
+    
+    app.get('/mock-sefaz/status', (req, res) => {
+        res.json({ mode: mockSefaz.mode, received: mockSefaz.received.size });
+    });
+    
+    app.put('/mock-sefaz/status', (req, res) => {
+        try {
+            mockSefaz.setMode(req.body.mode);
+            res.json({ mode: mockSefaz.mode });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+}
+
+// Gateway de pagamento simulado: checkout local que confirma a cobrança pelo webhook
+if (NODE_ENV !== 'production' && billingGateway instanceof billing.FakeGateway) {
+    app.get('/fake-gateway/checkout/:chargeId', (req, res) => {
+        const charge = billingGateway.getCharge(req.params.chargeId);
+        if (!charge) {
+            return res.status(404).send('Cobrança não encontrada');
+        }
+        
+        const escape = text => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        const action = outcome => `/fake-gateway/charges/${encodeURIComponent(charge.chargeId)}/${outcome}`;
+        res.send(`<!DOCTYPE html>
+<html lang="pt-BR">
+<head><meta charset="utf-8"><title>Gateway simulado</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Gateway de pagamento simulado</h2>
+    <p>${escape(charge.description)}</p>
+    <p><strong>R$ ${charge.amount.toFixed(2).replace('.', ',')}</strong></p>
+    <p>Situação: ${escape(charge.status)}</p>
+    ${charge.status === 'pending' ? `
+    <form method="post" action="${action('pay')}" style="display: inline;"><button type="submit">Pagar</button></form>
+    <form method="post" action="${action('fail')}" style="display: inline;"><button type="submit">Recusar</button></form>` : ''}
+    <p><a href="/">Voltar ao PDV</a></p>
+</body>
+</html>`);
+    });
+    
+    app.post('/fake-gateway/charges/:chargeId/:outcome', async (req, res) => {
+        const outcome = { pay: 'paid', fail: 'failed' }[req.params.outcome];
+        if (!outcome) {
+            return res.status(404).json({ error: 'Ação inválida (use pay ou fail)' });
+        }
+        try {
+            const result = await billingGateway.settle(req.params.chargeId, outcome);
+            if (req.accepts(['json', 'html']) === 'html') {
+                return res.redirect(`/fake-gateway/checkout/${encodeURIComponent(req.params.chargeId)}`);
+            }
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    app.get('/fake-gateway/status', (req, res) => {
+        res.json({ mode: billingGateway.mode, charges: billingGateway.charges.size });
+    });
+    
+    app.put('/fake-gateway/status', (req, res) => {
+        try {
+            billingGateway.setMode(req.body.mode);
+            res.json({ mode: billingGateway.mode });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+}
+
+// Rotas de Assinatura: acessíveis mesmo com a assinatura bloqueada, para regularizar
+async function createInvoice(tx, tenant, fields) {
+    const number = await tx.invoices.count({ tenantId: tenant.id }) + 1;
+    return tx.invoices.insert({ tenantId: tenant.id, number, ...fields });
+}
+
+async function voidInvoices(tx, invoices, now) {
+    for (const invoice of invoices) {
+        await tx.invoices.update(invoice.id, { status: 'void', voidedAt: now, updatedAt: now });
+    }
+}
+
+// Cria a cobrança no gateway (chamada externa, fora de transação) e registra a tentativa
+async function chargeInvoice(tenant, invoice) {
+    const now = new Date().toISOString();
+    try {
+        const charge = await billingGateway.createCharge({
+            invoiceId: invoice.id,
+            tenantId: tenant.id,
+            amount: invoice.amount,
+            description: `${tenant.name} - ${invoice.description}`
+        });
+        return storage.invoices.update(invoice.id, {
+            chargeId: charge.chargeId,
+            paymentUrl: charge.paymentUrl,
+            attempts: [...invoice.attempts, { at: now, chargeId: charge.chargeId, result: 'pending' }],
+            updatedAt: now
+        });
+    } catch (error) {
+        console.error('Erro ao criar cobrança:', error);
+        return storage.invoices.update(invoice.id, {
+            attempts: [...invoice.attempts, { at: now, chargeId: null, result: 'error', message: error.message }],
+            updatedAt: now
+        });
+    }
+}
+
+async function subscriptionResponse(tenant) {
+    const [usage, invoices] = await Promise.all([
+        tenantUsage(tenant.id),
+        storage.invoices.find({ tenantId: tenant.id }, { orderBy: 'id', order: 'desc', limit: 24 })
+    ]);
+    return {
+        subscription: billing.subscriptionSummary(tenant),
+        access: billing.accessStatus(tenant),
+        usage,
+        plans: Object.entries(billing.PLANS)
+            .filter(([, plan]) => plan.selectable)
+            .map(([id, plan]) => ({ id, name: plan.name, monthlyPrice: plan.monthlyPrice, limits: plan.limits })),
+        invoices
+    };
+}
+
+app.get('/api/billing/subscription', authenticateToken, validateBillingTenant, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        res.json(await subscriptionResponse(req.tenant));
+    } catch (error) {
+        console.error('Erro ao buscar assinatura:', error);
+        res.status(500).json({ error: 'Erro ao buscar assinatura' });
+    }
+});
+
+// Contratação ou troca de plano: { plan }
+app.post('/api/billing/subscription', authenticateToken, validateBillingTenant, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const usage = await tenantUsage(req.tenant.id);
+        const change = billing.planChange(req.tenant, req.body.plan, usage);
+        if (change.error) {
+            return res.status(change.status).json({ error: change.error, code: change.code });
+        }
+        
+        const now = new Date().toISOString();
+        if (change.changes) {
+            const tenant = await storage.tenants.update(req.tenant.id, { ...change.changes, updatedAt: now });
+            return res.json({ success: true, ...(await subscriptionResponse(tenant)) });
+        }
+        
+        const invoice = await storage.transaction(async (tx) => {
+            // Uma fatura em aberto por vez: as anteriores do mesmo tipo de contratação são canceladas
+            const open = await tx.invoices.find({ tenantId: req.tenant.id, status: 'open' });
+            await voidInvoices(tx, change.invoice.kind === 'upgrade' ? open.filter(i => i.kind === 'upgrade') : open, now);
+            return createInvoice(tx, req.tenant, change.invoice);
+        });
+        const charged = await chargeInvoice(req.tenant, invoice);
+        
+        res.status(201).json({ success: true, invoice: charged, ...(await subscriptionResponse(req.tenant)) });
+    } catch (error) {
+        console.error('Erro ao alterar plano:', error);
+        res.status(500).json({ error: 'Erro ao alterar plano' });
+    }
+});
+
+// Cancelamento no fim do período já pago
+app.post('/api/billing/subscription/cancel', authenticateToken, validateBillingTenant, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        if (req.tenant.subscriptionStatus !== 'active') {
+            return res.status(409).json({ error: 'Só é possível cancelar uma assinatura ativa', code: 'SUBSCRIPTION_NOT_ACTIVE' });
+        }
+        
+        const tenant = await storage.tenants.update(req.tenant.id, {
+            cancelAtPeriodEnd: true,
+            pendingPlan: null,
+            cancelReason: (req.body.reason || '').trim(),
+            updatedAt: new Date().toISOString()
+        });
+        res.json({ success: true, ...(await subscriptionResponse(tenant)) });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao cancelar assinatura' });
+    }
+});
+
+app.get('/api/billing/invoices', authenticateToken, validateBillingTenant, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const invoices = await storage.invoices.find({ tenantId: req.user.tenantId }, { orderBy: 'id', order: 'desc' });
+        res.json(invoices);
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar faturas' });
+    }
+});
+
+// Nova cobrança de uma fatura em aberto (novo link de pagamento)
+app.post('/api/billing/invoices/:id/pay', authenticateToken, validateBillingTenant, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const invoice = await storage.invoices.findOne({ id: parseInt(req.params.id), tenantId: req.user.tenantId });
+        if (!invoice) {
+            return res.status(404).json({ error: 'Fatura não encontrada' });
+        }
+        if (invoice.status !== 'open') {
+            return res.status(409).json({ error: 'Fatura não está em aberto', code: 'INVOICE_NOT_OPEN' });
+        }
+        
+        res.json({ success: true, invoice: await chargeInvoice(req.tenant, invoice) });
+    } catch (error) {
+        console.error('Erro ao cobrar fatura:', error);
+        res.status(500).json({ error: 'Erro ao cobrar fatura' });
+    }
+});
+
+// Webhook do gateway (sem login: autenticado pela assinatura do corpo)
+app.post('/api/billing/webhook', async (req, res) => {
+    let event;
+    try {
+        event = billingGateway.parseWebhook(req.rawBody, req.headers);
+    } catch (error) {
+        if (!(error instanceof billing.WebhookSignatureError) && !(error instanceof SyntaxError)) {
+            console.error('Erro ao ler webhook de pagamento:', error);
+        }
+        return res.status(400).json({ error: error.message, code: 'INVALID_WEBHOOK' });
+    }
+    
+    try {
+        const result = await storage.transaction(async (tx) => {
+            const invoice = event.invoiceId
+                ? await tx.invoices.findById(event.invoiceId)
+                : await tx.invoices.findOne({ chargeId: event.chargeId });
+            if (!invoice) {
+                return { status: 404, error: 'Fatura não encontrada' };
+            }
+            // O gateway pode reenviar o mesmo evento
+            if (invoice.gatewayEvents.includes(event.id)) {
+                return { duplicate: true };
+            }
+            
+            const now = new Date().toISOString();
+            const paid = event.type === 'payment.succeeded';
+            const changes = {
+                gatewayEvents: [...invoice.gatewayEvents, event.id],
+                attempts: invoice.attempts.map(attempt => attempt.chargeId === event.chargeId
+                    ? { ...attempt, result: paid ? 'paid' : 'failed', message: event.failureReason }
+                    : attempt),
+                updatedAt: now
+            };
+            
+            if (!paid) {
+                await tx.invoices.update(invoice.id, changes);
+                return { invoice };
+            }
+            if (invoice.status !== 'open') {
+                await tx.invoices.update(invoice.id, changes);
+                return { ignored: `Pagamento recebido para fatura ${invoice.status} (${invoice.id}); verifique o estorno` };
+            }
+            if (Math.round(event.amount * 100) !== Math.round(invoice.amount * 100)) {
+                await tx.invoices.update(invoice.id, changes);
+                return { ignored: `Valor pago (${event.amount}) difere da fatura ${invoice.id} (${invoice.amount})` };
+            }
+            
+            await tx.invoices.update(invoice.id, { ...changes, status: 'paid', paidAt: event.paidAt || now });
+            const tenant = await tx.tenants.findById(invoice.tenantId);
+            await tx.tenants.update(tenant.id, { ...billing.paymentChanges(tenant, invoice), updatedAt: now });
+            
+            // A assinatura paga substitui as demais faturas em aberto (exceto mudanças de plano)
+            if (invoice.kind !== 'upgrade') {
+                const open = await tx.invoices.find({ tenantId: tenant.id, status: 'open' });
+                await voidInvoices(tx, open.filter(i => i.kind !== 'upgrade'), now);
+            }
+            return { invoice };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        if (result.ignored) {
+            console.warn(`⚠️ Webhook ${event.id}: ${result.ignored}`);
+        }
+        res.json({ received: true, duplicate: result.duplicate === true, ignored: result.ignored || null });
+    } catch (error) {
+        console.error('Erro ao processar webhook de pagamento:', error);
+        res.status(500).json({ error: 'Erro ao processar webhook' });
+    }
+});
+
+// Ciclo de cobrança: renovações, novas tentativas (régua de cobrança), suspensões e cancelamentos
+async function applyBillingAction(tenant, action, openInvoices, now) {
+    switch (action.type) {
+        case 'start_period':
+            await storage.tenants.update(tenant.id, { currentPeriodStart: now, currentPeriodEnd: billing.addMonth(now), updatedAt: now });
+            break;
+        case 'cancel':
+            await storage.transaction(async (tx) => {
+                await voidInvoices(tx, openInvoices, now);
+                await tx.tenants.update(tenant.id, { subscriptionStatus: 'cancelled', cancelAtPeriodEnd: false, cancelledAt: now, updatedAt: now });
+            });
+            break;
+        case 'renew': {
+            const invoice = await storage.transaction(async (tx) => {
+                await voidInvoices(tx, openInvoices, now);
+                await tx.tenants.update(tenant.id, { ...action.changes, updatedAt: now });
+                return createInvoice(tx, tenant, action.invoice);
+            });
+            await chargeInvoice(tenant, invoice);
+            break;
+        }
+        case 'retry':
+            await chargeInvoice(tenant, action.invoice);
+            break;
+        case 'suspend':
+            await storage.tenants.update(tenant.id, { subscriptionStatus: 'suspended', suspendedAt: now, updatedAt: now });
+            break;
+    }
+    console.log(`💳 Assinatura da loja ${tenant.id}: ${action.type}`);
+}
+
+async function runBillingCycle(now = new Date().toISOString()) {
+    const tenants = await storage.tenants.find({ subscriptionStatus: ['active', 'past_due'] });
+    for (const tenant of tenants) {
+        try {
+            const openInvoices = await storage.invoices.find({ tenantId: tenant.id, status: 'open' });
+            for (const action of billing.cycleActions(tenant, openInvoices, now)) {
+                await applyBillingAction(tenant, action, openInvoices, now);
+            }
+        } catch (error) {
+            console.error(`Erro no ciclo de cobrança da loja ${tenant.id}:`, error);
+        }
+    }
+}
+
+// Console da plataforma: administradores de todas as lojas (coleção platformAdmins,
+// criados com npm run platform:admin). O token leva scope 'platform' e não tem loja.
+async function requirePlatformAdmin(req, res, next) {
+    if (req.user.scope !== 'platform') {
+        return res.status(403).json({ error: 'Acesso restrito à administração da plataforma', code: 'FORBIDDEN' });
+    }
+    
+    try {
+        const admin = await storage.platformAdmins.findById(req.user.id);
+        if (!admin || !admin.isActive) {
+            return res.status(401).json({ error: 'Usuário desativado', code: 'USER_INACTIVE' });
+        }
+        req.platformAdmin = admin;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao validar administrador' });
+    }
+}
+
+const platformAdminOnly = [authenticateToken, requirePlatformAdmin];
+
+app.post('/api/platform/auth/login', authLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        
+        if (!email || !password) {
+            return res.status(400).json({ error: 'E-mail e senha são obrigatórios' });
+        }
+        
+        const admin = await storage.platformAdmins.findOne({ email, isActive: true });
+        if (!admin || !(await bcrypt.compare(password, admin.password))) {
+            return res.status(401).json({ error: 'Credenciais inválidas' });
+        }
+        
+        await storage.platformAdmins.update(admin.id, { lastLoginAt: new Date().toISOString() });
+        const token = jwt.sign({ id: admin.id, email: admin.email, scope: 'platform' }, JWT_SECRET, { expiresIn: '8h' });
+        
+        res.json({ success: true, admin: { id: admin.id, email: admin.email, name: admin.name }, token, expiresIn: 8 * 60 * 60 });
+    } catch (error) {
+        console.error('Erro no login da plataforma:', error);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+// Uso da loja: vendas dos últimos 30 dias, usuários, produtos e última atividade
+async function platformTenantUsage(tenant) {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const [usage, recentSales, lastSale, users] = await Promise.all([
+        tenantUsage(tenant.id),
+        storage.sales.find({ tenantId: tenant.id, status: 'completed' }, { since }),
+        storage.sales.find({ tenantId: tenant.id }, { orderBy: 'createdAt', order: 'desc', limit: 1 }),
+        storage.users.find({ tenantId: tenant.id })
+    ]);
+    
+    const lastLogin = users.map(user => user.lastLoginAt).filter(Boolean).sort().pop() || null;
+    const lastSaleAt = lastSale.length ? lastSale[0].createdAt : null;
+    return {
+        ...usage,
+        totalUsers: users.length,
+        salesLast30Days: recentSales.length,
+        revenueLast30Days: roundMoney(recentSales.reduce((sum, sale) => sum + sale.total, 0)),
+        lastSaleAt,
+        lastLoginAt: lastLogin,
+        lastActivityAt: [lastSaleAt, lastLogin].filter(Boolean).sort().pop() || null
+    };
+}
+
+async function platformTenantSummary(tenant) {
+    const status = platform.tenantStatus(tenant);
+    return {
+        id: tenant.id,
+        name: tenant.name,
+        email: tenant.email || null,
+        cnpj: tenant.cnpj || null,
+        createdAt: tenant.createdAt,
+        isActive: tenant.isActive !== false,
+        status,
+        statusName: platform.TENANT_STATUSES[status],
+        disabledReason: tenant.disabledReason || null,
+        subscription: billing.subscriptionSummary(tenant),
+        access: billing.accessStatus(tenant),
+        usage: await platformTenantUsage(tenant)
+    };
+}
+
+// Lista de lojas: ?search=&status=&limit=&offset=
+app.get('/api/platform/tenants', platformAdminOnly, async (req, res) => {
+    try {
+        const { search, status } = req.query;
+        if (status && !platform.TENANT_STATUSES[status]) {
+            return res.status(400).json({ error: 'Situação inválida' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        
+        const tenants = (await storage.tenants.find({}, { orderBy: 'id' }))
+            .filter(tenant => platform.matchesSearch(tenant, search))
+            .filter(tenant => !status || platform.tenantStatus(tenant) === status);
+        const page = tenants.slice(offset, offset + limit);
+        
+        res.json({
+            total: tenants.length,
+            tenants: await Promise.all(page.map(platformTenantSummary)),
+            statuses: platform.TENANT_STATUSES,
+            plans: Object.entries(billing.PLANS).map(([id, plan]) => ({ id, name: plan.name, monthlyPrice: plan.monthlyPrice }))
+        });
+    } catch (error) {
+        console.error('Erro ao listar lojas:', error);
+        res.status(500).json({ error: 'Erro ao listar lojas' });
+    }
+});
+
+async function findTenantForPlatform(req, res) {
+    const tenant = await storage.tenants.findById(parseInt(req.params.id));
+    if (!tenant) {
+        res.status(404).json({ error: 'Loja não encontrada' });
+    }
+    return tenant;
+}
+
+app.get('/api/platform/tenants/:id', platformAdminOnly, async (req, res) => {
+    try {
+        const tenant = await findTenantForPlatform(req, res);
+        if (!tenant) return;
+        
+        const [summary, users, invoices] = await Promise.all([
+            platformTenantSummary(tenant),
+            storage.users.find({ tenantId: tenant.id }, { orderBy: 'id' }),
+            storage.invoices.find({ tenantId: tenant.id }, { orderBy: 'id', order: 'desc', limit: 12 })
+        ]);
+        res.json({
+            ...summary,
+            address: tenant.address || null,
+            phone: tenant.phone || null,
+            users: users.map(({ id, name, email, role, isActive, lastLoginAt }) => ({ id, name, email, role, isActive, lastLoginAt: lastLoginAt || null })),
+            invoices
+        });
+    } catch (error) {
+        console.error('Erro ao buscar loja:', error);
+        res.status(500).json({ error: 'Erro ao buscar loja' });
+    }
+});
+
+// Alteração feita pelo console: fica na auditoria da própria loja, em nome do administrador da plataforma
+async function updateTenantByPlatform(req, res, tenant, changes, action, details = null) {
+    const now = new Date().toISOString();
+    const updated = await storage.transaction(async (tx) => {
+        const updated = await tx.tenants.update(tenant.id, { ...changes, updatedAt: now });
+        await recordAudit(tx, req, {
+            action,
+            targetType: 'tenant',
+            targetId: tenant.id,
+            targetName: tenant.name,
+            changes: audit.diffChanges(tenant, updated),
+            details: { ...details, platformAdminId: req.platformAdmin.id }
+        }, { tenantId: tenant.id, id: null, email: req.platformAdmin.email });
+        return updated;
+    });
+    console.log(`🛡️ Plataforma: ${req.platformAdmin.email} - ${audit.AUDIT_ACTIONS[action]} (loja ${tenant.id})`);
+    res.json({ success: true, tenant: await platformTenantSummary(updated) });
+}
+
+// Desativação administrativa (fraude, pedido da loja): independe da assinatura
+app.post('/api/platform/tenants/:id/suspend', platformAdminOnly, async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).json({ error: 'Informe o motivo da suspensão' });
+        }
+        const tenant = await findTenantForPlatform(req, res);
+        if (!tenant) return;
+        if (tenant.isActive === false) {
+            return res.status(409).json({ error: 'Loja já está suspensa', code: 'TENANT_INACTIVE' });
+        }
+        
+        await updateTenantByPlatform(req, res, tenant, {
+            isActive: false,
+            disabledReason: reason,
+            disabledAt: new Date().toISOString(),
+            disabledBy: req.platformAdmin.email
+        }, 'platform.tenant_suspended', { reason });
+    } catch (error) {
+        console.error('Erro ao suspender loja:', error);
+        res.status(500).json({ error: 'Erro ao suspender loja' });
+    }
+});
+
+app.post('/api/platform/tenants/:id/reactivate', platformAdminOnly, async (req, res) => {
+    try {
+        const tenant = await findTenantForPlatform(req, res);
+        if (!tenant) return;
+        if (tenant.isActive !== false) {
+            return res.status(409).json({ error: 'Loja já está ativa' });
+        }
+        
+        await updateTenantByPlatform(req, res, tenant, {
+            isActive: true,
+            disabledReason: null,
+            disabledAt: null,
+            disabledBy: null
+        }, 'platform.tenant_reactivated');
+    } catch (error) {
+        console.error('Erro ao reativar loja:', error);
+        res.status(500).json({ error: 'Erro ao reativar loja' });
+    }
+});
+
+app.post('/api/platform/tenants/:id/extend-trial', platformAdminOnly, async (req, res) => {
+    try {
+        const tenant = await findTenantForPlatform(req, res);
+        if (!tenant) return;
+        
+        const result = platform.trialExtension(tenant, req.body.days);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, code: result.code });
+        }
+        await updateTenantByPlatform(req, res, tenant, result.changes, 'platform.trial_extended', { days: Number(req.body.days) });
+    } catch (error) {
+        console.error('Erro ao prorrogar teste:', error);
+        res.status(500).json({ error: 'Erro ao prorrogar teste' });
+    }
+});
+
+app.put('/api/platform/tenants/:id/plan', platformAdminOnly, async (req, res) => {
+    try {
+        const tenant = await findTenantForPlatform(req, res);
+        if (!tenant) return;
+        
+        const result = platform.platformPlanChange(req.body.plan);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        await updateTenantByPlatform(req, res, tenant, result.changes, 'platform.plan_changed');
+    } catch (error) {
+        console.error('Erro ao alterar plano da loja:', error);
+        res.status(500).json({ error: 'Erro ao alterar plano' });
     }
 });
 
 // Rotas de Configurações
 app.get('/api/settings', authenticateToken, validateTenant, async (req, res) => {
     try {
-        const tenants = JSON.parse(await fs.readFile(TENANTS_FILE, 'utf8'));
-        const tenant = tenants.find(t => t.id === req.user.tenantId);
+        const tenant = await storage.tenants.findById(req.user.tenantId);
         
         if (!tenant) {
             return res.status(404).json({ error: 'Conta não encontrada' });
         }
         
-        const settings = JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf8'));
+        const settings = await storage.getSettings();
         
+        // Configuração completa (fiscal, fidelidade...) só para quem pode alterá-la
         res.json({
-            tenant,
+            tenant: hasPermission(req.user, 'settings.manage') ? tenant : platform.publicTenantSettings(tenant),
             systemSettings: settings
         });
     } catch (error) {
@@ -604,44 +4867,132 @@ app.get('/api/settings', authenticateToken, validateTenant, async (req, res) =>
     }
 });
 
-app.put('/api/settings/tenant', authenticateToken, validateTenant, async (req, res) => {
+app.put('/api/settings/tenant', authenticateToken, validateTenant, requirePermission('settings.manage'), async (req, res) => {
     try {
-        const updates = req.body;
-        const tenants = JSON.parse(await fs.readFile(TENANTS_FILE, 'utf8'));
-        const index = tenants.findIndex(t => t.id === req.user.tenantId);
+        const { updates, error, code } = platform.tenantSettingsUpdates(req.body);
+        if (error) {
+            return res.status(400).json({ error, code });
+        }
         
-        if (index === -1) {
-            return res.status(404).json({ error: 'Conta não encontrada' });
+        if (updates.timezone !== undefined) {
+            updates.timezone = String(updates.timezone || '').trim() || reports.DEFAULT_TIMEZONE;
+            if (!reports.isValidTimeZone(updates.timezone)) {
+                return res.status(400).json({ error: 'Fuso horário inválido (use, por exemplo, America/Sao_Paulo)' });
+            }
         }
         
-        tenants[index] = {
-            ...tenants[index],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
+        if (updates.fiscal !== undefined) {
+            const normalized = fiscal.normalizeFiscalSettings(updates.fiscal || {}, req.tenant.fiscal);
+            if (normalized.error) {
+                return res.status(400).json({ error: normalized.error });
+            }
+            updates.fiscal = normalized.fiscal;
+        }
+        
+        if (updates.loyalty !== undefined) {
+            const normalized = loyalty.normalizeLoyaltySettings(updates.loyalty || {});
+            if (normalized.error) {
+                return res.status(400).json({ error: normalized.error });
+            }
+            updates.loyalty = normalized.loyalty;
+        }
+        
+        if (updates.scaleBarcode !== undefined) {
+            const normalized = measure.normalizeScaleBarcodeSettings(updates.scaleBarcode || {});
+            if (normalized.error) {
+                return res.status(400).json({ error: normalized.error });
+            }
+            updates.scaleBarcode = normalized.scaleBarcode;
+        }
+        
+        const tenant = await storage.transaction(async (tx) => {
+            const tenant = await tx.tenants.update(req.user.tenantId, {
+                ...updates,
+                updatedAt: new Date().toISOString()
+            });
+            const changes = tenant && audit.diffChanges(req.tenant, tenant);
+            if (changes) {
+                await recordAudit(tx, req, { action: 'settings.updated', targetType: 'tenant', targetId: tenant.id, targetName: tenant.name, changes });
+            }
+            return tenant;
+        });
+        
+        if (!tenant) {
+            return res.status(404).json({ error: 'Conta não encontrada' });
+        }
         
-        await fs.writeFile(TENANTS_FILE, JSON.stringify(tenants, null, 2));
-        res.json({ success: true, tenant: tenants[index] });
+        res.json({ success: true, tenant });
     } catch (error) {
         res.status(500).json({ error: 'Erro ao atualizar configurações' });
     }
 });
 
+// Trilha de auditoria da loja: filtros por ação, usuário, alvo e período (from/to no fuso da loja), paginada
+app.get('/api/audit', authenticateToken, validateTenant, requirePermission('audit.view'), async (req, res) => {
+    try {
+        const query = audit.normalizeAuditQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+        
+        const range = {};
+        if (req.query.from || req.query.to) {
+            const period = reports.resolvePeriod({ from: req.query.from, to: req.query.to }, tenantTimeZone(req.tenant));
+            if (period.error) {
+                return res.status(400).json({ error: period.error });
+            }
+            range.since = period.since;
+            range.until = period.until;
+        }
+        
+        const filter = { ...query.filter, tenantId: req.user.tenantId };
+        const [entries, total] = await Promise.all([
+            storage.auditLogs.find(filter, {
+                ...range,
+                orderBy: 'id',
+                order: 'desc',
+                limit: query.limit,
+                offset: (query.page - 1) * query.limit
+            }),
+            storage.auditLogs.count(filter, range)
+        ]);
+        
+        res.json({
+            entries,
+            total,
+            page: query.page,
+            limit: query.limit,
+            pages: Math.ceil(total / query.limit),
+            actions: audit.AUDIT_ACTIONS,
+            retentionDays: AUDIT_RETENTION_DAYS
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Erro ao buscar auditoria' });
+    }
+});
+
 // Rota de backup
-app.get('/api/backup', authenticateToken, async (req, res) => {
+// Backup só da loja do usuário, com todas as coleções dela (mesmos nomes do seedStorage).
+// Usuários sem senha nem segredos da verificação em duas etapas; sessões e tokens
+// (hashes de credenciais) ficam de fora: depois de restaurar, todos entram de novo
+const BACKUP_EXCLUDED_COLLECTIONS = ['authSessions', 'refreshTokens', 'passwordResets'];
+
+app.get('/api/backup', authenticateToken, validateTenant, requirePermission('backup.export'), async (req, res) => {
     try {
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Acesso negado' });
+        const tenantId = req.user.tenantId;
+        const backupData = {};
+        const counts = {};
+        for (const [name, definition] of Object.entries(COLLECTIONS)) {
+            if (definition.tenantScoped === false || BACKUP_EXCLUDED_COLLECTIONS.includes(name)) continue;
+            backupData[name] = await storage[name].find({ tenantId }, { orderBy: 'id' });
+            counts[name] = backupData[name].length;
         }
+        backupData.users = backupData.users.map(publicUser);
+        backupData.tenants = [req.tenant];
+        backupData.settings = await storage.getSettings();
+        backupData.backupDate = new Date().toISOString();
         
-        const backupData = {
-            users: JSON.parse(await fs.readFile(USERS_FILE, 'utf8')),
-            products: JSON.parse(await fs.readFile(PRODUCTS_FILE, 'utf8')),
-            sales: JSON.parse(await fs.readFile(SALES_FILE, 'utf8')),
-            tenants: JSON.parse(await fs.readFile(TENANTS_FILE, 'utf8')),
-            settings: JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf8')),
-            backupDate: new Date().toISOString()
-        };
+        await recordAudit(storage, req, { action: 'backup.exported', details: counts });
         
         res.setHeader('Content-Type', 'application/json');
         res.setHeader('Content-Disposition', 'attachment; filename="pdv-backup.json"');
@@ -681,12 +5032,60 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Limpeza dos refresh tokens, links de redefinição e sessões que já venceram,
+// e da auditoria mais antiga que a retenção (AUDIT_RETENTION_DAYS)
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+async function purgeExpiredRecords() {
+    const now = Date.now();
+    const expirations = [
+        [storage.refreshTokens, auth.REFRESH_TOKEN_TTL_MS],
+        [storage.passwordResets, auth.PASSWORD_RESET_TTL_MS],
+        [storage.authSessions, auth.REMEMBERED_SESSION_TTL_MS],
+        [storage.auditLogs, AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000]
+    ];
+    for (const [collection, ttl] of expirations) {
+        const expired = await collection.find({}, { until: new Date(now - ttl).toISOString() });
+        for (const record of expired) {
+            await collection.remove(record.id);
+        }
+    }
+}
+
 // Inicializar e iniciar servidor
 async function startServer() {
+    // Em produção o segredo dos tokens precisa vir do ambiente
+    if (NODE_ENV === 'production' && JWT_SECRET === DEFAULT_JWT_SECRET) {
+        console.error('❌ JWT_SECRET não definido: configure um segredo próprio para iniciar em produção');
+        process.exit(1);
+    }
+    // Com o segredo público qualquer um assinaria um pagamento; o gateway simulado aprova sem cobrar
+    if (NODE_ENV === 'production' && BILLING_WEBHOOK_SECRET === DEFAULT_BILLING_WEBHOOK_SECRET) {
+        console.error('❌ BILLING_WEBHOOK_SECRET não definido: configure o segredo do webhook para iniciar em produção');
+        process.exit(1);
+    }
+    if (NODE_ENV === 'production' && BILLING_GATEWAY === 'fake') {
+        console.error('❌ BILLING_GATEWAY=fake é só para testes: configure um gateway de pagamento para iniciar em produção');
+        process.exit(1);
+    }
+    // No log ou em arquivo, os links de redefinição de senha ficam com quem lê o servidor
+    if (NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(MAIL_TRANSPORT)) {
+        console.error(`❌ MAIL_TRANSPORT=${MAIL_TRANSPORT} é só para desenvolvimento: configure MAIL_TRANSPORT=smtp para iniciar em produção`);
+        process.exit(1);
+    }
+    
     try {
-        await initializeDataFiles();
+        await initializeStorage();
+        
+        const runCycle = () => runBillingCycle().catch(error => console.error('Erro no ciclo de cobrança:', error));
+        setInterval(runCycle, BILLING_CYCLE_INTERVAL_MS).unref();
+        
+        const runCleanup = () => purgeExpiredRecords().catch(error => console.error('Erro na limpeza de registros vencidos:', error));
+        setInterval(runCleanup, CLEANUP_INTERVAL_MS).unref();
         
         app.listen(PORT, () => {
+            runCycle();
+            runCleanup();
             console.log('='.repeat(60));
             console.log('🚀 PDV SaaS - Sistema de Ponto de Venda Web');
             console.log('='.repeat(60));
@@ -694,6 +5093,7 @@ async function startServer() {
             console.log(`📁 Frontend disponível em: http://localhost:${PORT}`);
             console.log(`🔧 API Health Check: http://localhost:${PORT}/api/health`);
             console.log(`🌐 Ambiente: ${NODE_ENV}`);
+            console.log(`💾 Armazenamento: ${storage.driver}`);
             console.log('='.repeat(60));
             console.log('\n📋 Credenciais de teste:');
             console.log('📧 E-mail: admin@pdv.com');
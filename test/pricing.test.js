@@ -0,0 +1,176 @@
+/**
+ * Cálculo da venda: promoções, cupom, descontos manuais e rateio
+ * (lib/promotions.js), pagamentos mistos e troco (lib/payments.js) e pontos
+ * devolvidos no estorno (lib/loyalty.js).
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyDiscounts, normalizePromotion, normalizeCoupon, couponError } = require('../lib/promotions');
+const { resolvePayments, salePaymentBreakdown } = require('../lib/payments');
+const loyalty = require('../lib/loyalty');
+const { roundMoney } = require('../lib/money');
+
+function itemsTotal(pricing) {
+    return roundMoney(pricing.items.reduce((sum, item) => sum + item.total, 0));
+}
+
+describe('descontos', () => {
+    test('leve 3 pague 2 desconta uma unidade a cada três', () => {
+        const pricing = applyDiscounts({
+            items: [{ productId: 9, price: 8.99, quantity: 7 }],
+            promotions: [{ id: 1, type: 'buy_x_pay_y', name: 'Leve 3 pague 2', productIds: [9], buyQuantity: 3, payQuantity: 2 }]
+        });
+
+        assert.equal(pricing.subtotal, 62.93);
+        assert.equal(pricing.promotionDiscount, 17.98);
+        assert.equal(pricing.total, 44.95);
+    });
+
+    test('promoção por categoria e cupom: o cupom vale sobre o total já com a promoção', () => {
+        const pricing = applyDiscounts({
+            items: [
+                { productId: 1, category: 'bebidas', price: 10, quantity: 2 },
+                { productId: 2, category: 'alimentos', price: 5, quantity: 1 }
+            ],
+            promotions: [{ id: 1, type: 'category_discount', name: 'Bebidas -10%', category: 'bebidas', discountType: 'percent', value: 10 }],
+            coupon: { id: 3, code: 'DEZ', discountType: 'percent', value: 10 }
+        });
+
+        assert.equal(pricing.promotionDiscount, 2);
+        assert.equal(pricing.couponDiscount, 2.3);
+        assert.equal(pricing.total, 20.7);
+        assert.equal(pricing.discountTotal, 4.3);
+        assert.deepEqual(pricing.items.map(item => item.total), [16.2, 4.5]);
+    });
+
+    test('o rateio do desconto da venda fecha com o total, centavo a centavo', () => {
+        const pricing = applyDiscounts({
+            items: [
+                { productId: 1, price: 3.33, quantity: 1 },
+                { productId: 2, price: 3.33, quantity: 1 },
+                { productId: 3, price: 3.34, quantity: 1 }
+            ],
+            cartDiscount: { type: 'fixed', value: 1 }
+        });
+
+        assert.equal(pricing.total, 9);
+        assert.equal(itemsTotal(pricing), pricing.total);
+        assert.equal(pricing.manualDiscount, 1);
+    });
+
+    test('happy hour segue o horário da loja', () => {
+        const promotions = [{
+            id: 1,
+            type: 'happy_hour',
+            name: 'Happy hour',
+            productIds: [1],
+            discountType: 'percent',
+            value: 20,
+            schedule: { startTime: '17:00', endTime: '19:00' }
+        }];
+        const items = [{ productId: 1, price: 12.5, quantity: 2 }];
+        const timeZone = 'America/Sao_Paulo';
+
+        // 21h UTC = 18h em São Paulo; 23h UTC = 20h
+        assert.equal(applyDiscounts({ items, promotions, now: new Date('2026-03-14T21:00:00Z'), timeZone }).total, 20);
+        assert.equal(applyDiscounts({ items, promotions, now: new Date('2026-03-14T23:00:00Z'), timeZone }).total, 25);
+    });
+
+    test('desconto manual acima do valor é recusado', () => {
+        const pricing = applyDiscounts({
+            items: [{ productId: 1, productName: 'Arroz', price: 10, quantity: 1, discount: { type: 'fixed', value: 12 } }]
+        });
+
+        assert.equal(pricing.error, 'Desconto maior que o valor (Arroz)');
+    });
+});
+
+describe('cupons e promoções cadastrados', () => {
+    test('cupom vencido, esgotado ou abaixo do mínimo', () => {
+        const coupon = { code: 'UMA', discountType: 'percent', value: 10, maxUses: 1, usedCount: 0, expiresAt: '2026-03-15T03:00:00.000Z' };
+
+        assert.equal(couponError(coupon, new Date('2026-03-14T12:00:00Z')), null);
+        assert.equal(couponError(coupon, new Date('2026-03-15T12:00:00Z')), 'Cupom expirado');
+        assert.equal(couponError({ ...coupon, usedCount: 1 }, new Date('2026-03-14T12:00:00Z')), 'Cupom esgotado');
+        assert.match(applyDiscounts({
+            items: [{ productId: 1, price: 10, quantity: 1 }],
+            coupon: { ...coupon, minTotal: 50 }
+        }).error, /compra mínima de R\$ 50.00/);
+    });
+
+    test('datas inválidas são recusadas no cadastro', () => {
+        const promotion = { type: 'buy_x_pay_y', name: 'Leve 3', productIds: [1], buyQuantity: 3, payQuantity: 2 };
+
+        assert.equal(normalizePromotion({ ...promotion, startsAt: 'amanhã' }).error, 'Data da promoção inválida');
+        assert.equal(
+            normalizePromotion({ ...promotion, startsAt: '2026-03-10', endsAt: '2026-03-01' }).error,
+            'O fim da promoção deve ser depois do início'
+        );
+        assert.equal(normalizeCoupon({ code: 'DEZ', discountType: 'percent', value: 5, expiresAt: '31/02' }).error, 'Validade do cupom inválida');
+    });
+});
+
+describe('pagamentos', () => {
+    test('pagamento misto: troco só sobre o dinheiro', () => {
+        const result = resolvePayments({
+            payments: [
+                { method: 'card', cardType: 'debit', amount: 50 },
+                { method: 'pix', amount: 10 },
+                { method: 'cash', amount: 30 }
+            ]
+        }, 80.08);
+
+        assert.equal(result.paymentMethod, 'mixed');
+        assert.equal(result.cashReceived, 30);
+        assert.equal(result.cashChange, 9.92);
+    });
+
+    test('pagamentos que não cobrem o total ou troco sem dinheiro', () => {
+        assert.equal(
+            resolvePayments({ payments: [{ method: 'card', amount: 80 }] }, 80.08).error,
+            'Pagamentos não cobrem o total da venda (faltam R$ 0.08)'
+        );
+        assert.equal(
+            resolvePayments({ payments: [{ method: 'card', amount: 90 }, { method: 'cash', amount: 5 }] }, 80.08).error,
+            'Troco só pode ser dado sobre pagamento em dinheiro'
+        );
+    });
+
+    test('estorno parcial reduz cada forma de pagamento na mesma proporção', () => {
+        const breakdown = salePaymentBreakdown({
+            status: 'partially_refunded',
+            total: 100,
+            refundedAmount: 20,
+            payments: [{ method: 'cash', amount: 60 }, { method: 'card', amount: 50 }],
+            cashChange: 10
+        });
+
+        assert.deepEqual(breakdown, { cash: 40, card: 40 });
+    });
+});
+
+describe('pontos de fidelidade no estorno', () => {
+    test('estornos parciais e o final somam os pontos ganhos, sem passar deles', () => {
+        const sale = { pointsEarned: 99, pointsRedeemed: 200 };
+
+        const partial = loyalty.refundPoints(sale, 0.3);
+        assert.deepEqual(partial, { reverse: 29, restore: 60 });
+
+        const rest = loyalty.refundPoints({ ...sale, pointsReversed: 29, pointsRestored: 60 }, 1);
+        assert.deepEqual(rest, { reverse: 70, restore: 140 });
+
+        assert.deepEqual(loyalty.refundPoints({ ...sale, pointsReversed: 99, pointsRestored: 200 }, 1), { reverse: 0, restore: 0 });
+    });
+
+    test('pontos ganhos com multiplicador por categoria', () => {
+        const settings = loyalty.loyaltySettings({ loyalty: { enabled: true, pointsPerReal: 1, categoryMultipliers: { bebidas: 2, cigarros: 0 } } });
+        const points = loyalty.earnedPoints(settings, [
+            { category: 'bebidas', total: 10.5 },
+            { category: 'cigarros', total: 12 },
+            { category: 'alimentos', total: 7.9 }
+        ]);
+
+        assert.equal(points, 28);
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Comprovantes de referência (test/golden) gerados por scripts/print-receipt.js.
+ *
+ * Quando uma mudança de leiaute for intencional, regrave a referência:
+ *   npm run print:receipt -- test/fixtures/receipts/<venda>.json [--width 58|--danfe] --golden test/golden/<arquivo>.bin --update
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+const CASES = [
+    { name: 'venda com pagamento misto, bobina 80 mm', fixture: 'sale-split-payment.json', golden: 'sale-split-payment-80mm.bin', args: [] },
+    { name: 'venda com pagamento misto, bobina 58 mm', fixture: 'sale-split-payment.json', golden: 'sale-split-payment-58mm.bin', args: ['--width', '58'] },
+    { name: 'DANFE NFC-e em homologação, bobina 80 mm', fixture: 'danfe-homologation.json', golden: 'danfe-homologation-80mm.bin', args: ['--danfe'] }
+];
+
+for (const { name, fixture, golden, args } of CASES) {
+    test(name, () => {
+        const goldenPath = path.join('test', 'golden', golden);
+        // Sem a referência o script a criaria e o teste passaria sem comparar nada
+        assert.ok(fs.existsSync(path.join(ROOT, goldenPath)), `referência ausente: ${goldenPath}`);
+
+        const result = spawnSync(process.execPath, [
+            'scripts/print-receipt.js',
+            path.join('test', 'fixtures', 'receipts', fixture),
+            ...args,
+            '--golden', goldenPath
+        ], { cwd: ROOT, encoding: 'utf8' });
+
+        assert.equal(result.status, 0, result.stderr);
+        assert.match(result.stdout, /Idêntico a/);
+    });
+}
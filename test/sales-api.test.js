@@ -0,0 +1,330 @@
+/**
+ * Venda, estorno, cancelamento e fila offline pela API (POST /api/sales,
+ * /api/sales/:id/refund e /api/sales/:id/cancel), com o servidor rodando
+ * sobre uma pasta de dados temporária (STORAGE_DRIVER=json).
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const bcrypt = require('bcryptjs');
+
+const ROOT = path.join(__dirname, '..');
+const MINUTE = 60 * 1000;
+
+function ago(ms) {
+    return new Date(Date.now() - ms).toISOString();
+}
+
+/**
+ * Loja com um caixa aberto há uma hora, dois produtos cadastrados há dois
+ * dias (o café passou de R$ 18 para R$ 20 há dez minutos), uma cliente no
+ * programa de fidelidade e dois cupons: UMAVEZ (um uso) e VENCIDO (há meia hora).
+ */
+function seedData(dataDir) {
+    const created = ago(2 * 24 * 60 * MINUTE);
+    const data = {
+        tenants: [{
+            id: 1,
+            name: 'Mercado Teste',
+            email: 'contato@mercado.com',
+            cnpj: '12.345.678/0001-99',
+            plan: 'basic',
+            subscriptionId: 'sub_teste',
+            subscriptionStatus: 'active',
+            monthlyPrice: 29.90,
+            loyalty: { enabled: true, pointsPerReal: 1 },
+            createdAt: created,
+            isActive: true
+        }],
+        users: [
+            { id: 1, tenantId: 1, email: 'admin@mercado.com', password: bcrypt.hashSync('admin123', 4), name: 'Gerente', role: 'admin', isActive: true, createdAt: created },
+            { id: 2, tenantId: 1, email: 'caixa@mercado.com', password: bcrypt.hashSync('caixa123', 4), name: 'Caixa', role: 'cashier', isActive: true, createdAt: created }
+        ],
+        products: [
+            { id: 1, tenantId: 1, barcode: '7890000000017', name: 'Café 500g', price: 20, cost: 12, stock: 40, category: 'mercearia', createdAt: created },
+            { id: 2, tenantId: 1, barcode: '7890000000024', name: 'Refrigerante 2L', price: 8, cost: 5, stock: 30, category: 'bebidas', createdAt: created }
+        ],
+        priceChanges: [
+            { id: 1, tenantId: 1, productId: 1, previousPrice: 18, price: 20, source: 'manual', userId: 1, createdAt: ago(10 * MINUTE) }
+        ],
+        registerSessions: [{
+            id: 1,
+            tenantId: 1,
+            userId: 2,
+            userEmail: 'caixa@mercado.com',
+            registerName: 'Caixa 1',
+            openingFloat: 100,
+            movements: [],
+            status: 'open',
+            countedCash: null,
+            closedAt: null,
+            closedBy: null,
+            notes: '',
+            createdAt: ago(60 * MINUTE)
+        }],
+        customers: [
+            { id: 1, tenantId: 1, name: 'Maria Souza', cpf: '52998224725', createdAt: created }
+        ],
+        coupons: [
+            { id: 1, tenantId: 1, code: 'UMAVEZ', discountType: 'percent', value: 10, maxUses: 1, usedCount: 0, isActive: true, createdAt: created },
+            { id: 2, tenantId: 1, code: 'VENCIDO', discountType: 'percent', value: 10, usedCount: 0, isActive: true, expiresAt: ago(30 * MINUTE), createdAt: created }
+        ]
+    };
+
+    const collections = require('../lib/storage/collections');
+    for (const [name, records] of Object.entries(data)) {
+        fs.writeFileSync(path.join(dataDir, collections[name].file), JSON.stringify(records, null, 2));
+    }
+    fs.writeFileSync(path.join(dataDir, 'settings.json'), JSON.stringify({ companyName: 'Mercado Teste', currency: 'BRL' }));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForServer(baseUrl, child) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) {
+            throw new Error(`Servidor terminou ao iniciar (código ${child.exitCode})`);
+        }
+        try {
+            const response = await fetch(`${baseUrl}/api/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // ainda subindo
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Servidor não respondeu em /api/health');
+}
+
+describe('vendas pela API', () => {
+    let dataDir;
+    let server;
+    let baseUrl;
+    const tokens = {};
+
+    async function api(method, url, { as = 'cashier', body } = {}) {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[as]}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function stock() {
+        const { body } = await api('GET', '/api/products', { as: 'admin' });
+        return Object.fromEntries(body.map(product => [product.id, product.stock]));
+    }
+
+    async function coupon(code) {
+        const { body } = await api('GET', '/api/coupons', { as: 'admin' });
+        return body.find(c => c.code === code);
+    }
+
+    async function loyaltyBalance(customerId) {
+        const { body } = await api('GET', `/api/customers/${customerId}/loyalty`, { as: 'admin' });
+        return body.balance;
+    }
+
+    before(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdv-test-'));
+        seedData(dataDir);
+
+        const port = await freePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+        server = spawn(process.execPath, ['server.js'], {
+            cwd: ROOT,
+            env: { ...process.env, NODE_ENV: 'test', PORT: String(port), DATA_DIR: dataDir, STORAGE_DRIVER: 'json' },
+            stdio: 'ignore'
+        });
+        await waitForServer(baseUrl, server);
+
+        for (const [as, email, password] of [['admin', 'admin@mercado.com', 'admin123'], ['cashier', 'caixa@mercado.com', 'caixa123']]) {
+            const response = await fetch(`${baseUrl}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password })
+            });
+            tokens[as] = (await response.json()).token;
+            assert.ok(tokens[as], `login de ${email}`);
+        }
+    });
+
+    after(() => {
+        if (server && server.exitCode === null) server.kill();
+        if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('venda, estorno parcial e cancelamento', () => {
+        let sale;
+
+        test('a venda usa o preço do catálogo, aplica o cupom e calcula o troco', async () => {
+            const { status, body } = await api('POST', '/api/sales', {
+                body: {
+                    items: [
+                        { productId: 1, quantity: 2, price: 0.01 },
+                        { productId: 2, quantity: 3, price: 8 }
+                    ],
+                    couponCode: 'umavez',
+                    customerId: 1,
+                    payments: [
+                        { method: 'card', cardType: 'credit', amount: 50 },
+                        { method: 'cash', amount: 20 }
+                    ]
+                }
+            });
+            assert.equal(status, 201, body.error);
+            sale = body.sale;
+
+            assert.equal(sale.subtotal, 64);
+            assert.equal(sale.total, 57.6);
+            assert.deepEqual(sale.items.map(item => [item.price, item.total]), [[20, 36], [8, 21.6]]);
+            assert.deepEqual(sale.priceOverrides, []);
+            assert.equal(sale.paymentMethod, 'mixed');
+            assert.equal(sale.cashChange, 12.4);
+            assert.equal(sale.loyalty.pointsEarned, 57);
+            assert.deepEqual(await stock(), { 1: 38, 2: 27 });
+            assert.equal((await coupon('UMAVEZ')).usedCount, 1);
+        });
+
+        test('o cupom de um uso não vale para a venda seguinte', async () => {
+            const { status, body } = await api('POST', '/api/sales', {
+                body: { items: [{ productId: 2, quantity: 1 }], couponCode: 'UMAVEZ', paymentMethod: 'cash' }
+            });
+            assert.equal(status, 400);
+            assert.equal(body.code, 'COUPON_INVALID');
+        });
+
+        test('o estorno parcial devolve o valor líquido, o estoque e parte dos pontos', async () => {
+            const { status, body } = await api('POST', `/api/sales/${sale.id}/refund`, {
+                as: 'admin',
+                body: { items: [{ productId: 2, quantity: 1 }], reason: 'Produto avariado' }
+            });
+            assert.equal(status, 200, body.error);
+
+            assert.equal(body.refund.amount, 7.2);
+            assert.deepEqual(body.refund.loyalty, { pointsReversed: 7, pointsRestored: 0 });
+            assert.equal(body.sale.status, 'partially_refunded');
+            assert.deepEqual(await stock(), { 1: 38, 2: 28 });
+            assert.equal((await coupon('UMAVEZ')).usedCount, 1);
+            assert.equal(await loyaltyBalance(1), 50);
+        });
+
+        test('o cancelamento devolve só o que restou, o uso do cupom e os pontos', async () => {
+            const { status, body } = await api('POST', `/api/sales/${sale.id}/cancel`, {
+                as: 'admin',
+                body: { reason: 'Cliente desistiu' }
+            });
+            assert.equal(status, 200, body.error);
+
+            assert.equal(body.sale.cancellation.amount, 50.4);
+            assert.deepEqual(await stock(), { 1: 40, 2: 30 });
+            assert.equal((await coupon('UMAVEZ')).usedCount, 0);
+            assert.equal(await loyaltyBalance(1), 0);
+
+            const again = await api('POST', `/api/sales/${sale.id}/cancel`, { as: 'admin', body: { reason: 'De novo' } });
+            assert.equal(again.status, 400);
+            assert.deepEqual(await stock(), { 1: 40, 2: 30 });
+        });
+    });
+
+    describe('fila offline', () => {
+        test('vale o preço do catálogo na data da venda, registrado para conferência', async () => {
+            const soldAt = ago(20 * MINUTE);
+            const saleData = {
+                clientSaleId: crypto.randomUUID(),
+                soldAt,
+                items: [{ productId: 1, quantity: 1, price: 18 }],
+                paymentMethod: 'cash',
+                cashReceived: 18
+            };
+
+            const { status, body } = await api('POST', '/api/sales', { body: saleData });
+            assert.equal(status, 201, body.error);
+            assert.equal(body.sale.offline, true);
+            assert.equal(body.sale.total, 18);
+            assert.equal(body.sale.priceOverrides[0].reason, 'Preço vigente no caixa offline');
+            assert.equal(body.sale.soldAt, soldAt);
+            assert.ok(body.sale.receivedAt > soldAt);
+
+            // Reenvio da fila: a mesma venda, sem nova baixa de estoque
+            const replay = await api('POST', '/api/sales', { body: saleData });
+            assert.equal(replay.status, 200);
+            assert.equal(replay.body.duplicate, true);
+            assert.equal(replay.body.sale.id, body.sale.id);
+            assert.equal((await stock())[1], 39);
+        });
+
+        test('preço que nunca foi o do catálogo é recusado sem permissão para alterar preços', async () => {
+            const { status, body } = await api('POST', '/api/sales', {
+                body: {
+                    clientSaleId: crypto.randomUUID(),
+                    soldAt: ago(5 * MINUTE),
+                    items: [{ productId: 1, quantity: 1, price: 0.01 }],
+                    paymentMethod: 'cash'
+                }
+            });
+            assert.equal(status, 403);
+            assert.equal(body.code, 'OFFLINE_PRICE_MISMATCH');
+        });
+
+        test('venda anterior à abertura do caixa ou antiga demais é recusada', async () => {
+            const beforeSession = await api('POST', '/api/sales', {
+                body: {
+                    clientSaleId: crypto.randomUUID(),
+                    soldAt: ago(2 * 60 * MINUTE),
+                    items: [{ productId: 1, quantity: 1, price: 18 }],
+                    paymentMethod: 'cash'
+                }
+            });
+            assert.equal(beforeSession.status, 409);
+            assert.equal(beforeSession.body.code, 'SALE_BEFORE_SESSION');
+
+            const tooOld = await api('POST', '/api/sales', {
+                body: {
+                    clientSaleId: crypto.randomUUID(),
+                    soldAt: ago(10 * 24 * 60 * MINUTE),
+                    items: [{ productId: 1, quantity: 1, price: 18 }],
+                    paymentMethod: 'cash'
+                }
+            });
+            assert.equal(tooOld.status, 409);
+            assert.equal(tooOld.body.code, 'SALE_TOO_OLD');
+        });
+
+        test('cupom vencido vale só para a venda offline feita antes do vencimento', async () => {
+            const online = await api('POST', '/api/sales', {
+                body: { items: [{ productId: 2, quantity: 1 }], couponCode: 'VENCIDO', paymentMethod: 'cash' }
+            });
+            assert.equal(online.status, 400);
+            assert.equal(online.body.code, 'COUPON_INVALID');
+
+            const offline = await api('POST', '/api/sales', {
+                body: {
+                    clientSaleId: crypto.randomUUID(),
+                    soldAt: ago(40 * MINUTE),
+                    items: [{ productId: 2, quantity: 1, price: 8 }],
+                    couponCode: 'VENCIDO',
+                    paymentMethod: 'cash'
+                }
+            });
+            assert.equal(offline.status, 201, offline.body.error);
+            assert.equal(offline.body.sale.total, 7.2);
+        });
+    });
+});